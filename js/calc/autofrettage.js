@@ -0,0 +1,348 @@
+/**
+ * Autofrettage Residual Stress Analysis Module
+ * Implements the elastic-perfectly-plastic (Hill) overstrain solution for thick-walled
+ * cylinders, elastic or reverse-yielding unloading, and superposition with operating stresses
+ *
+ * All calculations use SI base units internally:
+ * - Lengths in mm
+ * - Pressures in MPa
+ * - Stresses in MPa
+ *
+ * Residual axial stresses are neglected (open-end autofrettage); the operating axial
+ * stress follows the selected end condition.
+ */
+
+import { lameCoefficients, stresses, axialStress, evaluateFailureCriteria } from './core.js';
+import { brent } from './solver.js';
+
+/**
+ * Effective yield strength in the (σ_θ - σ_r) form used by the Hill solution
+ *
+ * Tresca: Y = Sy
+ * Von Mises (plane strain approximation): Y = 2·Sy/√3
+ *
+ * @param {number} Sy - Yield strength (MPa)
+ * @param {string} yieldCriterion - 'tresca' or 'von-mises'
+ * @returns {number} Effective yield strength Y (MPa)
+ * @throws {Error} If the yield criterion is not supported
+ */
+export function effectiveYieldStrength(Sy, yieldCriterion = 'tresca') {
+    if (yieldCriterion === 'tresca') {
+        return Sy;
+    }
+    if (yieldCriterion === 'von-mises') {
+        return 2 * Sy / Math.sqrt(3);
+    }
+    throw new Error(`Unsupported autofrettage yield criterion: ${yieldCriterion}`);
+}
+
+/**
+ * Calculate autofrettage pressure for a given elastic-plastic interface radius
+ *
+ * P = Y · [ln(c/ri) + (ro² - c²) / (2·ro²)]
+ *
+ * @param {number} ri - Inner radius (mm)
+ * @param {number} ro - Outer radius (mm)
+ * @param {number} c - Elastic-plastic interface radius (mm), ri ≤ c ≤ ro
+ * @param {number} Y - Effective yield strength (MPa)
+ * @returns {number} Overstrain pressure (MPa)
+ * @throws {Error} If geometry is invalid
+ */
+export function autofrettagePressure(ri, ro, c, Y) {
+    if (ri <= 0) {
+        throw new Error('Inner radius must be positive');
+    }
+    if (ro <= ri) {
+        throw new Error('Outer radius must be greater than inner radius');
+    }
+    if (c < ri || c > ro) {
+        throw new Error('Interface radius must lie between inner and outer radius');
+    }
+    if (Y <= 0) {
+        throw new Error('Yield strength must be positive');
+    }
+
+    return Y * (Math.log(c / ri) + (ro * ro - c * c) / (2 * ro * ro));
+}
+
+/**
+ * Solve for the elastic-plastic interface radius produced by an overstrain pressure
+ * Uses Brent's method; the overstrain pressure increases monotonically with c
+ *
+ * @param {number} ri - Inner radius (mm)
+ * @param {number} ro - Outer radius (mm)
+ * @param {number} P - Overstrain pressure (MPa)
+ * @param {number} Y - Effective yield strength (MPa)
+ * @param {Object} options - Solver options
+ * @param {number} options.maxIters - Maximum iterations, defaults to 100
+ * @param {number} options.tolerance - Convergence tolerance on radius (mm), defaults to 1e-10
+ * @returns {number} Interface radius c (mm)
+ * @throws {Error} If the pressure is below first yield or above full collapse
+ */
+export function interfaceRadiusForPressure(ri, ro, P, Y, options = {}) {
+    const { maxIters = 100, tolerance = 1e-10 } = options;
+
+    const firstYield = autofrettagePressure(ri, ro, ri, Y);
+    const collapse = autofrettagePressure(ri, ro, ro, Y);
+
+    if (P < firstYield) {
+        throw new Error(`Overstrain pressure (${P.toFixed(1)} MPa) is below first-yield pressure (${firstYield.toFixed(1)} MPa)`);
+    }
+    if (P > collapse) {
+        throw new Error(`Overstrain pressure (${P.toFixed(1)} MPa) exceeds full-collapse pressure (${collapse.toFixed(1)} MPa)`);
+    }
+
+    return brent(c => autofrettagePressure(ri, ro, c, Y) - P, ri, ro, { tolerance, maxIters }).root;
+}
+
+/**
+ * Hill loading stresses for a partially plastic cylinder
+ *
+ * Plastic zone (ri ≤ r ≤ c):
+ * σ_r = Y · [ln(r/c) - (ro² - c²) / (2·ro²)],  σ_θ = σ_r + Y
+ * Elastic zone (c ≤ r ≤ ro):
+ * σ_r = Y·c²/(2·ro²) · (1 - ro²/r²),  σ_θ = Y·c²/(2·ro²) · (1 + ro²/r²)
+ *
+ * @param {number} r - Radius (mm)
+ * @param {number} ro - Outer radius (mm)
+ * @param {number} c - Elastic-plastic interface radius (mm)
+ * @param {number} Y - Effective yield strength (MPa)
+ * @returns {Object} {sigma_r, sigma_theta} (MPa)
+ */
+function hillStresses(r, ro, c, Y) {
+    const ro2 = ro * ro;
+
+    if (r <= c) {
+        const sigma_r = Y * (Math.log(r / c) - (ro2 - c * c) / (2 * ro2));
+        return { sigma_r, sigma_theta: sigma_r + Y };
+    }
+
+    const scale = Y * c * c / (2 * ro2);
+    return {
+        sigma_r: scale * (1 - ro2 / (r * r)),
+        sigma_theta: scale * (1 + ro2 / (r * r))
+    };
+}
+
+/**
+ * Calculate residual stresses at a radius after autofrettage unloading
+ *
+ * Residual = Hill loading stresses - unloading stresses. Unloading is elastic (Lamé with
+ * the overstrain pressure) unless the stress difference reverses past the Bauschinger-reduced
+ * reverse yield strength β·Y, in which case the unloading increment is itself a Hill solution
+ * with strength (1 + β)·Y and reverse-yield radius ρ.
+ *
+ * @param {number} r - Radius (mm)
+ * @param {Object} state - Autofrettage state
+ * @param {number} state.ri - Inner radius (mm)
+ * @param {number} state.ro - Outer radius (mm)
+ * @param {number} state.interfaceRadius - Elastic-plastic interface radius c (mm)
+ * @param {number} state.overstrainPressure - Overstrain pressure P (MPa)
+ * @param {number} state.Y - Effective yield strength (MPa)
+ * @param {number} state.bauschingerFactor - Reverse yield ratio β (0 < β ≤ 1)
+ * @param {number} state.reverseYieldRadius - Reverse yield radius ρ (mm), equals ri if none
+ * @returns {Object} {sigma_r, sigma_theta} - Residual stresses (MPa)
+ */
+export function residualStresses(r, state) {
+    const { ri, ro, interfaceRadius, overstrainPressure, Y, bauschingerFactor, reverseYieldRadius } = state;
+
+    const loading = hillStresses(r, ro, interfaceRadius, Y);
+
+    let unloading;
+    if (reverseYieldRadius > ri) {
+        unloading = hillStresses(r, ro, reverseYieldRadius, (1 + bauschingerFactor) * Y);
+    } else {
+        const { A, B } = lameCoefficients(ri, ro, overstrainPressure, 0);
+        unloading = stresses(r, A, B);
+    }
+
+    return {
+        sigma_r: loading.sigma_r - unloading.sigma_r,
+        sigma_theta: loading.sigma_theta - unloading.sigma_theta
+    };
+}
+
+/**
+ * Complete autofrettage analysis with operating pressure superposition
+ *
+ * Exactly one of overstrainPressure or interfaceRadius must be supplied.
+ *
+ * @param {Object} params - Analysis parameters
+ * @param {number} params.ri - Inner radius (mm)
+ * @param {number} params.ro - Outer radius (mm)
+ * @param {number} params.Sy - Yield strength (MPa)
+ * @param {number} params.Su - Ultimate tensile strength (MPa)
+ * @param {number} params.p_i - Operating internal pressure (MPa)
+ * @param {number} params.overstrainPressure - Autofrettage pressure (MPa)
+ * @param {number} params.interfaceRadius - Target elastic-plastic interface radius (mm)
+ * @param {number} params.bauschingerFactor - Reverse yield ratio β, defaults to 1 (no Bauschinger effect)
+ * @param {string} params.yieldCriterion - 'tresca' or 'von-mises' for the overstrain solution, defaults to 'tresca'
+ * @param {string} params.endCondition - End condition for operating σ_z (see axialStress), defaults to 'plane-stress'
+ * @param {number} params.nu - Poisson's ratio, defaults to 0.3
+ * @param {string} params.failureCriterion - Criterion for the reported safety factors, defaults to 'von-mises'
+ * @param {number} params.compressiveStrengthRatio - S_c / S_t for brittle criteria, defaults to 1
+ * @param {number} params.numPoints - Radial sample points for the critical location search, defaults to 200
+ * @returns {Object} Autofrettage analysis results
+ */
+export function analyzeAutofrettage(params) {
+    const {
+        ri, ro, Sy, Su, p_i,
+        overstrainPressure,
+        interfaceRadius,
+        bauschingerFactor = 1,
+        yieldCriterion = 'tresca',
+        endCondition = 'plane-stress',
+        nu = 0.3,
+        failureCriterion = 'von-mises',
+        compressiveStrengthRatio = 1,
+        numPoints = 200
+    } = params;
+
+    try {
+        if ((overstrainPressure === undefined) === (interfaceRadius === undefined)) {
+            throw new Error('Specify either an overstrain pressure or an interface radius');
+        }
+        if (bauschingerFactor <= 0 || bauschingerFactor > 1) {
+            throw new Error('Bauschinger factor must be between 0 and 1');
+        }
+        if (p_i < 0) {
+            throw new Error('Pressures must be non-negative');
+        }
+
+        const Y = effectiveYieldStrength(Sy, yieldCriterion);
+
+        // Resolve overstrain state
+        const c = interfaceRadius !== undefined
+            ? interfaceRadius
+            : interfaceRadiusForPressure(ri, ro, overstrainPressure, Y);
+        const P = autofrettagePressure(ri, ro, c, Y);
+
+        // Reverse yielding on unloading occurs when P exceeds the elastic range (1 + β)·Y
+        const reverseStrength = (1 + bauschingerFactor) * Y;
+        const reverseYieldRadius = P > autofrettagePressure(ri, ro, ri, reverseStrength)
+            ? interfaceRadiusForPressure(ri, ro, P, reverseStrength)
+            : ri;
+
+        const state = {
+            ri, ro,
+            interfaceRadius: c,
+            overstrainPressure: P,
+            Y,
+            bauschingerFactor,
+            reverseYieldRadius
+        };
+
+        // Operating Lamé stresses
+        const { A, B } = lameCoefficients(ri, ro, p_i, 0);
+        const sigma_z = axialStress(A, { endCondition, nu });
+
+        // Search the wall for the critical location; after autofrettage the
+        // peak equivalent stress can move from the bore towards the interface
+        const ri2 = ri * ri;
+        const ro2 = ro * ro;
+        const unitHoopDifference = 2 * ri2 * ro2 / (ro2 - ri2);
+        let critical = null;
+        let elasticLimitPressure = Infinity;
+
+        for (let i = 0; i < numPoints; i++) {
+            const r = ri + (ro - ri) * i / (numPoints - 1);
+            const residual = residualStresses(r, state);
+            const operating = stresses(r, A, B);
+            const stressState = {
+                sigma_r: residual.sigma_r + operating.sigma_r,
+                sigma_theta: residual.sigma_theta + operating.sigma_theta,
+                sigma_z
+            };
+            const failureCriteria = evaluateFailureCriteria(stressState, Sy, Su, { compressiveStrengthRatio });
+            const selected = failureCriteria.criteria[failureCriterion];
+            if (!selected) {
+                throw new Error(`Unknown failure criterion: ${failureCriterion}`);
+            }
+
+            if (critical === null || selected.SF_y < critical.safetyFactors.SF_y) {
+                critical = {
+                    r,
+                    stresses: stressState,
+                    residual,
+                    safetyFactors: { SF_y: selected.SF_y, SF_u: selected.SF_u },
+                    failureCriteria
+                };
+            }
+
+            // Reloading stays elastic until (σ_θ - σ_r) reaches Y at some radius
+            const residualDifference = residual.sigma_theta - residual.sigma_r;
+            const limit = (Y - residualDifference) * r * r / unitHoopDifference;
+            elasticLimitPressure = Math.min(elasticLimitPressure, limit);
+        }
+
+        // Plain (non-autofrettaged) tube for comparison
+        const plainStresses = { ...stresses(ri, A, B), sigma_z };
+        const plainCriteria = evaluateFailureCriteria(plainStresses, Sy, Su, { compressiveStrengthRatio });
+        const plainElasticLimit = autofrettagePressure(ri, ro, ri, Y);
+
+        return {
+            overstrainPressure: P,
+            interfaceRadius: c,
+            overstrainRatio: (c - ri) / (ro - ri),
+            reverseYieldRadius,
+            bauschingerFactor,
+            yieldCriterion,
+            failureCriterion,
+            residualStresses: {
+                inner: residualStresses(ri, state),
+                interface: residualStresses(c, state),
+                outer: residualStresses(ro, state)
+            },
+            operating: critical,
+            plainTube: {
+                stresses: plainStresses,
+                safetyFactors: {
+                    SF_y: plainCriteria.criteria[failureCriterion].SF_y,
+                    SF_u: plainCriteria.criteria[failureCriterion].SF_u
+                },
+                failureCriteria: plainCriteria
+            },
+            elasticLimitPressure: {
+                plain: plainElasticLimit,
+                autofrettaged: elasticLimitPressure,
+                gain: elasticLimitPressure / plainElasticLimit
+            },
+            state,
+            geometry: { ri, ro, p_i },
+            material: { Sy, Su }
+        };
+    } catch (error) {
+        throw new Error(`Autofrettage analysis failed: ${error.message}`);
+    }
+}
+
+/**
+ * Generate residual and combined stress field data for visualization
+ *
+ * @param {Object} result - Result from analyzeAutofrettage
+ * @param {number} numPoints - Number of points to sample, defaults to 100
+ * @returns {Array} Array of {r, residual, sigma_r, sigma_theta, sigma_z} objects
+ */
+export function generateAutofrettageStressField(result, numPoints = 100) {
+    const { state, geometry, operating } = result;
+    const { ri, ro, p_i } = geometry;
+    const { A, B } = lameCoefficients(ri, ro, p_i, 0);
+    const sigma_z = operating.stresses.sigma_z;
+    const field = [];
+
+    for (let i = 0; i < numPoints; i++) {
+        const r = ri + (ro - ri) * i / (numPoints - 1);
+        const residual = residualStresses(r, state);
+        const loaded = stresses(r, A, B);
+
+        field.push({
+            r,
+            residual,
+            sigma_r: residual.sigma_r + loaded.sigma_r,
+            sigma_theta: residual.sigma_theta + loaded.sigma_theta,
+            sigma_z
+        });
+    }
+
+    return field;
+}
@@ -0,0 +1,175 @@
+/**
+ * Unit Tests for Interior Ballistics Module
+ *
+ * Tests the lumped-parameter pressure-travel model including:
+ * - Lagrange pressure gradient between breech and bullet base
+ * - Burn rate calibration to the rated peak pressure
+ * - Energy balance and the shape of the pressure-travel curve
+ * - Pressure envelope along the barrel and error handling
+ */
+
+import { lagrangePressures, pressureEnvelope, analyzeInteriorBallistics, DEFAULT_PROPELLANT } from './ballistics.js';
+import { analyzeContour } from './contour.js';
+
+/**
+ * Test runner utility
+ */
+function runTests() {
+    console.log('Running Interior Ballistics Tests...\n');
+
+    let totalTests = 0;
+    let passedTests = 0;
+
+    function test(name, testFunction) {
+        totalTests++;
+        try {
+            testFunction();
+            console.log(`✅ ${name}`);
+            passedTests++;
+        } catch (error) {
+            console.error(`❌ ${name}: ${error.message}`);
+            console.error(error.stack);
+        }
+    }
+
+    function assertApproxEqual(actual, expected, tolerance = 1e-6, message = '') {
+        const diff = Math.abs(actual - expected);
+        if (diff > tolerance) {
+            throw new Error(`Expected ${expected}, got ${actual} (diff: ${diff}) ${message}`);
+        }
+    }
+
+    function assertThrows(fn, expectedMessage = '') {
+        try {
+            fn();
+            throw new Error('Expected function to throw an error');
+        } catch (error) {
+            if (expectedMessage && !error.message.includes(expectedMessage)) {
+                throw new Error(`Expected error containing "${expectedMessage}", got "${error.message}"`);
+            }
+        }
+    }
+
+    // .308 Winchester: 3.63 cm³ case, 150 gr (9.72 g) bullet, 22 in barrel
+    const load308 = {
+        caseCapacity: 3.63,
+        bulletMass: 9.72,
+        boreDiameter: 7.62,
+        peakPressure: 413.69,
+        travel: 510,
+        startPosition: 50
+    };
+    const result308 = analyzeInteriorBallistics(load308);
+
+    // Test 1: Lagrange gradient
+    test('Lagrange breech and base pressures', () => {
+        const { breech, base } = lagrangePressures(300, 2.916, 9.72);
+        assertApproxEqual(base, 300 / 1.1, 1e-9, '(base = P / (1 + C/3m))');
+        assertApproxEqual(breech, 300 / 1.1 * 1.15, 1e-9, '(breech = base·(1 + C/2m))');
+
+        const light = lagrangePressures(300, 1e-9, 9.72);
+        assertApproxEqual(light.breech, 300, 1e-6, '(no gradient without charge mass)');
+    });
+
+    // Test 2: The burn rate is solved for the rated peak pressure
+    test('Calibration to the rated peak pressure', () => {
+        assertApproxEqual(result308.peak.pressure, 413.69, 0.05, '(peak breech pressure)');
+        assertApproxEqual(result308.chargeMass, 0.8 * 3.63, 1e-12, '(default loading density)');
+        if (!(result308.peak.travel > 0 && result308.peak.travel < 0.2 * load308.travel)) {
+            throw new Error(`Peak should occur early in the travel, got ${result308.peak.travel} mm`);
+        }
+        // Lossless model: somewhat above the ~860 m/s of factory loads
+        if (!(result308.muzzle.velocity > 800 && result308.muzzle.velocity < 1000)) {
+            throw new Error(`Muzzle velocity ${result308.muzzle.velocity} m/s outside the expected range`);
+        }
+        assertApproxEqual(result308.muzzle.position, 560, 1e-9, '(muzzle position)');
+    });
+
+    // Test 3: Energy balance and curve shape
+    test('Energy balance and pressure-travel curve', () => {
+        const { curve, muzzle, chargeMass } = result308;
+        const { force, gamma } = DEFAULT_PROPELLANT;
+        // Projectile and gas kinetic energy cannot exceed the energy released by the burnt charge
+        const kinetic = 0.5 * (load308.bulletMass + chargeMass / 3) * 1e-3 * muzzle.velocity ** 2;
+        const released = force * chargeMass * muzzle.burnt / (gamma - 1);
+        if (!(kinetic < released)) {
+            throw new Error(`Kinetic energy ${kinetic} J exceeds released energy ${released} J`);
+        }
+        for (let i = 1; i < curve.length; i++) {
+            if (curve[i].velocity < curve[i - 1].velocity || curve[i].travel < curve[i - 1].travel) {
+                throw new Error(`Velocity and travel must increase, failed at point ${i}`);
+            }
+            if (curve[i].basePressure > curve[i].pressure) {
+                throw new Error(`Base pressure above breech pressure at point ${i}`);
+            }
+        }
+        if (!(muzzle.pressure < 0.3 * result308.peak.pressure)) {
+            throw new Error(`Muzzle pressure ${muzzle.pressure} MPa should be well below the peak`);
+        }
+    });
+
+    // Test 4: A longer barrel at the same peak gives more velocity and less muzzle pressure
+    test('Barrel length effect', () => {
+        const long = analyzeInteriorBallistics({ ...load308, travel: 660 });
+        assertApproxEqual(long.peak.pressure, result308.peak.pressure, 0.1, '(same peak)');
+        if (!(long.muzzle.velocity > result308.muzzle.velocity && long.muzzle.pressure < result308.muzzle.pressure)) {
+            throw new Error('Longer barrel should raise velocity and lower muzzle pressure');
+        }
+    });
+
+    // Test 5: Pressure envelope along the barrel feeds the contour analysis
+    test('Pressure envelope along the barrel', () => {
+        const { envelope, muzzle } = result308;
+        assertApproxEqual(envelope[0].pressure, result308.peak.pressure, 1e-9, '(breech face sees the peak)');
+        assertApproxEqual(envelope[envelope.length - 1].pressure, muzzle.basePressure, 1e-9, '(muzzle sees the exit base pressure)');
+        const peakIndex = envelope.findIndex(point => point.position > result308.peak.position);
+        for (let i = peakIndex + 1; i < envelope.length; i++) {
+            if (envelope[i].pressure > envelope[i - 1].pressure + 1e-9) {
+                throw new Error(`Envelope must fall ahead of the peak, failed at ${envelope[i].position} mm`);
+            }
+        }
+
+        // Static column: the envelope of a single point is its Lagrange distribution
+        const single = pressureEnvelope([{ position: 100, pressure: 300, basePressure: 200 }]);
+        assertApproxEqual(single[0].pressure, 300, 1e-12);
+        assertApproxEqual(single[1].pressure, 200, 1e-12);
+
+        const contour = analyzeContour({
+            stations: [
+                { position: 0, outerDiameter: 30, boreDiameter: 7.62 },
+                { position: 560, outerDiameter: 15, boreDiameter: 7.62 }
+            ],
+            pressure: envelope,
+            Sy: 900,
+            Su: 1030
+        });
+        assertApproxEqual(contour.stations[1].p_i, muzzle.basePressure, 1e-9, '(contour muzzle pressure)');
+    });
+
+    // Test 6: Error handling
+    test('Error handling', () => {
+        assertThrows(() => analyzeInteriorBallistics({ ...load308, chargeMass: 7 }), 'Charge does not fit in the case');
+        assertThrows(() => analyzeInteriorBallistics({ ...load308, chargeMass: 0.2 }), 'cannot reach the peak pressure');
+        assertThrows(() => analyzeInteriorBallistics({ ...load308, bulletMass: 0 }), 'must be positive');
+        assertThrows(() => analyzeInteriorBallistics({ ...load308, peakPressure: 2 }), 'exceed the igniter pressure');
+    });
+
+    // Summary
+    console.log(`\n📊 Test Summary: ${passedTests}/${totalTests} tests passed`);
+
+    if (passedTests === totalTests) {
+        console.log('🎉 All tests passed!');
+    } else {
+        console.log(`❌ ${totalTests - passedTests} tests failed`);
+    }
+
+    return { total: totalTests, passed: passedTests };
+}
+
+// Export test runner for external use
+export { runTests };
+
+// Auto-run tests if this module is loaded directly
+if (import.meta.url === `file://${process?.argv?.[1]}` || typeof window !== 'undefined') {
+    runTests();
+}
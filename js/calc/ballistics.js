@@ -0,0 +1,309 @@
+/**
+ * Interior Ballistics Module
+ * Lumped-parameter pressure-travel model of a cartridge, calibrated to its rated peak
+ * pressure, and the pressure envelope it puts on the barrel along its length
+ *
+ * Inputs and results use SI base units:
+ * - Lengths, travel and diameters in mm
+ * - Pressures in MPa
+ * - Masses in g, case capacity in cm³
+ * - Velocities in m/s, times in ms
+ *
+ * Model (Corner, Theory of the Interior Ballistics of Guns, ch. 2 and 4):
+ * - The propellant burns by Vieille's law with unit exponent, df/dt = β·P, where f is the
+ *   fraction of the web burnt. The form function Z = (1 + θ)f - θf² gives the fraction of
+ *   the charge burnt, degressive for θ > 0.
+ * - Résal's energy equation with the gas kinetic energy of the Lagrange gradient:
+ *   P·[V0 - C(1 - Z)/ρ - ηCZ + A·x] = F·C·Z - (γ - 1)·½(m + C/3)v²
+ * - Lagrange gradient between the breech and the bullet base:
+ *   P_base = P / (1 + C/3m), P_breech = P_base·(1 + C/2m)
+ * - Bullet motion: m·dv/dt = A·P_base, starting from the igniter pressure
+ * The burn rate coefficient β of a generic load is unknown, so it is solved by Brent's method
+ * (see solver.js) for the peak breech pressure to equal the rated maximum pressure. Heat loss,
+ * engraving and bore friction are neglected, so muzzle velocities run somewhat high.
+ */
+
+import { findRoot, SolverError } from './solver.js';
+
+/**
+ * Typical single-base smokeless rifle propellant
+ * force (J/g), covolume (cm³/g), density (g/cm³), gamma, formFactor θ
+ */
+export const DEFAULT_PROPELLANT = {
+    force: 1000,
+    covolume: 1.0,
+    density: 1.6,
+    gamma: 1.24,
+    formFactor: 0.2
+};
+
+/**
+ * Default loading density, charge mass over case capacity (g/cm³)
+ */
+const DEFAULT_LOADING_DENSITY = 0.8;
+
+/**
+ * Breech and bullet base pressures from the space-mean pressure by the Lagrange gradient
+ *
+ * @param {number} meanPressure - Space-mean gas pressure (MPa)
+ * @param {number} chargeMass - Propellant charge mass C (g)
+ * @param {number} bulletMass - Bullet mass m (g)
+ * @returns {Object} {breech, base} pressures in the units of meanPressure
+ */
+export function lagrangePressures(meanPressure, chargeMass, bulletMass) {
+    const base = meanPressure / (1 + chargeMass / (3 * bulletMass));
+    return {
+        breech: base * (1 + chargeMass / (2 * bulletMass)),
+        base
+    };
+}
+
+/**
+ * Pressure at a point of the gas column by the Lagrange gradient
+ *
+ * @param {number} y - Distance from the breech face (mm), within the column
+ * @param {number} columnLength - Distance from the breech face to the bullet base (mm)
+ * @param {number} breech - Breech pressure (MPa)
+ * @param {number} base - Bullet base pressure (MPa)
+ * @returns {number} Local pressure (MPa)
+ */
+function columnPressure(y, columnLength, breech, base) {
+    const ratio = columnLength > 0 ? Math.min(y / columnLength, 1) : 0;
+    return breech - (breech - base) * ratio * ratio;
+}
+
+/**
+ * Integrate the lumped-parameter model from ignition to muzzle exit
+ *
+ * Internally in m, kg, s and Pa. Steps are sized to burn at most 0.2% of the web and move
+ * the bullet at most 1/2000 of its travel.
+ *
+ * @param {Object} load - {V0, m, C, A, travel, F, eta, rho, gamma, theta, p0} (SI)
+ * @param {number} beta - Burn rate coefficient (1/(Pa·s))
+ * @returns {Object} {samples, peakIndex} with samples {t, x, v, f, Z, mean, breech, base}
+ * @throws {Error} If the bullet does not reach the muzzle
+ */
+function simulate(load, beta) {
+    const { V0, m, C, A, travel, F, eta, rho, gamma, theta, p0 } = load;
+
+    const burnt = f => {
+        const web = Math.min(f, 1);
+        return (1 + theta) * web - theta * web * web;
+    };
+    const meanPressure = (f, x, v) => {
+        const Z = burnt(f);
+        const freeVolume = V0 - C * (1 - Z) / rho - eta * C * Z + A * x;
+        return Math.max((F * C * Z - (gamma - 1) * 0.5 * (m + C / 3) * v * v) / freeVolume, 0);
+    };
+    const derivatives = ([f, x, v]) => {
+        const P = meanPressure(f, x, v);
+        return [f < 1 ? beta * P : 0, v, A * lagrangePressures(P, C, m).base / m];
+    };
+    const sample = (t, [f, x, v]) => {
+        const mean = meanPressure(f, x, v);
+        return { t, x, v, f: Math.min(f, 1), Z: burnt(f), mean, ...lagrangePressures(mean, C, m) };
+    };
+
+    // Fraction of the web burnt by the igniter to reach p0 before the bullet moves
+    const Z0 = p0 * (V0 - C / rho) / (C * (F - p0 / rho + p0 * eta));
+    const f0 = theta > 0 ? ((1 + theta) - Math.sqrt((1 + theta) ** 2 - 4 * theta * Z0)) / (2 * theta) : Z0;
+
+    let state = [f0, 0, 0];
+    let t = 0;
+    const samples = [sample(t, state)];
+    let peakIndex = 0;
+    const maxTime = 1; // s
+
+    while (state[1] < travel) {
+        const P = meanPressure(...state);
+        const dt = Math.min(
+            1e-5,
+            state[0] < 1 && P > 0 ? 0.002 / (beta * P) : Infinity,
+            state[2] > 0 ? travel / 2000 / state[2] : Infinity
+        );
+
+        // Classical fourth-order Runge-Kutta step
+        const k1 = derivatives(state);
+        const k2 = derivatives(state.map((y, i) => y + 0.5 * dt * k1[i]));
+        const k3 = derivatives(state.map((y, i) => y + 0.5 * dt * k2[i]));
+        const k4 = derivatives(state.map((y, i) => y + dt * k3[i]));
+        let next = state.map((y, i) => y + dt / 6 * (k1[i] + 2 * k2[i] + 2 * k3[i] + k4[i]));
+        let nextTime = t + dt;
+
+        // Stop exactly at the muzzle
+        if (next[1] >= travel) {
+            const s = (travel - state[1]) / (next[1] - state[1]);
+            next = state.map((y, i) => y + s * (next[i] - y));
+            next[1] = travel;
+            nextTime = t + s * dt;
+        }
+
+        state = next;
+        t = nextTime;
+        samples.push(sample(t, state));
+        if (samples[samples.length - 1].breech > samples[peakIndex].breech) {
+            peakIndex = samples.length - 1;
+        }
+        if (t > maxTime) {
+            throw new Error('Bullet did not reach the muzzle');
+        }
+    }
+
+    return { samples, peakIndex };
+}
+
+/**
+ * Maximum pressure seen at each position along the barrel
+ *
+ * A point of the barrel sees pressure once the bullet base has passed it. Its pressure
+ * follows the Lagrange gradient of the gas column behind the bullet, and the envelope is
+ * the largest value over the rest of the shot.
+ *
+ * @param {Array} curve - Pressure-travel points {position, pressure, basePressure}, position
+ *   being the bullet base distance from the breech face (mm)
+ * @returns {Array} Envelope [{position, pressure}] from the breech face to the muzzle
+ */
+export function pressureEnvelope(curve) {
+    const positions = [0, ...curve.map(point => point.position)];
+
+    return positions.map((position, i) => {
+        let pressure = 0;
+        for (let j = Math.max(i - 1, 0); j < curve.length; j++) {
+            const point = curve[j];
+            if (point.position >= position) {
+                pressure = Math.max(pressure, columnPressure(position, point.position, point.pressure, point.basePressure));
+            }
+        }
+        return { position, pressure };
+    });
+}
+
+/**
+ * Interior ballistics pressure-travel analysis
+ *
+ * @param {Object} params - Analysis parameters
+ * @param {number} params.caseCapacity - Case water capacity behind the seated bullet (cm³)
+ * @param {number} params.bulletMass - Bullet mass (g)
+ * @param {number} params.boreDiameter - Bore diameter (mm)
+ * @param {number} params.peakPressure - Rated maximum chamber pressure the load is calibrated to (MPa)
+ * @param {number} params.travel - Bullet travel to the muzzle (mm)
+ * @param {number} params.chargeMass - Propellant charge (g), defaults to 0.8 g/cm³ of case capacity
+ * @param {number} params.startPosition - Bullet base distance from the breech face at rest (mm),
+ *   defaults to 0
+ * @param {Object} params.propellant - Overrides of DEFAULT_PROPELLANT
+ * @param {number} params.igniterPressure - Pressure at which the bullet starts to move (MPa), defaults to 5
+ * @param {number} params.points - Approximate number of curve points returned, defaults to 200
+ * @returns {Object} {curve, envelope, peak, muzzle, burnRate, chargeMass, loadingDensity, iterations}.
+ *   Curve points hold time, travel, position, velocity, breech and base pressure and burnt fraction.
+ * @throws {Error} If inputs are invalid or the load cannot reach the peak pressure
+ */
+export function analyzeInteriorBallistics(params) {
+    const {
+        caseCapacity,
+        bulletMass,
+        boreDiameter,
+        peakPressure,
+        travel,
+        chargeMass = DEFAULT_LOADING_DENSITY * caseCapacity,
+        startPosition = 0,
+        propellant = {},
+        igniterPressure = 5,
+        points = 200
+    } = params;
+
+    try {
+        if (!(caseCapacity > 0) || !(bulletMass > 0) || !(chargeMass > 0)) {
+            throw new Error('Case capacity, bullet mass and charge mass must be positive');
+        }
+        if (!(boreDiameter > 0) || !(travel > 0) || !(startPosition >= 0)) {
+            throw new Error('Bore diameter and bullet travel must be positive');
+        }
+        if (!(peakPressure > igniterPressure) || !(igniterPressure > 0)) {
+            throw new Error('Peak pressure must exceed the igniter pressure');
+        }
+
+        const { force, covolume, density, gamma, formFactor } = { ...DEFAULT_PROPELLANT, ...propellant };
+        if (chargeMass / density >= caseCapacity) {
+            throw new Error('Charge does not fit in the case');
+        }
+
+        // SI: m, kg, s, Pa
+        const load = {
+            V0: caseCapacity * 1e-6,
+            m: bulletMass * 1e-3,
+            C: chargeMass * 1e-3,
+            A: Math.PI * boreDiameter * boreDiameter / 4 * 1e-6,
+            travel: travel * 1e-3,
+            F: force * 1e3,
+            eta: covolume * 1e-3,
+            rho: density * 1e3,
+            gamma,
+            theta: formFactor,
+            p0: igniterPressure * 1e6
+        };
+
+        // Burn rate for the rated peak pressure, solved on ln β
+        const peakError = u => {
+            const { samples, peakIndex } = simulate(load, Math.exp(u));
+            return samples[peakIndex].breech / 1e6 - peakPressure;
+        };
+        let solution;
+        try {
+            solution = findRoot(peakError, {
+                bracket: [Math.log(1e-7), Math.log(1e-4)],
+                maxExpansions: 10,
+                tolerance: 1e-6,
+                functionTolerance: 1e-4 * peakPressure
+            });
+        } catch (error) {
+            if (error instanceof SolverError && error.diagnostics.reason === 'no-bracket') {
+                throw new Error('The charge cannot reach the peak pressure; increase the charge mass');
+            }
+            throw error;
+        }
+        const burnRate = Math.exp(solution.root);
+        const { samples, peakIndex } = simulate(load, burnRate);
+
+        // Thin the samples, keeping the peak and the muzzle
+        const stride = Math.max(1, Math.ceil(samples.length / points));
+        const curve = samples
+            .filter((_, i) => i % stride === 0 || i === peakIndex || i === samples.length - 1)
+            .map(s => ({
+                time: s.t * 1e3,
+                travel: s.x * 1e3,
+                position: startPosition + s.x * 1e3,
+                velocity: s.v,
+                pressure: s.breech / 1e6,
+                basePressure: s.base / 1e6,
+                burnt: s.Z
+            }));
+
+        const peak = samples[peakIndex];
+        const muzzle = curve[curve.length - 1];
+
+        return {
+            curve,
+            envelope: pressureEnvelope(curve),
+            peak: {
+                pressure: peak.breech / 1e6,
+                travel: peak.x * 1e3,
+                position: startPosition + peak.x * 1e3,
+                time: peak.t * 1e3
+            },
+            muzzle: {
+                velocity: muzzle.velocity,
+                pressure: muzzle.pressure,
+                basePressure: muzzle.basePressure,
+                burnt: muzzle.burnt,
+                time: muzzle.time,
+                position: muzzle.position
+            },
+            burnRate,
+            chargeMass,
+            loadingDensity: chargeMass / caseCapacity,
+            iterations: solution.iterations
+        };
+    } catch (error) {
+        throw new Error(`Interior ballistics analysis failed: ${error.message}`, { cause: error });
+    }
+}
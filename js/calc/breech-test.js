@@ -0,0 +1,130 @@
+/**
+ * Unit Tests for Breech Axial Load Module
+ *
+ * Tests the case head thrust model including:
+ * - Bolt thrust from chamber pressure and case head diameter
+ * - Axial stress in the tenon and shank sections
+ * - Reduction to the closed-end case when the head matches the bore
+ * - Governing section and error handling
+ */
+
+import { caseHeadThrust, analyzeBreech } from './breech.js';
+
+/**
+ * Test runner utility
+ */
+function runTests() {
+    console.log('Running Breech Axial Load Tests...\n');
+
+    let totalTests = 0;
+    let passedTests = 0;
+
+    function test(name, testFunction) {
+        totalTests++;
+        try {
+            testFunction();
+            console.log(`✅ ${name}`);
+            passedTests++;
+        } catch (error) {
+            console.error(`❌ ${name}: ${error.message}`);
+            console.error(error.stack);
+        }
+    }
+
+    function assertApproxEqual(actual, expected, tolerance = 1e-6, message = '') {
+        const diff = Math.abs(actual - expected);
+        if (diff > tolerance) {
+            throw new Error(`Expected ${expected}, got ${actual} (diff: ${diff}) ${message}`);
+        }
+    }
+
+    function assertThrows(fn, expectedMessage = '') {
+        try {
+            fn();
+            throw new Error('Expected function to throw an error');
+        } catch (error) {
+            if (expectedMessage && !error.message.includes(expectedMessage)) {
+                throw new Error(`Expected error containing "${expectedMessage}", got "${error.message}"`);
+            }
+        }
+    }
+
+    // .308 Winchester: 11.96 mm case head, 7.85 mm chamber, 1.0625 in tenon thread root
+    const material = { Sy: 900, Su: 1030 };
+    const breech = {
+        p_i: 415,
+        headDiameter: 11.96,
+        sections: [
+            { name: 'Shank', ri: 3.925, ro: 15 },
+            { name: 'Tenon', ri: 3.925, ro: 12.7 }
+        ],
+        ...material
+    };
+
+    test('Bolt thrust is the pressure on the case head', () => {
+        const { thrust, headArea } = caseHeadThrust(415, 11.96);
+        assertApproxEqual(headArea, 112.345, 1e-3);
+        // About 10,500 lbf
+        assertApproxEqual(thrust, 46623, 1);
+        assertApproxEqual(caseHeadThrust(0, 11.96).thrust, 0, 0);
+    });
+
+    test('Axial stress is the thrust over the section area', () => {
+        const result = analyzeBreech(breech);
+        for (const section of result.sections) {
+            assertApproxEqual(section.sigma_axial, result.thrust / (Math.PI * (section.ro ** 2 - section.ri ** 2)), 1e-9);
+            assertApproxEqual(section.stresses.sigma_z, section.sigma_axial, 1e-9);
+        }
+    });
+
+    test('Case head equal to the bore reduces to closed-end stresses', () => {
+        const result = analyzeBreech({ ...breech, headDiameter: 2 * 3.925 });
+        for (const section of result.sections) {
+            assertApproxEqual(section.safetyFactors.SF_y, section.closedEndSafetyFactors.SF_y, 1e-9);
+        }
+    });
+
+    test('Case head thrust lowers the safety factor below closed-end', () => {
+        const result = analyzeBreech(breech);
+        for (const section of result.sections) {
+            if (!(section.safetyFactors.SF_y < section.closedEndSafetyFactors.SF_y)) {
+                throw new Error(`${section.name} should be weakened by the bolt thrust`);
+            }
+        }
+        console.log(`    Thrust ${result.thrust.toFixed(0)} N, tenon SF_y ${result.sections[1].safetyFactors.SF_y.toFixed(2)}`);
+    });
+
+    test('Thinnest section governs', () => {
+        const result = analyzeBreech(breech);
+        if (result.governingSection !== 'Tenon') {
+            throw new Error(`Expected the tenon to govern, got ${result.governingSection}`);
+        }
+    });
+
+    test('Error handling for invalid breech inputs', () => {
+        assertThrows(() => caseHeadThrust(415, 0), 'Case head diameter must be positive');
+        assertThrows(() => analyzeBreech({ ...breech, sections: [] }), 'At least one section');
+        assertThrows(() => analyzeBreech({ ...breech, sections: [{ name: 'Tenon', ri: 3.925, ro: 3 }] }), 'outer radius');
+        assertThrows(() => analyzeBreech({ ...breech, headDiameter: 5 }), 'at least as large as the bore');
+        assertThrows(() => analyzeBreech({ ...breech, p_i: -1 }), 'Breech analysis failed');
+    });
+
+    // Summary
+    console.log(`\n📊 Test Summary: ${passedTests}/${totalTests} tests passed`);
+
+    if (passedTests === totalTests) {
+        console.log('🎉 All tests passed!');
+    } else {
+        console.log(`❌ ${totalTests - passedTests} tests failed`);
+    }
+
+    return { total: totalTests, passed: passedTests };
+}
+
+// Export test runner for external use
+export { runTests };
+
+// Auto-run tests if this module is loaded directly
+if (import.meta.url === `file://${process?.argv?.[1]}` || typeof window !== 'undefined') {
+    runTests();
+}
@@ -0,0 +1,115 @@
+/**
+ * Breech Axial Load Module
+ * Case head thrust carried from the bolt lugs through the barrel extension or tenon,
+ * and the resulting axial stress in the barrel sections behind the lockup
+ *
+ * All calculations use SI base units internally:
+ * - Lengths and diameters in mm
+ * - Pressures in MPa
+ * - Stresses in MPa
+ * - Forces in N
+ *
+ * The case head seals the chamber, so the bolt carries the chamber pressure acting on the
+ * whole case head: F = p·π·d_head²/4. The barrel between the chamber and its attachment
+ * to the receiver or barrel extension carries F in tension, so each section there sees
+ * σ_z = F / π(ro² - ri²) in place of the closed-end axial stress from the bore area alone.
+ */
+
+import { analyzeCircle } from './core.js';
+
+/**
+ * Calculate the bolt thrust from the case head
+ *
+ * @param {number} p - Chamber pressure (MPa)
+ * @param {number} headDiameter - Case head diameter (mm)
+ * @returns {Object} {thrust (N), headArea (mm²)}
+ * @throws {Error} If inputs are invalid
+ */
+export function caseHeadThrust(p, headDiameter) {
+    if (!(headDiameter > 0)) {
+        throw new Error('Case head diameter must be positive');
+    }
+    if (!(p >= 0)) {
+        throw new Error('Chamber pressure must be non-negative');
+    }
+
+    const headArea = Math.PI * headDiameter * headDiameter / 4;
+    return { thrust: p * headArea, headArea };
+}
+
+/**
+ * Breech analysis of the barrel sections carrying the bolt thrust
+ *
+ * @param {Object} params - Analysis parameters
+ * @param {number} params.p_i - Chamber pressure (MPa)
+ * @param {number} params.headDiameter - Case head diameter (mm)
+ * @param {Array} params.sections - Sections carrying the thrust [{name, ri, ro}] (mm). The
+ *   pressure acts on the bore of each section.
+ * @param {number} params.Sy - Yield strength (MPa)
+ * @param {number} params.Su - Ultimate tensile strength (MPa)
+ * @param {number} params.nu - Poisson's ratio, defaults to 0.3
+ * @param {string} params.failureCriterion - Criterion for the safety factors, defaults to 'von-mises'
+ * @param {number} params.compressiveStrengthRatio - Mohr-Coulomb Sc/St ratio, defaults to 1
+ * @returns {Object} {thrust, headArea, sections, governingSection}. Each section reports its
+ *   axial stress, bore stresses and safety factors with the thrust, and the closed-end
+ *   safety factors for comparison.
+ * @throws {Error} If inputs are invalid
+ */
+export function analyzeBreech(params) {
+    const {
+        p_i,
+        headDiameter,
+        sections,
+        Sy, Su,
+        nu = 0.3,
+        failureCriterion = 'von-mises',
+        compressiveStrengthRatio = 1
+    } = params;
+
+    try {
+        if (!Array.isArray(sections) || sections.length === 0) {
+            throw new Error('At least one section is required');
+        }
+
+        const { thrust, headArea } = caseHeadThrust(p_i, headDiameter);
+        const common = { p_i, Sy, Su, nu, failureCriterion, compressiveStrengthRatio };
+
+        const sectionResults = sections.map(({ name, ri, ro }) => {
+            if (!(ri > 0) || !(ro > ri)) {
+                throw new Error(`Section ${name}: outer radius must be greater than inner radius`);
+            }
+            if (headDiameter < 2 * ri) {
+                throw new Error(`Section ${name}: case head must be at least as large as the bore`);
+            }
+
+            const area = Math.PI * (ro * ro - ri * ri);
+            const sigma_axial = thrust / area;
+            const loaded = analyzeCircle({ ...common, ri, ro, sigma_axial, endCondition: 'plane-stress' });
+            const closedEnd = analyzeCircle({ ...common, ri, ro, endCondition: 'closed-end' });
+
+            return {
+                name,
+                ri,
+                ro,
+                area,
+                sigma_axial,
+                stresses: loaded.stresses.inner,
+                safetyFactors: loaded.safetyFactors,
+                closedEndSafetyFactors: closedEnd.safetyFactors
+            };
+        });
+
+        const governingSection = sectionResults.reduce((a, b) => b.safetyFactors.SF_y < a.safetyFactors.SF_y ? b : a);
+
+        return {
+            thrust,
+            headArea,
+            headDiameter,
+            sections: sectionResults,
+            governingSection: governingSection.name,
+            failureCriterion
+        };
+    } catch (error) {
+        throw new Error(`Breech analysis failed: ${error.message}`);
+    }
+}
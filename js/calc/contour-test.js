@@ -0,0 +1,197 @@
+/**
+ * Unit Tests for Barrel Contour Module
+ *
+ * Tests the analysis along the barrel length including:
+ * - Agreement with the single-section analysis for a straight cylinder
+ * - Taper and step interpolation of the contour
+ * - Log-linear pressure profile from peak to muzzle pressure
+ * - Weakest station, CSV parsing and error handling
+ * - Elastic strength curve and minimum margin
+ */
+
+import { analyzeCircle } from './core.js';
+import { parseContourCSV, validateContour, contourAt, pressureProfile, pressureAt, analyzeContour, strengthCurve } from './contour.js';
+
+/**
+ * Test runner utility
+ */
+function runTests() {
+    console.log('Running Barrel Contour Tests...\n');
+
+    let totalTests = 0;
+    let passedTests = 0;
+
+    function test(name, testFunction) {
+        totalTests++;
+        try {
+            testFunction();
+            console.log(`✅ ${name}`);
+            passedTests++;
+        } catch (error) {
+            console.error(`❌ ${name}: ${error.message}`);
+            console.error(error.stack);
+        }
+    }
+
+    function assertApproxEqual(actual, expected, tolerance = 1e-6, message = '') {
+        const diff = Math.abs(actual - expected);
+        if (diff > tolerance) {
+            throw new Error(`Expected ${expected}, got ${actual} (diff: ${diff}) ${message}`);
+        }
+    }
+
+    function assertThrows(fn, expectedMessage = '') {
+        try {
+            fn();
+            throw new Error('Expected function to throw an error');
+        } catch (error) {
+            if (expectedMessage && !error.message.includes(expectedMessage)) {
+                throw new Error(`Expected error containing "${expectedMessage}", got "${error.message}"`);
+            }
+        }
+    }
+
+    // .308 Winchester sporter: 30 mm chamber shank, step to a 22 mm taper, 15 mm muzzle
+    const material = { Sy: 900, Su: 1030 };
+    const sporter = [
+        { position: 0, outerDiameter: 30, boreDiameter: 12 },
+        { position: 60, outerDiameter: 30, boreDiameter: 7.85 },
+        { position: 60, outerDiameter: 22, boreDiameter: 7.85 },
+        { position: 560, outerDiameter: 15, boreDiameter: 7.62 }
+    ];
+
+    // Test 1: A straight contour under uniform pressure matches the single section
+    test('Straight contour matches analyzeCircle', () => {
+        const result = analyzeContour({
+            stations: [
+                { position: 0, outerDiameter: 30, boreDiameter: 7.85 },
+                { position: 500, outerDiameter: 30, boreDiameter: 7.85 }
+            ],
+            pressure: 415,
+            ...material
+        });
+        const single = analyzeCircle({ ri: 3.925, ro: 15, p_i: 415, ...material });
+
+        if (result.stations.length !== 2) {
+            throw new Error(`Expected 2 stations, got ${result.stations.length}`);
+        }
+        result.stations.forEach(station => {
+            assertApproxEqual(station.safetyFactors.SF_y, single.safetyFactors.SF_y, 1e-12);
+            assertApproxEqual(station.burstPressure, single.burstPressure, 1e-9);
+        });
+        assertApproxEqual(result.length, 500, 1e-12);
+    });
+
+    // Test 2: Tapers interpolate linearly and a step returns the section ahead of it
+    test('Taper and step interpolation', () => {
+        const contour = validateContour(sporter);
+        const mid = contourAt(contour, 310);
+        assertApproxEqual(mid.outerDiameter, 18.5, 1e-12, '(taper midpoint OD)');
+        assertApproxEqual(mid.boreDiameter, 7.735, 1e-12, '(taper midpoint bore)');
+        assertApproxEqual(contourAt(contour, 60).outerDiameter, 22, 1e-12, '(ahead of the step)');
+        assertApproxEqual(contourAt(contour, 30).boreDiameter, 9.925, 1e-12, '(chamber taper)');
+
+        const result = analyzeContour({ stations: sporter, pressure: 415, spacing: 100, ...material });
+        // 4 stations plus 4 points inside the 500 mm taper and none in the 60 mm chamber
+        if (result.stations.length !== 8 || result.stations.filter(station => station.isStation).length !== 4) {
+            throw new Error(`Expected 8 sections with 4 stations, got ${result.stations.length}`);
+        }
+        assertApproxEqual(result.stations[3].position, 160, 1e-9);
+    });
+
+    // Test 3: The pressure profile falls log-linearly from the peak to the muzzle
+    test('Pressure profile from peak to muzzle', () => {
+        const profile = pressureProfile({ p_peak: 415, peakPosition: 60, muzzlePressure: 80, barrelLength: 560 });
+        assertApproxEqual(pressureAt(profile, 30), 415, 1e-12, '(ahead of peak)');
+        assertApproxEqual(pressureAt(profile, 310), Math.sqrt(415 * 80), 1e-9, '(geometric mean at mid travel)');
+        assertApproxEqual(pressureAt(profile, 560), 80, 1e-12, '(muzzle)');
+        assertApproxEqual(pressureAt(profile, 700), 80, 1e-12, '(held past the last point)');
+
+        const constant = pressureProfile({ p_peak: 415 });
+        assertApproxEqual(pressureAt(constant, 400), 415, 1e-12, '(no muzzle pressure)');
+    });
+
+    // Test 4: The weakest station depends on the local pressure
+    test('Weakest station along the barrel', () => {
+        const uniform = analyzeContour({ stations: sporter, pressure: 415, ...material });
+        if (uniform.weakestIndex !== 3) {
+            throw new Error(`Expected the muzzle to govern at uniform pressure, got station ${uniform.weakestIndex}`);
+        }
+
+        const profile = pressureProfile({ p_peak: 415, peakPosition: 60, muzzlePressure: 80, barrelLength: 560 });
+        const result = analyzeContour({ stations: sporter, pressure: profile, barrelLength: 560, spacing: 50, ...material });
+        const minimum = Math.min(...result.stations.map(station => station.safetyFactors.SF_y));
+        assertApproxEqual(result.safetyFactors.SF_y, minimum, 1e-12);
+        assertApproxEqual(result.weakest.position, 0, 1e-12, '(the chamber governs once pressure falls off)');
+        assertApproxEqual(result.stations[result.stations.length - 1].p_i, 80, 1e-9);
+        if (!(result.stations[3].safetyFactors.SF_y > uniform.stations[3].safetyFactors.SF_y)) {
+            throw new Error('Muzzle safety factor should rise with the falling pressure');
+        }
+    });
+
+    // Test 5: Contour CSV parsing
+    test('Contour CSV parsing', () => {
+        const stations = parseContourCSV('position,od,bore\n0, 30, 12\n60;30;7.85\n\n560\t15\t7.62\n');
+        if (stations.length !== 3) {
+            throw new Error(`Expected 3 stations, got ${stations.length}`);
+        }
+        assertApproxEqual(stations[2].outerDiameter, 15, 1e-12);
+        assertApproxEqual(stations[1].boreDiameter, 7.85, 1e-12);
+        assertThrows(() => parseContourCSV('0,30\n'), 'expected position, outer diameter and bore diameter');
+        assertThrows(() => parseContourCSV('position,od,bore\n'), 'No numeric contour stations');
+    });
+
+    // Test 6: Error handling
+    test('Error handling', () => {
+        assertThrows(() => analyzeContour({ stations: sporter, pressure: 415, barrelLength: 500, ...material }), 'runs past the muzzle');
+        assertThrows(() => analyzeContour({ stations: [sporter[0]], pressure: 415, ...material }), 'at least two stations');
+        assertThrows(() => analyzeContour({
+            stations: [sporter[0], { position: 100, outerDiameter: 7, boreDiameter: 7.62 }],
+            pressure: 415,
+            ...material
+        }), 'Station 2: outer diameter must be greater than bore diameter');
+        assertThrows(() => contourAt(validateContour(sporter), 600), 'outside the contour');
+        assertThrows(() => pressureProfile({ p_peak: 415, muzzlePressure: 500, barrelLength: 560 }), 'no greater than the peak pressure');
+    });
+
+    // Test 7: Elastic strength curve against the pressure curve
+    test('Strength curve and minimum margin', () => {
+        const profile = pressureProfile({ p_peak: 415, peakPosition: 60, muzzlePressure: 80, barrelLength: 560 });
+        const result = analyzeContour({ stations: sporter, pressure: profile, spacing: 50, ...material });
+        const curve = strengthCurve(result);
+
+        if (curve.length !== result.stations.length) {
+            throw new Error(`Expected ${result.stations.length} curve points, got ${curve.length}`);
+        }
+        curve.forEach((point, i) => {
+            assertApproxEqual(point.margin, point.strength / point.pressure, 1e-12);
+            if (point.margin < result.minimumMargin) {
+                throw new Error(`Point ${i} has a margin below the reported minimum`);
+            }
+        });
+        assertApproxEqual(curve[result.minimumMarginIndex].margin, result.minimumMargin, 1e-12);
+
+        // Pressure alone: the elastic margin equals the yield safety factor
+        assertApproxEqual(result.minimumMargin, result.safetyFactors.SF_y, 1e-6);
+        assertApproxEqual(result.minimumMarginIndex, result.weakestIndex, 0);
+    });
+
+    // Summary
+    console.log(`\n📊 Test Summary: ${passedTests}/${totalTests} tests passed`);
+
+    if (passedTests === totalTests) {
+        console.log('🎉 All tests passed!');
+    } else {
+        console.log(`❌ ${totalTests - passedTests} tests failed`);
+    }
+
+    return { total: totalTests, passed: passedTests };
+}
+
+// Export test runner for external use
+export { runTests };
+
+// Auto-run tests if this module is loaded directly
+if (import.meta.url === `file://${process?.argv?.[1]}` || typeof window !== 'undefined') {
+    runTests();
+}
@@ -0,0 +1,334 @@
+/**
+ * Barrel Contour Module
+ * Lamé analysis along the full barrel length, from a contour of stations and the local
+ * bore pressure at each station
+ *
+ * All calculations use SI base units internally:
+ * - Lengths, positions and diameters in mm
+ * - Pressures in MPa
+ * - Stresses in MPa
+ *
+ * The contour is a list of stations {position, outerDiameter, boreDiameter} measured from
+ * the breech face. Diameters taper linearly between stations, and two stations at the same
+ * position describe a step (shoulder). Each station is analyzed as a long cylinder of the
+ * local section, ignoring the stress concentration at steps and the axial load sharing
+ * between neighbouring sections.
+ *
+ * Pressure along the bore is a profile of {position, pressure} points. Behind the bullet
+ * the pressure falls roughly exponentially with travel, so the profile is interpolated
+ * log-linearly between points and held constant beyond its ends.
+ */
+
+import { analyzeCircle } from './core.js';
+
+/**
+ * Parse a barrel contour from CSV text
+ *
+ * Each line holds position, outer diameter and bore diameter separated by commas,
+ * semicolons or tabs. Header and non-numeric lines are skipped.
+ *
+ * @param {string} csvText - CSV text
+ * @returns {Array} Array of {position, outerDiameter, boreDiameter} objects
+ * @throws {Error} If a line has the wrong number of columns or no stations are found
+ */
+export function parseContourCSV(csvText) {
+    const stations = [];
+
+    csvText.split(/\r?\n/).forEach((line, index) => {
+        const fields = line.split(/[,;\t]/).map(field => field.trim()).filter(field => field !== '');
+        if (fields.length === 0) {
+            return;
+        }
+
+        const values = fields.map(Number);
+        if (values.some(value => !Number.isFinite(value))) {
+            return; // Header or comment line
+        }
+        if (values.length !== 3) {
+            throw new Error(`Line ${index + 1}: expected position, outer diameter and bore diameter`);
+        }
+
+        stations.push({ position: values[0], outerDiameter: values[1], boreDiameter: values[2] });
+    });
+
+    if (stations.length === 0) {
+        throw new Error('No numeric contour stations found in CSV data');
+    }
+
+    return stations;
+}
+
+/**
+ * Check a contour and sort its stations from breech to muzzle
+ *
+ * @param {Array} stations - Contour stations {position, outerDiameter, boreDiameter} (mm)
+ * @returns {Array} Stations sorted by position, steps kept in their given order
+ * @throws {Error} If the contour is invalid
+ */
+export function validateContour(stations) {
+    if (!Array.isArray(stations) || stations.length < 2) {
+        throw new Error('A contour needs at least two stations');
+    }
+
+    stations.forEach((station, index) => {
+        const { position, outerDiameter, boreDiameter } = station;
+        if (!(position >= 0)) {
+            throw new Error(`Station ${index + 1}: position must be non-negative`);
+        }
+        if (!(boreDiameter > 0)) {
+            throw new Error(`Station ${index + 1}: bore diameter must be positive`);
+        }
+        if (!(outerDiameter > boreDiameter)) {
+            throw new Error(`Station ${index + 1}: outer diameter must be greater than bore diameter`);
+        }
+    });
+
+    const sorted = stations
+        .map((station, index) => ({ station, index }))
+        .sort((a, b) => a.station.position - b.station.position || a.index - b.index)
+        .map(({ station }) => station);
+
+    if (sorted[sorted.length - 1].position <= sorted[0].position) {
+        throw new Error('Contour stations must span a positive length');
+    }
+
+    return sorted;
+}
+
+/**
+ * Interpolate the contour at a position along the barrel
+ *
+ * At a step the section ahead of the step is returned.
+ *
+ * @param {Array} stations - Stations sorted by position (see validateContour)
+ * @param {number} position - Distance from the breech face (mm)
+ * @returns {Object} {position, outerDiameter, boreDiameter}
+ * @throws {Error} If the position lies outside the contour
+ */
+export function contourAt(stations, position) {
+    const first = stations[0];
+    const last = stations[stations.length - 1];
+    if (position < first.position || position > last.position) {
+        throw new Error(`Position ${position} mm lies outside the contour`);
+    }
+
+    let i = stations.length - 2;
+    while (i > 0 && stations[i].position > position) {
+        i--;
+    }
+    const a = stations[i];
+    const b = stations[i + 1];
+    const length = b.position - a.position;
+    const t = length > 0 ? (position - a.position) / length : 1;
+
+    return {
+        position,
+        outerDiameter: a.outerDiameter + t * (b.outerDiameter - a.outerDiameter),
+        boreDiameter: a.boreDiameter + t * (b.boreDiameter - a.boreDiameter)
+    };
+}
+
+/**
+ * Build a pressure profile from the peak and muzzle pressures
+ *
+ * @param {Object} params - Profile parameters
+ * @param {number} params.p_peak - Peak chamber pressure (MPa)
+ * @param {number} params.peakPosition - Distance from the breech face at which the pressure
+ *   starts to fall (mm), defaults to 0
+ * @param {number} params.muzzlePressure - Pressure at the muzzle as the bullet exits (MPa).
+ *   Without it the peak pressure is held along the whole barrel.
+ * @param {number} params.barrelLength - Muzzle position (mm), required with muzzlePressure
+ * @returns {Array} Profile points [{position, pressure}]
+ * @throws {Error} If inputs are invalid
+ */
+export function pressureProfile(params) {
+    const { p_peak, peakPosition = 0, muzzlePressure, barrelLength } = params;
+
+    if (!(p_peak > 0)) {
+        throw new Error('Peak pressure must be positive');
+    }
+    if (muzzlePressure === undefined || muzzlePressure === null) {
+        return [{ position: 0, pressure: p_peak }];
+    }
+    if (!(muzzlePressure > 0) || muzzlePressure > p_peak) {
+        throw new Error('Muzzle pressure must be positive and no greater than the peak pressure');
+    }
+    if (!(barrelLength > peakPosition) || !(peakPosition >= 0)) {
+        throw new Error('Barrel length must be greater than the peak pressure position');
+    }
+
+    return [
+        { position: 0, pressure: p_peak },
+        { position: peakPosition, pressure: p_peak },
+        { position: barrelLength, pressure: muzzlePressure }
+    ];
+}
+
+/**
+ * Interpolate the bore pressure at a position along the barrel
+ *
+ * @param {Array} profile - Profile points [{position, pressure}] (mm, MPa)
+ * @param {number} position - Distance from the breech face (mm)
+ * @returns {number} Local pressure (MPa)
+ * @throws {Error} If the profile is empty
+ */
+export function pressureAt(profile, position) {
+    if (!Array.isArray(profile) || profile.length === 0) {
+        throw new Error('Pressure profile is empty');
+    }
+
+    const points = [...profile].sort((a, b) => a.position - b.position);
+    if (position <= points[0].position) {
+        return points[0].pressure;
+    }
+    if (position >= points[points.length - 1].position) {
+        return points[points.length - 1].pressure;
+    }
+
+    let i = 0;
+    while (points[i + 1].position < position) {
+        i++;
+    }
+    const a = points[i];
+    const b = points[i + 1];
+    const t = (position - a.position) / (b.position - a.position);
+
+    // Log-linear between positive pressures, linear to or from zero
+    if (a.pressure > 0 && b.pressure > 0) {
+        return a.pressure * Math.pow(b.pressure / a.pressure, t);
+    }
+    return a.pressure + t * (b.pressure - a.pressure);
+}
+
+/**
+ * Analysis positions: every station, plus evenly spaced points within each taper
+ *
+ * @param {Array} stations - Stations sorted by position
+ * @param {number} spacing - Largest distance between analysis points (mm), or null for stations only
+ * @returns {Array} Analysis sections [{position, outerDiameter, boreDiameter, isStation}]
+ */
+function analysisSections(stations, spacing) {
+    const sections = [];
+
+    stations.forEach((station, i) => {
+        sections.push({ ...station, isStation: true });
+
+        const next = stations[i + 1];
+        const length = next ? next.position - station.position : 0;
+        if (!spacing || length <= spacing) {
+            return;
+        }
+        const count = Math.ceil(length / spacing);
+        for (let k = 1; k < count; k++) {
+            sections.push({ ...contourAt(stations, station.position + length * k / count), isStation: false });
+        }
+    });
+
+    return sections;
+}
+
+/**
+ * Barrel contour analysis along the full length
+ *
+ * @param {Object} params - Analysis parameters
+ * @param {Array} params.stations - Contour stations {position, outerDiameter, boreDiameter} (mm)
+ * @param {number|Array} params.pressure - Pressure profile [{position, pressure}] (see
+ *   pressureProfile), or a single pressure applied along the whole length (MPa)
+ * @param {number} params.barrelLength - Overall barrel length (mm); the contour must not run past it
+ * @param {number} params.spacing - Largest distance between analysis points within a taper (mm),
+ *   defaults to null (stations only)
+ * @param {number} params.Sy - Yield strength (MPa)
+ * @param {number} params.Su - Ultimate tensile strength (MPa)
+ * @param {string} params.failureCriterion - Criterion for the safety factors, defaults to 'von-mises'
+ *   Remaining analyzeCircle parameters (endCondition, nu, E, compressiveStrengthRatio) are passed through.
+ * @returns {Object} {stations, weakestIndex, weakest, minimumMarginIndex, minimumMargin, safetyFactors,
+ *   length, barrelLength, failureCriterion}. Each station reports its geometry, local pressure,
+ *   bore stresses, safety factors, first-yield (elastic strength) pressure and its margin over
+ *   the local pressure.
+ * @throws {Error} If inputs are invalid
+ */
+export function analyzeContour(params) {
+    const {
+        stations,
+        pressure,
+        barrelLength = null,
+        spacing = null,
+        failureCriterion = 'von-mises',
+        ...circleParams
+    } = params;
+
+    try {
+        const contour = validateContour(stations);
+        const last = contour[contour.length - 1];
+        if (barrelLength !== null && last.position > barrelLength) {
+            throw new Error('Contour runs past the muzzle');
+        }
+        if (spacing !== null && !(spacing > 0)) {
+            throw new Error('Analysis spacing must be positive');
+        }
+
+        const profile = Array.isArray(pressure) ? pressure : [{ position: 0, pressure }];
+        if (profile.some(point => !(point.pressure >= 0))) {
+            throw new Error('Pressures must be non-negative');
+        }
+
+        const results = analysisSections(contour, spacing).map(section => {
+            const ri = section.boreDiameter / 2;
+            const ro = section.outerDiameter / 2;
+            const p_i = pressureAt(profile, section.position);
+            const analysis = analyzeCircle({ ...circleParams, ri, ro, p_i, failureCriterion });
+
+            return {
+                ...section,
+                ri,
+                ro,
+                wallThickness: ro - ri,
+                p_i,
+                stresses: analysis.stresses.inner,
+                safetyFactors: analysis.safetyFactors,
+                burstPressure: analysis.burstPressure,
+                margin: p_i > 0 ? analysis.burstPressure / p_i : Infinity
+            };
+        });
+
+        const weakestIndex = results.reduce((best, station, i) =>
+            station.safetyFactors.SF_y < results[best].safetyFactors.SF_y ? i : best, 0);
+        const minimumMarginIndex = results.reduce((best, station, i) =>
+            station.margin < results[best].margin ? i : best, 0);
+
+        return {
+            stations: results,
+            weakestIndex,
+            weakest: results[weakestIndex],
+            minimumMarginIndex,
+            minimumMargin: results[minimumMarginIndex].margin,
+            safetyFactors: {
+                SF_y: results[weakestIndex].safetyFactors.SF_y,
+                SF_u: Math.min(...results.map(station => station.safetyFactors.SF_u))
+            },
+            length: last.position - contour[0].position,
+            barrelLength,
+            failureCriterion
+        };
+    } catch (error) {
+        throw new Error(`Contour analysis failed: ${error.message}`);
+    }
+}
+
+/**
+ * Elastic strength and pressure curves along the barrel
+ *
+ * The classic gun design check overlays the pressure each section can carry before first
+ * yield on the pressure it sees; the gap between the curves is the design margin.
+ *
+ * @param {Object} contour - Result of analyzeContour
+ * @returns {Array} Curve points [{position, strength, pressure, margin}] (mm, MPa)
+ */
+export function strengthCurve(contour) {
+    return contour.stations.map(station => ({
+        position: station.position,
+        strength: station.burstPressure,
+        pressure: station.p_i,
+        margin: station.margin
+    }));
+}
@@ -8,6 +8,8 @@
  * - Stresses in MPa
  */
 
+import { brent, findRoot, SolverError } from './solver.js';
+
 /**
  * Calculate Lamé equation coefficients for thick-walled cylinder
  * 
@@ -71,6 +73,214 @@ export function stresses(r, A, B) {
     return { sigma_r, sigma_theta };
 }
 
+/**
+ * Supported end conditions for the axial (σ_z) stress component
+ *
+ * - plane-stress: σ_z = 0 (legacy behaviour, thin slice with free faces)
+ * - open-end: open tube with no axial load transmitted, σ_z = 0
+ * - closed-end: capped tube (chamber closed by the bolt face), σ_z = A
+ * - plane-strain: axially restrained tube, ε_z = 0, σ_z = 2νA
+ * - generalized-plane-strain: uniform prescribed axial strain ε_z, σ_z = 2νA + E·ε_z
+ */
+export const END_CONDITIONS = ['plane-stress', 'open-end', 'closed-end', 'plane-strain', 'generalized-plane-strain'];
+
+/**
+ * Calculate axial stress for a given end condition
+ *
+ * For Lamé loading σ_r + σ_θ = 2A at every radius, so the axial stress is
+ * uniform through the wall for all supported end conditions. Any externally
+ * applied axial stress (e.g. from bolt thrust) is superimposed on top.
+ *
+ * @param {number} A - Lamé coefficient A
+ * @param {Object} options - End condition options
+ * @param {string} options.endCondition - One of END_CONDITIONS, defaults to 'plane-stress'
+ * @param {number} options.nu - Poisson's ratio, defaults to 0.3
+ * @param {number} options.E - Elastic modulus (MPa), required for non-zero axialStrain
+ * @param {number} options.axialStrain - Prescribed axial strain for generalized plane strain, defaults to 0
+ * @param {number} options.sigma_axial - Additional applied axial stress (MPa), defaults to 0
+ * @returns {number} Axial stress σ_z (MPa)
+ * @throws {Error} If end condition or material constants are invalid
+ */
+export function axialStress(A, options = {}) {
+    const {
+        endCondition = 'plane-stress',
+        nu = 0.3,
+        E,
+        axialStrain = 0,
+        sigma_axial = 0
+    } = options;
+
+    if (!END_CONDITIONS.includes(endCondition)) {
+        throw new Error(`Unknown end condition: ${endCondition}`);
+    }
+    if (nu < 0 || nu >= 0.5) {
+        throw new Error('Poisson\'s ratio must be between 0 and 0.5');
+    }
+
+    let sigma_z;
+    switch (endCondition) {
+        case 'closed-end':
+            sigma_z = A;
+            break;
+        case 'plane-strain':
+            sigma_z = 2 * nu * A;
+            break;
+        case 'generalized-plane-strain':
+            if (axialStrain !== 0 && !(E > 0)) {
+                throw new Error('Elastic modulus must be positive for generalized plane strain');
+            }
+            sigma_z = 2 * nu * A + (axialStrain !== 0 ? E * axialStrain : 0);
+            break;
+        default:
+            // plane-stress and open-end carry no axial load
+            sigma_z = 0;
+    }
+
+    return sigma_z + sigma_axial;
+}
+
+/**
+ * Steady-state temperature at radius r for a radial temperature gradient
+ *
+ * Steady conduction through the wall gives a logarithmic distribution:
+ * T(r) = T_o + (T_i - T_o) · ln(ro/r) / ln(ro/ri)
+ *
+ * @param {number} r - Radius (mm)
+ * @param {number} ri - Inner radius (mm)
+ * @param {number} ro - Outer radius (mm)
+ * @param {number} T_inner - Bore surface temperature (°C)
+ * @param {number} T_outer - Outer surface temperature (°C)
+ * @returns {number} Temperature (°C)
+ */
+export function temperatureAt(r, ri, ro, T_inner, T_outer) {
+    return T_outer + (T_inner - T_outer) * Math.log(ro / r) / Math.log(ro / ri);
+}
+
+/**
+ * Calculate thermoelastic stresses from a steady radial temperature gradient
+ *
+ * Closed-form solution for a long thick-walled cylinder with free bore and OD
+ * (Timoshenko & Goodier), with a = ri, b = ro and ΔT = T_i - T_o:
+ * σ_r = c[-ln(b/r) - a²/(b²-a²)·(1 - b²/r²)·ln(b/a)]
+ * σ_θ = c[1 - ln(b/r) - a²/(b²-a²)·(1 + b²/r²)·ln(b/a)]
+ * where c = αEΔT / (2(1-ν)ln(b/a))
+ *
+ * The axial component follows the end condition:
+ * - plane-stress: σ_z = 0
+ * - open-end, closed-end: free to expand, zero net axial force
+ *   σ_z = c[1 - 2ln(b/r) - 2a²/(b²-a²)·ln(b/a)]
+ * - plane-strain, generalized-plane-strain: axially restrained relative to the
+ *   stress-free temperature, σ_z = ν(σ_r + σ_θ) - αE(T - T_ref)
+ *
+ * A hot bore puts the bore in hoop compression and the OD in hoop tension.
+ *
+ * @param {number} r - Radius (mm)
+ * @param {number} ri - Inner radius (mm)
+ * @param {number} ro - Outer radius (mm)
+ * @param {Object} thermal - Thermal load
+ * @param {number} thermal.T_inner - Bore surface temperature (°C)
+ * @param {number} thermal.T_outer - Outer surface temperature (°C)
+ * @param {number} thermal.alpha - Thermal expansion coefficient (1/°C)
+ * @param {number} thermal.E - Elastic modulus (MPa)
+ * @param {number} thermal.nu - Poisson's ratio, defaults to 0.3
+ * @param {number} thermal.referenceTemperature - Stress-free temperature (°C), defaults to T_outer
+ * @param {string} endCondition - One of END_CONDITIONS, defaults to 'plane-stress'
+ * @returns {Object} {sigma_r, sigma_theta, sigma_z, temperature} thermal stresses (MPa)
+ * @throws {Error} If the thermal parameters are invalid
+ */
+export function thermalStresses(r, ri, ro, thermal, endCondition = 'plane-stress') {
+    const {
+        T_inner,
+        T_outer,
+        alpha,
+        E,
+        nu = 0.3,
+        referenceTemperature = T_outer
+    } = thermal;
+
+    if (!Number.isFinite(T_inner) || !Number.isFinite(T_outer)) {
+        throw new Error('Bore and outer surface temperatures are required for thermal analysis');
+    }
+    if (!(alpha > 0)) {
+        throw new Error('Thermal expansion coefficient must be positive');
+    }
+    if (!(E > 0)) {
+        throw new Error('Elastic modulus must be positive for thermal analysis');
+    }
+    if (!END_CONDITIONS.includes(endCondition)) {
+        throw new Error(`Unknown end condition: ${endCondition}`);
+    }
+
+    const lnK = Math.log(ro / ri);
+    const lnR = Math.log(ro / r);
+    const areaRatio = ri * ri / (ro * ro - ri * ri);
+    const c = alpha * E * (T_inner - T_outer) / (2 * (1 - nu) * lnK);
+
+    const sigma_r = c * (-lnR - areaRatio * (1 - ro * ro / (r * r)) * lnK);
+    const sigma_theta = c * (1 - lnR - areaRatio * (1 + ro * ro / (r * r)) * lnK);
+    const temperature = temperatureAt(r, ri, ro, T_inner, T_outer);
+
+    let sigma_z;
+    switch (endCondition) {
+        case 'open-end':
+        case 'closed-end':
+            sigma_z = c * (1 - 2 * lnR - 2 * areaRatio * lnK);
+            break;
+        case 'plane-strain':
+        case 'generalized-plane-strain':
+            sigma_z = nu * (sigma_r + sigma_theta) - alpha * E * (temperature - referenceTemperature);
+            break;
+        default:
+            sigma_z = 0;
+    }
+
+    return { sigma_r, sigma_theta, sigma_z, temperature };
+}
+
+/**
+ * Calculate strains from a stress state using the generalized Hooke's law
+ *
+ * ε_r = (σ_r - ν(σ_θ + σ_z)) / E + ε_T
+ * ε_θ = (σ_θ - ν(σ_r + σ_z)) / E + ε_T
+ * ε_z = (σ_z - ν(σ_r + σ_θ)) / E + ε_T
+ *
+ * @param {Object} stressState - {sigma_r, sigma_theta, sigma_z} (MPa)
+ * @param {number} E - Elastic modulus (MPa)
+ * @param {number} nu - Poisson's ratio, defaults to 0.3
+ * @param {number} thermalStrain - Free thermal strain α(T - T_ref), defaults to 0
+ * @returns {Object} {epsilon_r, epsilon_theta, epsilon_z} strains (dimensionless)
+ * @throws {Error} If the elastic modulus is not positive
+ */
+export function strains(stressState, E, nu = 0.3, thermalStrain = 0) {
+    const { sigma_r, sigma_theta, sigma_z = 0 } = stressState;
+
+    if (!(E > 0)) {
+        throw new Error('Elastic modulus must be positive');
+    }
+
+    return {
+        epsilon_r: (sigma_r - nu * (sigma_theta + sigma_z)) / E + thermalStrain,
+        epsilon_theta: (sigma_theta - nu * (sigma_r + sigma_z)) / E + thermalStrain,
+        epsilon_z: (sigma_z - nu * (sigma_r + sigma_theta)) / E + thermalStrain
+    };
+}
+
+/**
+ * Calculate radial displacement at radius r
+ *
+ * For an axisymmetric cylinder the hoop strain is ε_θ = u/r, so u = r·ε_θ.
+ *
+ * @param {number} r - Radius (mm)
+ * @param {Object} stressState - {sigma_r, sigma_theta, sigma_z} at r (MPa)
+ * @param {number} E - Elastic modulus (MPa)
+ * @param {number} nu - Poisson's ratio, defaults to 0.3
+ * @param {number} thermalStrain - Free thermal strain α(T - T_ref), defaults to 0
+ * @returns {number} Radial displacement u (mm), positive outward
+ */
+export function radialDisplacement(r, stressState, E, nu = 0.3, thermalStrain = 0) {
+    return r * strains(stressState, E, nu, thermalStrain).epsilon_theta;
+}
+
 /**
  * Calculate Von Mises equivalent stress
  * 
@@ -99,6 +309,149 @@ export function vonMises(sigma_r, sigma_theta, sigma_axial = 0) {
     return sigma_vm;
 }
 
+/**
+ * Supported failure criteria for equivalent stress and safety factors
+ *
+ * - von-mises: distortion energy, default for ductile steels
+ * - tresca: maximum shear stress, conservative pressure-vessel check
+ * - max-principal: Rankine maximum normal stress, for brittle materials
+ * - mohr-coulomb: Coulomb-Mohr with unequal tensile/compressive strength
+ */
+export const FAILURE_CRITERIA = ['von-mises', 'tresca', 'max-principal', 'mohr-coulomb'];
+
+/**
+ * Order the axisymmetric normal stresses as principal stresses
+ *
+ * In a thick-walled cylinder under pressure loading σ_r, σ_θ and σ_z carry no
+ * shear, so they are the principal stresses.
+ *
+ * @param {number} sigma_r - Radial stress (MPa)
+ * @param {number} sigma_theta - Hoop stress (MPa)
+ * @param {number} sigma_axial - Axial stress (MPa), defaults to 0
+ * @returns {Object} {sigma_1, sigma_2, sigma_3} - Principal stresses, σ_1 ≥ σ_2 ≥ σ_3 (MPa)
+ */
+export function principalStresses(sigma_r, sigma_theta, sigma_axial = 0) {
+    const [sigma_1, sigma_2, sigma_3] = [sigma_r, sigma_theta, sigma_axial].sort((a, b) => b - a);
+    return { sigma_1, sigma_2, sigma_3 };
+}
+
+/**
+ * Calculate the full stress state from the axisymmetric normal stresses
+ *
+ * Besides the principal stresses this gives the invariants used by ductile fracture
+ * and advanced yield criteria:
+ * - Maximum shear τ_max = (σ_1 - σ_3) / 2
+ * - Hydrostatic stress σ_h = (σ_1 + σ_2 + σ_3) / 3
+ * - Triaxiality η = σ_h / σ_vm (1/3 in uniaxial tension, 0 in pure shear); ductility
+ *   falls sharply as η rises
+ * - Lode parameter L = (2σ_2 - σ_1 - σ_3) / (σ_1 - σ_3), from -1 (axisymmetric tension)
+ *   through 0 (generalized shear) to +1 (axisymmetric compression)
+ *
+ * @param {number} sigma_r - Radial stress (MPa)
+ * @param {number} sigma_theta - Hoop stress (MPa)
+ * @param {number} sigma_axial - Axial stress (MPa), defaults to 0
+ * @returns {Object} {sigma_r, sigma_theta, sigma_z, principal: {sigma_1, sigma_2, sigma_3},
+ *   maxShear, hydrostatic, vonMises, triaxiality, lodeParameter}. Triaxiality and the Lode
+ *   parameter are null when undefined (zero deviatoric stress).
+ */
+export function fullStressState(sigma_r, sigma_theta, sigma_axial = 0) {
+    const principal = principalStresses(sigma_r, sigma_theta, sigma_axial);
+    const { sigma_1, sigma_2, sigma_3 } = principal;
+    const sigma_vm = vonMises(sigma_r, sigma_theta, sigma_axial);
+    const hydrostatic = (sigma_r + sigma_theta + sigma_axial) / 3;
+    const range = sigma_1 - sigma_3;
+
+    return {
+        sigma_r,
+        sigma_theta,
+        sigma_z: sigma_axial,
+        principal,
+        maxShear: range / 2,
+        hydrostatic,
+        vonMises: sigma_vm,
+        triaxiality: sigma_vm > 0 ? hydrostatic / sigma_vm : null,
+        lodeParameter: range > 0 ? (2 * sigma_2 - sigma_1 - sigma_3) / range : null
+    };
+}
+
+/**
+ * Calculate equivalent stress under a given failure criterion
+ *
+ * Every criterion is expressed as an equivalent uniaxial tensile stress so it
+ * can be compared directly against Sy or Su:
+ * - Von Mises: σ_eq = √(½[(σ_1-σ_2)² + (σ_2-σ_3)² + (σ_3-σ_1)²])
+ * - Tresca: σ_eq = σ_1 - σ_3
+ * - Maximum principal: σ_eq = max(σ_1, -k·σ_3, 0)
+ * - Mohr-Coulomb: σ_eq = max(σ_1, 0) - k·min(σ_3, 0)
+ *
+ * where k = S_t / S_c is the ratio of tensile to compressive strength.
+ *
+ * @param {number} sigma_r - Radial stress (MPa)
+ * @param {number} sigma_theta - Hoop stress (MPa)
+ * @param {number} sigma_axial - Axial stress (MPa), defaults to 0
+ * @param {string} criterion - One of FAILURE_CRITERIA, defaults to 'von-mises'
+ * @param {Object} options - Criterion options
+ * @param {number} options.compressiveStrengthRatio - S_c / S_t, defaults to 1 (equal strengths)
+ * @returns {number} Equivalent stress (MPa)
+ * @throws {Error} If criterion is unknown or strength ratio invalid
+ */
+export function equivalentStress(sigma_r, sigma_theta, sigma_axial = 0, criterion = 'von-mises', options = {}) {
+    const { compressiveStrengthRatio = 1 } = options;
+
+    if (compressiveStrengthRatio <= 0) {
+        throw new Error('Compressive strength ratio must be positive');
+    }
+
+    const { sigma_1, sigma_3 } = principalStresses(sigma_r, sigma_theta, sigma_axial);
+    const k = 1 / compressiveStrengthRatio;
+
+    switch (criterion) {
+        case 'von-mises':
+            return vonMises(sigma_r, sigma_theta, sigma_axial);
+        case 'tresca':
+            return sigma_1 - sigma_3;
+        case 'max-principal':
+            return Math.max(sigma_1, -k * sigma_3, 0);
+        case 'mohr-coulomb':
+            return Math.max(sigma_1, 0) - k * Math.min(sigma_3, 0);
+        default:
+            throw new Error(`Unknown failure criterion: ${criterion}`);
+    }
+}
+
+/**
+ * Evaluate safety factors under several failure criteria
+ *
+ * The governing criterion is the one giving the lowest yield safety factor.
+ *
+ * @param {Object} stressState - Stress state {sigma_r, sigma_theta, sigma_z}
+ * @param {number} Sy - Yield strength (MPa)
+ * @param {number} Su - Ultimate tensile strength (MPa)
+ * @param {Object} options - Evaluation options
+ * @param {Array<string>} options.criteria - Criteria to evaluate, defaults to all FAILURE_CRITERIA
+ * @param {number} options.compressiveStrengthRatio - S_c / S_t for brittle criteria, defaults to 1
+ * @returns {Object} {criteria, governing} - Per-criterion {sigma_eq, SF_y, SF_u} and governing criterion name
+ * @throws {Error} If material properties or criteria are invalid
+ */
+export function evaluateFailureCriteria(stressState, Sy, Su, options = {}) {
+    const { criteria = FAILURE_CRITERIA, compressiveStrengthRatio = 1 } = options;
+    const { sigma_r, sigma_theta, sigma_z = 0 } = stressState;
+
+    const results = {};
+    let governing = null;
+
+    for (const criterion of criteria) {
+        const sigma_eq = equivalentStress(sigma_r, sigma_theta, sigma_z, criterion, { compressiveStrengthRatio });
+        results[criterion] = { sigma_eq, ...safetyFactors(sigma_eq, Sy, Su) };
+
+        if (governing === null || results[criterion].SF_y < results[governing].SF_y) {
+            governing = criterion;
+        }
+    }
+
+    return { criteria: results, governing };
+}
+
 /**
  * Calculate safety factors based on Von Mises stress
  * 
@@ -132,7 +485,7 @@ export function safetyFactors(sigma_vm, Sy, Su) {
 
 /**
  * Estimate burst pressure using yield criterion at inner surface
- * Uses bisection method to solve for pressure where σ_vm(ri) = Sy
+ * Uses Brent's method (see solver.js) to solve for pressure where σ_eq(ri) = Sy
  * 
  * @param {number} ri - Inner radius (mm)
  * @param {number} ro - Outer radius (mm)
@@ -141,11 +494,23 @@ export function safetyFactors(sigma_vm, Sy, Su) {
  * @param {Object} options - Solver options
  * @param {number} options.maxIters - Maximum iterations, defaults to 100
  * @param {number} options.tolerance - Convergence tolerance, defaults to 1e-9
+ * @param {string} options.endCondition - End condition for σ_z (see axialStress), defaults to 'plane-stress'
+ * @param {number} options.nu - Poisson's ratio for plane strain conditions, defaults to 0.3
+ * @param {number} options.sigma_axial - Additional applied axial stress (MPa), defaults to 0
+ * @param {string} options.failureCriterion - Failure criterion (see equivalentStress), defaults to 'von-mises'
+ * @param {number} options.compressiveStrengthRatio - S_c / S_t for brittle criteria, defaults to 1
  * @returns {number} Estimated burst pressure (MPa)
- * @throws {Error} If convergence fails or inputs invalid
+ * @throws {Error} If inputs are invalid
+ * @throws {SolverError} If the pressure cannot be bracketed or convergence fails, with diagnostics
  */
 export function burstPressureEstimate(ri, ro, Sy, p_o = 0, options = {}) {
-    const { maxIters = 100, tolerance = 1e-9 } = options;
+    const {
+        maxIters = 100,
+        tolerance = 1e-9,
+        failureCriterion = 'von-mises',
+        compressiveStrengthRatio = 1,
+        ...axialOptions
+    } = options;
 
     // Input validation
     if (ri <= 0) {
@@ -163,58 +528,117 @@ export function burstPressureEstimate(ri, ro, Sy, p_o = 0, options = {}) {
         try {
             const { A, B } = lameCoefficients(ri, ro, p_i, p_o);
             const { sigma_r, sigma_theta } = stresses(ri, A, B);
-            const sigma_vm = vonMises(sigma_r, sigma_theta);
-            return sigma_vm - Sy;
+            const sigma_z = axialStress(A, axialOptions);
+            const sigma_eq = equivalentStress(sigma_r, sigma_theta, sigma_z, failureCriterion, { compressiveStrengthRatio });
+            return sigma_eq - Sy;
         } catch (error) {
             return NaN;
         }
     }
 
-    // Initial bounds for bisection
-    let p_low = 0;
-    let p_high = 10 * Sy; // Conservative upper bound
-
-    // Ensure we bracket the root
-    let f_low = objective(p_low);
-    let f_high = objective(p_high);
-
-    // Expand upper bound if necessary
-    let expansions = 0;
-    while (f_high < 0 && expansions < 20) {
-        p_high *= 2;
-        f_high = objective(p_high);
-        expansions++;
+    // First yield lies above zero pressure; the bracket expands upward from 10×Sy if needed
+    try {
+        return findRoot(objective, {
+            bracket: [0, 10 * Sy],
+            lowerBound: 0,
+            maxExpansions: 20,
+            tolerance,
+            maxIters
+        }).root;
+    } catch (error) {
+        if (error instanceof SolverError) {
+            throw new SolverError(`Burst pressure calculation failed: ${error.message}`, error.diagnostics);
+        }
+        throw new Error(`Burst pressure calculation failed: ${error.message}`, { cause: error });
     }
+}
 
-    if (f_high < 0) {
-        throw new Error('Could not find upper bound for burst pressure');
+/**
+ * Estimate the power-law strain hardening exponent from yield and ultimate strength
+ *
+ * For σ = K·εⁿ with yield at 0.2% offset strain and ultimate at ε = n:
+ * Sy / Su = (0.002 / n)ⁿ, solved for n by Brent's method on [0.002, 1].
+ *
+ * @param {number} Sy - Yield strength (MPa)
+ * @param {number} Su - Ultimate tensile strength (MPa)
+ * @returns {number} Strain hardening exponent n
+ * @throws {Error} If material properties are invalid
+ */
+export function hardeningExponentEstimate(Sy, Su) {
+    if (Sy <= 0 || Su <= 0) {
+        throw new Error('Material strengths must be positive');
+    }
+    if (Su < Sy) {
+        throw new Error('Ultimate strength must be greater than or equal to yield strength');
     }
 
-    // Bisection method
-    for (let iter = 0; iter < maxIters; iter++) {
-        const p_mid = (p_low + p_high) / 2;
-        const f_mid = objective(p_mid);
+    const target = Math.log(Sy / Su);
+    const objective = n => n * Math.log(0.002 / n) - target;
 
-        if (isNaN(f_mid)) {
-            throw new Error('Numerical error in burst pressure calculation');
-        }
+    if (objective(1) > 0) {
+        return 1;
+    }
 
-        // Check convergence
-        if (Math.abs(f_mid) < tolerance || (p_high - p_low) < tolerance) {
-            return p_mid;
-        }
+    return brent(objective, 0.002, 1, { tolerance: 1e-12 }).root;
+}
 
-        // Update bounds
-        if (f_mid * f_low < 0) {
-            p_high = p_mid;
-            f_high = f_mid;
-        } else {
-            p_low = p_mid;
-            f_low = f_mid;
-        }
+/**
+ * Estimate plastic collapse and burst pressures using thick-wall models
+ *
+ * With diameter ratio K = ro / ri:
+ * - Full plastic collapse (Tresca): P = Sy · ln K
+ * - Full plastic collapse (Von Mises): P = (2/√3) · Sy · ln K
+ * - Faupel: P = (2/√3) · Sy · (2 - Sy/Su) · ln K
+ * - Svensson: P = Su · (0.25 / (n + 0.227)) · (e/n)ⁿ · ln K
+ * - Nadai (Von Mises): P = (2/√3) · Su · ln K
+ * - Turner (Tresca): P = Su · ln K
+ *
+ * @param {number} ri - Inner radius (mm)
+ * @param {number} ro - Outer radius (mm)
+ * @param {number} Sy - Yield strength (MPa)
+ * @param {number} Su - Ultimate tensile strength (MPa)
+ * @param {Object} options - Model options
+ * @param {number} options.hardeningExponent - Strain hardening exponent n for Svensson, estimated from Sy/Su if omitted
+ * @returns {Object} {fullPlasticCollapse, burst, minimumBurst, governingModel, hardeningExponent}
+ * @throws {Error} If geometry or material properties are invalid
+ */
+export function burstPressureModels(ri, ro, Sy, Su, options = {}) {
+    if (ri <= 0) {
+        throw new Error('Inner radius must be positive');
+    }
+    if (ro <= ri) {
+        throw new Error('Outer radius must be greater than inner radius');
     }
 
-    throw new Error(`Burst pressure calculation failed to converge after ${maxIters} iterations`);
+    const n = options.hardeningExponent ?? hardeningExponentEstimate(Sy, Su);
+    if (n <= 0) {
+        throw new Error('Hardening exponent must be positive');
+    }
+
+    const lnK = Math.log(ro / ri);
+    const vonMisesFactor = 2 / Math.sqrt(3);
+
+    const fullPlasticCollapse = {
+        tresca: Sy * lnK,
+        vonMises: vonMisesFactor * Sy * lnK
+    };
+
+    const burst = {
+        faupel: vonMisesFactor * Sy * (2 - Sy / Su) * lnK,
+        svensson: Su * (0.25 / (n + 0.227)) * Math.pow(Math.E / n, n) * lnK,
+        nadai: vonMisesFactor * Su * lnK,
+        turner: Su * lnK
+    };
+
+    const governingModel = Object.keys(burst).reduce((a, b) => burst[a] <= burst[b] ? a : b);
+
+    return {
+        fullPlasticCollapse,
+        burst,
+        minimumBurst: burst[governingModel],
+        governingModel,
+        hardeningExponent: n
+    };
 }
 
 /**
@@ -227,29 +651,89 @@ export function burstPressureEstimate(ri, ro, Sy, p_o = 0, options = {}) {
  * @param {number} params.p_o - External pressure (MPa), defaults to 0
  * @param {number} params.Sy - Yield strength (MPa)
  * @param {number} params.Su - Ultimate tensile strength (MPa)
- * @param {number} params.sigma_axial - Axial stress (MPa), defaults to 0
- * @returns {Object} Complete analysis results
+ * @param {number} params.sigma_axial - Additional applied axial stress (MPa), defaults to 0
+ * @param {string} params.endCondition - End condition for σ_z (see axialStress), defaults to 'plane-stress'
+ * @param {number} params.nu - Poisson's ratio, defaults to 0.3
+ * @param {number} params.E - Elastic modulus (MPa), used for generalized plane strain
+ * @param {number} params.axialStrain - Prescribed axial strain for generalized plane strain, defaults to 0
+ * @param {string} params.failureCriterion - Criterion for the reported safety factors, defaults to 'von-mises'
+ * @param {number} params.compressiveStrengthRatio - S_c / S_t for brittle criteria, defaults to 1
+ * @param {Object} params.thermal - Optional thermal load {T_inner, T_outer, alpha, referenceTemperature}
+ *   superimposed on the pressure stresses (see thermalStresses); E and ν default to params.E and params.nu.
+ *   The first-yield and burst pressure estimates remain pressure-only.
+ * @returns {Object} Complete analysis results. Deformation (displacements, strains and
+ *   diametral expansion at bore and OD) is included when E is given, otherwise null.
  */
 export function analyzeCircle(params) {
-    const { ri, ro, p_i, p_o = 0, Sy, Su, sigma_axial = 0 } = params;
+    const {
+        ri, ro, p_i, p_o = 0, Sy, Su,
+        sigma_axial = 0,
+        endCondition = 'plane-stress',
+        nu = 0.3,
+        E,
+        axialStrain = 0,
+        failureCriterion = 'von-mises',
+        compressiveStrengthRatio = 1,
+        thermal = null
+    } = params;
+    const axialOptions = { endCondition, nu, E, axialStrain, sigma_axial };
+    const thermalLoad = thermal ? { E, nu, ...thermal } : null;
 
     try {
         // Calculate Lamé coefficients
         const { A, B } = lameCoefficients(ri, ro, p_i, p_o);
 
-        // Calculate stresses at inner radius (worst case)
-        const stressesInner = stresses(ri, A, B);
-        const sigma_vm_inner = vonMises(stressesInner.sigma_r, stressesInner.sigma_theta, sigma_axial);
+        // Axial stress is uniform through the wall for every end condition
+        const sigma_z = axialStress(A, axialOptions);
+
+        // Calculate stresses at inner and outer radius, with any thermal load superimposed
+        const stressesInner = combinedStresses(ri, ri, ro, A, B, sigma_z, thermalLoad, endCondition);
+        const sigma_vm_inner = vonMises(stressesInner.sigma_r, stressesInner.sigma_theta, stressesInner.sigma_z);
+
+        const stressesOuter = combinedStresses(ro, ri, ro, A, B, sigma_z, thermalLoad, endCondition);
+        const sigma_vm_outer = vonMises(stressesOuter.sigma_r, stressesOuter.sigma_theta, stressesOuter.sigma_z);
 
-        // Calculate stresses at outer radius
-        const stressesOuter = stresses(ro, A, B);
-        const sigma_vm_outer = vonMises(stressesOuter.sigma_r, stressesOuter.sigma_theta, sigma_axial);
+        // Calculate safety factors under every criterion. The bore governs for pressure
+        // alone, but a thermal gradient can move the critical point to the OD.
+        const failureCriteriaInner = evaluateFailureCriteria(stressesInner, Sy, Su, { compressiveStrengthRatio });
+        if (!failureCriteriaInner.criteria[failureCriterion]) {
+            throw new Error(`Unknown failure criterion: ${failureCriterion}`);
+        }
+        let failureCriteria = failureCriteriaInner;
+        let criticalLocation = 'inner';
+        if (thermalLoad) {
+            const failureCriteriaOuter = evaluateFailureCriteria(stressesOuter, Sy, Su, { compressiveStrengthRatio });
+            if (failureCriteriaOuter.criteria[failureCriterion].SF_y < failureCriteriaInner.criteria[failureCriterion].SF_y) {
+                failureCriteria = failureCriteriaOuter;
+                criticalLocation = 'outer';
+            }
+        }
+        const { SF_y, SF_u } = failureCriteria.criteria[failureCriterion];
+        const safetyFactorsResult = { SF_y, SF_u };
+
+        // Estimate first-yield pressure
+        const burstPressure = burstPressureEstimate(ri, ro, Sy, p_o, {
+            ...axialOptions,
+            failureCriterion,
+            compressiveStrengthRatio
+        });
 
-        // Calculate safety factors at worst case location
-        const safetyFactorsResult = safetyFactors(sigma_vm_inner, Sy, Su);
+        // Deformation at bore and OD, needs the elastic modulus
+        const deformation = E > 0 ? {
+            inner: surfaceDeformation(ri, stressesInner, E, nu, thermalLoad),
+            outer: surfaceDeformation(ro, stressesOuter, E, nu, thermalLoad)
+        } : null;
+        if (deformation) {
+            deformation.boreExpansion = 2 * deformation.inner.u;
+            deformation.outerExpansion = 2 * deformation.outer.u;
+        }
 
-        // Estimate burst pressure
-        const burstPressure = burstPressureEstimate(ri, ro, Sy, p_o);
+        // Plastic collapse and burst models, reported alongside first yield
+        const burstModels = burstPressureModels(ri, ro, Sy, Su);
+        const margins = {
+            yield: p_i > 0 ? burstPressure / p_i : Infinity,
+            burst: p_i > 0 ? burstModels.minimumBurst / p_i : Infinity
+        };
 
         return {
             lameCoefficients: { A, B },
@@ -263,14 +747,58 @@ export function analyzeCircle(params) {
                     sigma_vm: sigma_vm_outer
                 }
             },
+            stressStates: {
+                inner: fullStressState(stressesInner.sigma_r, stressesInner.sigma_theta, stressesInner.sigma_z),
+                outer: fullStressState(stressesOuter.sigma_r, stressesOuter.sigma_theta, stressesOuter.sigma_z)
+            },
             safetyFactors: safetyFactorsResult,
+            failureCriterion,
+            failureCriteria,
+            criticalLocation,
+            thermal: thermalLoad,
+            deformation,
             burstPressure,
+            burstModels,
+            margins,
+            endCondition,
             geometry: { ri, ro, p_i, p_o },
             material: { Sy, Su }
         };
     } catch (error) {
-        throw new Error(`Analysis failed: ${error.message}`);
+        throw new Error(`Analysis failed: ${error.message}`, { cause: error });
+    }
+}
+
+/**
+ * Full stress state at any radius of a single cylinder
+ *
+ * @param {number} r - Radius (mm), between ri and ro
+ * @param {Object} params - Cylinder and loading parameters as for analyzeCircle
+ *   {ri, ro, p_i, p_o, sigma_axial, endCondition, nu, E, axialStrain, thermal}
+ * @returns {Object} {r, ...fullStressState}, including any thermal stresses
+ * @throws {Error} If the radius lies outside the wall or inputs are invalid
+ */
+export function stressStateAt(r, params) {
+    const {
+        ri, ro, p_i, p_o = 0,
+        sigma_axial = 0,
+        endCondition = 'plane-stress',
+        nu = 0.3,
+        E,
+        axialStrain = 0,
+        thermal = null
+    } = params;
+
+    if (!(r >= ri && r <= ro)) {
+        throw new Error('Radius must lie within the wall');
     }
+
+    const { A, B } = lameCoefficients(ri, ro, p_i, p_o);
+    const sigma_z = axialStress(A, { endCondition, nu, E, axialStrain, sigma_axial });
+    const thermalLoad = thermal ? { E, nu, ...thermal } : null;
+    const point = combinedStresses(r, ri, ro, A, B, sigma_z, thermalLoad, endCondition);
+
+    return { r, ...fullStressState(point.sigma_r, point.sigma_theta, point.sigma_z) };
 }
 
 /**
@@ -281,23 +809,75 @@ export function analyzeCircle(params) {
  * @param {number} A - Lamé coefficient A
  * @param {number} B - Lamé coefficient B
  * @param {number} numPoints - Number of points to sample, defaults to 100
- * @returns {Array} Array of {r, sigma_r, sigma_theta, sigma_vm} objects
+ * @param {Object} axialOptions - End condition options (see axialStress), defaults to plane stress
+ * @param {Object} thermal - Optional thermal load (see thermalStresses), defaults to null
+ * @returns {Array} Array of {r, sigma_r, sigma_theta, sigma_z, sigma_vm} objects, with
+ *   radial displacement u and strains added when axialOptions.E is given
  */
-export function generateStressField(ri, ro, A, B, numPoints = 100) {
+export function generateStressField(ri, ro, A, B, numPoints = 100, axialOptions = {}, thermal = null) {
     const results = [];
+    const sigma_z = axialStress(A, axialOptions);
+    const { endCondition = 'plane-stress', E, nu = 0.3 } = axialOptions;
+    const thermalLoad = thermal ? { E, nu, ...thermal } : null;
     
     for (let i = 0; i < numPoints; i++) {
         const r = ri + (ro - ri) * i / (numPoints - 1);
-        const { sigma_r, sigma_theta } = stresses(r, A, B);
-        const sigma_vm = vonMises(sigma_r, sigma_theta);
+        const point = combinedStresses(r, ri, ro, A, B, sigma_z, thermalLoad, endCondition);
+        const sigma_vm = vonMises(point.sigma_r, point.sigma_theta, point.sigma_z);
         
         results.push({
             r,
-            sigma_r,
-            sigma_theta,
-            sigma_vm
+            ...point,
+            sigma_vm,
+            ...(E > 0 ? surfaceDeformation(r, point, E, nu, thermalLoad) : {})
         });
     }
     
     return results;
 }
+
+/**
+ * Superimpose pressure and optional thermal stresses at radius r
+ *
+ * @param {number} r - Radius (mm)
+ * @param {number} ri - Inner radius (mm)
+ * @param {number} ro - Outer radius (mm)
+ * @param {number} A - Lamé coefficient A
+ * @param {number} B - Lamé coefficient B
+ * @param {number} sigma_z - Pressure axial stress (MPa)
+ * @param {Object|null} thermal - Thermal load (see thermalStresses)
+ * @param {string} endCondition - End condition for the thermal axial stress
+ * @returns {Object} {sigma_r, sigma_theta, sigma_z} plus temperature when thermal is given
+ */
+function combinedStresses(r, ri, ro, A, B, sigma_z, thermal, endCondition) {
+    const { sigma_r, sigma_theta } = stresses(r, A, B);
+    if (!thermal) {
+        return { sigma_r, sigma_theta, sigma_z };
+    }
+
+    const t = thermalStresses(r, ri, ro, thermal, endCondition);
+    return {
+        sigma_r: sigma_r + t.sigma_r,
+        sigma_theta: sigma_theta + t.sigma_theta,
+        sigma_z: sigma_z + t.sigma_z,
+        temperature: t.temperature
+    };
+}
+
+/**
+ * Radial displacement and strains at radius r, including free thermal strain
+ *
+ * @param {number} r - Radius (mm)
+ * @param {Object} stressState - {sigma_r, sigma_theta, sigma_z} plus temperature when thermal is given
+ * @param {number} E - Elastic modulus (MPa)
+ * @param {number} nu - Poisson's ratio
+ * @param {Object|null} thermal - Thermal load (see thermalStresses)
+ * @returns {Object} {u, epsilon_r, epsilon_theta, epsilon_z}
+ */
+function surfaceDeformation(r, stressState, E, nu, thermal) {
+    const thermalStrain = thermal
+        ? thermal.alpha * (stressState.temperature - (thermal.referenceTemperature ?? thermal.T_outer))
+        : 0;
+    const strainState = strains(stressState, E, nu, thermalStrain);
+    return { u: r * strainState.epsilon_theta, ...strainState };
+}
@@ -0,0 +1,139 @@
+/**
+ * Unit Tests for Cross-Bore (Gas Port) Stress Concentration Module
+ *
+ * Tests the radial cross-bore analysis including:
+ * - Flat-plate limit Kt = 2.5 for a thin closed-end tube
+ * - Dependence on hole-to-bore and wall ratios
+ * - Peak local stress and safety factor at the port
+ * - Error handling
+ */
+
+import { crossBoreStressConcentration, analyzeCrossBore } from './crossbore.js';
+import { analyzeCircle } from './core.js';
+
+/**
+ * Test runner utility
+ */
+function runTests() {
+    console.log('Running Cross-Bore Stress Concentration Tests...\n');
+
+    let totalTests = 0;
+    let passedTests = 0;
+
+    function test(name, testFunction) {
+        totalTests++;
+        try {
+            testFunction();
+            console.log(`✅ ${name}`);
+            passedTests++;
+        } catch (error) {
+            console.error(`❌ ${name}: ${error.message}`);
+            console.error(error.stack);
+        }
+    }
+
+    function assertApproxEqual(actual, expected, tolerance = 1e-6, message = '') {
+        const diff = Math.abs(actual - expected);
+        if (diff > tolerance) {
+            throw new Error(`Expected ${expected}, got ${actual} (diff: ${diff}) ${message}`);
+        }
+    }
+
+    function assertThrows(fn, expectedMessage = '') {
+        try {
+            fn();
+            throw new Error('Expected function to throw an error');
+        } catch (error) {
+            if (expectedMessage && !error.message.includes(expectedMessage)) {
+                throw new Error(`Expected error containing "${expectedMessage}", got "${error.message}"`);
+            }
+        }
+    }
+
+    // AR-15 gas port: 5.56 mm bore, 0.75 in (19.05 mm) gas block journal, 1.9 mm port
+    const port = { ri: 2.85, ro: 9.525, portDiameter: 1.9 };
+    const material = { Sy: 1000, Su: 1170 };
+    const p_port = 100;
+
+    test('Thin closed-end tube reduces to the flat-plate Kt of 2.5', () => {
+        // R/t = 100 with a vanishing port
+        const thin = { ri: 100, ro: 101, portDiameter: 1e-3 };
+        const bore = analyzeCircle({ ri: thin.ri, ro: thin.ro, p_i: 1, Sy: 500, Su: 600, endCondition: 'closed-end' }).stresses.inner;
+        const { Kt, planeKt, curvatureFactor } = crossBoreStressConcentration(thin, bore, 1);
+
+        assertApproxEqual(curvatureFactor, 1, 1e-6);
+        // 3σ_θ - σ_z + p over σ_θ = 2.5 + O(t/R)
+        assertApproxEqual(planeKt, 2.5, 0.03);
+        assertApproxEqual(Kt, planeKt, 1e-5);
+    });
+
+    test('Kt rises with hole-to-bore ratio and falls with wall ratio', () => {
+        const analyze = geometry => analyzeCrossBore({ ...geometry, p_port, ...material });
+
+        const small = analyze({ ...port, portDiameter: 1.0 });
+        const large = analyze({ ...port, portDiameter: 2.5 });
+        if (!(large.Kt > small.Kt)) {
+            throw new Error('Larger ports should concentrate more stress');
+        }
+
+        const thinWall = analyze({ ...port, ro: 5 });
+        const thickWall = analyze({ ...port, ro: 12 });
+        if (!(thinWall.curvatureFactor > thickWall.curvatureFactor)) {
+            throw new Error('Thinner walls should have a larger curvature correction');
+        }
+        console.log(`    Kt ${small.Kt.toFixed(2)} (1.0 mm port) → ${large.Kt.toFixed(2)} (2.5 mm port)`);
+    });
+
+    test('Peak stress and local safety factor at the port', () => {
+        const result = analyzeCrossBore({ ...port, p_port, ...material, station: 190 });
+        const nominal = analyzeCircle({ ri: port.ri, ro: port.ro, p_i: p_port, ...material, endCondition: 'closed-end' });
+
+        assertApproxEqual(result.nominal.sigma_theta, nominal.stresses.inner.sigma_theta, 1e-9);
+        assertApproxEqual(result.peak.sigma_theta, result.Kt * result.nominal.sigma_theta, 1e-9);
+        assertApproxEqual(result.safetyFactors.SF_y, material.Sy / result.peak.sigma_eq, 1e-12);
+        if (!(result.safetyFactors.SF_y < nominal.safetyFactors.SF_y)) {
+            throw new Error('Port should lower the safety factor');
+        }
+        assertApproxEqual(result.geometry.station, 190, 0);
+    });
+
+    test('Peak stress is linear in port pressure', () => {
+        const low = analyzeCrossBore({ ...port, p_port: 50, ...material });
+        const high = analyzeCrossBore({ ...port, p_port: 150, ...material });
+        assertApproxEqual(high.peak.sigma_theta, 3 * low.peak.sigma_theta, 1e-9);
+        assertApproxEqual(high.Kt, low.Kt, 1e-12);
+    });
+
+    test('Large shell parameter is flagged', () => {
+        const result = analyzeCrossBore({ ri: 2.85, ro: 3.5, portDiameter: 3, p_port, ...material });
+        if (result.warnings.length !== 1 || !(result.beta > 1)) {
+            throw new Error('Expected a shell parameter warning');
+        }
+    });
+
+    test('Error handling for invalid cross-bore inputs', () => {
+        assertThrows(() => analyzeCrossBore({ ...port, portDiameter: 0, p_port, ...material }), 'Port diameter must be positive');
+        assertThrows(() => analyzeCrossBore({ ...port, portDiameter: 6, p_port, ...material }), 'smaller than the bore');
+        assertThrows(() => analyzeCrossBore({ ...port, p_port: 0, ...material }), 'Port pressure');
+        assertThrows(() => analyzeCrossBore({ ...port, ro: 2, p_port, ...material }), 'Cross-bore analysis failed');
+    });
+
+    // Summary
+    console.log(`\n📊 Test Summary: ${passedTests}/${totalTests} tests passed`);
+
+    if (passedTests === totalTests) {
+        console.log('🎉 All tests passed!');
+    } else {
+        console.log(`❌ ${totalTests - passedTests} tests failed`);
+    }
+
+    return { total: totalTests, passed: passedTests };
+}
+
+// Export test runner for external use
+export { runTests };
+
+// Auto-run tests if this module is loaded directly
+if (import.meta.url === `file://${process?.argv?.[1]}` || typeof window !== 'undefined') {
+    runTests();
+}
@@ -0,0 +1,136 @@
+/**
+ * Cross-Bore (Gas Port) Stress Concentration Module
+ * Peak stress where a radial hole, such as a gas port, breaks into the pressurized bore
+ *
+ * All calculations use SI base units internally:
+ * - Lengths and diameters in mm
+ * - Pressures in MPa
+ * - Stresses in MPa
+ *
+ * The peak hoop stress at the hole/bore intersection combines:
+ * - The Kirsch solution for a hole under biaxial wall stress with pressure on the hole
+ *   surface (Faupel & Harris): σ_peak = 3σ_θ - σ_z + p, using the Lamé bore stresses
+ * - Lekkerkerker's shell curvature correction (Peterson, ch. 4): 1 + (π/8)β² with
+ *   β = [3(1 - ν²)]^¼ · a / √(R_m·t), so larger holes in thinner walls concentrate more
+ * For a thin closed-end tube the first term is the familiar flat-plate Kt = 2.5.
+ */
+
+import { analyzeCircle, equivalentStress, safetyFactors } from './core.js';
+
+/**
+ * Shell parameter above which the curvature correction is extrapolated
+ */
+const MAX_SHELL_PARAMETER = 1;
+
+/**
+ * Calculate the cross-bore stress concentration from the nominal bore stresses
+ *
+ * @param {Object} geometry - {ri, ro, portDiameter} (mm)
+ * @param {Object} boreStresses - Lamé stresses at the bore {sigma_theta, sigma_z}
+ * @param {number} p - Pressure in the bore and port (MPa)
+ * @param {number} nu - Poisson's ratio, defaults to 0.3
+ * @returns {Object} {Kt, planeKt, curvatureFactor, beta, sigma_peak}. Kt is based on the
+ *   Lamé bore hoop stress.
+ * @throws {Error} If the geometry is invalid
+ */
+export function crossBoreStressConcentration(geometry, boreStresses, p, nu = 0.3) {
+    const { ri, ro, portDiameter } = geometry;
+
+    if (!(portDiameter > 0)) {
+        throw new Error('Port diameter must be positive');
+    }
+    if (portDiameter >= 2 * ri) {
+        throw new Error('Port diameter must be smaller than the bore diameter');
+    }
+
+    const t = ro - ri;
+    const Rm = (ri + ro) / 2;
+    const beta = Math.pow(3 * (1 - nu * nu), 0.25) * (portDiameter / 2) / Math.sqrt(Rm * t);
+    const curvatureFactor = 1 + Math.PI * beta * beta / 8;
+
+    const planePeak = 3 * boreStresses.sigma_theta - boreStresses.sigma_z + p;
+    const sigma_peak = planePeak * curvatureFactor;
+
+    return {
+        Kt: sigma_peak / boreStresses.sigma_theta,
+        planeKt: planePeak / boreStresses.sigma_theta,
+        curvatureFactor,
+        beta,
+        sigma_peak
+    };
+}
+
+/**
+ * Gas port / radial cross-bore analysis at an axial station
+ *
+ * @param {Object} params - Analysis parameters
+ * @param {number} params.ri - Bore radius at the port (mm)
+ * @param {number} params.ro - Outer radius at the port (mm)
+ * @param {number} params.portDiameter - Cross-bore diameter (mm)
+ * @param {number} params.p_port - Bore pressure at the port station (MPa)
+ * @param {number} params.station - Axial distance of the port from the breech face (mm), for reporting
+ * @param {number} params.Sy - Yield strength (MPa)
+ * @param {number} params.Su - Ultimate tensile strength (MPa)
+ * @param {string} params.endCondition - End condition for σ_z, defaults to 'closed-end'
+ * @param {number} params.nu - Poisson's ratio, defaults to 0.3
+ * @param {string} params.failureCriterion - Criterion for the safety factors, defaults to 'von-mises'
+ * @param {number} params.compressiveStrengthRatio - Mohr-Coulomb Sc/St ratio, defaults to 1
+ * @returns {Object} Stress concentration, nominal and peak stresses and safety factors at the port
+ * @throws {Error} If inputs are invalid
+ */
+export function analyzeCrossBore(params) {
+    const {
+        ri, ro, portDiameter, p_port,
+        station = null,
+        Sy, Su,
+        endCondition = 'closed-end',
+        nu = 0.3,
+        failureCriterion = 'von-mises',
+        compressiveStrengthRatio = 1
+    } = params;
+
+    try {
+        if (!(p_port > 0)) {
+            throw new Error('Port pressure must be positive');
+        }
+
+        const nominal = analyzeCircle({
+            ri, ro, p_i: p_port, Sy, Su, endCondition, nu, failureCriterion, compressiveStrengthRatio
+        });
+        const bore = nominal.stresses.inner;
+        const concentration = crossBoreStressConcentration({ ri, ro, portDiameter }, bore, p_port, nu);
+
+        // Hole edge: peak tangential stress with port pressure on both free surfaces
+        const peak = {
+            sigma_r: -p_port,
+            sigma_theta: concentration.sigma_peak,
+            sigma_z: -p_port
+        };
+        peak.sigma_eq = equivalentStress(peak.sigma_r, peak.sigma_theta, peak.sigma_z, failureCriterion, { compressiveStrengthRatio });
+
+        const warnings = [];
+        if (concentration.beta > MAX_SHELL_PARAMETER) {
+            warnings.push(`Shell parameter β = ${concentration.beta.toFixed(2)} exceeds ${MAX_SHELL_PARAMETER}; curvature correction is extrapolated`);
+        }
+
+        return {
+            Kt: concentration.Kt,
+            planeKt: concentration.planeKt,
+            curvatureFactor: concentration.curvatureFactor,
+            beta: concentration.beta,
+            nominal: {
+                sigma_theta: bore.sigma_theta,
+                sigma_z: bore.sigma_z,
+                safetyFactors: nominal.safetyFactors
+            },
+            peak,
+            safetyFactors: safetyFactors(peak.sigma_eq, Sy, Su),
+            failureCriterion,
+            warnings,
+            geometry: { ri, ro, portDiameter, station, holeToBoreRatio: portDiameter / (2 * ri), wallRatio: ro / ri },
+            p_port
+        };
+    } catch (error) {
+        throw new Error(`Cross-bore analysis failed: ${error.message}`);
+    }
+}
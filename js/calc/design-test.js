@@ -0,0 +1,129 @@
+/**
+ * Unit Tests for Inverse Design Solver Module
+ *
+ * Tests minimum diameter solutions including:
+ * - Single cylinder outer diameter for yield and ultimate targets
+ * - Failure criterion dependence
+ * - Compound cylinder trunnion diameter
+ * - Unreachable targets and error handling
+ */
+
+import { requiredOuterDiameter, requiredTrunnionDiameter } from './design.js';
+import { analyzeCircle } from './core.js';
+
+/**
+ * Test runner utility
+ */
+function runTests() {
+    console.log('Running Inverse Design Solver Tests...\n');
+
+    let totalTests = 0;
+    let passedTests = 0;
+
+    function test(name, testFunction) {
+        totalTests++;
+        try {
+            testFunction();
+            console.log(`✅ ${name}`);
+            passedTests++;
+        } catch (error) {
+            console.error(`❌ ${name}: ${error.message}`);
+            console.error(error.stack);
+        }
+    }
+
+    function assertApproxEqual(actual, expected, tolerance = 1e-6, message = '') {
+        const diff = Math.abs(actual - expected);
+        if (diff > tolerance) {
+            throw new Error(`Expected ${expected}, got ${actual} (diff: ${diff}) ${message}`);
+        }
+    }
+
+    function assertThrows(fn, expectedMessage = '') {
+        try {
+            fn();
+            throw new Error('Expected function to throw an error');
+        } catch (error) {
+            if (expectedMessage && !error.message.includes(expectedMessage)) {
+                throw new Error(`Expected error containing "${expectedMessage}", got "${error.message}"`);
+            }
+        }
+    }
+
+    // .308-class chamber in 17-4 PH H900
+    const baseParams = { ri: 6.0, p_i: 415, p_o: 0, Sy: 1172, Su: 1310 };
+
+    test('Minimum outer diameter reaches target yield SF', () => {
+        const solution = requiredOuterDiameter({ ...baseParams, targetSF: 1.2 });
+
+        assertApproxEqual(solution.achievedSF, 1.2, 1e-4, 'achieved SF at the solution');
+        assertApproxEqual(solution.wallThickness, solution.ro - baseParams.ri, 1e-12);
+
+        // Slightly thinner wall must fall short of the target
+        const thinner = analyzeCircle({ ...baseParams, ro: solution.ro - 0.01 });
+        if (thinner.safetyFactors.SF_y >= 1.2) {
+            throw new Error('A thinner wall should not meet the target');
+        }
+        console.log(`    Minimum OD: ${solution.outerDiameter.toFixed(3)} mm (wall ${solution.wallThickness.toFixed(3)} mm)`);
+    });
+
+    test('Tresca requires a thicker wall than Von Mises', () => {
+        const vonMises = requiredOuterDiameter({ ...baseParams, targetSF: 1.2 });
+        const tresca = requiredOuterDiameter({ ...baseParams, targetSF: 1.2, failureCriterion: 'tresca' });
+
+        if (tresca.ro <= vonMises.ro) {
+            throw new Error('Tresca solution should be thicker than Von Mises');
+        }
+    });
+
+    test('Ultimate basis uses SF_u', () => {
+        const solution = requiredOuterDiameter({ ...baseParams, targetSF: 1.6, basis: 'ultimate' });
+        assertApproxEqual(solution.analysis.safetyFactors.SF_u, 1.6, 1e-4);
+    });
+
+    test('Unreachable target is reported', () => {
+        // Plane stress bore Von Mises tends to √3·p, so SF_y cannot exceed 1172 / (√3 · 415) ≈ 1.63
+        assertThrows(() => requiredOuterDiameter({ ...baseParams, targetSF: 3.0 }), 'cannot be reached');
+        assertThrows(() => requiredOuterDiameter({ ...baseParams, targetSF: 1.2, basis: 'proof' }), 'Unknown safety factor basis');
+    });
+
+    test('Minimum trunnion diameter for compound cylinder', () => {
+        const params = {
+            barrel: { ri: 5, ro: 10, E: 200000, nu: 0.3 },
+            trunnion: { E: 200000, nu: 0.3 },
+            interference: 0.001,
+            operatingPressure: 100,
+            externalPressure: 0,
+            material: { Sy: 400, Su: 600 },
+            targetSF: 2.3
+        };
+        const solution = requiredTrunnionDiameter(params);
+
+        if (solution.achievedSF < 2.3 - 1e-6) {
+            throw new Error(`Achieved SF ${solution.achievedSF} below target`);
+        }
+        if (solution.ro <= params.barrel.ro) {
+            throw new Error('Trunnion must be larger than the barrel');
+        }
+        console.log(`    Minimum trunnion OD: ${solution.outerDiameter.toFixed(3)} mm`);
+    });
+
+    // Summary
+    console.log(`\n📊 Test Summary: ${passedTests}/${totalTests} tests passed`);
+
+    if (passedTests === totalTests) {
+        console.log('🎉 All tests passed!');
+    } else {
+        console.log(`❌ ${totalTests - passedTests} tests failed`);
+    }
+
+    return { total: totalTests, passed: passedTests };
+}
+
+// Export test runner for external use
+export { runTests };
+
+// Auto-run tests if this module is loaded directly
+if (import.meta.url === `file://${process?.argv?.[1]}` || typeof window !== 'undefined') {
+    runTests();
+}
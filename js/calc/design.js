@@ -0,0 +1,200 @@
+/**
+ * Inverse Design Solver Module
+ * Finds the minimum outer diameter (single cylinder) or trunnion outer diameter
+ * (compound cylinder) that achieves a target safety factor
+ *
+ * All calculations use SI base units internally:
+ * - Lengths in mm
+ * - Pressures in MPa
+ * - Stresses in MPa
+ */
+
+import { analyzeCircle } from './core.js';
+import { brent } from './solver.js';
+import { analyzeCompoundCylinder } from './trunnion.js';
+
+/**
+ * Select the safety factor for the requested basis
+ *
+ * @param {Object} safetyFactors - {SF_y, SF_u}
+ * @param {string} basis - 'yield' or 'ultimate'
+ * @returns {number} Safety factor on the requested basis
+ * @throws {Error} If the basis is unknown
+ */
+function selectSafetyFactor(safetyFactors, basis) {
+    if (basis === 'yield') {
+        return safetyFactors.SF_y;
+    }
+    if (basis === 'ultimate') {
+        return safetyFactors.SF_u;
+    }
+    throw new Error(`Unknown safety factor basis: ${basis}`);
+}
+
+/**
+ * Find the smallest outer radius at which the safety factor reaches the target
+ *
+ * The range is scanned on a geometric grid to locate the first radius meeting the
+ * target (the safety factor need not be monotonic for compound cylinders), then the
+ * bracketing interval is refined by Brent's method.
+ *
+ * @param {Function} safetyFactorAt - Returns the safety factor for an outer radius
+ * @param {number} rMin - Smallest candidate outer radius (mm)
+ * @param {number} rMax - Largest candidate outer radius (mm)
+ * @param {number} targetSF - Target safety factor
+ * @param {Object} options - Solver options
+ * @param {number} options.samples - Scan points, defaults to 60
+ * @param {number} options.tolerance - Convergence tolerance on radius (mm), defaults to 1e-6
+ * @param {number} options.maxIters - Maximum refinement iterations, defaults to 100
+ * @returns {number} Minimum outer radius (mm)
+ * @throws {Error} If the target cannot be reached within the range
+ */
+function findMinimumRadius(safetyFactorAt, rMin, rMax, targetSF, options = {}) {
+    const { samples = 60, tolerance = 1e-6, maxIters = 100 } = options;
+
+    if (safetyFactorAt(rMin) >= targetSF) {
+        return rMin;
+    }
+
+    let r_low = rMin;
+    let r_high = null;
+    const ratio = Math.pow(rMax / rMin, 1 / samples);
+
+    for (let i = 1; i <= samples; i++) {
+        const r = rMin * Math.pow(ratio, i);
+        if (safetyFactorAt(r) >= targetSF) {
+            r_high = r;
+            break;
+        }
+        r_low = r;
+    }
+
+    if (r_high === null) {
+        throw new Error(`Target safety factor ${targetSF} cannot be reached with outer radius up to ${rMax.toFixed(2)} mm`);
+    }
+
+    const { root, bracket } = brent(r => safetyFactorAt(r) - targetSF, r_low, r_high, { tolerance, maxIters });
+
+    // Return the side of the converged bracket that meets the target
+    return safetyFactorAt(root) >= targetSF ? root : bracket[1];
+}
+
+/**
+ * Solve for the minimum outer diameter of a single cylinder for a target safety factor
+ *
+ * As ro → ∞ the bore stress tends to a finite limit (e.g. σ_vm → √3·p for plane
+ * stress), so high targets at high pressure may be unreachable.
+ *
+ * @param {Object} params - Design parameters
+ * @param {number} params.ri - Inner radius (mm)
+ * @param {number} params.p_i - Internal pressure (MPa)
+ * @param {number} params.p_o - External pressure (MPa), defaults to 0
+ * @param {number} params.Sy - Yield strength (MPa)
+ * @param {number} params.Su - Ultimate tensile strength (MPa)
+ * @param {number} params.targetSF - Target safety factor
+ * @param {string} params.basis - 'yield' or 'ultimate', defaults to 'yield'
+ * @param {number} params.maxDiameterRatio - Largest OD/ID ratio considered, defaults to 20
+ * @returns {Object} {ro, outerDiameter, wallThickness, achievedSF, analysis}
+ * @throws {Error} If inputs are invalid or the target cannot be reached
+ */
+export function requiredOuterDiameter(params) {
+    const { ri, targetSF, basis = 'yield', maxDiameterRatio = 20, ...analysisParams } = params;
+
+    try {
+        if (ri <= 0) {
+            throw new Error('Inner radius must be positive');
+        }
+        if (!(targetSF > 0)) {
+            throw new Error('Target safety factor must be positive');
+        }
+        if (maxDiameterRatio <= 1) {
+            throw new Error('Maximum diameter ratio must be greater than 1');
+        }
+
+        const safetyFactorAt = ro => selectSafetyFactor(
+            analyzeCircle({ ...analysisParams, ri, ro }).safetyFactors, basis
+        );
+
+        const ro = findMinimumRadius(safetyFactorAt, ri * 1.001, ri * maxDiameterRatio, targetSF);
+        const analysis = analyzeCircle({ ...analysisParams, ri, ro });
+
+        return {
+            ro,
+            outerDiameter: 2 * ro,
+            wallThickness: ro - ri,
+            achievedSF: selectSafetyFactor(analysis.safetyFactors, basis),
+            targetSF,
+            basis,
+            analysis
+        };
+    } catch (error) {
+        throw new Error(`Design solution failed: ${error.message}`);
+    }
+}
+
+/**
+ * Solve for the minimum trunnion outer diameter of a compound cylinder for a target safety factor
+ *
+ * The governing safety factor is the minimum over all critical locations. The trunnion
+ * inner radius follows the barrel outer radius minus the interference.
+ *
+ * @param {Object} params - Design parameters
+ * @param {Object} params.barrel - Barrel properties {ri, ro, E, nu}
+ * @param {Object} params.trunnion - Trunnion material properties {E, nu}
+ * @param {number} params.interference - Interference fit (mm)
+ * @param {number} params.operatingPressure - Internal operating pressure (MPa)
+ * @param {Object} params.material - Material properties {Sy, Su}
+ * @param {number} params.targetSF - Target safety factor
+ * @param {string} params.basis - 'yield' or 'ultimate', defaults to 'yield'
+ * @param {number} params.maxDiameterRatio - Largest trunnion OD / barrel OD ratio considered, defaults to 5
+ * @returns {Object} {ro, outerDiameter, wallThickness, achievedSF, analysis}
+ * @throws {Error} If inputs are invalid or the target cannot be reached
+ */
+export function requiredTrunnionDiameter(params) {
+    const {
+        barrel,
+        trunnion,
+        interference,
+        targetSF,
+        basis = 'yield',
+        maxDiameterRatio = 5,
+        ...analysisParams
+    } = params;
+
+    try {
+        if (!(targetSF > 0)) {
+            throw new Error('Target safety factor must be positive');
+        }
+        if (maxDiameterRatio <= 1) {
+            throw new Error('Maximum diameter ratio must be greater than 1');
+        }
+
+        const trunnionRi = barrel.ro - interference;
+        const analyze = ro => analyzeCompoundCylinder({
+            ...analysisParams,
+            barrel,
+            trunnion: { ...trunnion, ri: trunnionRi, ro },
+            interference
+        });
+        const governingSF = analysis => Math.min(
+            ...Object.values(analysis.analysis).map(location => selectSafetyFactor(location.safetyFactors, basis))
+        );
+
+        const ro = findMinimumRadius(
+            r => governingSF(analyze(r)), barrel.ro * 1.001, barrel.ro * maxDiameterRatio, targetSF
+        );
+        const analysis = analyze(ro);
+
+        return {
+            ro,
+            outerDiameter: 2 * ro,
+            wallThickness: ro - trunnionRi,
+            achievedSF: governingSF(analysis),
+            targetSF,
+            basis,
+            analysis
+        };
+    } catch (error) {
+        throw new Error(`Design solution failed: ${error.message}`);
+    }
+}
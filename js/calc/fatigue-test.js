@@ -0,0 +1,162 @@
+/**
+ * Unit Tests for Fatigue Life Analysis Module
+ *
+ * Tests fatigue calculations including:
+ * - Marin endurance limit factors
+ * - Goodman, Gerber and Soderberg safety factors
+ * - Basquin and S-N curve life estimates
+ * - Bore stress amplitudes from repeated firing pressure
+ * - Error handling
+ */
+
+import {
+    specimenEnduranceLimit,
+    surfaceFactor,
+    sizeFactor,
+    meanStressSafetyFactors,
+    cyclesToFailure,
+    analyzeFatigue
+} from './fatigue.js';
+import { analyzeCircle } from './core.js';
+
+/**
+ * Test runner utility
+ */
+function runTests() {
+    console.log('Running Fatigue Life Analysis Tests...\n');
+
+    let totalTests = 0;
+    let passedTests = 0;
+
+    function test(name, testFunction) {
+        totalTests++;
+        try {
+            testFunction();
+            console.log(`✅ ${name}`);
+            passedTests++;
+        } catch (error) {
+            console.error(`❌ ${name}: ${error.message}`);
+            console.error(error.stack);
+        }
+    }
+
+    function assertApproxEqual(actual, expected, tolerance = 1e-6, message = '') {
+        const diff = Math.abs(actual - expected);
+        if (diff > tolerance) {
+            throw new Error(`Expected ${expected}, got ${actual} (diff: ${diff}) ${message}`);
+        }
+    }
+
+    function assertThrows(fn, expectedMessage = '') {
+        try {
+            fn();
+            throw new Error('Expected function to throw an error');
+        } catch (error) {
+            if (expectedMessage && !error.message.includes(expectedMessage)) {
+                throw new Error(`Expected error containing "${expectedMessage}", got "${error.message}"`);
+            }
+        }
+    }
+
+    // 17-4 PH H900 barrel, 12 mm bore, 30 mm OD
+    const ri = 6;
+    const ro = 15;
+    const Sy = 1172;
+    const Su = 1310;
+
+    test('Marin factors follow Shigley estimates', () => {
+        assertApproxEqual(specimenEnduranceLimit(827), 413.5, 1e-9);
+        assertApproxEqual(specimenEnduranceLimit(1600), 700, 1e-9);
+        assertApproxEqual(surfaceFactor(Su, 'machined'), 4.51 * Math.pow(Su, -0.265), 1e-12);
+        assertApproxEqual(sizeFactor(7.62), 1, 1e-12);
+        if (surfaceFactor(Su, 'as-forged') >= surfaceFactor(Su, 'ground')) {
+            throw new Error('Forged surface should be worse than ground');
+        }
+
+        // Pressure loading is axial: no size factor unless a diameter opts into it
+        const pressure = analyzeFatigue({ ri, ro, p_max: 300, Sy, Su });
+        assertApproxEqual(pressure.marinFactors.kb, 1, 0);
+        assertApproxEqual(pressure.enduranceLimit.corrected, 0.5 * Su * surfaceFactor(Su, 'machined'), 1e-9);
+        const sized = analyzeFatigue({ ri, ro, p_max: 300, Sy, Su, sizeDiameter: 2 * ro });
+        assertApproxEqual(sized.marinFactors.kb, sizeFactor(30), 1e-12);
+    });
+
+    test('Mean stress criteria ordering', () => {
+        const sf = meanStressSafetyFactors(100, 150, 300, Sy, Su);
+        assertApproxEqual(sf.goodman, 1 / (100 / 300 + 150 / Su), 1e-12);
+        assertApproxEqual(sf.soderberg, 1 / (100 / 300 + 150 / Sy), 1e-12);
+        // Gerber lies outside Goodman, Soderberg inside
+        if (!(sf.gerber > sf.goodman && sf.goodman > sf.soderberg)) {
+            throw new Error(`Unexpected ordering ${JSON.stringify(sf)}`);
+        }
+    });
+
+    test('Basquin life passes through the anchor points', () => {
+        const Se = 300;
+        assertApproxEqual(Math.log10(cyclesToFailure(0.9 * Su, Se, Su)), 3, 1e-9);
+        assertApproxEqual(Math.log10(cyclesToFailure(Se * 1.0000001, Se, Su)), 6, 1e-5);
+        if (cyclesToFailure(Se, Se, Su) !== Infinity) {
+            throw new Error('Amplitude at the endurance limit should give infinite life');
+        }
+
+        // S-N data interpolated in log-log space
+        const snCurve = [{ cycles: 1e3, stress: 700 }, { cycles: 1e5, stress: 400 }, { cycles: 1e7, stress: 250 }];
+        assertApproxEqual(cyclesToFailure(400, 0, Su, { snCurve }), 1e5, 1e-6);
+        if (cyclesToFailure(200, 0, Su, { snCurve }) !== Infinity) {
+            throw new Error('Amplitude below the S-N curve should give infinite life');
+        }
+    });
+
+    test('Zero-to-peak firing cycle splits bore stress evenly', () => {
+        const p_max = 300;
+        const static_ = analyzeCircle({ ri, ro, p_i: p_max, Sy, Su, endCondition: 'closed-end' });
+        const result = analyzeFatigue({ ri, ro, p_max, Sy, Su, endCondition: 'closed-end' });
+
+        assertApproxEqual(result.stresses.sigma_a, static_.stresses.inner.sigma_vm / 2, 1e-9);
+        assertApproxEqual(result.stresses.sigma_m, static_.stresses.inner.sigma_vm / 2, 1e-9);
+        assertApproxEqual(result.governingSF, result.safetyFactors.soderberg, 1e-12);
+        console.log(`    Goodman SF ${result.safetyFactors.goodman.toFixed(2)}, life ${result.rounds === Infinity ? 'infinite' : result.rounds.toExponential(2)} rounds`);
+    });
+
+    test('Higher pressure shortens estimated life', () => {
+        const low = analyzeFatigue({ ri, ro, p_max: 300, Sy, Su, surfaceFinish: 'as-forged' });
+        const high = analyzeFatigue({ ri, ro, p_max: 350, Sy, Su, surfaceFinish: 'as-forged' });
+
+        if (!(Number.isFinite(low.rounds) && high.rounds < low.rounds)) {
+            throw new Error(`Expected finite, decreasing life: ${low.rounds} → ${high.rounds}`);
+        }
+        const reliable = analyzeFatigue({ ri, ro, p_max: 300, Sy, Su, surfaceFinish: 'as-forged', reliability: 0.99 });
+        if (reliable.rounds >= low.rounds) {
+            throw new Error('Higher reliability should reduce the life estimate');
+        }
+    });
+
+    test('Error handling for invalid fatigue parameters', () => {
+        assertThrows(() => analyzeFatigue({ ri, ro, p_max: 0, Sy, Su }), 'Peak pressure');
+        assertThrows(() => analyzeFatigue({ ri, ro, p_max: 300, p_min: 400, Sy, Su }), 'Minimum pressure');
+        assertThrows(() => analyzeFatigue({ ri, ro, p_max: 300, Sy, Su, surfaceFinish: 'polished-ish' }), 'surface finish');
+        assertThrows(() => analyzeFatigue({ ri, ro, p_max: 300, Sy, Su, reliability: 0.42 }), 'reliability');
+        assertThrows(() => analyzeFatigue({
+            ri, ro, p_max: 300, Sy, Su, snCurve: [{ cycles: 1e3, stress: 500 }]
+        }), 'two points');
+    });
+
+    // Summary
+    console.log(`\n📊 Test Summary: ${passedTests}/${totalTests} tests passed`);
+
+    if (passedTests === totalTests) {
+        console.log('🎉 All tests passed!');
+    } else {
+        console.log(`❌ ${totalTests - passedTests} tests failed`);
+    }
+
+    return { total: totalTests, passed: passedTests };
+}
+
+// Export test runner for external use
+export { runTests };
+
+// Auto-run tests if this module is loaded directly
+if (import.meta.url === `file://${process?.argv?.[1]}` || typeof window !== 'undefined') {
+    runTests();
+}
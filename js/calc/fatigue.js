@@ -0,0 +1,332 @@
+/**
+ * Fatigue Life Analysis Module
+ * Evaluates high-cycle fatigue of the barrel bore under repeated firing pressure using
+ * Marin-corrected endurance limits, mean stress criteria and a Basquin S-N curve
+ *
+ * All calculations use SI base units internally:
+ * - Lengths in mm
+ * - Pressures in MPa
+ * - Stresses in MPa
+ *
+ * Every shot is one load cycle from p_min to p_max. Since the Lamé stresses are linear in
+ * pressure, the alternating and mean stress components are formed component-wise at the
+ * bore and combined into von Mises equivalent amplitudes (Shigley, ch. 6).
+ */
+
+import { analyzeCircle, vonMises } from './core.js';
+
+/**
+ * Surface factor coefficients k_a = a·Su^b with Su in MPa (Shigley Table 6-2)
+ */
+export const SURFACE_FINISHES = {
+    'ground': { a: 1.58, b: -0.085 },
+    'machined': { a: 4.51, b: -0.265 },
+    'hot-rolled': { a: 57.7, b: -0.718 },
+    'as-forged': { a: 272, b: -0.995 }
+};
+
+/**
+ * Reliability factors k_e for a normal distribution of endurance strength (8% deviation)
+ */
+export const RELIABILITY_FACTORS = {
+    0.5: 1.0,
+    0.9: 0.897,
+    0.95: 0.868,
+    0.99: 0.814,
+    0.999: 0.753,
+    0.9999: 0.702
+};
+
+export const MEAN_STRESS_CRITERIA = ['goodman', 'gerber', 'soderberg'];
+
+/**
+ * Estimate the rotating-beam endurance limit of a steel specimen
+ *
+ * S'e = 0.5·Su for Su ≤ 1400 MPa, 700 MPa above
+ *
+ * @param {number} Su - Ultimate tensile strength (MPa)
+ * @returns {number} Unmodified endurance limit (MPa)
+ */
+export function specimenEnduranceLimit(Su) {
+    return Su <= 1400 ? 0.5 * Su : 700;
+}
+
+/**
+ * Calculate the Marin surface factor
+ *
+ * @param {number} Su - Ultimate tensile strength (MPa)
+ * @param {string} surfaceFinish - One of SURFACE_FINISHES
+ * @returns {number} Surface factor k_a
+ * @throws {Error} If the surface finish is unknown
+ */
+export function surfaceFactor(Su, surfaceFinish = 'machined') {
+    const coefficients = SURFACE_FINISHES[surfaceFinish];
+    if (!coefficients) {
+        throw new Error(`Unknown surface finish: ${surfaceFinish}`);
+    }
+    return Math.min(1, coefficients.a * Math.pow(Su, coefficients.b));
+}
+
+/**
+ * Calculate the Marin size factor for a round section
+ *
+ * k_b = (d/7.62)^-0.107 for 2.79 ≤ d ≤ 51 mm, 1.51·d^-0.157 for 51 < d ≤ 254 mm
+ *
+ * The correlation holds for bending and torsion only; axial loading, which includes the
+ * pressure stresses of a bore, takes k_b = 1 (Shigley, §6-9).
+ *
+ * @param {number} diameter - Section diameter (mm)
+ * @returns {number} Size factor k_b
+ */
+export function sizeFactor(diameter) {
+    if (diameter <= 2.79) {
+        return 1;
+    }
+    if (diameter <= 51) {
+        return Math.pow(diameter / 7.62, -0.107);
+    }
+    return 1.51 * Math.pow(Math.min(diameter, 254), -0.157);
+}
+
+/**
+ * Calculate fatigue safety factors under the mean stress criteria
+ *
+ * Goodman: 1/n = σa/Se + σm/Su
+ * Gerber: n = ½(Su/σm)²(σa/Se)[-1 + √(1 + (2σm·Se/(Su·σa))²)]
+ * Soderberg: 1/n = σa/Se + σm/Sy
+ *
+ * @param {number} sigma_a - Alternating equivalent stress (MPa)
+ * @param {number} sigma_m - Mean equivalent stress (MPa)
+ * @param {number} Se - Corrected endurance limit (MPa)
+ * @param {number} Sy - Yield strength (MPa)
+ * @param {number} Su - Ultimate tensile strength (MPa)
+ * @returns {Object} {goodman, gerber, soderberg} fatigue safety factors
+ */
+export function meanStressSafetyFactors(sigma_a, sigma_m, Se, Sy, Su) {
+    if (sigma_a <= 0 && sigma_m <= 0) {
+        return { goodman: Infinity, gerber: Infinity, soderberg: Infinity };
+    }
+
+    let gerber;
+    if (sigma_m <= 0) {
+        gerber = Se / sigma_a;
+    } else if (sigma_a <= 0) {
+        gerber = Su / sigma_m;
+    } else {
+        const ratio = 2 * sigma_m * Se / (Su * sigma_a);
+        gerber = 0.5 * Math.pow(Su / sigma_m, 2) * (sigma_a / Se) * (-1 + Math.sqrt(1 + ratio * ratio));
+    }
+
+    return {
+        goodman: 1 / (sigma_a / Se + Math.max(sigma_m, 0) / Su),
+        gerber,
+        soderberg: 1 / (sigma_a / Se + Math.max(sigma_m, 0) / Sy)
+    };
+}
+
+/**
+ * Estimate cycles to crack initiation for a fully reversed stress amplitude
+ *
+ * Uses log-log interpolation of the supplied S-N data, whose last point acts as the
+ * endurance limit, or the Basquin line through (10³, f·Su) and (10⁶, Se) when no data
+ * is given. Amplitudes at or below the endurance limit give infinite life.
+ *
+ * @param {number} sigma_rev - Fully reversed stress amplitude (MPa)
+ * @param {number} Se - Corrected endurance limit (MPa)
+ * @param {number} Su - Ultimate tensile strength (MPa)
+ * @param {Object} options - Life options
+ * @param {Array} options.snCurve - S-N data as [{cycles, stress}] sorted by cycles
+ * @param {number} options.fatigueStrengthFraction - f in S(10³) = f·Su, defaults to 0.9
+ * @returns {number} Cycles to crack initiation (Infinity below the endurance limit)
+ */
+export function cyclesToFailure(sigma_rev, Se, Su, options = {}) {
+    const { snCurve = null, fatigueStrengthFraction = 0.9 } = options;
+
+    if (snCurve) {
+        return interpolateSNCurve(snCurve, sigma_rev);
+    }
+
+    if (sigma_rev <= Se) {
+        return Infinity;
+    }
+
+    // Basquin: S = a·N^b through (10³, f·Su) and (10⁶, Se)
+    const S1000 = fatigueStrengthFraction * Su;
+    const a = S1000 * S1000 / Se;
+    const b = -Math.log10(S1000 / Se) / 3;
+    return Math.pow(sigma_rev / a, 1 / b);
+}
+
+/**
+ * Fatigue analysis of the bore under repeated firing pressure
+ *
+ * @param {Object} params - Fatigue parameters
+ * @param {number} params.ri - Inner radius (mm)
+ * @param {number} params.ro - Outer radius (mm)
+ * @param {number} params.p_max - Peak firing pressure (MPa)
+ * @param {number} params.p_min - Minimum pressure between shots (MPa), defaults to 0
+ * @param {number} params.Sy - Yield strength (MPa)
+ * @param {number} params.Su - Ultimate tensile strength (MPa)
+ * @param {number} params.enduranceLimit - Unmodified endurance limit S'e (MPa), estimated from Su if omitted
+ * @param {Array} params.snCurve - Optional S-N data [{cycles, stress}] replacing the Basquin estimate
+ * @param {string} params.surfaceFinish - Bore surface finish (see SURFACE_FINISHES), defaults to 'machined'
+ * @param {number} params.reliability - Reliability level (see RELIABILITY_FACTORS), defaults to 0.5
+ * @param {number} params.sizeDiameter - Diameter for the size factor (mm). Pressure loading is axial, so
+ *   k_b = 1 unless a diameter is given to opt into the bending/torsion correlation.
+ * @param {Object} params.factors - Explicit Marin factors {ka, kb, kc, kd, ke, kf} overriding estimates
+ * @param {string} params.meanStressCriterion - Criterion used for life estimate, defaults to 'goodman'
+ * @param {number} params.fatigueStrengthFraction - f in S(10³) = f·Su, defaults to 0.9
+ * @returns {Object} Stress amplitudes, endurance limit, safety factors and estimated rounds
+ * @throws {Error} If inputs are invalid
+ */
+export function analyzeFatigue(params) {
+    const {
+        ri, ro, p_max, p_min = 0, Sy, Su,
+        enduranceLimit,
+        snCurve = null,
+        surfaceFinish = 'machined',
+        reliability = 0.5,
+        sizeDiameter,
+        factors = {},
+        meanStressCriterion = 'goodman',
+        fatigueStrengthFraction = 0.9,
+        ...analysisParams
+    } = params;
+
+    try {
+        if (p_max <= 0) {
+            throw new Error('Peak pressure must be positive');
+        }
+        if (p_min < 0 || p_min > p_max) {
+            throw new Error('Minimum pressure must be between zero and the peak pressure');
+        }
+        if (!MEAN_STRESS_CRITERIA.includes(meanStressCriterion)) {
+            throw new Error(`Unknown mean stress criterion: ${meanStressCriterion}`);
+        }
+        if (RELIABILITY_FACTORS[reliability] === undefined && factors.ke === undefined) {
+            throw new Error(`Unsupported reliability level: ${reliability}`);
+        }
+        if (snCurve) {
+            validateSNCurve(snCurve);
+        }
+
+        // Bore stresses at the extremes of the firing cycle
+        const maxState = analyzeCircle({ ...analysisParams, ri, ro, p_i: p_max, Sy, Su }).stresses.inner;
+        const minState = analyzeCircle({ ...analysisParams, ri, ro, p_i: p_min, Sy, Su }).stresses.inner;
+
+        const amplitude = {};
+        const mean = {};
+        for (const component of ['sigma_r', 'sigma_theta', 'sigma_z']) {
+            amplitude[component] = (maxState[component] - minState[component]) / 2;
+            mean[component] = (maxState[component] + minState[component]) / 2;
+        }
+        const sigma_a = vonMises(amplitude.sigma_r, amplitude.sigma_theta, amplitude.sigma_z);
+        const sigma_m = vonMises(mean.sigma_r, mean.sigma_theta, mean.sigma_z);
+
+        // Marin-corrected endurance limit
+        const Se_prime = enduranceLimit ?? specimenEnduranceLimit(Su);
+        const marin = {
+            ka: factors.ka ?? surfaceFactor(Su, surfaceFinish),
+            kb: factors.kb ?? (sizeDiameter === undefined ? 1 : sizeFactor(sizeDiameter)),
+            kc: factors.kc ?? 1,
+            kd: factors.kd ?? 1,
+            ke: factors.ke ?? RELIABILITY_FACTORS[reliability],
+            kf: factors.kf ?? 1
+        };
+        const Se = Se_prime * marin.ka * marin.kb * marin.kc * marin.kd * marin.ke * marin.kf;
+
+        const safetyFactors = meanStressSafetyFactors(sigma_a, sigma_m, Se, Sy, Su);
+
+        // Equivalent fully reversed amplitude for the life estimate
+        let meanStressKnockdown;
+        switch (meanStressCriterion) {
+            case 'gerber':
+                meanStressKnockdown = 1 - Math.pow(sigma_m / Su, 2);
+                break;
+            case 'soderberg':
+                meanStressKnockdown = 1 - sigma_m / Sy;
+                break;
+            default:
+                meanStressKnockdown = 1 - sigma_m / Su;
+        }
+        // Mean stress at or beyond the static limit leaves no fatigue capacity
+        const sigma_rev = meanStressKnockdown > 0 ? sigma_a / meanStressKnockdown : Infinity;
+
+        const rounds = cyclesToFailure(sigma_rev, Se, Su, { snCurve, fatigueStrengthFraction });
+
+        return {
+            stresses: {
+                max: maxState,
+                min: minState,
+                amplitude,
+                mean,
+                sigma_a,
+                sigma_m,
+                sigma_rev
+            },
+            enduranceLimit: { specimen: Se_prime, corrected: Se },
+            marinFactors: marin,
+            safetyFactors,
+            meanStressCriterion,
+            governingSF: Math.min(...Object.values(safetyFactors)),
+            rounds,
+            infiniteLife: rounds === Infinity,
+            lowCycle: rounds < 1000,
+            geometry: { ri, ro, p_max, p_min },
+            material: { Sy, Su }
+        };
+    } catch (error) {
+        throw new Error(`Fatigue analysis failed: ${error.message}`);
+    }
+}
+
+/**
+ * Check S-N data is usable for log-log interpolation
+ *
+ * @param {Array} snCurve - S-N data as [{cycles, stress}]
+ * @throws {Error} If the data is too short, unsorted or non-positive
+ */
+function validateSNCurve(snCurve) {
+    if (!Array.isArray(snCurve) || snCurve.length < 2) {
+        throw new Error('S-N curve needs at least two points');
+    }
+    for (let i = 0; i < snCurve.length; i++) {
+        const { cycles, stress } = snCurve[i];
+        if (!(cycles > 0) || !(stress > 0)) {
+            throw new Error('S-N curve cycles and stresses must be positive');
+        }
+        if (i > 0 && (cycles <= snCurve[i - 1].cycles || stress > snCurve[i - 1].stress)) {
+            throw new Error('S-N curve must have increasing cycles and non-increasing stress');
+        }
+    }
+}
+
+/**
+ * Interpolate cycles for a stress amplitude on S-N data in log-log space
+ *
+ * Amplitudes above the first point are extrapolated along the first segment; amplitudes
+ * below the last point give infinite life.
+ *
+ * @param {Array} snCurve - S-N data as [{cycles, stress}]
+ * @param {number} stress - Stress amplitude (MPa)
+ * @returns {number} Cycles to failure
+ */
+function interpolateSNCurve(snCurve, stress) {
+    const last = snCurve[snCurve.length - 1];
+    if (stress <= last.stress) {
+        return Infinity;
+    }
+
+    let i = 0;
+    while (i < snCurve.length - 2 && stress < snCurve[i + 1].stress) {
+        i++;
+    }
+    const p1 = snCurve[i];
+    const p2 = snCurve[i + 1];
+    if (p1.stress === p2.stress) {
+        return p1.cycles;
+    }
+
+    const slope = Math.log(p2.cycles / p1.cycles) / Math.log(p2.stress / p1.stress);
+    return p1.cycles * Math.pow(stress / p1.stress, slope);
+}
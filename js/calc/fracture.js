@@ -0,0 +1,279 @@
+/**
+ * Fracture Mechanics Module
+ * Linear-elastic fracture mechanics (LEFM) check for a long internal axial surface crack
+ * at the bore of a thick-walled cylinder, with critical crack depth and leak-before-break
+ *
+ * All calculations use SI base units internally:
+ * - Lengths and crack depths in mm
+ * - Pressures and stresses in MPa
+ * - Stress intensity factors and fracture toughness in MPa√m
+ *
+ * The stress intensity factor integrates the hoop stress distribution from
+ * generateStressField over the crack face with an edge crack weight function, so any
+ * stress field the core engine produces (pressure, end conditions, thermal) is handled.
+ */
+
+import { lameCoefficients, generateStressField } from './core.js';
+import { brent, findRoot } from './solver.js';
+
+/**
+ * Edge crack weight function coefficients for a half-plane (Tada, Paris & Irwin)
+ * m(x, a) = 2/√(2π(a - x)) · [1 + M1·(1 - x/a) + M2·(1 - x/a)²]
+ *
+ * Uniform stress gives K = 1.13·σ√(πa), within 1% above the exact 1.1215.
+ */
+const WEIGHT_FUNCTION = { M1: 0.6147, M2: 0.2502 };
+
+const SQRT_MM_PER_M = Math.sqrt(1000);
+
+/**
+ * Finite-thickness correction for an edge crack of relative depth α = a/t
+ *
+ * Ratio of the single edge notch tension factor (Tada) to its shallow crack limit 1.122.
+ * The free-bending plate is conservative for the ring-constrained cylinder wall.
+ *
+ * @param {number} alpha - Relative crack depth a/t, 0 ≤ α < 1
+ * @returns {number} Correction factor (≥ 1)
+ */
+export function finiteThicknessCorrection(alpha) {
+    if (alpha <= 0) {
+        return 1;
+    }
+    const beta = Math.PI * alpha / 2;
+    const F = Math.sqrt(Math.tan(beta) / beta) *
+        (0.752 + 2.02 * alpha + 0.37 * Math.pow(1 - Math.sin(beta), 3)) / Math.cos(beta);
+    return F / 1.122;
+}
+
+/**
+ * Calculate the mode I stress intensity factor for an internal axial crack of depth a
+ *
+ * K_I = ∫₀ᵃ σ_θ(ri + x)·m(x, a) dx, evaluated with the substitution a - x = w² to
+ * remove the crack tip singularity, then corrected for finite wall thickness.
+ *
+ * @param {number} a - Crack depth from the bore (mm)
+ * @param {Array} stressField - Points {r, sigma_theta} from generateStressField, sorted by r
+ * @param {Object} options - Options
+ * @param {number} options.crackFacePressure - Pressure acting on the crack faces (MPa), defaults to 0
+ * @param {number} options.integrationPoints - Simpson intervals (even), defaults to 200
+ * @returns {number} Stress intensity factor K_I (MPa√m)
+ * @throws {Error} If the crack depth is outside the wall
+ */
+export function stressIntensityFactor(a, stressField, options = {}) {
+    const { crackFacePressure = 0, integrationPoints = 200 } = options;
+    const ri = stressField[0].r;
+    const t = stressField[stressField.length - 1].r - ri;
+
+    if (!(a > 0) || a >= t) {
+        throw new Error('Crack depth must be between zero and the wall thickness');
+    }
+
+    const { M1, M2 } = WEIGHT_FUNCTION;
+    const sqrtA = Math.sqrt(a);
+    const n = integrationPoints % 2 === 0 ? integrationPoints : integrationPoints + 1;
+    const h = sqrtA / n;
+
+    // Simpson's rule over w ∈ [0, √a]
+    let sum = 0;
+    for (let i = 0; i <= n; i++) {
+        const w = i * h;
+        const s = w * w / a;
+        const sigma = interpolateHoopStress(stressField, ri + a - w * w) + crackFacePressure;
+        const value = sigma * (1 + M1 * s + M2 * s * s);
+        const weight = i === 0 || i === n ? 1 : (i % 2 === 0 ? 2 : 4);
+        sum += weight * value;
+    }
+    const integral = 4 / Math.sqrt(2 * Math.PI) * sum * h / 3;
+
+    return integral * finiteThicknessCorrection(a / t) / SQRT_MM_PER_M;
+}
+
+/**
+ * Calculate the stress intensity factor of a long axial through-wall crack
+ *
+ * K = σ_m·√(πc)·M with the Folias bulging factor M = √(1 + 1.255λ² - 0.0135λ⁴),
+ * λ = c/√(R_m·t), valid for λ ≤ 5
+ *
+ * @param {number} c - Crack half-length (mm)
+ * @param {number} sigma_m - Membrane hoop stress (MPa)
+ * @param {number} Rm - Mean radius (mm)
+ * @param {number} t - Wall thickness (mm)
+ * @returns {number} Stress intensity factor (MPa√m)
+ */
+export function throughWallStressIntensity(c, sigma_m, Rm, t) {
+    const lambda = Math.min(c / Math.sqrt(Rm * t), 5);
+    const M = Math.sqrt(1 + 1.255 * lambda * lambda - 0.0135 * Math.pow(lambda, 4));
+    return sigma_m * Math.sqrt(Math.PI * c) * M / SQRT_MM_PER_M;
+}
+
+/**
+ * Fracture mechanics assessment of the bore
+ *
+ * @param {Object} params - Fracture parameters
+ * @param {number} params.ri - Inner radius (mm)
+ * @param {number} params.ro - Outer radius (mm)
+ * @param {number} params.p_i - Internal pressure (MPa)
+ * @param {number} params.K_IC - Plane-strain fracture toughness (MPa√m)
+ * @param {Array} params.stressField - Optional stress field from generateStressField; generated
+ *   from the Lamé solution with axialOptions and thermal when omitted
+ * @param {Object} params.axialOptions - End condition options passed to generateStressField
+ * @param {Object} params.thermal - Optional thermal load passed to generateStressField
+ * @param {boolean} params.crackFacePressure - Apply bore pressure to the crack faces, defaults to true
+ * @param {number} params.crackDepth - Optional known crack depth to assess (mm)
+ * @param {number} params.maxDepthRatio - Deepest crack considered as a fraction of wall, defaults to 0.8
+ * @param {number} params.numPoints - Stress field points when generated, defaults to 200
+ * @returns {Object} Critical crack depth, K_I curve, optional assessment and leak-before-break result
+ * @throws {Error} If inputs are invalid
+ */
+export function analyzeFracture(params) {
+    const {
+        ri, ro, p_i, K_IC,
+        stressField: suppliedField,
+        axialOptions = {},
+        thermal = null,
+        crackFacePressure = true,
+        crackDepth,
+        maxDepthRatio = 0.8,
+        numPoints = 200
+    } = params;
+
+    try {
+        if (!(K_IC > 0)) {
+            throw new Error('Fracture toughness K_IC must be positive');
+        }
+        if (!(maxDepthRatio > 0 && maxDepthRatio < 1)) {
+            throw new Error('Maximum crack depth ratio must be between 0 and 1');
+        }
+
+        const t = ro - ri;
+        let stressField = suppliedField;
+        if (!stressField) {
+            const { A, B } = lameCoefficients(ri, ro, p_i, 0);
+            stressField = generateStressField(ri, ro, A, B, numPoints, axialOptions, thermal);
+        }
+
+        const sifOptions = { crackFacePressure: crackFacePressure ? p_i : 0 };
+        const K_at = a => stressIntensityFactor(a, stressField, sifOptions);
+
+        // K_I curve through the wall
+        const maxDepth = maxDepthRatio * t;
+        const samples = 40;
+        const curve = [];
+        for (let i = 1; i <= samples; i++) {
+            const a = maxDepth * i / samples;
+            curve.push({ a, K_I: K_at(a) });
+        }
+
+        // Critical depth: first crossing of K_IC, refined by Brent's method (K_I → 0 as a → 0)
+        let criticalDepth = null;
+        const crossing = curve.findIndex(point => point.K_I >= K_IC);
+        if (crossing >= 0) {
+            const a_low = crossing === 0 ? 0 : curve[crossing - 1].a;
+            const excessK = a => (a > 0 ? K_at(a) : 0) - K_IC;
+            criticalDepth = brent(excessK, a_low, curve[crossing].a, { tolerance: 1e-9 }).root;
+        }
+
+        // Optional assessment of a known flaw
+        let assessment = null;
+        if (crackDepth !== undefined && crackDepth !== null) {
+            const K_I = K_at(crackDepth);
+            assessment = {
+                a: crackDepth,
+                K_I,
+                safetyFactor: K_I > 0 ? K_IC / K_I : Infinity
+            };
+        }
+
+        return {
+            criticalDepth,
+            criticalDepthRatio: criticalDepth !== null ? criticalDepth / t : null,
+            K_IC,
+            curve,
+            assessment,
+            leakBeforeBreak: leakBeforeBreak(ri, ro, p_i, K_IC),
+            geometry: { ri, ro, p_i, t }
+        };
+    } catch (error) {
+        throw new Error(`Fracture analysis failed: ${error.message}`);
+    }
+}
+
+/**
+ * Leak-before-break check for an axial crack growing through the wall
+ *
+ * A surface crack breaks through with a length of about 2t. The vessel leaks rather
+ * than bursts if a through-wall crack of that length is stable, i.e. the critical
+ * through-wall half-length c_crit under the membrane hoop stress σ_m = p·ri/t is at
+ * least t.
+ *
+ * @param {number} ri - Inner radius (mm)
+ * @param {number} ro - Outer radius (mm)
+ * @param {number} p_i - Internal pressure (MPa)
+ * @param {number} K_IC - Fracture toughness (MPa√m)
+ * @returns {Object} {satisfied, criticalHalfLength, breakthroughHalfLength, membraneStress}
+ */
+function leakBeforeBreak(ri, ro, p_i, K_IC) {
+    const t = ro - ri;
+    const Rm = (ri + ro) / 2;
+    const sigma_m = p_i * ri / t;
+
+    if (sigma_m <= 0) {
+        return { satisfied: true, criticalHalfLength: Infinity, breakthroughHalfLength: t, membraneStress: sigma_m };
+    }
+
+    // Bracket the critical half-length by doubling from the wall thickness, then refine
+    let criticalHalfLength;
+    try {
+        criticalHalfLength = findRoot(c => throughWallStressIntensity(c, sigma_m, Rm, t) - K_IC, {
+            bracket: [0, t],
+            lowerBound: 0,
+            upperBound: 1e6,
+            tolerance: 1e-9
+        }).root;
+    } catch (error) {
+        // K_I stays below K_IC for any practical crack length
+        if (error.diagnostics?.reason !== 'no-bracket') {
+            throw error;
+        }
+        criticalHalfLength = Infinity;
+    }
+
+    return {
+        satisfied: criticalHalfLength >= t,
+        criticalHalfLength,
+        breakthroughHalfLength: t,
+        membraneStress: sigma_m
+    };
+}
+
+/**
+ * Linearly interpolate the hoop stress at radius r from a sorted stress field
+ *
+ * @param {Array} stressField - Points {r, sigma_theta} sorted by r
+ * @param {number} r - Radius (mm)
+ * @returns {number} Hoop stress (MPa)
+ */
+function interpolateHoopStress(stressField, r) {
+    if (r <= stressField[0].r) {
+        return stressField[0].sigma_theta;
+    }
+    const last = stressField.length - 1;
+    if (r >= stressField[last].r) {
+        return stressField[last].sigma_theta;
+    }
+
+    // Binary search for the bracketing interval
+    let low = 0;
+    let high = last;
+    while (high - low > 1) {
+        const mid = (low + high) >> 1;
+        if (stressField[mid].r <= r) {
+            low = mid;
+        } else {
+            high = mid;
+        }
+    }
+    const p1 = stressField[low];
+    const p2 = stressField[high];
+    return p1.sigma_theta + (p2.sigma_theta - p1.sigma_theta) * (r - p1.r) / (p2.r - p1.r);
+}
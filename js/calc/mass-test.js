@@ -0,0 +1,185 @@
+/**
+ * Unit Tests for Barrel Mass Properties Module
+ *
+ * Tests the mass, center of gravity and inertia integration including:
+ * - Closed-form results for a straight tube and a tapered barrel
+ * - Additivity across a step in the contour
+ * - Mass and inertia removed by flutes
+ * - Parallel axis consistency and error handling
+ */
+
+import { analyzeBarrelMass } from './mass.js';
+
+/**
+ * Test runner utility
+ */
+function runTests() {
+    console.log('Running Barrel Mass Properties Tests...\n');
+
+    let totalTests = 0;
+    let passedTests = 0;
+
+    function test(name, testFunction) {
+        totalTests++;
+        try {
+            testFunction();
+            console.log(`✅ ${name}`);
+            passedTests++;
+        } catch (error) {
+            console.error(`❌ ${name}: ${error.message}`);
+            console.error(error.stack);
+        }
+    }
+
+    function assertApproxEqual(actual, expected, tolerance = 1e-6, message = '') {
+        const diff = Math.abs(actual - expected);
+        if (diff > tolerance) {
+            throw new Error(`Expected ${expected}, got ${actual} (diff: ${diff}) ${message}`);
+        }
+    }
+
+    function assertThrows(fn, expectedMessage = '') {
+        try {
+            fn();
+            throw new Error('Expected function to throw an error');
+        } catch (error) {
+            if (expectedMessage && !error.message.includes(expectedMessage)) {
+                throw new Error(`Expected error containing "${expectedMessage}", got "${error.message}"`);
+            }
+        }
+    }
+
+    // 4140 steel, 30 mm OD, 8 mm bore, 600 mm long
+    const density = 7850;
+    const kgPerMm3 = density * 1e-9;
+    const tube = [
+        { position: 0, outerDiameter: 30, boreDiameter: 8 },
+        { position: 600, outerDiameter: 30, boreDiameter: 8 }
+    ];
+
+    // Test 1: Straight tube against closed-form results
+    test('Straight tube closed form', () => {
+        const result = analyzeBarrelMass({ stations: tube, density });
+        const mass = kgPerMm3 * Math.PI * (15 * 15 - 4 * 4) * 600;
+        assertApproxEqual(result.mass, mass, 1e-12, '(mass)');
+        assertApproxEqual(result.centerOfGravity, 300, 1e-9, '(center of gravity)');
+        assertApproxEqual(result.inertia.polar, mass * (15 * 15 + 4 * 4) / 2, 1e-9, '(polar)');
+        assertApproxEqual(result.inertia.transverse, mass * (3 * (15 * 15 + 4 * 4) + 600 * 600) / 12, 1e-6, '(transverse)');
+        assertApproxEqual(result.fluteMass, 0, 1e-15);
+    });
+
+    // Test 2: Tapered barrel against the cone frustum formulas
+    test('Tapered barrel closed form', () => {
+        const R1 = 12.5, R2 = 8, L = 500, ri = 3.9;
+        const result = analyzeBarrelMass({
+            stations: [
+                { position: 0, outerDiameter: 2 * R1, boreDiameter: 2 * ri },
+                { position: L, outerDiameter: 2 * R2, boreDiameter: 2 * ri }
+            ],
+            density
+        });
+        const outerVolume = Math.PI * L / 3 * (R1 * R1 + R1 * R2 + R2 * R2);
+        const boreVolume = Math.PI * ri * ri * L;
+        const outerCG = L * (R1 * R1 + 2 * R1 * R2 + 3 * R2 * R2) / (4 * (R1 * R1 + R1 * R2 + R2 * R2));
+        assertApproxEqual(result.volume, outerVolume - boreVolume, 1e-6, '(volume)');
+        assertApproxEqual(result.centerOfGravity, (outerVolume * outerCG - boreVolume * L / 2) / (outerVolume - boreVolume), 1e-9, '(center of gravity)');
+        // Polar moment of a solid frustum: (πρL/10)(R1⁵ - R2⁵)/(R1 - R2)
+        const polar = kgPerMm3 * (Math.PI * L / 10 * (R1 ** 5 - R2 ** 5) / (R1 - R2) - Math.PI / 2 * ri ** 4 * L);
+        assertApproxEqual(result.inertia.polar, polar, 1e-9, '(polar)');
+    });
+
+    // Test 3: A stepped contour is the sum of its sections
+    test('Step additivity', () => {
+        const shank = analyzeBarrelMass({ stations: [
+            { position: 0, outerDiameter: 30, boreDiameter: 8 },
+            { position: 100, outerDiameter: 30, boreDiameter: 8 }
+        ], density });
+        const taper = analyzeBarrelMass({ stations: [
+            { position: 100, outerDiameter: 22, boreDiameter: 8 },
+            { position: 600, outerDiameter: 16, boreDiameter: 8 }
+        ], density });
+        const stepped = analyzeBarrelMass({ stations: [
+            { position: 0, outerDiameter: 30, boreDiameter: 8 },
+            { position: 100, outerDiameter: 30, boreDiameter: 8 },
+            { position: 100, outerDiameter: 22, boreDiameter: 8 },
+            { position: 600, outerDiameter: 16, boreDiameter: 8 }
+        ], density });
+
+        assertApproxEqual(stepped.mass, shank.mass + taper.mass, 1e-12, '(mass)');
+        assertApproxEqual(stepped.centerOfGravity,
+            (shank.mass * shank.centerOfGravity + taper.mass * taper.centerOfGravity) / stepped.mass, 1e-9, '(center of gravity)');
+        assertApproxEqual(stepped.inertia.transverseBreech,
+            shank.inertia.transverseBreech + taper.inertia.transverseBreech, 1e-6, '(inertia about the breech)');
+    });
+
+    // Test 4: Flutes remove their volume and move the center of gravity back
+    test('Fluted barrel', () => {
+        const plain = analyzeBarrelMass({ stations: tube, density });
+        const flutes = [{ count: 6, width: 4, depth: 2, start: 300, end: 550 }];
+        const fluted = analyzeBarrelMass({ stations: tube, density, flutes });
+        const removed = kgPerMm3 * 6 * 4 * 2 * 250;
+
+        assertApproxEqual(fluted.fluteMass, removed, 1e-12, '(flute mass)');
+        assertApproxEqual(plain.mass - fluted.mass, removed, 1e-12, '(mass reduction)');
+        assertApproxEqual(plain.inertia.polar - fluted.inertia.polar, removed * 14 * 14, 1e-9, '(polar reduction)');
+        if (!(fluted.centerOfGravity < plain.centerOfGravity)) {
+            throw new Error('Fluting the muzzle half should move the center of gravity toward the breech');
+        }
+    });
+
+    // Test 5: Parallel axis theorem between the center of gravity and the breech face
+    test('Parallel axis consistency', () => {
+        const result = analyzeBarrelMass({
+            stations: [
+                { position: 0, outerDiameter: 30, boreDiameter: 12 },
+                { position: 60, outerDiameter: 30, boreDiameter: 7.85 },
+                { position: 60, outerDiameter: 22, boreDiameter: 7.85 },
+                { position: 560, outerDiameter: 15, boreDiameter: 7.62 }
+            ],
+            density,
+            flutes: [{ count: 6, width: 4, depth: 1.5, start: 150, end: 450 }]
+        });
+        assertApproxEqual(result.inertia.transverseBreech,
+            result.inertia.transverse + result.mass * result.centerOfGravity ** 2, 1e-6);
+        if (!(result.inertia.transverse > 0 && result.inertia.polar > 0)) {
+            throw new Error('Moments of inertia must be positive');
+        }
+        assertApproxEqual(result.length, 560, 1e-12);
+    });
+
+    // Test 6: Error handling
+    test('Error handling', () => {
+        assertThrows(() => analyzeBarrelMass({ stations: tube, density: 0 }), 'Density must be positive');
+        assertThrows(() => analyzeBarrelMass({ stations: tube, density, flutes: [{ count: 6, width: 4, depth: 12, start: 100, end: 200 }] }), 'cuts into the bore');
+        assertThrows(() => analyzeBarrelMass({ stations: tube, density, flutes: [{ count: 6, width: 4, depth: 2, start: 500, end: 700 }] }), 'within the contour');
+        assertThrows(() => analyzeBarrelMass({ stations: tube, density, flutes: [{ count: 40, width: 4, depth: 2, start: 100, end: 200 }] }), 'wider than the barrel circumference');
+        assertThrows(() => analyzeBarrelMass({ stations: [tube[0]], density }), 'at least two stations');
+
+        // Flutes that fit at the breech end of a taper but not toward the muzzle
+        const taper = [
+            { position: 0, outerDiameter: 30, boreDiameter: 8 },
+            { position: 600, outerDiameter: 12, boreDiameter: 8 }
+        ];
+        assertThrows(() => analyzeBarrelMass({ stations: taper, density, flutes: [{ count: 8, width: 4, depth: 1, start: 0, end: 600 }] }), 'circumference at 600 mm');
+        assertThrows(() => analyzeBarrelMass({ stations: taper, density, flutes: [{ count: 2, width: 4, depth: 2.5, start: 0, end: 600 }] }), 'cuts into the bore at 600 mm');
+    });
+
+    // Summary
+    console.log(`\n📊 Test Summary: ${passedTests}/${totalTests} tests passed`);
+
+    if (passedTests === totalTests) {
+        console.log('🎉 All tests passed!');
+    } else {
+        console.log(`❌ ${totalTests - passedTests} tests failed`);
+    }
+
+    return { total: totalTests, passed: passedTests };
+}
+
+// Export test runner for external use
+export { runTests };
+
+// Auto-run tests if this module is loaded directly
+if (import.meta.url === `file://${process?.argv?.[1]}` || typeof window !== 'undefined') {
+    runTests();
+}
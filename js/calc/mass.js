@@ -0,0 +1,184 @@
+/**
+ * Barrel Mass Properties Module
+ * Weight, center of gravity and mass moments of inertia of a contoured, optionally
+ * fluted barrel
+ *
+ * All calculations use SI base units internally:
+ * - Lengths, positions and diameters in mm
+ * - Density in kg/m³
+ * - Mass in kg, moments of inertia in kg·mm²
+ *
+ * The barrel is the solid of revolution of the contour (see contour.js), the bore removed.
+ * Radii vary linearly between stations, so the section area and its moments are polynomials
+ * in position of degree four or less, integrated exactly by three-point Gauss-Legendre
+ * quadrature on each interval between stations and flute ends.
+ *
+ * Flutes are straight, flat-bottomed and equally spaced around the barrel. Each removes a
+ * width × depth rectangle of the section centred a half depth below the OD, which is
+ * accurate for flutes narrow compared with the barrel diameter.
+ */
+
+import { validateContour, contourAt } from './contour.js';
+
+/**
+ * Three-point Gauss-Legendre abscissae and weights on [-1, 1]
+ */
+const GAUSS_POINTS = [
+    { x: -Math.sqrt(3 / 5), w: 5 / 9 },
+    { x: 0, w: 8 / 9 },
+    { x: Math.sqrt(3 / 5), w: 5 / 9 }
+];
+
+/**
+ * Check flute definitions against the contour
+ *
+ * @param {Array} flutes - Flute sets [{count, width, depth, start, end}] (mm)
+ * @param {Array} contour - Stations sorted by position
+ * @throws {Error} If a flute set is invalid or cuts into the bore
+ */
+export function validateFlutes(flutes, contour) {
+    const first = contour[0].position;
+    const last = contour[contour.length - 1].position;
+
+    flutes.forEach((flute, index) => {
+        const { count, width, depth, start, end } = flute;
+        if (!Number.isInteger(count) || count < 1) {
+            throw new Error(`Flute set ${index + 1}: count must be a positive integer`);
+        }
+        if (!(width > 0) || !(depth > 0)) {
+            throw new Error(`Flute set ${index + 1}: width and depth must be positive`);
+        }
+        if (!(start >= first) || !(end <= last) || !(end > start)) {
+            throw new Error(`Flute set ${index + 1}: must lie within the contour and have positive length`);
+        }
+
+        // Radii are linear between stations, so the section is smallest at a flute end or a station
+        const sections = [
+            contourAt(contour, start),
+            contourAt(contour, end),
+            ...contour.filter(s => s.position >= start && s.position <= end)
+        ];
+        sections.forEach(section => {
+            const ro = section.outerDiameter / 2;
+            const ri = section.boreDiameter / 2;
+            if (depth >= ro - ri) {
+                throw new Error(`Flute set ${index + 1}: depth cuts into the bore at ${section.position} mm`);
+            }
+            // Flutes must not meet at their bottoms, where the circumference is least
+            if (count * width >= 2 * Math.PI * (ro - depth)) {
+                throw new Error(`Flute set ${index + 1}: flutes are wider than the barrel circumference at ${section.position} mm`);
+            }
+        });
+    });
+}
+
+/**
+ * Properties of the barrel cross-section at a position
+ *
+ * The diametral moment is the area moment of inertia for bending about a diameter.
+ *
+ * @param {Object} section - {outerDiameter, boreDiameter} (mm)
+ * @param {Array} flutes - Flute sets covering this position
+ * @returns {Object} {area, polar, diametral} - area (mm²), polar ∫r²dA and diametral ∫y²dA (mm⁴)
+ */
+export function sectionProperties(section, flutes) {
+    const ro = section.outerDiameter / 2;
+    const ri = section.boreDiameter / 2;
+    const ro4 = ro ** 4;
+    const ri4 = ri ** 4;
+
+    let area = Math.PI * (ro * ro - ri * ri);
+    let polar = Math.PI / 2 * (ro4 - ri4);
+    let diametral = Math.PI / 4 * (ro4 - ri4);
+
+    flutes.forEach(({ count, width, depth }) => {
+        const removed = count * width * depth;
+        const rf = ro - depth / 2;
+        area -= removed;
+        polar -= removed * rf * rf;
+        // Equally spaced flutes average half their radial moment about any diameter
+        diametral -= removed * rf * rf / 2;
+    });
+
+    return { area, polar, diametral };
+}
+
+/**
+ * Barrel mass properties from its contour and material density
+ *
+ * @param {Object} params - Analysis parameters
+ * @param {Array} params.stations - Contour stations {position, outerDiameter, boreDiameter} (mm)
+ * @param {number} params.density - Material density (kg/m³)
+ * @param {Array} params.flutes - Flute sets [{count, width, depth, start, end}] (mm), defaults to none
+ * @returns {Object} {mass, volume, centerOfGravity, inertia, fluteMass, length}. The center of
+ *   gravity is measured from the breech face. Inertia holds the polar (axial) moment and the
+ *   transverse moments about the center of gravity and about the breech face (kg·mm²).
+ * @throws {Error} If inputs are invalid
+ */
+export function analyzeBarrelMass(params) {
+    const { stations, density, flutes = [] } = params;
+
+    try {
+        if (!(density > 0)) {
+            throw new Error('Density must be positive');
+        }
+
+        const contour = validateContour(stations);
+        validateFlutes(flutes, contour);
+
+        // Integrate between every station and flute end so each interval is polynomial
+        const breaks = [...new Set([
+            ...contour.map(s => s.position),
+            ...flutes.flatMap(f => [f.start, f.end])
+        ])].sort((a, b) => a - b);
+
+        let volume = 0;
+        let firstMoment = 0;
+        let secondMoment = 0;
+        let polar = 0;
+        let diametral = 0;
+        let fluteVolume = 0;
+
+        for (let i = 0; i < breaks.length - 1; i++) {
+            const a = breaks[i];
+            const b = breaks[i + 1];
+            const half = (b - a) / 2;
+            const mid = (a + b) / 2;
+            const active = flutes.filter(f => f.start <= mid && f.end >= mid);
+
+            GAUSS_POINTS.forEach(({ x: xi, w }) => {
+                const x = mid + half * xi;
+                const weight = w * half;
+                const section = sectionProperties(contourAt(contour, x), active);
+
+                volume += weight * section.area;
+                firstMoment += weight * section.area * x;
+                secondMoment += weight * section.area * x * x;
+                polar += weight * section.polar;
+                diametral += weight * section.diametral;
+                fluteVolume += weight * active.reduce((sum, f) => sum + f.count * f.width * f.depth, 0);
+            });
+        }
+
+        const kgPerMm3 = density * 1e-9;
+        const mass = volume * kgPerMm3;
+        const centerOfGravity = firstMoment / volume;
+        const transverseBreech = (diametral + secondMoment) * kgPerMm3;
+
+        return {
+            mass,
+            volume,
+            centerOfGravity,
+            inertia: {
+                polar: polar * kgPerMm3,
+                transverse: transverseBreech - mass * centerOfGravity * centerOfGravity,
+                transverseBreech
+            },
+            fluteMass: fluteVolume * kgPerMm3,
+            length: contour[contour.length - 1].position - contour[0].position,
+            density
+        };
+    } catch (error) {
+        throw new Error(`Mass analysis failed: ${error.message}`);
+    }
+}
@@ -0,0 +1,212 @@
+/**
+ * Unit Tests for Multi-Layer Composite Cylinder Module
+ *
+ * Tests the N-layer interface pressure solver including:
+ * - Reduction to the single cylinder Lamé solution
+ * - Classical two-cylinder shrink fit pressure
+ * - Monobloc equivalence of bonded layers without interference
+ * - Superposition of assembly and pressure loading
+ * - Shared axial strain for closed ends and generalized plane strain
+ * - Interface separation
+ * - Error handling
+ */
+
+import {
+    validateLayers,
+    interfacePressures,
+    analyzeMultilayer,
+    generateMultilayerStressField
+} from './multilayer.js';
+import { lameCoefficients, stresses } from './core.js';
+
+/**
+ * Test runner utility
+ */
+function runTests() {
+    console.log('Running Multi-Layer Cylinder Tests...\n');
+
+    let totalTests = 0;
+    let passedTests = 0;
+
+    function test(name, testFunction) {
+        totalTests++;
+        try {
+            testFunction();
+            console.log(`✅ ${name}`);
+            passedTests++;
+        } catch (error) {
+            console.error(`❌ ${name}: ${error.message}`);
+            console.error(error.stack);
+        }
+    }
+
+    function assertApproxEqual(actual, expected, tolerance = 1e-6, message = '') {
+        const diff = Math.abs(actual - expected);
+        if (diff > tolerance) {
+            throw new Error(`Expected ${expected}, got ${actual} (diff: ${diff}) ${message}`);
+        }
+    }
+
+    function assertThrows(fn, expectedMessage = '') {
+        try {
+            fn();
+            throw new Error('Expected function to throw an error');
+        } catch (error) {
+            if (expectedMessage && !error.message.includes(expectedMessage)) {
+                throw new Error(`Expected error containing "${expectedMessage}", got "${error.message}"`);
+            }
+        }
+    }
+
+    // Liner, barrel and shrunk jacket, all 4140 steel
+    const steel = { E: 200000, nu: 0.3, Sy: 655, Su: 827 };
+    const liner = { name: 'Liner', ri: 6, ro: 9, ...steel };
+    const barrel = { name: 'Barrel', ri: 9, ro: 15, ...steel, interference: 0 };
+    const jacket = { name: 'Jacket', ri: 15, ro: 22, ...steel, interference: 0 };
+
+    test('Single layer reduces to the Lamé solution', () => {
+        const p_i = 300;
+        const result = analyzeMultilayer({ layers: [liner], p_i });
+        const { A, B } = lameCoefficients(liner.ri, liner.ro, p_i, 0);
+        const expected = stresses(liner.ri, A, B);
+
+        assertApproxEqual(result.layers[0].inner.sigma_theta, expected.sigma_theta, 1e-9);
+        assertApproxEqual(result.layers[0].inner.sigma_r, -p_i, 1e-9);
+        if (result.interfaces.length !== 0) {
+            throw new Error('A single layer has no interfaces');
+        }
+    });
+
+    test('Two-layer shrink fit matches the classical formula', () => {
+        const delta = 0.01;
+        const a = barrel.ri;
+        const b = barrel.ro;
+        const c = jacket.ro;
+        const [q] = interfacePressures([barrel, { ...jacket, interference: delta }], 0);
+
+        // Same material, plane stress: p = E·δ·(b² - a²)(c² - b²) / (2b³(c² - a²))
+        const expected = steel.E * delta * (b * b - a * a) * (c * c - b * b) / (2 * b * b * b * (c * c - a * a));
+        assertApproxEqual(q, expected, 1e-9);
+        console.log(`    δ = ${delta} mm → ${q.toFixed(2)} MPa contact pressure`);
+    });
+
+    test('Bonded layers without interference behave as a monobloc', () => {
+        const p_i = 350;
+        const result = analyzeMultilayer({ layers: [liner, barrel, jacket], p_i, endCondition: 'plane-strain' });
+        const { A, B } = lameCoefficients(liner.ri, jacket.ro, p_i, 0);
+
+        result.interfaces.forEach(contact => {
+            assertApproxEqual(contact.pressure, -stresses(contact.radius, A, B).sigma_r, 1e-9);
+            assertApproxEqual(contact.preloadPressure, 0, 1e-12);
+        });
+        assertApproxEqual(result.layers[2].outer.sigma_theta, stresses(jacket.ro, A, B).sigma_theta, 1e-9);
+    });
+
+    test('Assembly and pressure loading superpose with continuous radial stress', () => {
+        const p_i = 400;
+        const layers = [liner, { ...barrel, interference: 0.008 }, { ...jacket, E: 110000, nu: 0.34, interference: 0.012 }];
+        const loaded = interfacePressures(layers, p_i);
+        const preload = interfacePressures(layers, 0);
+        const pressureOnly = interfacePressures(layers.map(layer => ({ ...layer, interference: 0 })), p_i);
+
+        loaded.forEach((q, k) => assertApproxEqual(q, preload[k] + pressureOnly[k], 1e-9));
+
+        const result = analyzeMultilayer({ layers, p_i });
+        for (let k = 0; k < result.interfaces.length; k++) {
+            assertApproxEqual(result.layers[k].outer.sigma_r, result.layers[k + 1].inner.sigma_r, 1e-9);
+            assertApproxEqual(result.layers[k].outer.sigma_r, -result.interfaces[k].pressure, 1e-9);
+        }
+    });
+
+    test('Governing layer and stress field cover the whole stack', () => {
+        const layers = [liner, { ...barrel, interference: 0.01 }, { ...jacket, Sy: 350, Su: 500, interference: 0.02 }];
+        const result = analyzeMultilayer({ layers, p_i: 300, numPointsPerLayer: 20 });
+
+        const minSF = Math.min(...result.layers.map(layer => layer.SF_y));
+        assertApproxEqual(result.safetyFactors.SF_y, minSF, 1e-12);
+        assertApproxEqual(result.layers[result.governingLayer].SF_y, minSF, 1e-12);
+
+        const field = generateMultilayerStressField(result.layers, 20);
+        if (field.length !== 60 || result.stressField.length !== 60) {
+            throw new Error(`Expected 60 field points, got ${field.length}`);
+        }
+        assertApproxEqual(field[0].r, liner.ri, 1e-12);
+        assertApproxEqual(field[59].r, jacket.ro, 1e-12);
+        console.log(`    Governing layer: ${result.layers[result.governingLayer].name}, SF = ${minSF.toFixed(2)}`);
+    });
+
+    test('Closed ends share the end load between bonded layers', () => {
+        const p_i = 300;
+        const result = analyzeMultilayer({ layers: [liner, barrel, jacket], p_i, endCondition: 'closed-end' });
+        const { A } = lameCoefficients(liner.ri, jacket.ro, p_i, 0);
+
+        // A monobloc split into layers keeps σz = p·ri²/(ro² - ri²) throughout
+        result.layers.forEach(layer => assertApproxEqual(layer.sigma_z, A, 1e-9, layer.name));
+
+        // Dissimilar layers share one axial strain and still balance the end load
+        const layers = [liner, { ...barrel, interference: 0.008 }, { ...jacket, E: 110000, nu: 0.34, interference: 0.012 }];
+        const mixed = analyzeMultilayer({ layers, p_i, endCondition: 'closed-end' });
+        const strain = mixed.loading.axialStrain;
+        const force = mixed.layers.reduce((sum, layer) => sum + layer.sigma_z * Math.PI * (layer.ro ** 2 - layer.ri ** 2), 0);
+        assertApproxEqual(force, p_i * Math.PI * liner.ri ** 2, 1e-6, '(end load)');
+        mixed.layers.forEach((layer, k) => {
+            assertApproxEqual(layer.sigma_z, layers[k].E * strain + 2 * layers[k].nu * layer.lameCoefficients.A, 1e-9, layer.name);
+        });
+
+        // Generalized plane strain holds the prescribed strain
+        const strained = analyzeMultilayer({ layers: [liner, barrel, jacket], p_i, endCondition: 'generalized-plane-strain', axialStrain: 5e-4 });
+        strained.layers.forEach(layer => {
+            assertApproxEqual(layer.sigma_z, steel.E * 5e-4 + 2 * steel.nu * layer.lameCoefficients.A, 1e-9, layer.name);
+        });
+        console.log(`    Closed-end shared axial strain: ${(strain * 1e6).toFixed(1)} µε`);
+    });
+
+    test('Separating layers open the interface and warn', () => {
+        // Under axial strain a liner with the larger Poisson's ratio shrinks away from the barrel
+        const layers = [{ ...liner, nu: 0.45 }, { ...barrel, nu: 0.1 }];
+        const loading = { p_i: 20, endCondition: 'generalized-plane-strain', axialStrain: 2e-3 };
+        const [bonded] = interfacePressures(layers, loading.p_i, 0, loading.endCondition, loading.axialStrain);
+        if (!(bonded < 0)) {
+            throw new Error(`Expected the bonded interface in tension, got ${bonded}`);
+        }
+
+        const result = analyzeMultilayer({ layers, ...loading });
+        if (!result.interfaces[0].separated || result.warnings.length !== 1 || !result.warnings[0].includes('separate under load')) {
+            throw new Error('Expected a separated interface and its warning');
+        }
+        assertApproxEqual(result.interfaces[0].pressure, 0, 0);
+        assertApproxEqual(result.layers[1].inner.sigma_r, 0, 1e-12);
+
+        // The liner carries the bore pressure alone
+        const { A, B } = lameCoefficients(liner.ri, liner.ro, loading.p_i, 0);
+        assertApproxEqual(result.layers[0].inner.sigma_theta, stresses(liner.ri, A, B).sigma_theta, 1e-9);
+    });
+
+    test('Error handling for invalid layer stacks', () => {
+        assertThrows(() => validateLayers([]), 'At least one layer');
+        assertThrows(() => validateLayers([liner, { ...barrel, ri: 9.5 }]), 'must equal the outer radius');
+        assertThrows(() => validateLayers([liner, { ...barrel, interference: -0.01 }]), 'interference');
+        assertThrows(() => validateLayers([liner, { ...barrel, E: 0 }]), 'elastic modulus');
+        assertThrows(() => analyzeMultilayer({ layers: [liner, barrel], p_i: 100, endCondition: 'sealed' }), 'Unknown end condition');
+        assertThrows(() => analyzeMultilayer({ layers: [liner], p_i: 100, failureCriterion: 'rankine' }), 'Unknown failure criterion');
+    });
+
+    // Summary
+    console.log(`\n📊 Test Summary: ${passedTests}/${totalTests} tests passed`);
+
+    if (passedTests === totalTests) {
+        console.log('🎉 All tests passed!');
+    } else {
+        console.log(`❌ ${totalTests - passedTests} tests failed`);
+    }
+
+    return { total: totalTests, passed: passedTests };
+}
+
+// Export test runner for external use
+export { runTests };
+
+// Auto-run tests if this module is loaded directly
+if (import.meta.url === `file://${process?.argv?.[1]}` || typeof window !== 'undefined') {
+    runTests();
+}
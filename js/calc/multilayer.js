@@ -0,0 +1,443 @@
+/**
+ * Multi-Layer Composite Cylinder Module
+ * Solves a stack of N concentric cylinders (liners, sleeves, shrunk jackets, trunnions)
+ * with individual materials and interference fits, giving all interface pressures
+ * simultaneously together with per-layer stresses and safety factors
+ *
+ * All calculations use SI base units internally:
+ * - Lengths and interferences in mm
+ * - Pressures in MPa
+ * - Stresses in MPa
+ * - Elastic modulus in MPa
+ * - Poisson's ratio dimensionless
+ *
+ * Each layer is a Lamé cylinder loaded by the pressures on its two faces. Radial
+ * displacement compatibility at every interface, u_outer(b) - u_inner(b) = δ, gives a
+ * tridiagonal linear system in the N - 1 interface pressures.
+ *
+ * Plane stress and open ends leave every layer free axially, and plane strain restrains
+ * each one. Under generalized plane strain the bonded layers share the prescribed axial
+ * strain; closed ends are solved the same way, with the shared strain that makes the
+ * layers' axial forces balance the end load. An interface that would carry tension is
+ * opened and the stack re-solved with no pressure across it.
+ */
+
+import {
+    lameCoefficients,
+    stresses,
+    axialStress,
+    strains,
+    vonMises,
+    evaluateFailureCriteria,
+    END_CONDITIONS
+} from './core.js';
+
+/**
+ * Calculate the axial stress in one layer
+ *
+ * Closed ends are taken as generalized plane strain at the shared axial strain.
+ *
+ * @param {number} A - Lamé coefficient A of the layer
+ * @param {Object} layer - Layer {E, nu}
+ * @param {string} endCondition - One of END_CONDITIONS
+ * @param {number} axialStrain - Shared axial strain for closed ends and generalized plane strain
+ * @returns {number} Axial stress σ_z (MPa)
+ */
+function layerAxialStress(A, layer, endCondition, axialStrain) {
+    return axialStress(A, {
+        endCondition: endCondition === 'closed-end' ? 'generalized-plane-strain' : endCondition,
+        nu: layer.nu,
+        E: layer.E,
+        axialStrain
+    });
+}
+
+/**
+ * Calculate the radial displacement at radius r of a single layer
+ *
+ * @param {number} r - Radius (mm)
+ * @param {Object} layer - Layer {ri, ro, E, nu}
+ * @param {number} p_inner - Pressure on the inner face (MPa)
+ * @param {number} p_outer - Pressure on the outer face (MPa)
+ * @param {string} endCondition - One of END_CONDITIONS
+ * @param {number} axialStrain - Shared axial strain, defaults to 0
+ * @returns {number} Radial displacement (mm)
+ */
+function layerDisplacement(r, layer, p_inner, p_outer, endCondition, axialStrain = 0) {
+    const { A, B } = lameCoefficients(layer.ri, layer.ro, p_inner, p_outer);
+    const sigma_z = layerAxialStress(A, layer, endCondition, axialStrain);
+    return r * strains({ ...stresses(r, A, B), sigma_z }, layer.E, layer.nu).epsilon_theta;
+}
+
+/**
+ * Solve a tridiagonal linear system with the Thomas algorithm
+ *
+ * @param {Array} lower - Sub-diagonal, lower[0] unused
+ * @param {Array} diag - Main diagonal
+ * @param {Array} upper - Super-diagonal, upper[n-1] unused
+ * @param {Array} rhs - Right-hand side
+ * @returns {Array} Solution vector
+ * @throws {Error} If the system is singular
+ */
+function solveTridiagonal(lower, diag, upper, rhs) {
+    const n = diag.length;
+    const c = new Array(n);
+    const d = new Array(n);
+
+    for (let i = 0; i < n; i++) {
+        const m = diag[i] - (i > 0 ? lower[i] * c[i - 1] : 0);
+        if (Math.abs(m) < 1e-300) {
+            throw new Error('Interface compatibility equations are singular');
+        }
+        c[i] = i < n - 1 ? upper[i] / m : 0;
+        d[i] = (rhs[i] - (i > 0 ? lower[i] * d[i - 1] : 0)) / m;
+    }
+
+    const x = new Array(n);
+    for (let i = n - 1; i >= 0; i--) {
+        x[i] = d[i] - (i < n - 1 ? c[i] * x[i + 1] : 0);
+    }
+    return x;
+}
+
+/**
+ * Validate a layer stack
+ *
+ * Layers are ordered from the bore outwards and share nominal interface radii, so
+ * layers[k].ri must equal layers[k - 1].ro. The fit is described separately by each
+ * layer's radial interference with the layer inside it.
+ *
+ * @param {Array} layers - Layers {ri, ro, E, nu, Sy, Su, interference}
+ * @returns {boolean} True if the stack is valid
+ * @throws {Error} If the stack is invalid
+ */
+export function validateLayers(layers) {
+    if (!Array.isArray(layers) || layers.length === 0) {
+        throw new Error('At least one layer is required');
+    }
+
+    layers.forEach((layer, index) => {
+        const label = layer.name || `Layer ${index + 1}`;
+        if (!(layer.ri > 0) || !(layer.ro > layer.ri)) {
+            throw new Error(`${label}: outer radius must be greater than a positive inner radius`);
+        }
+        if (!(layer.E > 0)) {
+            throw new Error(`${label}: elastic modulus must be positive`);
+        }
+        const nu = layer.nu ?? 0.3;
+        if (nu < 0 || nu >= 0.5) {
+            throw new Error(`${label}: Poisson's ratio must be between 0 and 0.5`);
+        }
+        if ((layer.interference ?? 0) < 0) {
+            throw new Error(`${label}: interference must be non-negative`);
+        }
+        if (index > 0 && Math.abs(layer.ri - layers[index - 1].ro) > 1e-6) {
+            throw new Error(`${label}: inner radius (${layer.ri}) must equal the outer radius of the layer inside it (${layers[index - 1].ro})`);
+        }
+    });
+
+    return true;
+}
+
+/**
+ * Solve the interface pressures of a layer stack at a given axial strain
+ *
+ * @param {Array} layers - Validated layers, ordered from the bore outwards
+ * @param {number} p_i - Bore pressure (MPa)
+ * @param {number} p_o - Pressure on the outermost surface (MPa)
+ * @param {string} endCondition - One of END_CONDITIONS
+ * @param {number} axialStrain - Shared axial strain for closed ends and generalized plane strain
+ * @param {Array} open - Flags for interfaces held open with no pressure across them
+ * @returns {Array} Interface pressures (MPa), positive in contact
+ */
+function solveInterfaces(layers, p_i, p_o, endCondition, axialStrain, open) {
+    const n = layers.length - 1;
+    if (n === 0) {
+        return [];
+    }
+
+    // Displacement influence coefficients per unit face pressure, and from the axial strain
+    const influence = layers.map(layer => ({
+        innerFromInner: layerDisplacement(layer.ri, layer, 1, 0, endCondition),
+        innerFromOuter: layerDisplacement(layer.ri, layer, 0, 1, endCondition),
+        outerFromInner: layerDisplacement(layer.ro, layer, 1, 0, endCondition),
+        outerFromOuter: layerDisplacement(layer.ro, layer, 0, 1, endCondition),
+        innerFromStrain: layerDisplacement(layer.ri, layer, 0, 0, endCondition, axialStrain),
+        outerFromStrain: layerDisplacement(layer.ro, layer, 0, 0, endCondition, axialStrain)
+    }));
+
+    const lower = new Array(n).fill(0);
+    const diag = new Array(n).fill(0);
+    const upper = new Array(n).fill(0);
+    const rhs = new Array(n).fill(0);
+
+    for (let k = 0; k < n; k++) {
+        if (open[k]) {
+            diag[k] = 1;
+            continue;
+        }
+
+        const inside = influence[k];
+        const outside = influence[k + 1];
+
+        diag[k] = outside.innerFromInner - inside.outerFromOuter;
+        rhs[k] = (layers[k + 1].interference ?? 0) - outside.innerFromStrain + inside.outerFromStrain;
+
+        if (k > 0) {
+            lower[k] = -inside.outerFromInner;
+        } else {
+            rhs[k] += inside.outerFromInner * p_i;
+        }
+
+        if (k < n - 1) {
+            upper[k] = outside.innerFromOuter;
+        } else {
+            rhs[k] -= outside.innerFromOuter * p_o;
+        }
+    }
+
+    return solveTridiagonal(lower, diag, upper, rhs);
+}
+
+/**
+ * Solve the interface pressures of a layer stack
+ *
+ * For interface k between layers k and k + 1 with radial interference δ_k:
+ * u_{k+1}(b_k; q_k, q_{k+1}) - u_k(b_k; q_{k-1}, q_k) = δ_k
+ * where the displacements are linear in the face pressures. The layers are taken as
+ * bonded, so a negative pressure is the tension needed to hold an interface closed.
+ *
+ * @param {Array} layers - Validated layers, ordered from the bore outwards
+ * @param {number} p_i - Bore pressure (MPa)
+ * @param {number} p_o - Pressure on the outermost surface (MPa)
+ * @param {string} endCondition - One of END_CONDITIONS, closed ends taken at axialStrain
+ * @param {number} axialStrain - Shared axial strain for closed ends and generalized plane
+ *   strain, defaults to 0
+ * @returns {Array} Interface pressures q_0 … q_{N-2} (MPa), positive in contact
+ */
+export function interfacePressures(layers, p_i, p_o = 0, endCondition = 'plane-stress', axialStrain = 0) {
+    return solveInterfaces(layers, p_i, p_o, endCondition, axialStrain, []);
+}
+
+/**
+ * Shared axial strain of a closed-end stack
+ *
+ * The axial force Σ σ_z·π(ro² - ri²) is linear in the shared strain, so two solutions
+ * fix the strain that balances the end load π(p_i·ri² - p_o·ro²).
+ *
+ * @param {Array} layers - Validated layers, ordered from the bore outwards
+ * @param {number} p_i - Bore pressure (MPa)
+ * @param {number} p_o - Pressure on the outermost surface (MPa)
+ * @param {Array} open - Flags for interfaces held open
+ * @returns {number} Axial strain
+ */
+function closedEndAxialStrain(layers, p_i, p_o, open) {
+    const force = axialStrain => {
+        const faces = [p_i, ...solveInterfaces(layers, p_i, p_o, 'closed-end', axialStrain, open), p_o];
+        return layers.reduce((sum, layer, k) => {
+            const area = layer.ro * layer.ro - layer.ri * layer.ri;
+            const A = (faces[k] * layer.ri * layer.ri - faces[k + 1] * layer.ro * layer.ro) / area;
+            return sum + layerAxialStress(A, layer, 'closed-end', axialStrain) * Math.PI * area;
+        }, 0);
+    };
+
+    const endLoad = Math.PI * (p_i * layers[0].ri ** 2 - p_o * layers[layers.length - 1].ro ** 2);
+    const trialStrain = 1e-3;
+    const unstrained = force(0);
+    return trialStrain * (endLoad - unstrained) / (force(trialStrain) - unstrained);
+}
+
+/**
+ * Solve the contact state of a layer stack
+ *
+ * Interfaces found in tension are opened one pass at a time until every remaining
+ * interface is in contact.
+ *
+ * @param {Array} layers - Validated layers, ordered from the bore outwards
+ * @param {number} p_i - Bore pressure (MPa)
+ * @param {number} p_o - Pressure on the outermost surface (MPa)
+ * @param {string} endCondition - One of END_CONDITIONS
+ * @param {number} axialStrain - Prescribed axial strain for generalized plane strain
+ * @returns {Object} {pressures, open, axialStrain} with the shared axial strain solved for closed ends
+ */
+function contactState(layers, p_i, p_o, endCondition, axialStrain) {
+    const open = new Array(layers.length - 1).fill(false);
+
+    for (let pass = 0; pass < layers.length; pass++) {
+        const strain = endCondition === 'closed-end' ? closedEndAxialStrain(layers, p_i, p_o, open) : axialStrain;
+        const pressures = solveInterfaces(layers, p_i, p_o, endCondition, strain, open);
+        const separating = pressures.map(pressure => pressure < 0);
+        if (!separating.some(Boolean)) {
+            return { pressures, open, axialStrain: strain };
+        }
+        separating.forEach((separates, k) => {
+            open[k] = open[k] || separates;
+        });
+    }
+
+    throw new Error('Interface contact did not settle');
+}
+
+/**
+ * Stresses and safety factors of one layer under its face pressures
+ *
+ * @param {Object} layer - Layer {ri, ro, E, nu, Sy, Su}
+ * @param {number} p_inner - Pressure on the inner face (MPa)
+ * @param {number} p_outer - Pressure on the outer face (MPa)
+ * @param {Object} options - {endCondition, axialStrain, failureCriterion, compressiveStrengthRatio}
+ * @returns {Object} Layer result
+ */
+function solveLayer(layer, p_inner, p_outer, options) {
+    const { endCondition, axialStrain, failureCriterion, compressiveStrengthRatio } = options;
+    const { A, B } = lameCoefficients(layer.ri, layer.ro, p_inner, p_outer);
+    const sigma_z = layerAxialStress(A, layer, endCondition, axialStrain);
+
+    const surface = r => {
+        const state = { ...stresses(r, A, B), sigma_z };
+        const failure = evaluateFailureCriteria(state, layer.Sy, layer.Su, { compressiveStrengthRatio });
+        if (!failure.criteria[failureCriterion]) {
+            throw new Error(`Unknown failure criterion: ${failureCriterion}`);
+        }
+        return {
+            ...state,
+            sigma_vm: vonMises(state.sigma_r, state.sigma_theta, sigma_z),
+            failureCriteria: failure,
+            ...failure.criteria[failureCriterion]
+        };
+    };
+
+    const inner = surface(layer.ri);
+    const outer = surface(layer.ro);
+    const critical = outer.SF_y < inner.SF_y ? outer : inner;
+
+    return {
+        name: layer.name,
+        ri: layer.ri,
+        ro: layer.ro,
+        p_inner,
+        p_outer,
+        lameCoefficients: { A, B },
+        sigma_z,
+        inner,
+        outer,
+        criticalLocation: critical === inner ? 'inner' : 'outer',
+        SF_y: critical.SF_y,
+        SF_u: critical.SF_u
+    };
+}
+
+/**
+ * Multi-layer composite cylinder analysis
+ *
+ * @param {Object} params - Analysis parameters
+ * @param {Array} params.layers - Layers ordered from the bore outwards, each
+ *   {name, ri, ro, E, nu, Sy, Su, interference}. interference is the radial interference
+ *   (mm) with the layer inside it and is ignored for the innermost layer.
+ * @param {number} params.p_i - Bore pressure (MPa)
+ * @param {number} params.p_o - Pressure on the outermost surface (MPa), defaults to 0
+ * @param {string} params.endCondition - One of END_CONDITIONS, defaults to 'plane-stress'
+ * @param {number} params.axialStrain - Prescribed axial strain for generalized plane strain, defaults to 0
+ * @param {string} params.failureCriterion - Criterion for the safety factors, defaults to 'von-mises'
+ * @param {number} params.compressiveStrengthRatio - Mohr-Coulomb Sc/St ratio, defaults to 1
+ * @param {number} params.numPointsPerLayer - Stress field points per layer, defaults to 50
+ * @returns {Object} Interface pressures, per-layer results, governing layer and stress field.
+ *   loading.axialStrain is the shared axial strain, solved from the end load for closed ends.
+ * @throws {Error} If inputs are invalid
+ */
+export function analyzeMultilayer(params) {
+    const {
+        layers: inputLayers,
+        p_i,
+        p_o = 0,
+        endCondition = 'plane-stress',
+        axialStrain = 0,
+        failureCriterion = 'von-mises',
+        compressiveStrengthRatio = 1,
+        numPointsPerLayer = 50
+    } = params;
+
+    try {
+        validateLayers(inputLayers);
+        if (!END_CONDITIONS.includes(endCondition)) {
+            throw new Error(`Unknown end condition: ${endCondition}`);
+        }
+
+        const layers = inputLayers.map((layer, index) => ({
+            ...layer,
+            name: layer.name || `Layer ${index + 1}`,
+            nu: layer.nu ?? 0.3,
+            interference: index > 0 ? (layer.interference ?? 0) : 0
+        }));
+
+        // Assembly (interference only, no applied axial strain) and operating contact states
+        const preload = contactState(layers, 0, 0, endCondition, 0);
+        const operating = contactState(layers, p_i, p_o, endCondition, axialStrain);
+
+        const interfaces = operating.pressures.map((pressure, k) => ({
+            radius: layers[k].ro,
+            interference: layers[k + 1].interference,
+            preloadPressure: preload.pressures[k],
+            pressure,
+            separated: operating.open[k]
+        }));
+
+        const faces = [p_i, ...operating.pressures, p_o];
+        const options = {
+            endCondition,
+            axialStrain: operating.axialStrain,
+            failureCriterion,
+            compressiveStrengthRatio
+        };
+        const layerResults = layers.map((layer, index) => solveLayer(layer, faces[index], faces[index + 1], options));
+
+        const governing = layerResults.reduce((min, layer) => layer.SF_y < min.SF_y ? layer : min);
+
+        const warnings = [];
+        interfaces.forEach((contact, k) => {
+            if (contact.separated) {
+                warnings.push(`${layers[k].name} and ${layers[k + 1].name} separate under load; the gap carries no pressure`);
+            }
+        });
+
+        return {
+            interfaces,
+            layers: layerResults,
+            governingLayer: layerResults.indexOf(governing),
+            safetyFactors: { SF_y: governing.SF_y, SF_u: governing.SF_u },
+            stressField: generateMultilayerStressField(layerResults, numPointsPerLayer),
+            warnings,
+            loading: { p_i, p_o, endCondition, axialStrain: operating.axialStrain, failureCriterion }
+        };
+    } catch (error) {
+        throw new Error(`Multilayer analysis failed: ${error.message}`);
+    }
+}
+
+/**
+ * Generate the through-thickness stress field of a solved layer stack
+ *
+ * @param {Array} layerResults - Layers from analyzeMultilayer
+ * @param {number} numPointsPerLayer - Points per layer, defaults to 50
+ * @returns {Array} Points {r, layer, sigma_r, sigma_theta, sigma_z, sigma_vm}
+ */
+export function generateMultilayerStressField(layerResults, numPointsPerLayer = 50) {
+    const field = [];
+
+    layerResults.forEach((layer, index) => {
+        const { A, B } = layer.lameCoefficients;
+        for (let i = 0; i < numPointsPerLayer; i++) {
+            const r = layer.ri + (layer.ro - layer.ri) * i / (numPointsPerLayer - 1);
+            const { sigma_r, sigma_theta } = stresses(r, A, B);
+            field.push({
+                r,
+                layer: index,
+                sigma_r,
+                sigma_theta,
+                sigma_z: layer.sigma_z,
+                sigma_vm: vonMises(sigma_r, sigma_theta, layer.sigma_z)
+            });
+        }
+    });
+
+    return field;
+}
@@ -0,0 +1,166 @@
+/**
+ * Unit Tests for Composite Overwrap Analysis Module
+ *
+ * Tests the steel liner with orthotropic composite overwrap including:
+ * - Agreement with the multi-layer solver for an isotropic wrap
+ * - Lekhnitskii ring solution, equilibrium and boundary conditions
+ * - Maximum stress and Tsai-Wu ply failure indices
+ * - Liner relief from the wrap and winding preload
+ * - Error handling
+ */
+
+import {
+    COMPOSITE_MATERIALS,
+    orthotropicCoefficients,
+    orthotropicStresses,
+    plyFailureIndices,
+    analyzeOverwrap
+} from './overwrap.js';
+import { analyzeMultilayer } from './multilayer.js';
+import { analyzeCircle, lameCoefficients } from './core.js';
+
+/**
+ * Test runner utility
+ */
+function runTests() {
+    console.log('Running Composite Overwrap Tests...\n');
+
+    let totalTests = 0;
+    let passedTests = 0;
+
+    function test(name, testFunction) {
+        totalTests++;
+        try {
+            testFunction();
+            console.log(`✅ ${name}`);
+            passedTests++;
+        } catch (error) {
+            console.error(`❌ ${name}: ${error.message}`);
+            console.error(error.stack);
+        }
+    }
+
+    function assertApproxEqual(actual, expected, tolerance = 1e-6, message = '') {
+        const diff = Math.abs(actual - expected);
+        if (diff > tolerance) {
+            throw new Error(`Expected ${expected}, got ${actual} (diff: ${diff}) ${message}`);
+        }
+    }
+
+    function assertThrows(fn, expectedMessage = '') {
+        try {
+            fn();
+            throw new Error('Expected function to throw an error');
+        } catch (error) {
+            if (expectedMessage && !error.message.includes(expectedMessage)) {
+                throw new Error(`Expected error containing "${expectedMessage}", got "${error.message}"`);
+            }
+        }
+    }
+
+    // 4140 liner over a 6 mm bore wrapped with T700 carbon to 30 mm OD
+    const liner = { ri: 3.2, ro: 9, E: 200000, nu: 0.3, Sy: 655, Su: 827 };
+    const p_i = 380;
+
+    test('Isotropic wrap reproduces the multi-layer solver', () => {
+        const wrap = { ro: 15, E_theta: 110000, E_r: 110000, nu_thetar: 0.34, Xt: 900, Xc: 900, Yt: 900, Yc: 900 };
+        const delta = 0.01;
+        const result = analyzeOverwrap({ liner, composite: wrap, p_i, interference: delta });
+        const layered = analyzeMultilayer({
+            layers: [liner, { ri: liner.ro, ro: wrap.ro, E: wrap.E_theta, nu: wrap.nu_thetar, Sy: 800, Su: 900, interference: delta }],
+            p_i
+        });
+
+        assertApproxEqual(result.interfacePressure, layered.interfaces[0].pressure, 1e-9);
+        assertApproxEqual(result.preloadPressure, layered.interfaces[0].preloadPressure, 1e-9);
+        assertApproxEqual(result.liner.safetyFactors.SF_y, layered.layers[0].SF_y, 1e-9);
+    });
+
+    test('Orthotropic coefficients reduce to Lamé for k = 1', () => {
+        const isotropic = { E_theta: 200000, E_r: 200000 };
+        const { C1, C2, k } = orthotropicCoefficients(liner.ri, liner.ro, p_i, 20, isotropic);
+        const { A, B } = lameCoefficients(liner.ri, liner.ro, p_i, 20);
+
+        assertApproxEqual(k, 1, 1e-12);
+        assertApproxEqual(C1, A, 1e-9);
+        assertApproxEqual(C2, -B, 1e-6);
+    });
+
+    test('Orthotropic ring satisfies equilibrium and boundary conditions', () => {
+        const result = analyzeOverwrap({ liner, composite: { ro: 15, material: 't700-epoxy' }, p_i });
+        const composite = result.material.composite;
+        const coefficients = orthotropicCoefficients(liner.ro, 15, result.interfacePressure, 0, composite);
+
+        // dσ_r/dr + (σ_r - σ_θ)/r = 0 by central difference
+        const r = 12;
+        const h = 1e-4;
+        const dSigma = (orthotropicStresses(r + h, coefficients, composite).sigma_r -
+            orthotropicStresses(r - h, coefficients, composite).sigma_r) / (2 * h);
+        const { sigma_r, sigma_theta } = orthotropicStresses(r, coefficients, composite);
+        assertApproxEqual(dSigma + (sigma_r - sigma_theta) / r, 0, 1e-5);
+
+        assertApproxEqual(result.liner.outer.sigma_r, -result.interfacePressure, 1e-9);
+        assertApproxEqual(result.composite.inner.sigma_r, -result.interfacePressure, 1e-9);
+        assertApproxEqual(result.composite.outer.sigma_r, 0, 1e-9);
+        console.log(`    p_c = ${result.interfacePressure.toFixed(1)} MPa, k = ${result.composite.anisotropyRatio.toFixed(2)}`);
+    });
+
+    test('Ply failure indices reach one at the uniaxial strengths', () => {
+        const strengths = COMPOSITE_MATERIALS['t700-epoxy'];
+        [[strengths.Xt, 0], [-strengths.Xc, 0], [0, strengths.Yt], [0, -strengths.Yc]].forEach(([sigma_theta, sigma_r]) => {
+            const indices = plyFailureIndices(sigma_theta, sigma_r, strengths);
+            assertApproxEqual(indices.tsaiWu, 1, 1e-9);
+            assertApproxEqual(indices.maxStress, 1, 1e-12);
+            assertApproxEqual(indices.strengthRatio, 1, 1e-9);
+        });
+
+        const half = plyFailureIndices(strengths.Xt / 2, 0, strengths);
+        assertApproxEqual(half.strengthRatio, 2, 1e-9);
+        if (half.mode !== 'fibre') {
+            throw new Error(`Expected fibre mode, got ${half.mode}`);
+        }
+    });
+
+    test('Carbon wrap and winding tension relieve the liner', () => {
+        const bare = analyzeCircle({ ri: liner.ri, ro: liner.ro, p_i, Sy: liner.Sy, Su: liner.Su });
+        const wrapped = analyzeOverwrap({ liner, composite: { ro: 15, material: 't700-epoxy' }, p_i });
+        const tensioned = analyzeOverwrap({ liner, composite: { ro: 15, material: 't700-epoxy' }, p_i, interference: 0.005 });
+
+        if (!(wrapped.liner.safetyFactors.SF_y > bare.safetyFactors.SF_y)) {
+            throw new Error('Overwrap should raise the liner safety factor');
+        }
+        assertApproxEqual(tensioned.interfacePressure, wrapped.interfacePressure + tensioned.preloadPressure, 1e-9);
+        if (!(tensioned.liner.safetyFactors.SF_y > wrapped.liner.safetyFactors.SF_y)) {
+            throw new Error('Winding preload should raise the liner safety factor');
+        }
+        console.log(`    Liner SF ${bare.safetyFactors.SF_y.toFixed(2)} bare → ${wrapped.liner.safetyFactors.SF_y.toFixed(2)} wrapped, ` +
+            `Tsai-Wu ${wrapped.composite.tsaiWu.toFixed(3)}`);
+    });
+
+    test('Error handling for invalid overwrap inputs', () => {
+        assertThrows(() => analyzeOverwrap({ liner, composite: { ro: 15, material: 'kevlar' }, p_i }), 'Unknown composite');
+        assertThrows(() => analyzeOverwrap({ liner, composite: { ro: 8, material: 't700-epoxy' }, p_i }), 'Overwrap outer radius');
+        assertThrows(() => analyzeOverwrap({ liner, composite: { ro: 15, material: 't700-epoxy', Yt: 0 }, p_i }), 'Ply strengths');
+        assertThrows(() => analyzeOverwrap({ liner, composite: { ro: 15, material: 't700-epoxy' }, p_i, interference: -0.01 }), 'Interference');
+        assertThrows(() => analyzeOverwrap({ liner: { ...liner, E: 0 }, composite: { ro: 15, material: 't700-epoxy' }, p_i }), 'Elastic moduli');
+    });
+
+    // Summary
+    console.log(`\n📊 Test Summary: ${passedTests}/${totalTests} tests passed`);
+
+    if (passedTests === totalTests) {
+        console.log('🎉 All tests passed!');
+    } else {
+        console.log(`❌ ${totalTests - passedTests} tests failed`);
+    }
+
+    return { total: totalTests, passed: passedTests };
+}
+
+// Export test runner for external use
+export { runTests };
+
+// Auto-run tests if this module is loaded directly
+if (import.meta.url === `file://${process?.argv?.[1]}` || typeof window !== 'undefined') {
+    runTests();
+}
@@ -0,0 +1,252 @@
+/**
+ * Composite Overwrap Analysis Module
+ * Steel liner (Lamé) wrapped with a cylindrically orthotropic hoop-wound composite layer,
+ * with interface pressure, liner von Mises safety factors and composite ply failure indices
+ *
+ * All calculations use SI base units internally:
+ * - Lengths and interferences in mm
+ * - Pressures in MPa
+ * - Stresses, moduli and ply strengths in MPa
+ *
+ * Both layers are in plane stress (open ends, σ_z = 0). The composite follows the
+ * Lekhnitskii solution for a cylindrically orthotropic ring:
+ * σ_r = C1·r^(k-1) + C2·r^(-k-1), σ_θ = k·C1·r^(k-1) - k·C2·r^(-k-1), k = √(E_θ/E_r)
+ */
+
+import { lameCoefficients, stresses, strains, vonMises, evaluateFailureCriteria } from './core.js';
+
+/**
+ * Typical unidirectional hoop-wound ply properties (≈60% fibre volume)
+ * E_theta: fibre direction, E_r: transverse, nu_thetar: major Poisson's ratio,
+ * Xt/Xc: fibre tension/compression strength, Yt/Yc: transverse tension/compression strength
+ */
+export const COMPOSITE_MATERIALS = {
+    't700-epoxy': { name: 'T700 Carbon/Epoxy', E_theta: 132000, E_r: 9000, nu_thetar: 0.3, Xt: 2150, Xc: 1200, Yt: 50, Yc: 180 },
+    'im7-epoxy': { name: 'IM7 Carbon/Epoxy', E_theta: 165000, E_r: 8400, nu_thetar: 0.34, Xt: 2560, Xc: 1590, Yt: 73, Yc: 185 },
+    't300-epoxy': { name: 'T300 Carbon/Epoxy', E_theta: 135000, E_r: 10000, nu_thetar: 0.3, Xt: 1500, Xc: 1200, Yt: 50, Yc: 250 },
+    'e-glass-epoxy': { name: 'E-Glass/Epoxy', E_theta: 39000, E_r: 8600, nu_thetar: 0.28, Xt: 1080, Xc: 620, Yt: 39, Yc: 128 }
+};
+
+/**
+ * Calculate the stress coefficients of an orthotropic ring under face pressures
+ *
+ * @param {number} ri - Inner radius (mm)
+ * @param {number} ro - Outer radius (mm)
+ * @param {number} p_i - Inner pressure (MPa)
+ * @param {number} p_o - Outer pressure (MPa)
+ * @param {Object} composite - Ply properties {E_theta, E_r}
+ * @returns {Object} {C1, C2, k}
+ */
+export function orthotropicCoefficients(ri, ro, p_i, p_o, composite) {
+    const k = Math.sqrt(composite.E_theta / composite.E_r);
+
+    // σ_r(ri) = -p_i and σ_r(ro) = -p_o
+    const a11 = Math.pow(ri, k - 1);
+    const a12 = Math.pow(ri, -k - 1);
+    const a21 = Math.pow(ro, k - 1);
+    const a22 = Math.pow(ro, -k - 1);
+    const det = a11 * a22 - a12 * a21;
+
+    return {
+        C1: (-p_i * a22 + p_o * a12) / det,
+        C2: (-p_o * a11 + p_i * a21) / det,
+        k
+    };
+}
+
+/**
+ * Calculate orthotropic ring stresses and radial displacement at radius r
+ *
+ * u = r·ε_θ with ε_θ = σ_θ/E_θ - ν_θr·σ_r/E_θ, using the reciprocal relation
+ * ν_rθ/E_r = ν_θr/E_θ
+ *
+ * @param {number} r - Radius (mm)
+ * @param {Object} coefficients - {C1, C2, k} from orthotropicCoefficients
+ * @param {Object} composite - Ply properties {E_theta, nu_thetar}
+ * @returns {Object} {sigma_r, sigma_theta, u}
+ */
+export function orthotropicStresses(r, coefficients, composite) {
+    const { C1, C2, k } = coefficients;
+    const sigma_r = C1 * Math.pow(r, k - 1) + C2 * Math.pow(r, -k - 1);
+    const sigma_theta = k * C1 * Math.pow(r, k - 1) - k * C2 * Math.pow(r, -k - 1);
+    const epsilon_theta = (sigma_theta - composite.nu_thetar * sigma_r) / composite.E_theta;
+
+    return { sigma_r, sigma_theta, u: r * epsilon_theta };
+}
+
+/**
+ * Calculate ply failure indices for the hoop (fibre) and radial (transverse) stresses
+ *
+ * Maximum stress: the largest ratio of stress to the strength in its sign and direction.
+ * Tsai-Wu: F1·σ1 + F2·σ2 + F11·σ1² + F22·σ2² + 2·F12·σ1·σ2 with F12 = -½√(F11·F22).
+ * Both fail at 1. The Tsai-Wu strength ratio R scales the stresses to the failure surface.
+ *
+ * @param {number} sigma_theta - Hoop (fibre direction) stress (MPa)
+ * @param {number} sigma_r - Radial (transverse) stress (MPa)
+ * @param {Object} strengths - {Xt, Xc, Yt, Yc} (MPa, all positive)
+ * @returns {Object} {maxStress, tsaiWu, strengthRatio, mode}
+ */
+export function plyFailureIndices(sigma_theta, sigma_r, strengths) {
+    const { Xt, Xc, Yt, Yc } = strengths;
+
+    const fibre = sigma_theta >= 0 ? sigma_theta / Xt : -sigma_theta / Xc;
+    const transverse = sigma_r >= 0 ? sigma_r / Yt : -sigma_r / Yc;
+
+    const F1 = 1 / Xt - 1 / Xc;
+    const F2 = 1 / Yt - 1 / Yc;
+    const F11 = 1 / (Xt * Xc);
+    const F22 = 1 / (Yt * Yc);
+    const F12 = -0.5 * Math.sqrt(F11 * F22);
+
+    const linear = F1 * sigma_theta + F2 * sigma_r;
+    const quadratic = F11 * sigma_theta * sigma_theta + F22 * sigma_r * sigma_r + 2 * F12 * sigma_theta * sigma_r;
+
+    // a·R² + b·R - 1 = 0
+    let strengthRatio;
+    if (quadratic > 0) {
+        strengthRatio = (-linear + Math.sqrt(linear * linear + 4 * quadratic)) / (2 * quadratic);
+    } else {
+        strengthRatio = linear > 0 ? 1 / linear : Infinity;
+    }
+
+    return {
+        maxStress: Math.max(fibre, transverse),
+        tsaiWu: linear + quadratic,
+        strengthRatio,
+        mode: fibre >= transverse ? 'fibre' : 'transverse'
+    };
+}
+
+/**
+ * Composite overwrapped barrel analysis
+ *
+ * @param {Object} params - Analysis parameters
+ * @param {Object} params.liner - Steel liner {ri, ro, E, nu, Sy, Su}
+ * @param {Object} params.composite - Overwrap {ro, E_theta, E_r, nu_thetar, Xt, Xc, Yt, Yc}, or
+ *   {ro, material} naming one of COMPOSITE_MATERIALS with optional overrides
+ * @param {number} params.p_i - Bore pressure (MPa)
+ * @param {number} params.interference - Radial interference from winding tension (mm), defaults to 0
+ * @param {string} params.failureCriterion - Liner failure criterion, defaults to 'von-mises'
+ * @param {number} params.compressiveStrengthRatio - Mohr-Coulomb Sc/St ratio, defaults to 1
+ * @param {number} params.numPoints - Points per layer in the stress field, defaults to 50
+ * @returns {Object} Interface pressure, liner safety factors, composite failure indices and stress field
+ * @throws {Error} If inputs are invalid
+ */
+export function analyzeOverwrap(params) {
+    const {
+        liner,
+        composite: compositeInput,
+        p_i,
+        interference = 0,
+        failureCriterion = 'von-mises',
+        compressiveStrengthRatio = 1,
+        numPoints = 50
+    } = params;
+
+    try {
+        const preset = compositeInput.material ? COMPOSITE_MATERIALS[compositeInput.material] : {};
+        if (!preset) {
+            throw new Error(`Unknown composite material: ${compositeInput.material}`);
+        }
+        const composite = { ...preset, ...compositeInput, ri: liner.ro };
+        const linerNu = liner.nu ?? 0.3;
+
+        if (!(liner.ri > 0) || !(liner.ro > liner.ri)) {
+            throw new Error('Liner outer radius must be greater than a positive inner radius');
+        }
+        if (!(composite.ro > composite.ri)) {
+            throw new Error('Overwrap outer radius must be greater than the liner outer radius');
+        }
+        if (!(liner.E > 0) || !(composite.E_theta > 0) || !(composite.E_r > 0)) {
+            throw new Error('Elastic moduli must be positive');
+        }
+        if (!(composite.nu_thetar >= 0 && composite.nu_thetar < 1)) {
+            throw new Error('Composite Poisson\'s ratio must be between 0 and 1');
+        }
+        if (['Xt', 'Xc', 'Yt', 'Yc'].some(key => !(composite[key] > 0))) {
+            throw new Error('Ply strengths Xt, Xc, Yt and Yc must be positive');
+        }
+        if (interference < 0) {
+            throw new Error('Interference must be non-negative');
+        }
+
+        const b = liner.ro;
+        const linerDisplacement = (p_inner, p_outer) => {
+            const { A, B } = lameCoefficients(liner.ri, b, p_inner, p_outer);
+            return b * strains({ ...stresses(b, A, B), sigma_z: 0 }, liner.E, linerNu).epsilon_theta;
+        };
+        const wrapDisplacement = p_inner => orthotropicStresses(
+            b, orthotropicCoefficients(b, composite.ro, p_inner, 0, composite), composite
+        ).u;
+
+        // u_wrap(b; p_c) - u_liner(b; p_i, p_c) = δ, linear in p_c
+        const gap0 = wrapDisplacement(0) - linerDisplacement(p_i, 0);
+        const compliance = wrapDisplacement(1) - linerDisplacement(0, 1);
+        const interfacePressure = (interference - gap0) / compliance;
+
+        // Liner stresses and safety factors
+        const { A, B } = lameCoefficients(liner.ri, b, p_i, interfacePressure);
+        const linerSurface = r => {
+            const state = { ...stresses(r, A, B), sigma_z: 0 };
+            const failure = evaluateFailureCriteria(state, liner.Sy, liner.Su, { compressiveStrengthRatio });
+            if (!failure.criteria[failureCriterion]) {
+                throw new Error(`Unknown failure criterion: ${failureCriterion}`);
+            }
+            return {
+                ...state,
+                sigma_vm: vonMises(state.sigma_r, state.sigma_theta, 0),
+                ...failure.criteria[failureCriterion]
+            };
+        };
+        const linerInner = linerSurface(liner.ri);
+        const linerOuter = linerSurface(b);
+        const linerCritical = linerOuter.SF_y < linerInner.SF_y ? linerOuter : linerInner;
+
+        // Composite stresses and ply failure through the wrap
+        const coefficients = orthotropicCoefficients(b, composite.ro, interfacePressure, 0, composite);
+        const stressField = [];
+        for (let i = 0; i < numPoints; i++) {
+            const r = liner.ri + (b - liner.ri) * i / (numPoints - 1);
+            const { sigma_r, sigma_theta } = stresses(r, A, B);
+            stressField.push({ r, layer: 'liner', sigma_r, sigma_theta, sigma_vm: vonMises(sigma_r, sigma_theta, 0) });
+        }
+
+        let critical = null;
+        for (let i = 0; i < numPoints; i++) {
+            const r = b + (composite.ro - b) * i / (numPoints - 1);
+            const { sigma_r, sigma_theta } = orthotropicStresses(r, coefficients, composite);
+            const indices = plyFailureIndices(sigma_theta, sigma_r, composite);
+            stressField.push({ r, layer: 'composite', sigma_r, sigma_theta, ...indices });
+
+            if (critical === null || indices.strengthRatio < critical.strengthRatio) {
+                critical = { r, sigma_r, sigma_theta, ...indices };
+            }
+        }
+        const maxStressIndex = Math.max(...stressField.filter(point => point.layer === 'composite').map(point => point.maxStress));
+
+        return {
+            interfacePressure,
+            preloadPressure: interference / compliance,
+            liner: {
+                inner: linerInner,
+                outer: linerOuter,
+                criticalLocation: linerCritical === linerInner ? 'inner' : 'outer',
+                safetyFactors: { SF_y: linerCritical.SF_y, SF_u: linerCritical.SF_u }
+            },
+            composite: {
+                inner: orthotropicStresses(b, coefficients, composite),
+                outer: orthotropicStresses(composite.ro, coefficients, composite),
+                anisotropyRatio: coefficients.k,
+                critical,
+                tsaiWu: critical.tsaiWu,
+                strengthRatio: critical.strengthRatio,
+                maxStress: maxStressIndex
+            },
+            stressField,
+            geometry: { ri: liner.ri, interfaceRadius: b, ro: composite.ro },
+            material: { liner: { E: liner.E, nu: linerNu, Sy: liner.Sy, Su: liner.Su }, composite }
+        };
+    } catch (error) {
+        throw new Error(`Overwrap analysis failed: ${error.message}`);
+    }
+}
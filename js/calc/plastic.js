@@ -0,0 +1,218 @@
+/**
+ * Elastic-Plastic Partial Yield Analysis Module
+ * Thick-walled cylinder loaded between first yield and full plastic collapse, with an
+ * elastic-perfectly-plastic or linear-hardening material, plastic zone radius, stresses
+ * in both zones and permanent deformation after unloading
+ *
+ * All calculations use SI base units internally:
+ * - Lengths and displacements in mm
+ * - Pressures in MPa
+ * - Stresses and moduli in MPa
+ *
+ * Assumptions: yield in the (σ_θ - σ_r) form of the Hill solution (see effectiveYieldStrength),
+ * elastic unloading, and plastic incompressibility in the plastic zone so that
+ * u(r) = u(c)·c/r for ri ≤ r ≤ c.
+ *
+ * The model mixes two axial states. Yield takes σ_z midway between σ_r and σ_θ, the
+ * plane strain / closed-end state in which von Mises reduces to Y = 2·Sy/√3; Tresca
+ * (Y = Sy) does not depend on σ_z. Elastic strains and displacements take open ends
+ * (σ_z = 0). The von Mises yield pressures are therefore those of a restrained or
+ * closed-end tube, while the deformations are those of an open-ended one.
+ */
+
+import { lameCoefficients, stresses, strains } from './core.js';
+import { effectiveYieldStrength } from './autofrettage.js';
+import { brent } from './solver.js';
+
+/**
+ * Calculate the elastic hoop strain at the elastic-plastic interface
+ *
+ * The elastic zone c ≤ r ≤ ro carries interface pressure p_c = Y(ro² - c²)/(2ro²),
+ * giving σ_r(c) = -p_c and σ_θ(c) = Y/2 + Y·c²/(2ro²).
+ *
+ * @param {number} c - Elastic-plastic interface radius (mm)
+ * @param {number} ro - Outer radius (mm)
+ * @param {number} Y - Effective yield strength (MPa)
+ * @param {number} E - Elastic modulus (MPa)
+ * @param {number} nu - Poisson's ratio
+ * @returns {number} Hoop strain ε_θ(c)
+ */
+function interfaceHoopStrain(c, ro, Y, E, nu) {
+    const p_c = Y * (ro * ro - c * c) / (2 * ro * ro);
+    const sigma_theta = Y / 2 + Y * c * c / (2 * ro * ro);
+    return strains({ sigma_r: -p_c, sigma_theta, sigma_z: 0 }, E, nu).epsilon_theta;
+}
+
+/**
+ * Calculate the pressure that spreads the plastic zone to radius c
+ *
+ * In the plastic zone σ_θ - σ_r = Y + H·(ε_θ - ε_θ(c)) with ε_θ = ε_θ(c)·c²/r². Integrating
+ * equilibrium dσ_r/dr = (σ_θ - σ_r)/r from the bore to c gives
+ * p = p_c + Y·ln(c/ri) + H·ε_θ(c)·[(c²/ri² - 1)/2 - ln(c/ri)]
+ * which reduces to the Hill solution for H = 0.
+ *
+ * @param {number} ri - Inner radius (mm)
+ * @param {number} ro - Outer radius (mm)
+ * @param {number} c - Elastic-plastic interface radius (mm), ri ≤ c ≤ ro
+ * @param {Object} material - {Y, E, nu, H}
+ * @returns {number} Internal pressure (MPa)
+ * @throws {Error} If the interface radius is outside the wall
+ */
+export function partialYieldPressure(ri, ro, c, material) {
+    const { Y, E, nu = 0.3, H = 0 } = material;
+
+    if (c < ri || c > ro) {
+        throw new Error('Interface radius must lie between inner and outer radius');
+    }
+
+    const p_c = Y * (ro * ro - c * c) / (2 * ro * ro);
+    const lnC = Math.log(c / ri);
+    const hardening = H > 0
+        ? H * interfaceHoopStrain(c, ro, Y, E, nu) * ((c * c / (ri * ri) - 1) / 2 - lnC)
+        : 0;
+
+    return p_c + Y * lnC + hardening;
+}
+
+/**
+ * Calculate loaded stresses at radius r for a plastic zone extending to c
+ *
+ * @param {number} r - Radius (mm)
+ * @param {Object} state - {ri, ro, c, p, Y, E, nu, H}
+ * @returns {Object} {sigma_r, sigma_theta, zone}
+ */
+export function partialYieldStresses(r, state) {
+    const { ri, ro, c, p, Y, E, nu, H } = state;
+
+    if (r >= c) {
+        // Elastic zone: Lamé with A = Y·c²/(2ro²), B = Y·c²/2
+        const A = Y * c * c / (2 * ro * ro);
+        const B = Y * c * c / 2;
+        return { ...stresses(r, A, B), zone: 'elastic' };
+    }
+
+    const lnR = Math.log(r / ri);
+    const hardening = H > 0 ? H * interfaceHoopStrain(c, ro, Y, E, nu) : 0;
+    const sigma_r = -p + Y * lnR + hardening * ((c * c / 2) * (1 / (ri * ri) - 1 / (r * r)) - lnR);
+    const sigma_theta = sigma_r + Y + hardening * (c * c / (r * r) - 1);
+
+    return { sigma_r, sigma_theta, zone: 'plastic' };
+}
+
+/**
+ * Elastic-plastic analysis of a partially yielded thick cylinder
+ *
+ * @param {Object} params - Analysis parameters
+ * @param {number} params.ri - Inner radius (mm)
+ * @param {number} params.ro - Outer radius (mm)
+ * @param {number} params.p_i - Internal pressure (MPa)
+ * @param {number} params.Sy - Yield strength (MPa)
+ * @param {number} params.E - Elastic modulus (MPa)
+ * @param {number} params.nu - Poisson's ratio, defaults to 0.3
+ * @param {number} params.hardeningModulus - Linear hardening modulus H (MPa), defaults to 0 (perfectly plastic)
+ * @param {string} params.failureCriterion - Criterion selected for the elastic analysis, defaults to
+ *   'von-mises'. Tresca is used as is; every other criterion falls back to von Mises.
+ * @param {string} params.yieldCriterion - 'tresca' or 'von-mises', overrides failureCriterion
+ * @param {number} params.numPoints - Points in the stress distribution, defaults to 100
+ * @returns {Object} Plastic zone radius, stress distribution and permanent deformation
+ * @throws {Error} If inputs are invalid or the pressure exceeds full collapse
+ */
+export function analyzePartialYield(params) {
+    const {
+        ri, ro, p_i, Sy, E,
+        nu = 0.3,
+        hardeningModulus = 0,
+        failureCriterion = 'von-mises',
+        yieldCriterion = failureCriterion === 'tresca' ? 'tresca' : 'von-mises',
+        numPoints = 100
+    } = params;
+
+    try {
+        if (ri <= 0 || ro <= ri) {
+            throw new Error('Outer radius must be greater than a positive inner radius');
+        }
+        if (p_i < 0) {
+            throw new Error('Pressure must be non-negative');
+        }
+        if (!(E > 0)) {
+            throw new Error('Elastic modulus must be positive');
+        }
+        if (hardeningModulus < 0) {
+            throw new Error('Hardening modulus must be non-negative');
+        }
+
+        const Y = effectiveYieldStrength(Sy, yieldCriterion);
+        const material = { Y, E, nu, H: hardeningModulus };
+
+        const firstYieldPressure = partialYieldPressure(ri, ro, ri, material);
+        const collapsePressure = partialYieldPressure(ri, ro, ro, material);
+
+        if (p_i > collapsePressure) {
+            throw new Error(`Pressure exceeds full plastic collapse (${collapsePressure.toFixed(1)} MPa)`);
+        }
+
+        // Plastic zone radius (pressure increases monotonically with c)
+        let c = ri;
+        if (p_i > firstYieldPressure) {
+            c = brent(c => partialYieldPressure(ri, ro, c, material) - p_i, ri, ro, { tolerance: 1e-10 * ro }).root;
+        }
+        const yielded = c > ri;
+
+        const state = { ri, ro, c, p: p_i, Y, E, nu, H: hardeningModulus };
+
+        // Elastic unloading from p_i
+        const { A, B } = lameCoefficients(ri, ro, p_i, 0);
+        const loadedAt = r => yielded
+            ? partialYieldStresses(r, state)
+            : { ...stresses(r, A, B), zone: 'elastic' };
+
+        const distribution = [];
+        for (let i = 0; i < numPoints; i++) {
+            const r = ri + (ro - ri) * i / (numPoints - 1);
+            const loaded = loadedAt(r);
+            const unloading = stresses(r, A, B);
+            distribution.push({
+                r,
+                sigma_r: loaded.sigma_r,
+                sigma_theta: loaded.sigma_theta,
+                zone: loaded.zone,
+                residual_r: loaded.sigma_r - unloading.sigma_r,
+                residual_theta: loaded.sigma_theta - unloading.sigma_theta
+            });
+        }
+
+        // Displacements: elastic zone from Hooke's law, plastic zone by incompressibility
+        const elasticDisplacement = (r, sigma) => r * strains({ ...sigma, sigma_z: 0 }, E, nu).epsilon_theta;
+        const u_c = elasticDisplacement(c, loadedAt(c));
+        const loadedDisplacement = r => r >= c ? elasticDisplacement(r, loadedAt(r)) : u_c * c / r;
+
+        const unloadingDisplacement = r => elasticDisplacement(r, stresses(r, A, B));
+        const permanentBore = yielded ? loadedDisplacement(ri) - unloadingDisplacement(ri) : 0;
+        const permanentOuter = yielded ? loadedDisplacement(ro) - unloadingDisplacement(ro) : 0;
+
+        // Reverse yielding on unloading invalidates the elastic unloading assumption
+        const bore = distribution[0];
+        const reverseYield = yielded && (bore.residual_theta - bore.residual_r) < -Y;
+
+        return {
+            yielded,
+            plasticZoneRadius: c,
+            plasticZoneFraction: (c - ri) / (ro - ri),
+            firstYieldPressure,
+            collapsePressure,
+            effectiveYieldStrength: Y,
+            distribution,
+            displacement: {
+                loaded: { inner: loadedDisplacement(ri), outer: loadedDisplacement(ro) },
+                permanent: { inner: permanentBore, outer: permanentOuter }
+            },
+            permanentBoreGrowth: 2 * permanentBore,
+            permanentOuterGrowth: 2 * permanentOuter,
+            reverseYield,
+            geometry: { ri, ro, p_i },
+            material: { Sy, E, nu, hardeningModulus, yieldCriterion }
+        };
+    } catch (error) {
+        throw new Error(`Partial yield analysis failed: ${error.message}`);
+    }
+}
@@ -0,0 +1,129 @@
+/**
+ * Unit Tests for Rifling Groove Stress Concentration Module
+ *
+ * Tests the rifled bore analysis including:
+ * - Single groove Kt against the semicircular notch value
+ * - Shielding of closely spaced grooves
+ * - Lamé wall from the groove diameter
+ * - Peak local stress and safety factor
+ * - Error handling
+ */
+
+import { grooveStressConcentration, analyzeRifling } from './rifling.js';
+import { analyzeCircle } from './core.js';
+
+/**
+ * Test runner utility
+ */
+function runTests() {
+    console.log('Running Rifling Groove Tests...\n');
+
+    let totalTests = 0;
+    let passedTests = 0;
+
+    function test(name, testFunction) {
+        totalTests++;
+        try {
+            testFunction();
+            console.log(`✅ ${name}`);
+            passedTests++;
+        } catch (error) {
+            console.error(`❌ ${name}: ${error.message}`);
+            console.error(error.stack);
+        }
+    }
+
+    function assertApproxEqual(actual, expected, tolerance = 1e-6, message = '') {
+        const diff = Math.abs(actual - expected);
+        if (diff > tolerance) {
+            throw new Error(`Expected ${expected}, got ${actual} (diff: ${diff}) ${message}`);
+        }
+    }
+
+    function assertThrows(fn, expectedMessage = '') {
+        try {
+            fn();
+            throw new Error('Expected function to throw an error');
+        } catch (error) {
+            if (expectedMessage && !error.message.includes(expectedMessage)) {
+                throw new Error(`Expected error containing "${expectedMessage}", got "${error.message}"`);
+            }
+        }
+    }
+
+    // .30 caliber: 7.62 mm lands, 7.82 mm grooves, 4 grooves, 30 mm OD, 4140 steel
+    const rifling = { landDiameter: 7.62, grooveDiameter: 7.82, grooveCount: 4, rootRadius: 0.05 };
+    const base = { ro: 15, p_i: 350, Sy: 655, Su: 827, endCondition: 'closed-end', nu: 0.3 };
+
+    test('Isolated semicircular groove gives Kt close to 3', () => {
+        const single = grooveStressConcentration({ landDiameter: 7.62, grooveDiameter: 7.82, grooveCount: 1, rootRadius: 0.1 });
+        assertApproxEqual(single.KtSingle, 3, 1e-12);
+        assertApproxEqual(single.depth, 0.1, 1e-12);
+        // Pitch of 24.6 mm barely shields a 0.1 mm groove
+        assertApproxEqual(single.Kt, 3, 1e-3);
+    });
+
+    test('Closely spaced grooves shield each other', () => {
+        let previous = Infinity;
+        [1, 4, 16, 64].forEach(grooveCount => {
+            const { Kt, KtSingle } = grooveStressConcentration({ ...rifling, grooveCount });
+            if (!(Kt < previous) || !(Kt <= KtSingle)) {
+                throw new Error(`Kt should fall with groove count (${grooveCount} grooves: ${Kt})`);
+            }
+            previous = Kt;
+        });
+    });
+
+    test('Lamé wall is measured from the groove diameter', () => {
+        const result = analyzeRifling({ ...rifling, ...base });
+        const direct = analyzeCircle({ ...base, ri: rifling.grooveDiameter / 2 });
+
+        assertApproxEqual(result.nominal.sigma_theta, direct.stresses.inner.sigma_theta, 1e-9);
+        assertApproxEqual(result.nominal.safetyFactors.SF_y, direct.safetyFactors.SF_y, 1e-12);
+    });
+
+    test('Peak groove stress and local safety factor', () => {
+        const result = analyzeRifling({ ...rifling, ...base });
+
+        assertApproxEqual(result.peak.sigma_theta, result.Kt * result.nominal.sigma_theta, 1e-9);
+        assertApproxEqual(result.peak.sigma_r, -base.p_i, 1e-9);
+        assertApproxEqual(result.safetyFactors.SF_y, base.Sy / result.peak.sigma_eq, 1e-12);
+        if (!(result.safetyFactors.SF_y < result.nominal.safetyFactors.SF_y)) {
+            throw new Error('Groove corner should lower the safety factor');
+        }
+        console.log(`    Kt = ${result.Kt.toFixed(2)}, SF ${result.nominal.safetyFactors.SF_y.toFixed(2)} → ${result.safetyFactors.SF_y.toFixed(2)}`);
+    });
+
+    test('Tresca peak stress uses the selected criterion', () => {
+        const result = analyzeRifling({ ...rifling, ...base, failureCriterion: 'tresca' });
+        const { sigma_r, sigma_theta, sigma_z } = result.peak;
+        const tresca = Math.max(sigma_r, sigma_theta, sigma_z) - Math.min(sigma_r, sigma_theta, sigma_z);
+        assertApproxEqual(result.peak.sigma_eq, tresca, 1e-9);
+    });
+
+    test('Error handling for invalid rifling geometry', () => {
+        assertThrows(() => grooveStressConcentration({ ...rifling, grooveDiameter: 7.5 }), 'Groove diameter');
+        assertThrows(() => grooveStressConcentration({ ...rifling, grooveCount: 2.5 }), 'Groove count');
+        assertThrows(() => grooveStressConcentration({ ...rifling, rootRadius: 0 }), 'root radius');
+        assertThrows(() => analyzeRifling({ ...rifling, ...base, ro: 3 }), 'Rifling analysis failed');
+    });
+
+    // Summary
+    console.log(`\n📊 Test Summary: ${passedTests}/${totalTests} tests passed`);
+
+    if (passedTests === totalTests) {
+        console.log('🎉 All tests passed!');
+    } else {
+        console.log(`❌ ${totalTests - passedTests} tests failed`);
+    }
+
+    return { total: totalTests, passed: passedTests };
+}
+
+// Export test runner for external use
+export { runTests };
+
+// Auto-run tests if this module is loaded directly
+if (import.meta.url === `file://${process?.argv?.[1]}` || typeof window !== 'undefined') {
+    runTests();
+}
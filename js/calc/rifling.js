@@ -0,0 +1,125 @@
+/**
+ * Rifling Groove Stress Concentration Module
+ * Rifled bore analysis with the Lamé wall measured from the groove diameter and a
+ * stress concentration factor applied to the hoop stress at the groove root corners
+ *
+ * All calculations use SI base units internally:
+ * - Lengths and diameters in mm
+ * - Pressures in MPa
+ * - Stresses in MPa
+ *
+ * Stress concentration (Peterson's Stress Concentration Factors, ch. 2):
+ * - Single shallow groove of depth t and root radius ρ: Kt = 1 + 2√(t/ρ), which gives
+ *   3.0 for a semicircular groove (Peterson chart 2.3: 3.065)
+ * - Multiple grooves shield each other. Following Neuber, a groove in a row of pitch l
+ *   acts as a single groove of reduced depth t_eff = (l/π)·tanh(πt/l)
+ * The peak hoop stress is Kt·σ_θ at the groove radius, with bore pressure on the groove
+ * surface (σ_r = -p) and the nominal axial stress.
+ */
+
+import { analyzeCircle, equivalentStress, safetyFactors } from './core.js';
+
+/**
+ * Calculate the groove root stress concentration factor of a rifled bore
+ *
+ * @param {Object} rifling - Rifling geometry
+ * @param {number} rifling.landDiameter - Bore diameter across the lands (mm)
+ * @param {number} rifling.grooveDiameter - Bore diameter across the grooves (mm)
+ * @param {number} rifling.grooveCount - Number of grooves
+ * @param {number} rifling.rootRadius - Groove corner (root) radius (mm)
+ * @returns {Object} {Kt, KtSingle, depth, effectiveDepth, pitch}
+ * @throws {Error} If the geometry is invalid
+ */
+export function grooveStressConcentration(rifling) {
+    const { landDiameter, grooveDiameter, grooveCount, rootRadius } = rifling;
+
+    if (!(landDiameter > 0)) {
+        throw new Error('Land diameter must be positive');
+    }
+    if (!(grooveDiameter > landDiameter)) {
+        throw new Error('Groove diameter must be greater than land diameter');
+    }
+    if (!Number.isInteger(grooveCount) || grooveCount < 1) {
+        throw new Error('Groove count must be a positive integer');
+    }
+    if (!(rootRadius > 0)) {
+        throw new Error('Groove root radius must be positive');
+    }
+
+    const depth = (grooveDiameter - landDiameter) / 2;
+    const pitch = Math.PI * grooveDiameter / grooveCount;
+    const effectiveDepth = (pitch / Math.PI) * Math.tanh(Math.PI * depth / pitch);
+
+    return {
+        Kt: 1 + 2 * Math.sqrt(effectiveDepth / rootRadius),
+        KtSingle: 1 + 2 * Math.sqrt(depth / rootRadius),
+        depth,
+        effectiveDepth,
+        pitch
+    };
+}
+
+/**
+ * Rifled bore analysis with groove root stress concentration
+ *
+ * @param {Object} params - Analysis parameters
+ * @param {number} params.landDiameter - Bore diameter across the lands (mm)
+ * @param {number} params.grooveDiameter - Bore diameter across the grooves (mm)
+ * @param {number} params.grooveCount - Number of grooves
+ * @param {number} params.rootRadius - Groove corner radius (mm)
+ * @param {number} params.ro - Outer radius (mm)
+ * @param {number} params.p_i - Bore pressure (MPa)
+ * @param {number} params.Sy - Yield strength (MPa)
+ * @param {number} params.Su - Ultimate tensile strength (MPa)
+ * @param {string} params.failureCriterion - Criterion for the safety factors, defaults to 'von-mises'
+ * @param {number} params.compressiveStrengthRatio - Mohr-Coulomb Sc/St ratio, defaults to 1
+ *   Remaining analyzeCircle parameters (endCondition, nu, E, axialStrain, sigma_axial) are passed through.
+ * @returns {Object} Stress concentration, nominal and peak local stresses and safety factors
+ * @throws {Error} If inputs are invalid
+ */
+export function analyzeRifling(params) {
+    const {
+        landDiameter,
+        grooveDiameter,
+        grooveCount,
+        rootRadius,
+        failureCriterion = 'von-mises',
+        compressiveStrengthRatio = 1,
+        ...circleParams
+    } = params;
+
+    try {
+        const concentration = grooveStressConcentration({ landDiameter, grooveDiameter, grooveCount, rootRadius });
+
+        // Lamé wall from the groove bottom
+        const nominal = analyzeCircle({
+            ...circleParams,
+            ri: grooveDiameter / 2,
+            failureCriterion,
+            compressiveStrengthRatio
+        });
+        const bore = nominal.stresses.inner;
+
+        const peak = {
+            sigma_r: bore.sigma_r,
+            sigma_theta: concentration.Kt * bore.sigma_theta,
+            sigma_z: bore.sigma_z
+        };
+        peak.sigma_eq = equivalentStress(peak.sigma_r, peak.sigma_theta, peak.sigma_z, failureCriterion, { compressiveStrengthRatio });
+
+        return {
+            ...concentration,
+            nominal: {
+                sigma_theta: bore.sigma_theta,
+                sigma_eq: nominal.failureCriteria.criteria[failureCriterion].sigma_eq,
+                safetyFactors: nominal.safetyFactors
+            },
+            peak,
+            safetyFactors: safetyFactors(peak.sigma_eq, nominal.material.Sy, nominal.material.Su),
+            failureCriterion,
+            geometry: { landDiameter, grooveDiameter, grooveCount, rootRadius, ro: circleParams.ro }
+        };
+    } catch (error) {
+        throw new Error(`Rifling analysis failed: ${error.message}`);
+    }
+}
@@ -0,0 +1,157 @@
+/**
+ * Unit Tests for Numerical Solver Module
+ *
+ * Tests the shared root finder including:
+ * - Brent's method accuracy and convergence rate
+ * - Automatic bracketing within bounds
+ * - Iteration history
+ * - Structured diagnostics on failure, including from burst pressure
+ */
+
+import { SolverError, bracketRoot, brent, findRoot } from './solver.js';
+import { burstPressureEstimate } from './core.js';
+
+/**
+ * Test runner utility
+ */
+function runTests() {
+    console.log('Running Numerical Solver Tests...\n');
+
+    let totalTests = 0;
+    let passedTests = 0;
+
+    function test(name, testFunction) {
+        totalTests++;
+        try {
+            testFunction();
+            console.log(`✅ ${name}`);
+            passedTests++;
+        } catch (error) {
+            console.error(`❌ ${name}: ${error.message}`);
+            console.error(error.stack);
+        }
+    }
+
+    function assertApproxEqual(actual, expected, tolerance = 1e-6, message = '') {
+        const diff = Math.abs(actual - expected);
+        if (diff > tolerance) {
+            throw new Error(`Expected ${expected}, got ${actual} (diff: ${diff}) ${message}`);
+        }
+    }
+
+    function assertThrows(fn, expectedMessage = '') {
+        try {
+            fn();
+            throw new Error('Expected function to throw an error');
+        } catch (error) {
+            if (expectedMessage && !error.message.includes(expectedMessage)) {
+                throw new Error(`Expected error containing "${expectedMessage}", got "${error.message}"`);
+            }
+        }
+    }
+
+    function assertSolverError(fn, reason) {
+        try {
+            fn();
+        } catch (error) {
+            if (!(error instanceof SolverError)) {
+                throw new Error(`Expected a SolverError, got ${error.name}: ${error.message}`);
+            }
+            if (error.diagnostics.reason !== reason) {
+                throw new Error(`Expected reason "${reason}", got "${error.diagnostics.reason}"`);
+            }
+            return error;
+        }
+        throw new Error('Expected function to throw an error');
+    }
+
+    test('Brent converges faster than bisection', () => {
+        const result = brent(x => x * x - 2, 0, 2);
+        assertApproxEqual(result.root, Math.SQRT2, 1e-12);
+        // Bisection needs about 41 halvings of [0, 2] to reach 1e-12
+        if (result.iterations >= 20) {
+            throw new Error(`Expected superlinear convergence, took ${result.iterations} iterations`);
+        }
+        console.log(`    √2 in ${result.iterations} iterations, residual ${result.residual.toExponential(1)}`);
+    });
+
+    test('Automatic bracketing respects bounds', () => {
+        const bracketed = bracketRoot(x => x - 1000, 0, 1, { lowerBound: 0 });
+        if (bracketed.a !== 0 || !(bracketed.b >= 1000) || bracketed.expansions !== 10) {
+            throw new Error(`Unexpected bracket [${bracketed.a}, ${bracketed.b}] after ${bracketed.expansions} expansions`);
+        }
+
+        const result = findRoot(x => Math.exp(x) - 5, { bracket: [-1, 0] });
+        assertApproxEqual(result.root, Math.log(5), 1e-12);
+        if (result.expansions === 0 || result.bracketHistory.length !== result.expansions + 1) {
+            throw new Error('Expected the bracket history to record each expansion');
+        }
+    });
+
+    test('History records each iteration within a shrinking bracket', () => {
+        const result = brent(x => Math.cos(x) - x, 0, 1);
+        assertApproxEqual(result.history.length, result.iterations, 0);
+
+        const widths = result.history.map(entry => entry.bracket[1] - entry.bracket[0]);
+        for (let i = 1; i < widths.length; i++) {
+            if (widths[i] > widths[i - 1] + 1e-15) {
+                throw new Error('Bracket widened during iteration');
+            }
+        }
+        if (!result.history.some(entry => entry.step === 'interpolation')) {
+            throw new Error('Expected interpolation steps on a smooth function');
+        }
+    });
+
+    test('Failures carry diagnostics', () => {
+        const noBracket = assertSolverError(() => findRoot(x => x * x + 1, { bracket: [-1, 1], maxExpansions: 5 }), 'no-bracket');
+        assertApproxEqual(noBracket.diagnostics.expansions, 5, 0);
+        if (!(noBracket.diagnostics.residual >= 1)) {
+            throw new Error('Residual should be the smallest |f| at the bracket ends');
+        }
+
+        const stalled = assertSolverError(() => brent(x => x * x * x - 2, 0, 2, { maxIters: 3 }), 'max-iterations');
+        assertApproxEqual(stalled.diagnostics.iterations, 3, 0);
+        assertApproxEqual(stalled.diagnostics.history.length, 3, 0);
+
+        assertSolverError(() => brent(x => Math.log(x), -1, 2), 'non-finite');
+        assertSolverError(() => brent(x => x, 1, 1), 'no-bracket');
+        assertThrows(() => findRoot(x => x, {}), 'initial bracket');
+    });
+
+    test('Burst pressure reports solver diagnostics', () => {
+        const error = assertSolverError(() => burstPressureEstimate(10, 20, 500, 0, { maxIters: 2 }), 'max-iterations');
+        if (!error.message.includes('Burst pressure calculation failed')) {
+            throw new Error(`Unexpected message: ${error.message}`);
+        }
+        if (!Array.isArray(error.diagnostics.bracket) || error.diagnostics.bracket[0] < 0) {
+            throw new Error('Expected a non-negative pressure bracket');
+        }
+    });
+
+    test('Burst pressure matches the closed form first-yield pressure', () => {
+        // Plane stress von Mises: p = Sy(K² - 1) / √(3K⁴ + 1)
+        const K = 2;
+        const expected = 500 * (K * K - 1) / Math.sqrt(3 * K ** 4 + 1);
+        assertApproxEqual(burstPressureEstimate(10, 20, 500), expected, 1e-7);
+    });
+
+    // Summary
+    console.log(`\n📊 Test Summary: ${passedTests}/${totalTests} tests passed`);
+
+    if (passedTests === totalTests) {
+        console.log('🎉 All tests passed!');
+    } else {
+        console.log(`❌ ${totalTests - passedTests} tests failed`);
+    }
+
+    return { total: totalTests, passed: passedTests };
+}
+
+// Export test runner for external use
+export { runTests };
+
+// Auto-run tests if this module is loaded directly
+if (import.meta.url === `file://${process?.argv?.[1]}` || typeof window !== 'undefined') {
+    runTests();
+}
@@ -0,0 +1,246 @@
+/**
+ * Numerical Solver Module
+ * Shared root finding for the inverse problems of the calculation modules, such as the
+ * first-yield pressure, plastic zone radius and critical crack size
+ *
+ * Brent's method (Brent, Algorithms for Minimization without Derivatives, ch. 4) takes
+ * inverse quadratic interpolation or secant steps where they stay well inside the
+ * bracket and falls back to bisection otherwise. It converges superlinearly on smooth
+ * functions and never needs more steps than bisection on the same tolerance.
+ * A root that is not yet bracketed is first bracketed by geometric expansion.
+ *
+ * Failures throw a SolverError whose diagnostics record the reason, the bracket,
+ * iterations, residual and step history, for display in place of a bare message.
+ */
+
+/**
+ * Error thrown when a root cannot be bracketed or found
+ */
+export class SolverError extends Error {
+    /**
+     * @param {string} message - Error message
+     * @param {Object} diagnostics - {reason, iterations, residual, bracket, history, ...}
+     */
+    constructor(message, diagnostics = {}) {
+        super(message);
+        this.name = 'SolverError';
+        this.diagnostics = diagnostics;
+    }
+}
+
+/**
+ * Evaluate the function, rejecting non-finite values
+ *
+ * @param {Function} f - Function of one variable
+ * @param {number} x - Argument
+ * @param {Object} diagnostics - Diagnostics to report on failure
+ * @returns {number} f(x)
+ * @throws {SolverError} If f(x) is not finite
+ */
+function evaluate(f, x, diagnostics) {
+    const fx = f(x);
+    if (!Number.isFinite(fx)) {
+        throw new SolverError(`Function is not finite at x = ${x}`, { reason: 'non-finite', x, fx, ...diagnostics });
+    }
+    return fx;
+}
+
+/**
+ * Expand an interval geometrically until it brackets a sign change
+ *
+ * The endpoint with the smaller residual moves outward by growth × the interval width,
+ * without crossing lowerBound or upperBound.
+ *
+ * @param {Function} f - Function of one variable
+ * @param {number} a - Initial lower endpoint
+ * @param {number} b - Initial upper endpoint
+ * @param {Object} options - Bracketing options
+ * @param {number} options.lowerBound - Smallest admissible x, defaults to -Infinity
+ * @param {number} options.upperBound - Largest admissible x, defaults to Infinity
+ * @param {number} options.maxExpansions - Maximum expansions, defaults to 50
+ * @param {number} options.growth - Expansion factor on the interval width, defaults to 1 (doubling)
+ * @returns {Object} {a, b, fa, fb, expansions, history}
+ * @throws {SolverError} If no sign change is found
+ */
+export function bracketRoot(f, a, b, options = {}) {
+    const {
+        lowerBound = -Infinity,
+        upperBound = Infinity,
+        maxExpansions = 50,
+        growth = 1
+    } = options;
+
+    if (!(b > a)) {
+        throw new SolverError('Bracket upper endpoint must be greater than the lower endpoint', { reason: 'invalid-bracket', bracket: [a, b] });
+    }
+
+    const history = [];
+    let fa = evaluate(f, a, { bracket: [a, b], history });
+    let fb = evaluate(f, b, { bracket: [a, b], history });
+    history.push({ a, b, fa, fb });
+
+    let expansions = 0;
+    while (fa * fb > 0) {
+        const canLower = a > lowerBound;
+        const canRaise = b < upperBound;
+        if (expansions >= maxExpansions || (!canLower && !canRaise)) {
+            throw new SolverError(`Could not bracket a root in [${a}, ${b}] after ${expansions} expansions`, {
+                reason: 'no-bracket',
+                iterations: 0,
+                residual: Math.min(Math.abs(fa), Math.abs(fb)),
+                bracket: [a, b],
+                expansions,
+                history
+            });
+        }
+
+        const width = b - a;
+        if (canRaise && (!canLower || Math.abs(fb) <= Math.abs(fa))) {
+            b = Math.min(b + growth * width, upperBound);
+            fb = evaluate(f, b, { bracket: [a, b], history });
+        } else {
+            a = Math.max(a - growth * width, lowerBound);
+            fa = evaluate(f, a, { bracket: [a, b], history });
+        }
+        expansions++;
+        history.push({ a, b, fa, fb });
+    }
+
+    return { a, b, fa, fb, expansions, history };
+}
+
+/**
+ * Find a root of f in [a, b] by Brent's method
+ *
+ * @param {Function} f - Function of one variable with f(a) and f(b) of opposite sign
+ * @param {number} a - Lower endpoint
+ * @param {number} b - Upper endpoint
+ * @param {Object} options - Solver options
+ * @param {number} options.tolerance - Absolute tolerance on x, defaults to 1e-12
+ * @param {number} options.functionTolerance - Residual accepted as converged, defaults to 0
+ * @param {number} options.maxIters - Maximum iterations, defaults to 100
+ * @returns {Object} {root, residual, iterations, bracket, history}, where history holds
+ *   {iteration, x, fx, bracket, step} for each iteration
+ * @throws {SolverError} If the root is not bracketed or convergence fails
+ */
+export function brent(f, a, b, options = {}) {
+    const { tolerance = 1e-12, functionTolerance = 0, maxIters = 100 } = options;
+
+    const history = [];
+    let fa = evaluate(f, a, { bracket: [a, b], history });
+    let fb = evaluate(f, b, { bracket: [a, b], history });
+
+    if (fa === 0 || fb === 0) {
+        const root = fa === 0 ? a : b;
+        return { root, residual: 0, iterations: 0, bracket: [a, b], history };
+    }
+    if (fa * fb > 0) {
+        throw new SolverError(`Root is not bracketed in [${a}, ${b}]`, {
+            reason: 'no-bracket',
+            iterations: 0,
+            residual: Math.min(Math.abs(fa), Math.abs(fb)),
+            bracket: [a, b],
+            history
+        });
+    }
+
+    let c = b;
+    let fc = fb;
+    let d = b - a;
+    let e = d;
+    let step = 'initial';
+
+    for (let iter = 1; iter <= maxIters; iter++) {
+        // Keep the root between b and c, with b the better estimate
+        if (fb * fc > 0) {
+            c = a;
+            fc = fa;
+            d = e = b - a;
+        }
+        if (Math.abs(fc) < Math.abs(fb)) {
+            a = b; b = c; c = a;
+            fa = fb; fb = fc; fc = fa;
+        }
+
+        const bracket = [Math.min(b, c), Math.max(b, c)];
+        history.push({ iteration: iter, x: b, fx: fb, bracket, step });
+
+        const tol = 2 * Number.EPSILON * Math.abs(b) + 0.5 * tolerance;
+        const xm = 0.5 * (c - b);
+        if (Math.abs(xm) <= tol || fb === 0 || Math.abs(fb) <= functionTolerance) {
+            return { root: b, residual: Math.abs(fb), iterations: iter, bracket, history };
+        }
+
+        if (Math.abs(e) >= tol && Math.abs(fa) > Math.abs(fb)) {
+            // Secant when only two points are distinct, otherwise inverse quadratic interpolation
+            const s = fb / fa;
+            let p, q;
+            if (a === c) {
+                p = 2 * xm * s;
+                q = 1 - s;
+            } else {
+                const qa = fa / fc;
+                const r = fb / fc;
+                p = s * (2 * xm * qa * (qa - r) - (b - a) * (r - 1));
+                q = (qa - 1) * (r - 1) * (s - 1);
+            }
+            if (p > 0) {
+                q = -q;
+            }
+            p = Math.abs(p);
+
+            if (2 * p < Math.min(3 * xm * q - Math.abs(tol * q), Math.abs(e * q))) {
+                e = d;
+                d = p / q;
+                step = 'interpolation';
+            } else {
+                d = xm;
+                e = d;
+                step = 'bisection';
+            }
+        } else {
+            d = xm;
+            e = d;
+            step = 'bisection';
+        }
+
+        a = b;
+        fa = fb;
+        b += Math.abs(d) > tol ? d : Math.sign(xm) * tol;
+        fb = evaluate(f, b, { iterations: iter, bracket, history });
+    }
+
+    throw new SolverError(`Failed to converge after ${maxIters} iterations`, {
+        reason: 'max-iterations',
+        iterations: maxIters,
+        residual: Math.abs(fb),
+        bracket: [Math.min(b, c), Math.max(b, c)],
+        history
+    });
+}
+
+/**
+ * Find a root of f, bracketing it first when necessary
+ *
+ * @param {Function} f - Function of one variable
+ * @param {Object} options - Solver options
+ * @param {Array} options.bracket - Initial interval [a, b]
+ * @param {number} options.lowerBound - Smallest admissible x, defaults to -Infinity
+ * @param {number} options.upperBound - Largest admissible x, defaults to Infinity
+ * @param {number} options.maxExpansions - Maximum bracket expansions, defaults to 50
+ *   Remaining options (tolerance, functionTolerance, maxIters) are passed to brent.
+ * @returns {Object} {root, residual, iterations, expansions, bracket, history, bracketHistory}
+ * @throws {SolverError} If the root cannot be bracketed or convergence fails
+ */
+export function findRoot(f, options = {}) {
+    const { bracket, lowerBound, upperBound, maxExpansions, growth, ...brentOptions } = options;
+
+    if (!Array.isArray(bracket) || bracket.length !== 2) {
+        throw new SolverError('An initial bracket [a, b] is required', { reason: 'invalid-bracket', bracket });
+    }
+
+    const bracketed = bracketRoot(f, bracket[0], bracket[1], { lowerBound, upperBound, maxExpansions, growth });
+    const solution = brent(f, bracketed.a, bracketed.b, brentOptions);
+
+    return { ...solution, expansions: bracketed.expansions, bracketHistory: bracketed.history };
+}
@@ -0,0 +1,144 @@
+/**
+ * Unit Tests for Strain Gauge Pressure Measurement Module
+ *
+ * Tests inverse Lamé pressure calculation including:
+ * - Closed-form OD hoop strain sensitivity
+ * - Round trip against the forward deformation output of core.js
+ * - Calibration factor, zero offset and CSV time series
+ * - Error handling
+ */
+
+import {
+    hoopStrainSensitivity,
+    calibrationToSI,
+    parseStrainCSV,
+    pressureFromHoopStrain,
+    analyzeStrainGauge
+} from './straingauge.js';
+import { analyzeCircle } from './core.js';
+import { convert } from '../units.js';
+
+/**
+ * Test runner utility
+ */
+function runTests() {
+    console.log('Running Strain Gauge Pressure Tests...\n');
+
+    let totalTests = 0;
+    let passedTests = 0;
+
+    function test(name, testFunction) {
+        totalTests++;
+        try {
+            testFunction();
+            console.log(`✅ ${name}`);
+            passedTests++;
+        } catch (error) {
+            console.error(`❌ ${name}: ${error.message}`);
+            console.error(error.stack);
+        }
+    }
+
+    function assertApproxEqual(actual, expected, tolerance = 1e-6, message = '') {
+        const diff = Math.abs(actual - expected);
+        if (diff > tolerance) {
+            throw new Error(`Expected ${expected}, got ${actual} (diff: ${diff}) ${message}`);
+        }
+    }
+
+    function assertThrows(fn, expectedMessage = '') {
+        try {
+            fn();
+            throw new Error('Expected function to throw an error');
+        } catch (error) {
+            if (expectedMessage && !error.message.includes(expectedMessage)) {
+                throw new Error(`Expected error containing "${expectedMessage}", got "${error.message}"`);
+            }
+        }
+    }
+
+    // Chamber section: 12 mm chamber diameter, 30 mm OD, 4140 steel
+    const ri = 6;
+    const ro = 15;
+    const E = 200000;
+    const nu = 0.3;
+    const Sy = 655;
+    const Su = 827;
+
+    test('Open and closed end sensitivity match closed form', () => {
+        const areaTerm = ri * ri / (ro * ro - ri * ri);
+        // Open end: ε_θ = 2A/E, closed end: ε_θ = (2 - ν)A/E
+        assertApproxEqual(hoopStrainSensitivity(ri, ro, E, nu, 'open-end'), 2 * areaTerm / E * 1e6, 1e-9);
+        assertApproxEqual(hoopStrainSensitivity(ri, ro, E, nu, 'closed-end'), (2 - nu) * areaTerm / E * 1e6, 1e-9);
+    });
+
+    test('Round trip with forward deformation from core.js', () => {
+        const p_i = 380;
+        const forward = analyzeCircle({ ri, ro, p_i, Sy, Su, E, nu, endCondition: 'closed-end' });
+        const measured = forward.deformation.outer.epsilon_theta * 1e6;
+
+        const result = analyzeStrainGauge({ ri, ro, E, nu, endCondition: 'closed-end', microstrain: measured });
+        assertApproxEqual(result.pressure, p_i, 1e-9);
+        console.log(`    ${measured.toFixed(0)} µε → ${result.pressure.toFixed(1)} MPa`);
+    });
+
+    test('Calibration factor overrides theoretical sensitivity', () => {
+        const result = analyzeStrainGauge({ ri, ro, E, nu, microstrain: 1200, calibrationFactor: 20 });
+
+        // 1200 µε at 20 µε/ksi is 60 ksi
+        assertApproxEqual(result.pressure, convert(60, 'ksi', 'MPa'), 1e-9);
+        assertApproxEqual(calibrationToSI(20) * convert(1, 'ksi', 'MPa'), 20, 1e-12);
+        if (!result.sensitivity.calibrated) {
+            throw new Error('Result should be flagged as calibrated');
+        }
+    });
+
+    test('Zero offset is removed before conversion', () => {
+        const sensitivity = hoopStrainSensitivity(ri, ro, E, nu);
+        assertApproxEqual(pressureFromHoopStrain(50, sensitivity, 50), 0, 1e-12);
+    });
+
+    test('CSV time series reports the peak pressure', () => {
+        const csv = 'time_ms,microstrain\n0.0,0\n0.1,450\n0.2,1210\n0.3,800\n\n0.4,120\n';
+        const samples = parseStrainCSV(csv);
+        if (samples.length !== 5) {
+            throw new Error(`Expected 5 samples, got ${samples.length}`);
+        }
+
+        const result = analyzeStrainGauge({ ri, ro, E, nu, csv });
+        assertApproxEqual(result.peak.time, 0.2, 1e-12);
+        assertApproxEqual(result.pressure, 1210 / hoopStrainSensitivity(ri, ro, E, nu), 1e-9);
+
+        // Single column files use the sample index as time
+        const singleColumn = parseStrainCSV('100\n200\n');
+        assertApproxEqual(singleColumn[1].time, 1, 0);
+    });
+
+    test('Error handling for invalid strain gauge inputs', () => {
+        assertThrows(() => analyzeStrainGauge({ ri, ro, E, nu }), 'exactly one');
+        assertThrows(() => analyzeStrainGauge({ ri, ro, E, nu, microstrain: 100, csv: '1\n' }), 'exactly one');
+        assertThrows(() => analyzeStrainGauge({ ri, ro, E, nu, csv: 'time,strain\n' }), 'No numeric');
+        assertThrows(() => analyzeStrainGauge({ ri, ro, E, nu, series: [] }), 'no samples');
+        assertThrows(() => analyzeStrainGauge({ ri, ro, E: 0, nu, microstrain: 100 }), 'Elastic modulus');
+        assertThrows(() => analyzeStrainGauge({ ri, ro, E, nu, microstrain: 100, calibrationFactor: -5 }), 'Calibration');
+    });
+
+    // Summary
+    console.log(`\n📊 Test Summary: ${passedTests}/${totalTests} tests passed`);
+
+    if (passedTests === totalTests) {
+        console.log('🎉 All tests passed!');
+    } else {
+        console.log(`❌ ${totalTests - passedTests} tests failed`);
+    }
+
+    return { total: totalTests, passed: passedTests };
+}
+
+// Export test runner for external use
+export { runTests };
+
+// Auto-run tests if this module is loaded directly
+if (import.meta.url === `file://${process?.argv?.[1]}` || typeof window !== 'undefined') {
+    runTests();
+}
@@ -0,0 +1,188 @@
+/**
+ * Strain Gauge Pressure Measurement Module
+ * Back-calculates internal (chamber) pressure from hoop strain measured on the barrel OD
+ * using the inverse of the Lamé and Hooke relations in core.js
+ *
+ * All calculations use SI base units internally:
+ * - Lengths in mm
+ * - Pressures in MPa
+ * - Elastic modulus in MPa
+ * - Strains in microstrain (µε) at the interface of this module
+ *
+ * The OD hoop strain is linear in internal pressure, so the pressure follows from the
+ * strain produced by a unit pressure. An empirical per-barrel calibration factor, when
+ * given, replaces the theoretical sensitivity.
+ */
+
+import { lameCoefficients, stresses, axialStress, strains } from './core.js';
+import { convert } from '../units.js';
+
+/**
+ * Calculate the theoretical OD hoop strain per unit internal pressure
+ *
+ * At the free outer surface σ_r = 0 and σ_θ = 2A, so
+ * ε_θ = (2A - ν·σ_z) / E with A = p·ri² / (ro² - ri²)
+ *
+ * @param {number} ri - Inner radius (mm)
+ * @param {number} ro - Outer radius (mm)
+ * @param {number} E - Elastic modulus (MPa)
+ * @param {number} nu - Poisson's ratio, defaults to 0.3
+ * @param {string} endCondition - End condition for σ_z, defaults to 'open-end'.
+ *   'closed-end' applies the axial correction for a chamber closed by the bolt face.
+ * @returns {number} Hoop strain at the OD per MPa of internal pressure (µε/MPa)
+ * @throws {Error} If geometry or material constants are invalid
+ */
+export function hoopStrainSensitivity(ri, ro, E, nu = 0.3, endCondition = 'open-end') {
+    const { A, B } = lameCoefficients(ri, ro, 1, 0);
+    const sigma_z = axialStress(A, { endCondition, nu });
+    const { epsilon_theta } = strains({ ...stresses(ro, A, B), sigma_z }, E, nu);
+
+    return epsilon_theta * 1e6;
+}
+
+/**
+ * Convert a calibration factor in microstrain per ksi to microstrain per MPa
+ *
+ * @param {number} calibrationFactor - Calibration factor (µε/ksi)
+ * @returns {number} Calibration factor (µε/MPa)
+ */
+export function calibrationToSI(calibrationFactor) {
+    // µε per ksi of pressure is µε per convert(1, 'ksi', 'MPa') MPa
+    return calibrationFactor / convert(1, 'ksi', 'MPa');
+}
+
+/**
+ * Parse a strain gauge time series from CSV text
+ *
+ * Accepts one column (microstrain, sample index used as time) or two columns
+ * (time, microstrain) separated by commas, semicolons or tabs. Header and
+ * non-numeric lines are skipped.
+ *
+ * @param {string} csvText - CSV text
+ * @returns {Array} Array of {time, microstrain} objects
+ * @throws {Error} If no numeric samples are found
+ */
+export function parseStrainCSV(csvText) {
+    const samples = [];
+
+    csvText.split(/\r?\n/).forEach(line => {
+        const fields = line.split(/[,;\t]/).map(field => field.trim()).filter(field => field !== '');
+        if (fields.length === 0) {
+            return;
+        }
+
+        const values = fields.map(Number);
+        if (values.some(value => !Number.isFinite(value))) {
+            return; // Header or comment line
+        }
+
+        if (values.length === 1) {
+            samples.push({ time: samples.length, microstrain: values[0] });
+        } else {
+            samples.push({ time: values[0], microstrain: values[1] });
+        }
+    });
+
+    if (samples.length === 0) {
+        throw new Error('No numeric strain samples found in CSV data');
+    }
+
+    return samples;
+}
+
+/**
+ * Back-calculate internal pressure from a measured OD hoop strain
+ *
+ * @param {number} microstrain - Measured hoop strain (µε)
+ * @param {number} sensitivity - Hoop strain per unit pressure (µε/MPa)
+ * @param {number} zeroOffset - Gauge reading at zero pressure (µε), defaults to 0
+ * @returns {number} Internal pressure (MPa)
+ */
+export function pressureFromHoopStrain(microstrain, sensitivity, zeroOffset = 0) {
+    return (microstrain - zeroOffset) / sensitivity;
+}
+
+/**
+ * Strain gauge pressure analysis for a single reading or a time series
+ *
+ * @param {Object} params - Measurement parameters
+ * @param {number} params.ri - Inner radius under the gauge (mm)
+ * @param {number} params.ro - Outer radius under the gauge (mm)
+ * @param {number} params.E - Elastic modulus (MPa)
+ * @param {number} params.nu - Poisson's ratio, defaults to 0.3
+ * @param {string} params.endCondition - 'open-end' (default) or 'closed-end' for the axial correction
+ * @param {number} params.microstrain - Single measured hoop strain (µε)
+ * @param {Array} params.series - Time series of {time, microstrain} samples
+ * @param {string} params.csv - Time series as CSV text (see parseStrainCSV)
+ * @param {number} params.calibrationFactor - Per-barrel calibration (µε/ksi), overrides theory when given
+ * @param {number} params.zeroOffset - Gauge reading at zero pressure (µε), defaults to 0
+ * @returns {Object} Back-calculated pressures with sensitivity and peak sample
+ * @throws {Error} If inputs are invalid
+ */
+export function analyzeStrainGauge(params) {
+    const {
+        ri, ro, E,
+        nu = 0.3,
+        endCondition = 'open-end',
+        microstrain,
+        series,
+        csv,
+        calibrationFactor,
+        zeroOffset = 0
+    } = params;
+
+    try {
+        const inputs = [microstrain, series, csv].filter(input => input !== undefined && input !== null);
+        if (inputs.length !== 1) {
+            throw new Error('Specify exactly one of a strain reading, a time series or CSV data');
+        }
+        if (calibrationFactor !== undefined && calibrationFactor !== null && !(calibrationFactor > 0)) {
+            throw new Error('Calibration factor must be positive');
+        }
+
+        const theoretical = hoopStrainSensitivity(ri, ro, E, nu, endCondition);
+        const calibrated = calibrationFactor > 0;
+        const sensitivity = calibrated ? calibrationToSI(calibrationFactor) : theoretical;
+
+        let samples;
+        if (csv !== undefined && csv !== null) {
+            samples = parseStrainCSV(csv);
+        } else if (series !== undefined && series !== null) {
+            samples = series;
+        } else {
+            if (!Number.isFinite(microstrain)) {
+                throw new Error('Strain reading must be a number');
+            }
+            samples = [{ time: 0, microstrain }];
+        }
+        if (!Array.isArray(samples) || samples.length === 0) {
+            throw new Error('Strain time series has no samples');
+        }
+
+        const pressureSeries = samples.map(({ time, microstrain: reading }) => ({
+            time,
+            microstrain: reading,
+            pressure: pressureFromHoopStrain(reading, sensitivity, zeroOffset)
+        }));
+
+        const peak = pressureSeries.reduce((max, sample) => sample.pressure > max.pressure ? sample : max);
+
+        return {
+            pressure: peak.pressure,
+            peak,
+            series: pressureSeries,
+            sensitivity: {
+                theoretical, // µε/MPa
+                theoreticalPerKsi: theoretical * convert(1, 'ksi', 'MPa'),
+                applied: sensitivity,
+                calibrated
+            },
+            endCondition,
+            zeroOffset,
+            geometry: { ri, ro },
+            material: { E, nu }
+        };
+    } catch (error) {
+        throw new Error(`Strain gauge analysis failed: ${error.message}`);
+    }
+}
@@ -0,0 +1,172 @@
+/**
+ * Unit Tests for Parameter Sweep Module
+ *
+ * Tests one- and two-variable design sweeps including:
+ * - Sweep value generation
+ * - Agreement with analyzeCircle and analyzeCompoundCylinder at each point
+ * - Compound first-yield and burst pressures
+ * - Safety factor trends with OD and pressure
+ * - Two-variable grids with invalid points
+ * - Error handling
+ */
+
+import { sweepValues, sweepParameter, sweepGrid } from './sweep.js';
+import { analyzeCircle } from './core.js';
+import { analyzeCompoundCylinder } from './trunnion.js';
+
+/**
+ * Test runner utility
+ */
+function runTests() {
+    console.log('Running Parameter Sweep Tests...\n');
+
+    let totalTests = 0;
+    let passedTests = 0;
+
+    function test(name, testFunction) {
+        totalTests++;
+        try {
+            testFunction();
+            console.log(`✅ ${name}`);
+            passedTests++;
+        } catch (error) {
+            console.error(`❌ ${name}: ${error.message}`);
+            console.error(error.stack);
+        }
+    }
+
+    function assertApproxEqual(actual, expected, tolerance = 1e-6, message = '') {
+        const diff = Math.abs(actual - expected);
+        if (diff > tolerance) {
+            throw new Error(`Expected ${expected}, got ${actual} (diff: ${diff}) ${message}`);
+        }
+    }
+
+    function assertThrows(fn, expectedMessage = '') {
+        try {
+            fn();
+            throw new Error('Expected function to throw an error');
+        } catch (error) {
+            if (expectedMessage && !error.message.includes(expectedMessage)) {
+                throw new Error(`Expected error containing "${expectedMessage}", got "${error.message}"`);
+            }
+        }
+    }
+
+    // .308 Winchester chamber in 4140 steel
+    const base = { ri: 6, ro: 15, p_i: 380, Sy: 655, Su: 827, endCondition: 'closed-end', nu: 0.3 };
+    const compound = {
+        barrel: { ri: 6, ro: 15, E: 200000, nu: 0.3 },
+        trunnion: { ri: 14.98, ro: 25, E: 200000, nu: 0.3 },
+        interference: 0.02,
+        operatingPressure: 380,
+        material: { Sy: 655, Su: 827 }
+    };
+
+    test('Sweep values are evenly spaced and inclusive', () => {
+        const values = sweepValues(20, 40, 5);
+        if (values.length !== 5) {
+            throw new Error(`Expected 5 values, got ${values.length}`);
+        }
+        assertApproxEqual(values[0], 20, 0);
+        assertApproxEqual(values[1], 25, 1e-12);
+        assertApproxEqual(values[4], 40, 1e-12);
+    });
+
+    test('OD sweep matches analyzeCircle and rises with OD', () => {
+        const { points, unit } = sweepParameter(base, 'outerDiameter', { start: 20, end: 50, steps: 7 });
+        if (unit !== 'mm') {
+            throw new Error(`Expected mm, got ${unit}`);
+        }
+
+        points.forEach((point, i) => {
+            const direct = analyzeCircle({ ...base, ro: point.value / 2 });
+            assertApproxEqual(point.SF_y, direct.safetyFactors.SF_y, 1e-12);
+            assertApproxEqual(point.firstYieldPressure, direct.burstPressure, 1e-12);
+            assertApproxEqual(point.burstPressure, direct.burstModels.minimumBurst, 1e-12);
+            assertApproxEqual(point.peakVonMises, direct.stresses.inner.sigma_vm, 1e-9);
+            if (i > 0 && !(point.SF_y > points[i - 1].SF_y)) {
+                throw new Error('Safety factor should increase with OD');
+            }
+        });
+        console.log(`    SF_y ${points[0].SF_y.toFixed(2)} at 20 mm → ${points[6].SF_y.toFixed(2)} at 50 mm`);
+    });
+
+    test('Pressure sweep scales the safety factor inversely', () => {
+        const { points } = sweepParameter(base, 'pressure', [100, 200, 400]);
+        assertApproxEqual(points[0].SF_y * 100, points[2].SF_y * 400, 1e-9);
+        assertApproxEqual(points[1].burstPressure, points[2].burstPressure, 1e-12);
+    });
+
+    test('Interference sweep drives the compound cylinder', () => {
+        const { points } = sweepParameter(compound, 'interference', [0.002, 0.03]);
+        const analyzeFit = (interference, p) => Object.values(analyzeCompoundCylinder({
+            ...compound,
+            interference,
+            trunnion: { ...compound.trunnion, ri: 15 - interference },
+            operatingPressure: p
+        }).analysis);
+        const governing = (interference, p, basis) => Math.min(...analyzeFit(interference, p).map(location => location.safetyFactors[basis]));
+
+        assertApproxEqual(points[1].SF_y, governing(0.03, 380, 'SF_y'), 1e-12);
+
+        // The limit pressures bring the governing location to a safety factor of one
+        assertApproxEqual(governing(0.002, points[0].firstYieldPressure, 'SF_y'), 1, 1e-6, '(first yield)');
+        assertApproxEqual(governing(0.002, points[0].burstPressure, 'SF_u'), 1, 1e-6, '(burst)');
+        if (!(points[0].burstPressure > points[0].firstYieldPressure && points[0].firstYieldPressure > 380)) {
+            throw new Error('Burst should follow first yield above the operating pressure');
+        }
+
+        // A fit that yields under the interference alone has no pressure margin
+        assertApproxEqual(points[1].firstYieldPressure, 0, 0, '(yielded by the fit)');
+        assertThrows(() => sweepParameter(base, 'interference', [0.01]), 'compound');
+    });
+
+    test('Two-variable grid with invalid points', () => {
+        const result = sweepGrid(
+            base,
+            { variable: 'outerDiameter', range: [10, 30, 40] },
+            { variable: 'yieldStrength', range: { start: 500, end: 800, steps: 4 } }
+        );
+
+        if (result.grid.length !== 4 || result.grid[0].length !== 3) {
+            throw new Error('Grid should have 4 rows of 3 points');
+        }
+        // 10 mm OD is smaller than the 12 mm bore
+        if (!result.grid[2][0].error) {
+            throw new Error('OD below the bore should be reported as an error point');
+        }
+        const direct = analyzeCircle({ ...base, ro: 20, Sy: result.y.values[2] });
+        assertApproxEqual(result.grid[2][2].SF_y, direct.safetyFactors.SF_y, 1e-12);
+        assertApproxEqual(result.grid[2][2].x, 40, 0);
+        assertApproxEqual(result.grid[2][2].y, 700, 1e-9);
+    });
+
+    test('Error handling for invalid sweeps', () => {
+        assertThrows(() => sweepParameter(base, 'barrelLength', [1, 2]), 'Unknown sweep variable');
+        assertThrows(() => sweepParameter(base, 'pressure', { start: 100, end: 200, steps: 1 }), 'two steps');
+        assertThrows(() => sweepParameter(base, 'pressure', []), 'empty');
+        assertThrows(() => sweepGrid(base, { variable: 'pressure', range: [1, 2] }, { variable: 'pressure', range: [1, 2] }), 'different');
+        assertThrows(() => sweepParameter(base, 'yieldStrength', { start: 600, end: 900, steps: 4 }), 'above the ultimate strength of 827 MPa');
+        assertThrows(() => sweepGrid(compound, { variable: 'yieldStrength', range: [700, 850] }, { variable: 'pressure', range: [1, 2] }), 'above the ultimate strength');
+    });
+
+    // Summary
+    console.log(`\n📊 Test Summary: ${passedTests}/${totalTests} tests passed`);
+
+    if (passedTests === totalTests) {
+        console.log('🎉 All tests passed!');
+    } else {
+        console.log(`❌ ${totalTests - passedTests} tests failed`);
+    }
+
+    return { total: totalTests, passed: passedTests };
+}
+
+// Export test runner for external use
+export { runTests };
+
+// Auto-run tests if this module is loaded directly
+if (import.meta.url === `file://${process?.argv?.[1]}` || typeof window !== 'undefined') {
+    runTests();
+}
@@ -0,0 +1,274 @@
+/**
+ * Parameter Sweep Module
+ * Repeats the single or compound cylinder analysis while varying one or two inputs,
+ * producing safety factor and burst pressure design curves and grids
+ *
+ * All calculations use SI base units internally:
+ * - Lengths and diameters in mm
+ * - Pressures in MPa
+ * - Stresses in MPa
+ *
+ * Base parameters take the form of analyzeCircle, or of analyzeCompoundCylinder when they
+ * contain barrel and trunnion objects. Points that fail to analyze (e.g. an OD smaller
+ * than the bore) are returned with an error message instead of aborting the sweep.
+ *
+ * Compound points report the elastic limit pressures of the shrink-fit assembly: the
+ * operating pressure at which the governing location first yields, and at which its
+ * equivalent stress reaches the ultimate strength (the burst estimate).
+ */
+
+import { analyzeCircle } from './core.js';
+import { analyzeCompoundCylinder } from './trunnion.js';
+import { findRoot } from './solver.js';
+
+/**
+ * Variables that can be swept, with their units
+ */
+export const SWEEP_VARIABLES = {
+    outerDiameter: 'mm',
+    boreDiameter: 'mm',
+    pressure: 'MPa',
+    yieldStrength: 'MPa',
+    interference: 'mm'
+};
+
+/**
+ * Generate evenly spaced sweep values
+ *
+ * @param {number} start - First value
+ * @param {number} end - Last value
+ * @param {number} steps - Number of values (≥ 2)
+ * @returns {Array} Values from start to end inclusive
+ * @throws {Error} If fewer than two steps are requested
+ */
+export function sweepValues(start, end, steps) {
+    if (!Number.isInteger(steps) || steps < 2) {
+        throw new Error('A sweep needs at least two steps');
+    }
+    return Array.from({ length: steps }, (_, i) => start + (end - start) * i / (steps - 1));
+}
+
+/**
+ * Resolve a range given as an array of values or {start, end, steps}
+ *
+ * @param {Array|Object} range - Sweep range
+ * @returns {Array} Sweep values
+ */
+function resolveRange(range) {
+    if (Array.isArray(range)) {
+        if (range.length === 0) {
+            throw new Error('Sweep range is empty');
+        }
+        return range;
+    }
+    return sweepValues(range.start, range.end, range.steps);
+}
+
+/**
+ * Return a copy of the base parameters with one variable set
+ *
+ * @param {Object} params - Base parameters
+ * @param {string} variable - One of SWEEP_VARIABLES
+ * @param {number} value - Value in SI units (diameters, not radii)
+ * @returns {Object} Modified parameters
+ */
+function applyVariable(params, variable, value) {
+    const compound = Boolean(params.barrel && params.trunnion);
+
+    if (!compound) {
+        switch (variable) {
+            case 'outerDiameter':
+                return { ...params, ro: value / 2 };
+            case 'boreDiameter':
+                return { ...params, ri: value / 2 };
+            case 'pressure':
+                return { ...params, p_i: value };
+            case 'yieldStrength':
+                return { ...params, Sy: value };
+            case 'interference':
+                throw new Error('Interference sweeps need compound cylinder parameters');
+        }
+    } else {
+        switch (variable) {
+            case 'outerDiameter':
+                return { ...params, trunnion: { ...params.trunnion, ro: value / 2 } };
+            case 'boreDiameter':
+                return { ...params, barrel: { ...params.barrel, ri: value / 2 } };
+            case 'pressure':
+                return { ...params, operatingPressure: value };
+            case 'yieldStrength':
+                return { ...params, material: { ...params.material, Sy: value } };
+            case 'interference':
+                return {
+                    ...params,
+                    interference: value,
+                    trunnion: { ...params.trunnion, ri: params.barrel.ro - value }
+                };
+        }
+    }
+    throw new Error(`Unknown sweep variable: ${variable}`);
+}
+
+/**
+ * Find the operating pressure at which a compound cylinder reaches a safety factor of one
+ *
+ * Preload and pressure stresses add, so each location's stress is affine in the pressure
+ * and its equivalent stress is convex in it. The pressures that keep every location
+ * within strength therefore form one interval starting at zero, and its upper end is
+ * the only root above zero.
+ *
+ * @param {Object} params - analyzeCompoundCylinder parameters
+ * @param {string} basis - 'SF_y' for first yield or 'SF_u' for the ultimate strength
+ * @returns {number} Limit pressure (MPa), 0 when the interference alone exceeds the strength
+ */
+function compoundLimitPressure(params, basis) {
+    // Utilization 1/SF stays finite where a location is unstressed
+    const utilization = p => Math.max(...Object.values(analyzeCompoundCylinder({ ...params, operatingPressure: p }).analysis)
+        .map(location => 1 / location.safetyFactors[basis])) - 1;
+
+    if (utilization(0) >= 0) {
+        return 0;
+    }
+    const guess = params.operatingPressure > 0 ? params.operatingPressure : params.material.Sy;
+    return findRoot(utilization, { bracket: [0, guess], lowerBound: 0, tolerance: 1e-9 }).root;
+}
+
+/**
+ * Analyze one point and reduce the result to the swept quantities
+ *
+ * @param {Object} params - Analysis parameters
+ * @returns {Object} {SF_y, SF_u, burstPressure, firstYieldPressure, peakVonMises}
+ */
+function evaluatePoint(params) {
+    if (params.barrel && params.trunnion) {
+        const locations = Object.values(analyzeCompoundCylinder(params).analysis);
+        return {
+            SF_y: Math.min(...locations.map(location => location.safetyFactors.SF_y)),
+            SF_u: Math.min(...locations.map(location => location.safetyFactors.SF_u)),
+            burstPressure: compoundLimitPressure(params, 'SF_u'),
+            firstYieldPressure: compoundLimitPressure(params, 'SF_y'),
+            peakVonMises: Math.max(...locations.map(location => location.sigma_vm))
+        };
+    }
+
+    const result = analyzeCircle(params);
+    return {
+        SF_y: result.safetyFactors.SF_y,
+        SF_u: result.safetyFactors.SF_u,
+        burstPressure: result.burstModels.minimumBurst,
+        firstYieldPressure: result.burstPressure,
+        peakVonMises: Math.max(result.stresses.inner.sigma_vm, result.stresses.outer.sigma_vm)
+    };
+}
+
+/**
+ * Analyze every value of one variable
+ *
+ * @param {Object} baseParams - Base parameters
+ * @param {string} variable - One of SWEEP_VARIABLES
+ * @param {Array} values - Sweep values
+ * @returns {Array} Points {value, ...} or {value, error}
+ */
+function sweepPoints(baseParams, variable, values) {
+    return values.map(value => {
+        const params = applyVariable(baseParams, variable, value);
+        try {
+            return { value, ...evaluatePoint(params) };
+        } catch (error) {
+            return { value, error: error.message };
+        }
+    });
+}
+
+/**
+ * Check that a yield strength sweep stays within the ultimate strength
+ *
+ * @param {Object} baseParams - Base parameters
+ * @param {string} variable - Sweep variable
+ * @param {Array} values - Sweep values (MPa)
+ * @throws {Error} If a swept yield strength exceeds the ultimate strength
+ */
+function checkYieldRange(baseParams, variable, values) {
+    if (variable !== 'yieldStrength') {
+        return;
+    }
+    const Su = baseParams.material ? baseParams.material.Su : baseParams.Su;
+    const highest = Math.max(...values);
+    if (Su > 0 && highest > Su) {
+        throw new Error(`Yield strength sweep reaches ${highest.toFixed(0)} MPa, above the ultimate strength of ${Su.toFixed(0)} MPa; end the sweep at or below the ultimate strength`);
+    }
+}
+
+/**
+ * Check that a sweep variable is known
+ *
+ * @param {string} variable - Variable name
+ * @throws {Error} If the variable is not one of SWEEP_VARIABLES
+ */
+function checkVariable(variable) {
+    if (!(variable in SWEEP_VARIABLES)) {
+        throw new Error(`Unknown sweep variable: ${variable}`);
+    }
+}
+
+/**
+ * Sweep one input over a range
+ *
+ * @param {Object} baseParams - analyzeCircle or analyzeCompoundCylinder parameters
+ * @param {string} variable - One of SWEEP_VARIABLES
+ * @param {Array|Object} range - Values (SI units) or {start, end, steps}
+ * @returns {Object} {variable, unit, points} with points {value, SF_y, SF_u, burstPressure,
+ *   firstYieldPressure, peakVonMises} or {value, error}. Compound burst pressures are the
+ *   elastic estimate at the ultimate strength.
+ * @throws {Error} If the variable or range is invalid, or a yield strength sweep passes Su
+ */
+export function sweepParameter(baseParams, variable, range) {
+    try {
+        checkVariable(variable);
+        const values = resolveRange(range);
+        checkYieldRange(baseParams, variable, values);
+        const points = sweepPoints(baseParams, variable, values);
+
+        return { variable, unit: SWEEP_VARIABLES[variable], points };
+    } catch (error) {
+        throw new Error(`Parameter sweep failed: ${error.message}`);
+    }
+}
+
+/**
+ * Sweep two inputs over a grid
+ *
+ * @param {Object} baseParams - analyzeCircle or analyzeCompoundCylinder parameters
+ * @param {Object} xAxis - {variable, range} for the columns
+ * @param {Object} yAxis - {variable, range} for the rows
+ * @returns {Object} {x: {variable, unit, values}, y: {...}, grid} where grid[j][i] is the
+ *   point at y.values[j] and x.values[i], with the fields of sweepParameter points
+ * @throws {Error} If a variable or range is invalid, or a yield strength sweep passes Su
+ */
+export function sweepGrid(baseParams, xAxis, yAxis) {
+    try {
+        if (xAxis.variable === yAxis.variable) {
+            throw new Error('Grid axes must sweep different variables');
+        }
+        checkVariable(xAxis.variable);
+        checkVariable(yAxis.variable);
+        const xValues = resolveRange(xAxis.range);
+        const yValues = resolveRange(yAxis.range);
+        checkYieldRange(baseParams, xAxis.variable, xValues);
+        checkYieldRange(baseParams, yAxis.variable, yValues);
+
+        const grid = yValues.map(yValue => {
+            const rowParams = applyVariable(baseParams, yAxis.variable, yValue);
+            return sweepPoints(rowParams, xAxis.variable, xValues)
+                .map(({ value, ...point }) => ({ x: value, y: yValue, ...point }));
+        });
+
+        return {
+            x: { variable: xAxis.variable, unit: SWEEP_VARIABLES[xAxis.variable], values: xValues },
+            y: { variable: yAxis.variable, unit: SWEEP_VARIABLES[yAxis.variable], values: yValues },
+            grid
+        };
+    } catch (error) {
+        throw new Error(`Parameter sweep failed: ${error.message}`);
+    }
+}
@@ -3,7 +3,7 @@
  * Validates Lamé equation implementation against known textbook examples
  */
 
-import { lameCoefficients, stresses, vonMises, safetyFactors, burstPressureEstimate, analyzeCircle } from './core.js';
+import { lameCoefficients, stresses, vonMises, safetyFactors, burstPressureEstimate, analyzeCircle, axialStress, generateStressField, equivalentStress, evaluateFailureCriteria, burstPressureModels, hardeningExponentEstimate, thermalStresses, temperatureAt, strains, radialDisplacement, fullStressState, stressStateAt } from './core.js';
 import { runToleranceTests } from './tolerance-test.js';
 
 /**
@@ -102,11 +102,13 @@ function runTests() {
         });
         
         console.log(`   Safety Factors: SF_y = ${result.safetyFactors.SF_y.toFixed(2)}, SF_u = ${result.safetyFactors.SF_u.toFixed(2)}`);
-        console.log(`   Burst Pressure: ${result.burstPressure.toFixed(1)} MPa`);
+        console.log(`   First-Yield Pressure: ${result.burstPressure.toFixed(1)} MPa`);
+        console.log(`   Burst Pressure: ${result.burstModels.minimumBurst.toFixed(1)} MPa`);
         console.log(`   Max Von Mises: ${result.stresses.inner.sigma_vm.toFixed(1)} MPa`);
         
-        // Validate that burst pressure is reasonable
-        const burstReasonable = result.burstPressure > p_i && result.burstPressure < 10 * p_i;
+        // Validate that burst pressure is reasonable (first yield may lie below operating pressure)
+        const burstPressure = result.burstModels.minimumBurst;
+        const burstReasonable = burstPressure > p_i && burstPressure < 10 * p_i;
         const safetyReasonable = result.safetyFactors.SF_y > 0.5 && result.safetyFactors.SF_y < 10;
         
         if (burstReasonable && safetyReasonable) {
@@ -200,6 +202,334 @@ function runTests() {
     
     console.log('');
     
+    // Test Case 5: Axial end conditions
+    console.log('📋 Test Case 5: Axial End Conditions');
+    totalTests++;
+    
+    try {
+        const { ri, ro, p_i } = testCases.case1;
+        const nu = 0.3;
+        const { A, B } = lameCoefficients(ri, ro, p_i, 0);
+        const tolerance = 1e-9;
+        
+        const sigmaPlaneStress = axialStress(A, { endCondition: 'plane-stress' });
+        const sigmaOpenEnd = axialStress(A, { endCondition: 'open-end' });
+        const sigmaClosedEnd = axialStress(A, { endCondition: 'closed-end' });
+        const sigmaPlaneStrain = axialStress(A, { endCondition: 'plane-strain', nu });
+        const sigmaGeneralized = axialStress(A, {
+            endCondition: 'generalized-plane-strain', nu, E: 200000, axialStrain: 1e-4
+        });
+        
+        console.log(`   σ_z closed-end = ${sigmaClosedEnd.toFixed(3)} MPa, plane strain = ${sigmaPlaneStrain.toFixed(3)} MPa`);
+        
+        // Closed-end axial stress must balance the pressure on the end cap
+        const capForceBalance = Math.abs(sigmaClosedEnd * Math.PI * (ro * ro - ri * ri) - p_i * Math.PI * ri * ri);
+        
+        const result = analyzeCircle({
+            ri, ro, p_i, p_o: 0, Sy: 800, Su: 1000, endCondition: 'closed-end'
+        });
+        const inner = result.stresses.inner;
+        const expectedVm = vonMises(inner.sigma_r, inner.sigma_theta, sigmaClosedEnd);
+        const field = generateStressField(ri, ro, A, B, 10, { endCondition: 'closed-end' });
+        
+        const checks = [
+            sigmaPlaneStress === 0 && sigmaOpenEnd === 0,
+            capForceBalance < 1e-6,
+            Math.abs(sigmaPlaneStrain - 2 * nu * A) < tolerance,
+            Math.abs(sigmaGeneralized - (2 * nu * A + 20)) < tolerance,
+            Math.abs(inner.sigma_z - sigmaClosedEnd) < tolerance,
+            Math.abs(inner.sigma_vm - expectedVm) < tolerance,
+            field.every(point => Math.abs(point.sigma_z - sigmaClosedEnd) < tolerance),
+            result.endCondition === 'closed-end'
+        ];
+        
+        let unknownRejected = false;
+        try {
+            axialStress(A, { endCondition: 'sideways' });
+        } catch (error) {
+            unknownRejected = error.message.includes('Unknown end condition');
+        }
+        
+        if (checks.every(Boolean) && unknownRejected) {
+            console.log('   ✅ End conditions produce correct axial stress');
+            passedTests++;
+        } else {
+            console.log(`   ❌ End condition checks failed: ${JSON.stringify(checks)}, unknown rejected: ${unknownRejected}`);
+        }
+        
+    } catch (error) {
+        console.log(`   ❌ Test failed with error: ${error.message}`);
+    }
+    
+    console.log('');
+    
+    // Test Case 6: Failure criteria
+    console.log('📋 Test Case 6: Failure Criteria');
+    totalTests++;
+    
+    try {
+        // Bore of case 1: σ_r = -100, σ_θ = 166.67, σ_z = 0
+        const sigma_r = -100;
+        const sigma_theta = 500 / 3;
+        const tolerance = 1e-9;
+        
+        const tresca = equivalentStress(sigma_r, sigma_theta, 0, 'tresca');
+        const maxPrincipal = equivalentStress(sigma_r, sigma_theta, 0, 'max-principal');
+        const mohrCoulomb = equivalentStress(sigma_r, sigma_theta, 0, 'mohr-coulomb', { compressiveStrengthRatio: 4 });
+        
+        console.log(`   Tresca = ${tresca.toFixed(1)} MPa, Max principal = ${maxPrincipal.toFixed(1)} MPa, Mohr-Coulomb (Sc/St = 4) = ${mohrCoulomb.toFixed(1)} MPa`);
+        
+        const evaluation = evaluateFailureCriteria({ sigma_r, sigma_theta, sigma_z: 0 }, 800, 1000);
+        const result = analyzeCircle({
+            ri: 25, ro: 50, p_i: 100, p_o: 0, Sy: 800, Su: 1000, failureCriterion: 'tresca'
+        });
+        
+        const checks = [
+            Math.abs(tresca - (sigma_theta - sigma_r)) < tolerance,
+            Math.abs(maxPrincipal - sigma_theta) < tolerance,
+            Math.abs(mohrCoulomb - (sigma_theta + 25)) < tolerance,
+            // Tresca is never less conservative than Von Mises
+            evaluation.criteria.tresca.SF_y <= evaluation.criteria['von-mises'].SF_y,
+            evaluation.governing === 'tresca' || evaluation.governing === 'mohr-coulomb',
+            Math.abs(result.safetyFactors.SF_y - 800 / tresca) < 1e-6,
+            result.failureCriterion === 'tresca'
+        ];
+        
+        if (checks.every(Boolean)) {
+            console.log(`   ✅ Failure criteria correct (governing: ${evaluation.governing})`);
+            passedTests++;
+        } else {
+            console.log(`   ❌ Failure criteria checks failed: ${JSON.stringify(checks)}`);
+        }
+        
+    } catch (error) {
+        console.log(`   ❌ Test failed with error: ${error.message}`);
+    }
+    
+    console.log('');
+    
+    // Test Case 7: Plastic collapse and burst models
+    console.log('📋 Test Case 7: Burst Pressure Models');
+    totalTests++;
+    
+    try {
+        const { ri, ro, Sy, Su } = testCases.case2;
+        const lnK = Math.log(ro / ri);
+        const models = burstPressureModels(ri, ro, Sy, Su);
+        const firstYield = burstPressureEstimate(ri, ro, Sy);
+        const n = hardeningExponentEstimate(Sy, Su);
+        
+        console.log(`   First yield: ${firstYield.toFixed(1)} MPa, Faupel: ${models.burst.faupel.toFixed(1)} MPa, Svensson: ${models.burst.svensson.toFixed(1)} MPa (n = ${n.toFixed(3)})`);
+        
+        const tolerance = 1e-9;
+        const checks = [
+            Math.abs(models.burst.turner - Su * lnK) < tolerance,
+            Math.abs(models.burst.nadai - 2 / Math.sqrt(3) * Su * lnK) < tolerance,
+            Math.abs(models.burst.faupel - 2 / Math.sqrt(3) * Sy * (2 - Sy / Su) * lnK) < tolerance,
+            Math.abs(models.fullPlasticCollapse.tresca - Sy * lnK) < tolerance,
+            // Recovered exponent reproduces the yield/ultimate ratio
+            Math.abs(Math.pow(0.002 / n, n) - Sy / Su) < 1e-9,
+            // Burst always lies beyond first yield
+            models.minimumBurst > firstYield,
+            models.burst[models.governingModel] === models.minimumBurst
+        ];
+        
+        const result = analyzeCircle({ ri, ro, p_i: 400, p_o: 0, Sy, Su });
+        checks.push(Math.abs(result.margins.burst - models.minimumBurst / 400) < tolerance);
+        checks.push(Math.abs(result.margins.yield - result.burstPressure / 400) < tolerance);
+        
+        if (checks.every(Boolean)) {
+            console.log(`   ✅ Burst models consistent (governing: ${models.governingModel})`);
+            passedTests++;
+        } else {
+            console.log(`   ❌ Burst model checks failed: ${JSON.stringify(checks)}`);
+        }
+        
+    } catch (error) {
+        console.log(`   ❌ Test failed with error: ${error.message}`);
+    }
+    
+    console.log('');
+    
+    // Test Case 8: Thermoelastic stresses from a radial temperature gradient
+    console.log('📋 Test Case 8: Thermal Stresses');
+    totalTests++;
+    
+    try {
+        const { ri, ro } = testCases.case1;
+        const { Sy, Su } = testCases.case2;
+        const thermal = { T_inner: 300, T_outer: 100, alpha: 12e-6, E: 200000, nu: 0.3 };
+        
+        const bore = thermalStresses(ri, ri, ro, thermal, 'closed-end');
+        const od = thermalStresses(ro, ri, ro, thermal, 'closed-end');
+        
+        console.log(`   Hot bore hoop: ${bore.sigma_theta.toFixed(1)} MPa, OD hoop: ${od.sigma_theta.toFixed(1)} MPa`);
+        
+        // Net axial force ∫σ_z·2πr dr vanishes for free ends (trapezoidal rule)
+        const n = 2000;
+        let axialForce = 0;
+        for (let i = 0; i < n; i++) {
+            const r1 = ri + (ro - ri) * i / n;
+            const r2 = ri + (ro - ri) * (i + 1) / n;
+            const f1 = thermalStresses(r1, ri, ro, thermal, 'closed-end').sigma_z * r1;
+            const f2 = thermalStresses(r2, ri, ro, thermal, 'closed-end').sigma_z * r2;
+            axialForce += 0.5 * (f1 + f2) * (r2 - r1) * 2 * Math.PI;
+        }
+        
+        const pressureOnly = analyzeCircle({ ri, ro, p_i: 100, Sy, Su, endCondition: 'closed-end' });
+        const combined = analyzeCircle({
+            ri, ro, p_i: 100, Sy, Su, endCondition: 'closed-end', E: 200000, nu: 0.3,
+            thermal: { T_inner: 300, T_outer: 100, alpha: 12e-6 }
+        });
+        
+        const tolerance = 1e-6;
+        const checks = [
+            // Both surfaces remain traction free
+            Math.abs(bore.sigma_r) < tolerance,
+            Math.abs(od.sigma_r) < tolerance,
+            // Hot bore is in hoop compression, OD in hoop tension
+            bore.sigma_theta < 0 && od.sigma_theta > 0,
+            // For free ends σ_z = σ_θ at both surfaces
+            Math.abs(bore.sigma_z - bore.sigma_theta) < tolerance,
+            Math.abs(axialForce) < 1e-3 * Math.abs(bore.sigma_z) * Math.PI * (ro * ro - ri * ri),
+            Math.abs(temperatureAt(ri, ri, ro, 300, 100) - 300) < tolerance,
+            Math.abs(temperatureAt(ro, ri, ro, 300, 100) - 100) < tolerance,
+            // Superposition with the pressure stresses
+            Math.abs(combined.stresses.inner.sigma_theta - (pressureOnly.stresses.inner.sigma_theta + bore.sigma_theta)) < tolerance,
+            Math.abs(combined.stresses.outer.sigma_z - (pressureOnly.stresses.outer.sigma_z + od.sigma_z)) < tolerance,
+            combined.burstPressure === pressureOnly.burstPressure
+        ];
+        
+        if (checks.every(Boolean)) {
+            console.log(`   ✅ Thermal stresses consistent (critical location: ${combined.criticalLocation})`);
+            passedTests++;
+        } else {
+            console.log(`   ❌ Thermal stress checks failed: ${JSON.stringify(checks)}`);
+        }
+        
+    } catch (error) {
+        console.log(`   ❌ Test failed with error: ${error.message}`);
+    }
+    
+    console.log('');
+    
+    // Test Case 9: Radial displacement and strains
+    console.log('📋 Test Case 9: Displacement and Strain');
+    totalTests++;
+    
+    try {
+        const { ri, ro, p_i } = testCases.case1;
+        const { Sy, Su } = testCases.case2;
+        const E = 200000;
+        const nu = 0.3;
+        const { A, B } = lameCoefficients(ri, ro, p_i, 0);
+        
+        // Open-end closed form: u = (1-ν)A·r/E + (1+ν)B/(E·r)
+        const uExpected = r => (1 - nu) * A * r / E + (1 + nu) * B / (E * r);
+        
+        const openEnd = analyzeCircle({ ri, ro, p_i, Sy, Su, endCondition: 'open-end', E, nu });
+        const planeStrain = analyzeCircle({ ri, ro, p_i, Sy, Su, endCondition: 'plane-strain', E, nu });
+        const closedEnd = analyzeCircle({ ri, ro, p_i, Sy, Su, endCondition: 'closed-end', E, nu });
+        const field = generateStressField(ri, ro, A, B, 11, { endCondition: 'open-end', E, nu });
+        const mid = field[5];
+        
+        console.log(`   Bore expansion: ${(openEnd.deformation.boreExpansion * 1000).toFixed(2)} µm, OD hoop strain: ${(openEnd.deformation.outer.epsilon_theta * 1e6).toFixed(0)} µε`);
+        
+        const tolerance = 1e-12;
+        const checks = [
+            Math.abs(openEnd.deformation.inner.u - uExpected(ri)) < tolerance,
+            Math.abs(openEnd.deformation.outer.u - uExpected(ro)) < tolerance,
+            Math.abs(openEnd.deformation.boreExpansion - 2 * uExpected(ri)) < tolerance,
+            Math.abs(mid.u - uExpected(mid.r)) < tolerance,
+            // Compatibility: ε_r = du/dr
+            Math.abs(openEnd.deformation.inner.epsilon_r - ((1 - nu) * A / E - (1 + nu) * B / (E * ri * ri))) < tolerance,
+            // Plane strain has no axial strain, closed end ε_z = (1-2ν)A/E
+            Math.abs(planeStrain.deformation.inner.epsilon_z) < tolerance,
+            Math.abs(closedEnd.deformation.outer.epsilon_z - (1 - 2 * nu) * A / E) < tolerance,
+            Math.abs(radialDisplacement(ri, openEnd.stresses.inner, E, nu) - uExpected(ri)) < tolerance,
+            Math.abs(strains({ sigma_r: 0, sigma_theta: 0 }, E, nu, 1e-3).epsilon_theta - 1e-3) < tolerance,
+            analyzeCircle({ ri, ro, p_i, Sy, Su }).deformation === null
+        ];
+        
+        if (checks.every(Boolean)) {
+            console.log('   ✅ Displacements and strains match closed-form solution');
+            passedTests++;
+        } else {
+            console.log(`   ❌ Deformation checks failed: ${JSON.stringify(checks)}`);
+        }
+        
+    } catch (error) {
+        console.log(`   ❌ Test failed with error: ${error.message}`);
+    }
+    
+    console.log('');
+    
+    // Test Case 10: Full stress state and invariants
+    console.log('📋 Test Case 10: Full Stress State');
+    totalTests++;
+    
+    try {
+        const { ri, ro, p_i } = testCases.case1;
+        const tolerance = 1e-12;
+        
+        const uniaxial = fullStressState(100, 0, 0);
+        const shear = fullStressState(100, -100, 0);
+        const equibiaxial = fullStressState(100, 100, 0);
+        const hydrostatic = fullStressState(-50, -50, -50);
+        
+        const params = { ri, ro, p_i, endCondition: 'closed-end' };
+        const bore = stressStateAt(ri, params);
+        const circle = analyzeCircle({ ...params, Sy: 800, Su: 1000 });
+        const { A, B } = lameCoefficients(ri, ro, p_i, 0);
+        const mid = generateStressField(ri, ro, A, B, 11, { endCondition: 'closed-end' })[5];
+        const midState = stressStateAt(mid.r, params);
+        
+        console.log(`   Bore triaxiality: ${bore.triaxiality.toFixed(3)}, Lode parameter: ${bore.lodeParameter.toFixed(3)}`);
+        
+        let outsideThrows = false;
+        try {
+            stressStateAt(ro * 1.01, params);
+        } catch (error) {
+            outsideThrows = error.message.includes('within the wall');
+        }
+        
+        const checks = [
+            // Uniaxial tension: η = 1/3, L = -1
+            Math.abs(uniaxial.triaxiality - 1 / 3) < tolerance,
+            uniaxial.lodeParameter === -1,
+            uniaxial.maxShear === 50,
+            // Pure shear: η = 0, L = 0
+            Math.abs(shear.triaxiality) < tolerance,
+            Math.abs(shear.lodeParameter) < tolerance,
+            // Equibiaxial tension: η = 2/3, L = +1
+            Math.abs(equibiaxial.triaxiality - 2 / 3) < tolerance,
+            equibiaxial.lodeParameter === 1,
+            // No deviatoric stress
+            hydrostatic.triaxiality === null && hydrostatic.lodeParameter === null,
+            Math.abs(hydrostatic.hydrostatic + 50) < tolerance,
+            // Closed-end bore: σ_z = A is the mean of σ_r and σ_θ, so L = 0
+            Math.abs(bore.sigma_theta - circle.stresses.inner.sigma_theta) < tolerance,
+            Math.abs(bore.vonMises - circle.stresses.inner.sigma_vm) < tolerance,
+            Math.abs(bore.lodeParameter) < tolerance,
+            Math.abs(circle.stressStates.inner.triaxiality - bore.triaxiality) < tolerance,
+            Math.abs(midState.vonMises - mid.sigma_vm) < tolerance,
+            bore.principal.sigma_1 === bore.sigma_theta && bore.principal.sigma_3 === bore.sigma_r,
+            outsideThrows
+        ];
+        
+        if (checks.every(Boolean)) {
+            console.log('   ✅ Principal stresses and invariants are consistent');
+            passedTests++;
+        } else {
+            console.log(`   ❌ Stress state checks failed: ${JSON.stringify(checks)}`);
+        }
+        
+    } catch (error) {
+        console.log(`   ❌ Test failed with error: ${error.message}`);
+    }
+    
+    console.log('');
+    
     // Summary
     console.log('🏁 Test Summary');
     console.log(`   Passed: ${passedTests}/${totalTests} tests`);
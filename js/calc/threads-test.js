@@ -0,0 +1,152 @@
+/**
+ * Unit Tests for Thread Strength Module
+ *
+ * Tests the tenon and muzzle thread checks including:
+ * - Unified and metric thread designation parsing
+ * - Basic thread dimensions and tensile stress area
+ * - Stripping shear areas
+ * - Root wall stresses under the thread load
+ * - Governing failure mode selection and error handling
+ */
+
+import { parseThreadDesignation, threadGeometry, strippingAreas, analyzeThread } from './threads.js';
+import { analyzeCircle } from './core.js';
+
+/**
+ * Test runner utility
+ */
+function runTests() {
+    console.log('Running Thread Strength Tests...\n');
+
+    let totalTests = 0;
+    let passedTests = 0;
+
+    function test(name, testFunction) {
+        totalTests++;
+        try {
+            testFunction();
+            console.log(`✅ ${name}`);
+            passedTests++;
+        } catch (error) {
+            console.error(`❌ ${name}: ${error.message}`);
+            console.error(error.stack);
+        }
+    }
+
+    function assertApproxEqual(actual, expected, tolerance = 1e-6, message = '') {
+        const diff = Math.abs(actual - expected);
+        if (diff > tolerance) {
+            throw new Error(`Expected ${expected}, got ${actual} (diff: ${diff}) ${message}`);
+        }
+    }
+
+    function assertThrows(fn, expectedMessage = '') {
+        try {
+            fn();
+            throw new Error('Expected function to throw an error');
+        } catch (error) {
+            if (expectedMessage && !error.message.includes(expectedMessage)) {
+                throw new Error(`Expected error containing "${expectedMessage}", got "${error.message}"`);
+            }
+        }
+    }
+
+    // .308 Winchester bore (7.62 mm) with a Remington 700 pattern tenon and a 5/8-24 muzzle thread
+    const material = { Sy: 900, Su: 1030 };
+    const tenon = { designation: '1-1/16-16', engagementLength: 19, ri: 3.81, p: 415, ...material };
+    const muzzle = { designation: '5/8-24', engagementLength: 12.7, ri: 3.81, p: 60, ...material };
+
+    test('Unified and metric designations are parsed', () => {
+        const fiveEighths = parseThreadDesignation('5/8-24 UNEF');
+        assertApproxEqual(fiveEighths.majorDiameter, 15.875, 1e-9);
+        assertApproxEqual(fiveEighths.pitch, 25.4 / 24, 1e-12);
+
+        assertApproxEqual(parseThreadDesignation('1-1/16-16').majorDiameter, 26.9875, 1e-9);
+        assertApproxEqual(parseThreadDesignation('1.0625-20').pitch, 1.27, 1e-12);
+        assertApproxEqual(parseThreadDesignation('1-14').majorDiameter, 25.4, 1e-12);
+
+        const ak = parseThreadDesignation('M14x1 LH');
+        assertApproxEqual(ak.majorDiameter, 14, 0);
+        assertApproxEqual(ak.pitch, 1, 0);
+        if (ak.system !== 'metric' || !ak.leftHand || fiveEighths.leftHand) {
+            throw new Error('Expected a left-hand metric thread');
+        }
+    });
+
+    test('Tensile stress areas match the 1/2-28 UNEF and M14x1 table values', () => {
+        const { majorDiameter, pitch } = parseThreadDesignation('1/2-28');
+        const geometry = threadGeometry(majorDiameter, pitch, 'unified');
+
+        // 0.1700 in² in FED-STD-H28/2, 134 mm² in ISO 898-1
+        assertApproxEqual(geometry.tensileStressArea / 645.16, 0.1700, 1e-4);
+        assertApproxEqual(threadGeometry(14, 1).tensileStressArea, 134, 0.5);
+        if (!(geometry.rootDiameter < geometry.minorDiameter && geometry.minorDiameter < geometry.pitchDiameter)) {
+            throw new Error('Expected root < minor < pitch diameter');
+        }
+    });
+
+    test('Basic size stripping areas reduce to 0.75πD1·Le and 0.875πd·Le', () => {
+        const geometry = threadGeometry(15.875, 25.4 / 24);
+        const areas = strippingAreas(geometry, 10);
+
+        assertApproxEqual(areas.external, 0.75 * Math.PI * geometry.minorDiameter * 10, 1e-3);
+        assertApproxEqual(areas.internal, 0.875 * Math.PI * geometry.majorDiameter * 10, 1e-3);
+    });
+
+    test('Default thread load gives closed-end stresses under the thread root', () => {
+        const result = analyzeThread(tenon);
+        const ro = result.thread.rootDiameter / 2;
+        const closedEnd = analyzeCircle({ ri: tenon.ri, ro, p_i: tenon.p, ...material, endCondition: 'closed-end' });
+
+        assertApproxEqual(result.axialLoad, tenon.p * Math.PI * tenon.ri * tenon.ri, 1e-9);
+        assertApproxEqual(result.wall.stresses.sigma_z, closedEnd.stresses.inner.sigma_z, 1e-9);
+        assertApproxEqual(result.wall.safetyFactors.SF_y, closedEnd.safetyFactors.SF_y, 1e-9);
+        assertApproxEqual(result.tension.stress, result.axialLoad / result.tension.netArea, 1e-12);
+        console.log(`    Tenon governed by ${result.governingMode}, SF_y = ${result.safetyFactors.SF_y.toFixed(2)}`);
+    });
+
+    test('Governing mode follows engagement length and mating material', () => {
+        const short = analyzeThread({ ...muzzle, engagementLength: 0.5, p: 415 });
+        if (short.governingMode !== 'barrel-thread-stripping') {
+            throw new Error(`Expected stripping to govern, got ${short.governingMode}`);
+        }
+
+        const softDevice = analyzeThread({ ...muzzle, engagementLength: 0.5, p: 415, mating: { Sy: 200, Su: 300 } });
+        if (softDevice.governingMode !== 'mating-thread-stripping') {
+            throw new Error(`Expected the device thread to govern, got ${softDevice.governingMode}`);
+        }
+
+        const preloaded = analyzeThread({ ...muzzle, preload: 20000 });
+        if (!(preloaded.safetyFactors.SF_y < analyzeThread(muzzle).safetyFactors.SF_y)) {
+            throw new Error('Preload should lower the safety factor');
+        }
+        assertApproxEqual(short.safetyFactors.SF_y, short.stripping.external.safetyFactors.SF_y, 1e-12);
+    });
+
+    test('Error handling for invalid thread inputs', () => {
+        assertThrows(() => parseThreadDesignation('three quarters'), 'Unrecognized thread designation');
+        assertThrows(() => threadGeometry(5, 5), 'Pitch must be positive');
+        assertThrows(() => analyzeThread({ ...muzzle, ri: 7.5 }), 'greater than the bore diameter');
+        assertThrows(() => analyzeThread({ ...muzzle, engagementLength: 0 }), 'Engagement length must be positive');
+        assertThrows(() => analyzeThread({ ...muzzle, designation: 'M14' }), 'Thread analysis failed');
+    });
+
+    // Summary
+    console.log(`\n📊 Test Summary: ${passedTests}/${totalTests} tests passed`);
+
+    if (passedTests === totalTests) {
+        console.log('🎉 All tests passed!');
+    } else {
+        console.log(`❌ ${totalTests - passedTests} tests failed`);
+    }
+
+    return { total: totalTests, passed: passedTests };
+}
+
+// Export test runner for external use
+export { runTests };
+
+// Auto-run tests if this module is loaded directly
+if (import.meta.url === `file://${process?.argv?.[1]}` || typeof window !== 'undefined') {
+    runTests();
+}
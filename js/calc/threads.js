@@ -0,0 +1,262 @@
+/**
+ * Thread Strength Module
+ * Barrel tenon (receiver) and muzzle thread checks: thread stripping, tensile stress
+ * area and the reduced wall under the thread root
+ *
+ * All calculations use SI base units internally:
+ * - Lengths and diameters in mm
+ * - Pressures in MPa
+ * - Stresses in MPa
+ * - Forces in N
+ *
+ * Threads are 60° Unified or ISO metric profiles at basic size (ISO 68-1, FED-STD-H28):
+ * - Pitch diameter d2 = d - 0.649519p, internal minor diameter D1 = d - 1.082532p
+ * - External root diameter d3 = d - 1.226869p (rounded root)
+ * - Tensile stress area As = (π/4)(d - 0.938194p)² for metric threads and
+ *   (π/4)(d - 0.974279p)² for Unified threads
+ * - Stripping area of the external thread, sheared at D1:
+ *   A = π·D1·Le·[1/2 + tan30°·(d2 - D1)/p]
+ * - Stripping area of the internal thread, sheared at d:
+ *   A = π·d·Le·[1/2 + tan30°·(d - d2)/p]
+ * The barrel carries the external thread and is hollow, so its tensile area is As less
+ * the bore. The wall under the thread root is a Lamé cylinder out to d3 with the thread
+ * load as axial stress.
+ */
+
+import { analyzeCircle, safetyFactors } from './core.js';
+
+/**
+ * Common barrel threads
+ */
+export const COMMON_THREADS = [
+    { designation: '1/2-28', use: 'muzzle', description: '.22-.224 caliber muzzle devices' },
+    { designation: '5/8-24', use: 'muzzle', description: '.30 caliber muzzle devices' },
+    { designation: 'M14x1 LH', use: 'muzzle', description: 'AK pattern muzzle devices' },
+    { designation: 'M15x1', use: 'muzzle', description: 'European hunting rifle muzzle devices' },
+    { designation: '1-1/16-16', use: 'tenon', description: 'Remington 700 pattern receivers' },
+    { designation: '1.0625-20', use: 'tenon', description: 'Savage receivers' }
+];
+
+/**
+ * Parse a Unified (e.g. 5/8-24, 1-1/16-16 UNEF) or ISO metric (e.g. M14x1 LH) thread designation
+ *
+ * @param {string} designation - Thread designation
+ * @returns {Object} {designation, system, majorDiameter (mm), pitch (mm), leftHand}
+ * @throws {Error} If the designation is not recognized
+ */
+export function parseThreadDesignation(designation) {
+    const text = String(designation ?? '').trim();
+    const leftHand = /\bLH\b/i.test(text);
+
+    const metric = text.match(/^M\s*(\d*\.?\d+)\s*[x×]\s*(\d*\.?\d+)/i);
+    if (metric) {
+        return {
+            designation: text,
+            system: 'metric',
+            majorDiameter: parseFloat(metric[1]),
+            pitch: parseFloat(metric[2]),
+            leftHand
+        };
+    }
+
+    const unified = text.match(/^(?:(\d+)-)?(\d+\/\d+|\d*\.?\d+)\s*-\s*(\d+)/);
+    if (unified) {
+        const [numerator, denominator] = unified[2].split('/').map(Number);
+        const inches = (unified[1] ? parseInt(unified[1], 10) : 0) + (denominator ? numerator / denominator : numerator);
+        const tpi = parseInt(unified[3], 10);
+        if (inches > 0 && tpi > 0) {
+            return {
+                designation: text,
+                system: 'unified',
+                majorDiameter: inches * 25.4,
+                pitch: 25.4 / tpi,
+                leftHand
+            };
+        }
+    }
+
+    throw new Error(`Unrecognized thread designation: ${text || '(empty)'}`);
+}
+
+/**
+ * Calculate basic thread dimensions
+ *
+ * @param {number} majorDiameter - Major diameter d (mm)
+ * @param {number} pitch - Pitch p (mm)
+ * @param {string} system - 'unified' or 'metric', which differ in the tensile stress area, defaults to 'metric'
+ * @returns {Object} {majorDiameter, pitch, pitchDiameter, minorDiameter, rootDiameter, tensileStressArea}
+ * @throws {Error} If the dimensions are invalid
+ */
+export function threadGeometry(majorDiameter, pitch, system = 'metric') {
+    if (!(majorDiameter > 0)) {
+        throw new Error('Major diameter must be positive');
+    }
+    if (!(pitch > 0) || 1.226869 * pitch >= majorDiameter) {
+        throw new Error('Pitch must be positive and smaller than the thread depth allows');
+    }
+
+    return {
+        majorDiameter,
+        pitch,
+        pitchDiameter: majorDiameter - 0.649519 * pitch,
+        minorDiameter: majorDiameter - 1.082532 * pitch,
+        rootDiameter: majorDiameter - 1.226869 * pitch,
+        tensileStressArea: Math.PI / 4 * Math.pow(majorDiameter - (system === 'unified' ? 0.974279 : 0.938194) * pitch, 2)
+    };
+}
+
+/**
+ * Calculate the thread stripping shear areas for a length of engagement
+ *
+ * @param {Object} geometry - Result of threadGeometry
+ * @param {number} engagementLength - Length of thread engagement Le (mm)
+ * @returns {Object} {external, internal} shear areas (mm²)
+ * @throws {Error} If the engagement length is not positive
+ */
+export function strippingAreas(geometry, engagementLength) {
+    if (!(engagementLength > 0)) {
+        throw new Error('Engagement length must be positive');
+    }
+
+    const { majorDiameter, pitch, pitchDiameter, minorDiameter } = geometry;
+    const tan30 = Math.tan(Math.PI / 6);
+
+    return {
+        external: Math.PI * minorDiameter * engagementLength * (0.5 + tan30 * (pitchDiameter - minorDiameter) / pitch),
+        internal: Math.PI * majorDiameter * engagementLength * (0.5 + tan30 * (majorDiameter - pitchDiameter) / pitch)
+    };
+}
+
+/**
+ * Shear strength as a fraction of tensile strength for the failure criterion
+ *
+ * @param {string} criterion - Failure criterion
+ * @returns {number} Shear to tensile strength ratio
+ */
+function shearStrengthRatio(criterion) {
+    return criterion === 'tresca' ? 0.5 : 1 / Math.sqrt(3);
+}
+
+/**
+ * Thread strength analysis of a threaded barrel section
+ *
+ * @param {Object} params - Analysis parameters
+ * @param {string} params.designation - Thread designation (see parseThreadDesignation), or
+ *   majorDiameter and pitch (mm) of a metric profile
+ * @param {number} params.engagementLength - Length of thread engagement (mm)
+ * @param {number} params.ri - Bore radius under the thread (mm)
+ * @param {number} params.p - Local bore pressure (MPa)
+ * @param {number} params.axialLoad - Axial thread load (N), defaults to the pressure on the bore area
+ * @param {number} params.preload - Torque preload added to the axial load (N), defaults to 0
+ * @param {number} params.Sy - Barrel yield strength (MPa)
+ * @param {number} params.Su - Barrel ultimate tensile strength (MPa)
+ * @param {Object} params.mating - Receiver or muzzle device strengths {Sy, Su}, defaults to the barrel
+ * @param {number} params.nu - Poisson's ratio, defaults to 0.3
+ * @param {string} params.failureCriterion - Criterion for the safety factors, defaults to 'von-mises'
+ * @param {number} params.compressiveStrengthRatio - Mohr-Coulomb Sc/St ratio, defaults to 1
+ * @returns {Object} Thread dimensions, stripping, tension and root wall checks, and the
+ *   governing safety factors and failure mode
+ * @throws {Error} If inputs are invalid
+ */
+export function analyzeThread(params) {
+    const {
+        designation,
+        engagementLength,
+        ri, p,
+        preload = 0,
+        Sy, Su,
+        mating = {},
+        nu = 0.3,
+        failureCriterion = 'von-mises',
+        compressiveStrengthRatio = 1
+    } = params;
+
+    try {
+        const thread = designation
+            ? parseThreadDesignation(designation)
+            : { designation: null, system: 'metric', majorDiameter: params.majorDiameter, pitch: params.pitch, leftHand: false };
+        const geometry = threadGeometry(thread.majorDiameter, thread.pitch, thread.system);
+
+        if (!(p >= 0)) {
+            throw new Error('Pressure must be non-negative');
+        }
+        if (!(ri > 0) || 2 * ri >= geometry.rootDiameter) {
+            throw new Error('Thread root diameter must be greater than the bore diameter');
+        }
+
+        const axialLoad = (params.axialLoad ?? p * Math.PI * ri * ri) + preload;
+        const matingSy = mating.Sy ?? Sy;
+        const matingSu = mating.Su ?? Su;
+        const shearRatio = shearStrengthRatio(failureCriterion);
+
+        // Thread stripping of the barrel and the receiver or muzzle device
+        const areas = strippingAreas(geometry, engagementLength);
+        const externalShear = axialLoad / areas.external;
+        const internalShear = axialLoad / areas.internal;
+        const stripping = {
+            external: {
+                area: areas.external,
+                shearStress: externalShear,
+                safetyFactors: safetyFactors(externalShear, shearRatio * Sy, shearRatio * Su)
+            },
+            internal: {
+                area: areas.internal,
+                shearStress: internalShear,
+                safetyFactors: safetyFactors(internalShear, shearRatio * matingSy, shearRatio * matingSu)
+            }
+        };
+
+        // Tension across the tensile stress area of the hollow barrel
+        const netArea = geometry.tensileStressArea - Math.PI * ri * ri;
+        const tensileStress = axialLoad / netArea;
+        const tension = {
+            netArea,
+            stress: tensileStress,
+            safetyFactors: safetyFactors(tensileStress, Sy, Su)
+        };
+
+        // Pressurized wall under the thread root carrying the thread load
+        const ro = geometry.rootDiameter / 2;
+        const rootWall = analyzeCircle({
+            ri, ro, p_i: p, Sy, Su,
+            sigma_axial: axialLoad / (Math.PI * (ro * ro - ri * ri)),
+            endCondition: 'plane-stress',
+            nu,
+            failureCriterion,
+            compressiveStrengthRatio
+        });
+        const wall = {
+            ri,
+            ro,
+            thickness: ro - ri,
+            stresses: rootWall.stresses.inner,
+            safetyFactors: rootWall.safetyFactors
+        };
+
+        const modes = {
+            'barrel-thread-stripping': stripping.external.safetyFactors,
+            'mating-thread-stripping': stripping.internal.safetyFactors,
+            'tension': tension.safetyFactors,
+            'root-wall': wall.safetyFactors
+        };
+        const governingMode = Object.keys(modes).reduce((a, b) => modes[b].SF_y < modes[a].SF_y ? b : a);
+
+        return {
+            thread: { ...thread, ...geometry },
+            engagementLength,
+            p,
+            axialLoad,
+            stripping,
+            tension,
+            wall,
+            governingMode,
+            safetyFactors: {
+                SF_y: Math.min(...Object.values(modes).map(sf => sf.SF_y)),
+                SF_u: Math.min(...Object.values(modes).map(sf => sf.SF_u))
+            },
+            failureCriterion
+        };
+    } catch (error) {
+        throw new Error(`Thread analysis failed: ${error.message}`);
+    }
+}
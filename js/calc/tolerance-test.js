@@ -290,6 +290,40 @@ tests.push({
     }
 });
 
+// Test 11: Failure criterion and end condition pass-through
+tests.push({
+    name: 'Worst-case analysis with Tresca criterion',
+    test: async () => {
+        const params = {
+            nominalInnerRadius: 5.0,
+            nominalOuterRadius: 10.0,
+            nominalPressure: 400,
+            toleranceClass: 'H8/h7',
+            toleranceStandard: 'iso286',
+            pressureToleranceLevel: 'commercial',
+            yieldStrength: 850,
+            ultimateStrength: 1000,
+            endCondition: 'closed-end',
+            failureCriterion: 'tresca'
+        };
+        
+        const analysis = await performWorstCaseAnalysis(params);
+        const worstCase = analysis.analyses.worstCase;
+        
+        assertEqual(analysis.summary.failureCriterion, 'tresca', 'Selected criterion should be reported');
+        assertEqual(worstCase.endCondition, 'closed-end', 'End condition should reach the analysis');
+        assertAlmostEqual(
+            analysis.summary.worstCaseSafetyFactor,
+            worstCase.failureCriteria.criteria.tresca.SF_y,
+            1e-9,
+            'Worst-case SF should use the selected criterion'
+        );
+        if (!analysis.summary.governingCriterion) {
+            throw new Error('Governing criterion should be reported');
+        }
+    }
+});
+
 /**
  * Run all tolerance module tests
  * @returns {Promise<Object>} Test results
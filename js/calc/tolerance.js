@@ -301,6 +301,10 @@ export async function applyPressureTolerance(nominalPressure, toleranceLevel = '
  * @param {number} params.ultimateStrength - Material ultimate strength in MPa
  * @param {number} params.externalPressure - External pressure in MPa (default 0)
  * @param {number} params.axialStress - Axial stress in MPa (default 0)
+ * @param {string} params.endCondition - End condition for axial stress (default 'plane-stress')
+ * @param {number} params.poissonRatio - Poisson's ratio (default 0.3)
+ * @param {string} params.failureCriterion - Failure criterion for safety factors (default 'von-mises')
+ * @param {number} params.compressiveStrengthRatio - S_c / S_t for brittle criteria (default 1)
  * @returns {Promise<Object>} Complete worst-case analysis results
  */
 export async function performWorstCaseAnalysis(params) {
@@ -315,7 +319,11 @@ export async function performWorstCaseAnalysis(params) {
         yieldStrength,
         ultimateStrength,
         externalPressure = 0,
-        axialStress = 0
+        axialStress = 0,
+        endCondition = 'plane-stress',
+        poissonRatio = 0.3,
+        failureCriterion = 'von-mises',
+        compressiveStrengthRatio = 1
     } = params;
     
     try {
@@ -345,7 +353,11 @@ export async function performWorstCaseAnalysis(params) {
             p_o: externalPressure,
             Sy: yieldStrength,
             Su: ultimateStrength,
-            sigma_axial: axialStress
+            sigma_axial: axialStress,
+            endCondition,
+            nu: poissonRatio,
+            failureCriterion,
+            compressiveStrengthRatio
         });
         
         const worstCaseAnalysis = analyzeCircle({
@@ -355,7 +367,11 @@ export async function performWorstCaseAnalysis(params) {
             p_o: externalPressure,
             Sy: yieldStrength,
             Su: ultimateStrength,
-            sigma_axial: axialStress
+            sigma_axial: axialStress,
+            endCondition,
+            nu: poissonRatio,
+            failureCriterion,
+            compressiveStrengthRatio
         });
         
         const bestCaseAnalysis = analyzeCircle({
@@ -365,7 +381,11 @@ export async function performWorstCaseAnalysis(params) {
             p_o: externalPressure,
             Sy: yieldStrength,
             Su: ultimateStrength,
-            sigma_axial: axialStress
+            sigma_axial: axialStress,
+            endCondition,
+            nu: poissonRatio,
+            failureCriterion,
+            compressiveStrengthRatio
         });
         
         // Calculate safety factor margins
@@ -385,6 +405,8 @@ export async function performWorstCaseAnalysis(params) {
             },
             safetyFactorMargin,
             summary: {
+                failureCriterion,
+                governingCriterion: worstCaseAnalysis.failureCriteria.governing,
                 worstCaseSafetyFactor: worstCaseAnalysis.safetyFactors.SF_y,
                 nominalSafetyFactor: nominalAnalysis.safetyFactors.SF_y,
                 safetyMargin: safetyFactorMargin.yield,
@@ -4,6 +4,7 @@
  * Tests compound cylinder analysis calculations including:
  * - Contact pressure from interference fit
  * - Stress superposition
+ * - Axial stress for each end condition
  * - Geometry validation
  * - Edge cases and error handling
  */
@@ -12,8 +13,10 @@ import {
     contactPressure,
     analyzeCompoundCylinder,
     generateCompoundStressField,
+    compoundStressStateAt,
     validateGeometry
 } from './trunnion.js';
+import { vonMises } from './core.js';
 
 /**
  * Test runner utility
@@ -342,6 +345,101 @@ function runTests() {
         console.log(`    Error handling works correctly for invalid inputs`);
     });
 
+    test('Failure criterion selection for compound cylinder', () => {
+        const barrel = { ri: 5, ro: 10, E: 200000, nu: 0.3 };
+        const trunnion = { ri: 9.95, ro: 15, E: 200000, nu: 0.3 };
+        const material = { Sy: 400, Su: 600 };
+        const baseParams = {
+            barrel, trunnion, interference: 0.05, operatingPressure: 100,
+            externalPressure: 0, material
+        };
+        
+        const vonMisesResult = analyzeCompoundCylinder(baseParams);
+        const trescaResult = analyzeCompoundCylinder({ ...baseParams, failureCriterion: 'tresca' });
+        
+        for (const [location, locationResult] of Object.entries(trescaResult.analysis)) {
+            const criteria = locationResult.failureCriteria.criteria;
+            assertApproxEqual(locationResult.safetyFactors.SF_y, criteria.tresca.SF_y, 1e-9, `at ${location}`);
+            if (criteria.tresca.SF_y > criteria['von-mises'].SF_y + 1e-9) {
+                throw new Error(`Tresca should be at least as conservative as Von Mises at ${location}`);
+            }
+            assertApproxEqual(
+                vonMisesResult.analysis[location].safetyFactors.SF_y, criteria['von-mises'].SF_y, 1e-9,
+                `default criterion at ${location}`
+            );
+        }
+        
+        assertThrows(() => analyzeCompoundCylinder({ ...baseParams, failureCriterion: 'guesswork' }),
+            'Unknown failure criterion');
+    });
+
+    test('Full stress state at any radius of the compound wall', () => {
+        const barrel = { ri: 10, ro: 20, E: 200000, nu: 0.3 };
+        const trunnion = { ri: 19.95, ro: 40, E: 200000, nu: 0.3 };
+        const result = analyzeCompoundCylinder({
+            barrel, trunnion, interference: 0.05, operatingPressure: 100,
+            externalPressure: 0, material: { Sy: 400, Su: 600 }, sigma_axial: 20
+        });
+        
+        const bore = compoundStressStateAt(result, barrel.ri);
+        const outside = compoundStressStateAt(result, 30);
+        const expected = result.combinedStresses.trunnion.getStresses(30);
+        
+        assertApproxEqual(bore.sigma_r, -100, 1e-9, 'bore pressure');
+        assertApproxEqual(bore.sigma_z, 20, 0, 'applied axial stress');
+        assertApproxEqual(outside.sigma_theta, expected.sigma_theta, 1e-12);
+        assertApproxEqual(outside.hydrostatic, (expected.sigma_r + expected.sigma_theta + 20) / 3, 1e-12);
+        if (bore.region !== 'barrel' || outside.region !== 'trunnion') {
+            throw new Error('Expected barrel and trunnion regions');
+        }
+        
+        const atInterface = result.analysis.barrelInterface;
+        assertApproxEqual(atInterface.stressState.vonMises, atInterface.sigma_vm, 1e-9);
+        assertThrows(() => compoundStressStateAt(result, 50), 'within the compound wall');
+    });
+
+    test('End condition sets the axial stress in each region', () => {
+        const barrel = { ri: 5, ro: 10, E: 200000, nu: 0.3 };
+        const trunnion = { ri: 9.95, ro: 15, E: 200000, nu: 0.3 };
+        const baseParams = {
+            barrel, trunnion, interference: 0.05, operatingPressure: 300,
+            externalPressure: 0, material: { Sy: 400, Su: 600 }
+        };
+        
+        const planeStress = analyzeCompoundCylinder(baseParams);
+        const closedEnd = analyzeCompoundCylinder({ ...baseParams, endCondition: 'closed-end' });
+        const planeStrain = analyzeCompoundCylinder({ ...baseParams, endCondition: 'plane-strain' });
+        
+        // Closed ends put p·ri²/(ro² - ri²) on the barrel wall and nothing on the trunnion
+        assertApproxEqual(closedEnd.axialStresses.barrel, 300 * 25 / 75, 1e-9, 'closed-end barrel');
+        assertApproxEqual(closedEnd.axialStresses.trunnion, 0, 0, 'closed-end trunnion');
+        assertApproxEqual(compoundStressStateAt(closedEnd, barrel.ri).sigma_z, 100, 1e-9, 'closed-end bore');
+        
+        // Plane strain restrains each region: σz = ν(σr + σθ)
+        for (const [region, r] of [['barrel', 7], ['trunnion', 12]]) {
+            const state = planeStrain.combinedStresses[region].getStresses(r);
+            assertApproxEqual(state.sigma_z, 0.3 * (state.sigma_r + state.sigma_theta), 1e-9, `plane strain ${region}`);
+        }
+        
+        // Safety factors follow the axial stress
+        for (const result of [planeStress, closedEnd, planeStrain]) {
+            const location = result.analysis.barrelInterface;
+            const { sigma_r, sigma_theta, sigma_z } = location.stresses;
+            assertApproxEqual(location.sigma_vm, vonMises(sigma_r, sigma_theta, sigma_z), 1e-9, result.endCondition);
+            assertApproxEqual(location.safetyFactors.SF_y, 400 / location.sigma_vm, 1e-9, result.endCondition);
+        }
+        if (Math.abs(closedEnd.analysis.barrelInterface.safetyFactors.SF_y -
+            planeStress.analysis.barrelInterface.safetyFactors.SF_y) < 1e-3) {
+            throw new Error('Closed ends should change the barrel safety factor');
+        }
+        
+        assertThrows(() => analyzeCompoundCylinder({ ...baseParams, endCondition: 'sealed' }), 'Unknown end condition');
+        
+        console.log(`    Barrel SF_y ${planeStress.analysis.barrelInterface.safetyFactors.SF_y.toFixed(3)} plane stress, ` +
+            `${closedEnd.analysis.barrelInterface.safetyFactors.SF_y.toFixed(3)} closed-end, ` +
+            `${planeStrain.analysis.barrelInterface.safetyFactors.SF_y.toFixed(3)} plane strain`);
+    });
+
     // Summary
     console.log(`\n📊 Test Summary: ${passedTests}/${totalTests} tests passed`);
     
@@ -10,7 +10,7 @@
  * - Poisson's ratio dimensionless
  */
 
-import { lameCoefficients, stresses, vonMises, safetyFactors } from './core.js';
+import { lameCoefficients, stresses, vonMises, evaluateFailureCriteria, fullStressState, axialStress } from './core.js';
 
 /**
  * Calculate contact pressure from interference fit between barrel and trunnion
@@ -94,7 +94,11 @@ export function contactPressure(barrel, trunnion, interference) {
  * @param {number} params.operatingPressure - Internal operating pressure (MPa)
  * @param {number} params.externalPressure - External pressure (MPa), defaults to 0
  * @param {Object} params.material - Material properties {Sy, Su}
- * @param {number} params.sigma_axial - Axial stress (MPa), defaults to 0
+ * @param {number} params.sigma_axial - Additional applied axial stress (MPa), defaults to 0
+ * @param {string} params.endCondition - End condition for σ_z (see compoundAxialStresses), defaults to 'plane-stress'
+ * @param {number} params.axialStrain - Prescribed axial strain for generalized plane strain, defaults to 0
+ * @param {string} params.failureCriterion - Criterion for the reported safety factors, defaults to 'von-mises'
+ * @param {number} params.compressiveStrengthRatio - S_c / S_t for brittle criteria, defaults to 1
  * @returns {Object} Complete compound cylinder analysis results
  */
 export function analyzeCompoundCylinder(params) {
@@ -105,7 +109,11 @@ export function analyzeCompoundCylinder(params) {
         operatingPressure,
         externalPressure = 0,
         material,
-        sigma_axial = 0
+        sigma_axial = 0,
+        endCondition = 'plane-stress',
+        axialStrain = 0,
+        failureCriterion = 'von-mises',
+        compressiveStrengthRatio = 1
     } = params;
 
     try {
@@ -118,14 +126,27 @@ export function analyzeCompoundCylinder(params) {
         // Analyze operating pressure stresses
         const operatingStresses = calculateOperatingStresses(barrel, trunnion, operatingPressure, externalPressure);
 
+        // Axial stress in each region for the end condition
+        const axialStresses = compoundAxialStresses(barrel, trunnion, preloadStresses, operatingStresses, {
+            endCondition,
+            axialStrain,
+            sigma_axial
+        });
+
         // Superpose stresses
-        const combinedStresses = superimposeStresses(preloadStresses, operatingStresses, barrel.ro);
+        const combinedStresses = superimposeStresses(preloadStresses, operatingStresses, barrel.ro, axialStresses);
 
         // Calculate Von Mises stresses and safety factors at critical locations
-        const analysis = analyzeCriticalLocations(combinedStresses, material, sigma_axial);
+        const analysis = analyzeCriticalLocations(combinedStresses, material, {
+            failureCriterion,
+            compressiveStrengthRatio
+        });
 
         return {
             contactPressure: p_contact,
+            failureCriterion,
+            endCondition,
+            axialStresses,
             preloadStresses,
             operatingStresses,
             combinedStresses,
@@ -138,7 +159,9 @@ export function analyzeCompoundCylinder(params) {
             loadings: {
                 operatingPressure,
                 externalPressure,
-                contactPressure: p_contact
+                contactPressure: p_contact,
+                sigma_axial,
+                endCondition
             }
         };
     } catch (error) {
@@ -202,15 +225,54 @@ function calculateOperatingStresses(barrel, trunnion, operatingPressure, externa
     };
 }
 
+/**
+ * Calculate the axial stress in each region for an end condition
+ *
+ * σ_z is uniform through each region's wall. Closed ends put the breech end load
+ * p_i·π·ri² on the bore layer alone, so the barrel takes σ_z = A of its operating pressure
+ * solution and the trunnion, a sleeve over it, takes none. Under plane strain each region
+ * is restrained on its own and takes σ_z = 2ν·A from its combined preload and operating
+ * Lamé A. Open ends and plane stress carry no axial load. The applied axial stress is
+ * superimposed on both regions.
+ *
+ * @param {Object} barrel - Barrel properties {E, nu}
+ * @param {Object} trunnion - Trunnion properties {E, nu}
+ * @param {Object} preloadStresses - Preload stress fields
+ * @param {Object} operatingStresses - Operating stress fields
+ * @param {Object} axialOptions - {endCondition, axialStrain, sigma_axial} (see axialStress)
+ * @returns {Object} {barrel, trunnion} axial stresses (MPa)
+ * @throws {Error} If the end condition or Poisson's ratio is invalid
+ */
+function compoundAxialStresses(barrel, trunnion, preloadStresses, operatingStresses, axialOptions) {
+    const { endCondition, axialStrain, sigma_axial } = axialOptions;
+
+    if (endCondition === 'closed-end') {
+        return {
+            barrel: axialStress(operatingStresses.barrel.coefficients.A, { endCondition, nu: barrel.nu, sigma_axial }),
+            trunnion: sigma_axial
+        };
+    }
+
+    const regionStress = (region, properties) => axialStress(
+        preloadStresses[region].coefficients.A + operatingStresses[region].coefficients.A,
+        { endCondition, nu: properties.nu, E: properties.E, axialStrain, sigma_axial }
+    );
+    return {
+        barrel: regionStress('barrel', barrel),
+        trunnion: regionStress('trunnion', trunnion)
+    };
+}
+
 /**
  * Superimpose preload and operating stresses
  * 
  * @param {Object} preloadStresses - Preload stress fields
  * @param {Object} operatingStresses - Operating stress fields
  * @param {number} interfaceRadius - Radius at barrel/trunnion interface (mm)
+ * @param {Object} axialStresses - {barrel, trunnion} axial stresses (MPa)
  * @returns {Object} Combined stress fields
  */
-function superimposeStresses(preloadStresses, operatingStresses, interfaceRadius) {
+function superimposeStresses(preloadStresses, operatingStresses, interfaceRadius, axialStresses) {
     return {
         barrel: {
             getStresses: (r) => {
@@ -218,7 +280,8 @@ function superimposeStresses(preloadStresses, operatingStresses, interfaceRadius
                 const operating = operatingStresses.barrel.getStresses(r);
                 return {
                     sigma_r: preload.sigma_r + operating.sigma_r,
-                    sigma_theta: preload.sigma_theta + operating.sigma_theta
+                    sigma_theta: preload.sigma_theta + operating.sigma_theta,
+                    sigma_z: axialStresses.barrel
                 };
             }
         },
@@ -228,7 +291,8 @@ function superimposeStresses(preloadStresses, operatingStresses, interfaceRadius
                 const operating = operatingStresses.trunnion.getStresses(r);
                 return {
                     sigma_r: preload.sigma_r + operating.sigma_r,
-                    sigma_theta: preload.sigma_theta + operating.sigma_theta
+                    sigma_theta: preload.sigma_theta + operating.sigma_theta,
+                    sigma_z: axialStresses.trunnion
                 };
             }
         },
@@ -241,11 +305,14 @@ function superimposeStresses(preloadStresses, operatingStresses, interfaceRadius
  * 
  * @param {Object} combinedStresses - Combined stress fields
  * @param {Object} material - Material properties {Sy, Su}
- * @param {number} sigma_axial - Axial stress (MPa)
+ * @param {Object} criterionOptions - Failure criterion options
+ * @param {string} criterionOptions.failureCriterion - Criterion for the reported safety factors
+ * @param {number} criterionOptions.compressiveStrengthRatio - S_c / S_t for brittle criteria
  * @returns {Object} Analysis results at critical locations
  */
-function analyzeCriticalLocations(combinedStresses, material, sigma_axial) {
+function analyzeCriticalLocations(combinedStresses, material, criterionOptions) {
     const { Sy, Su } = material;
+    const { failureCriterion, compressiveStrengthRatio } = criterionOptions;
     
     // Critical locations for analysis
     const locations = {
@@ -258,19 +325,47 @@ function analyzeCriticalLocations(combinedStresses, material, sigma_axial) {
     const results = {};
     
     for (const [locationName, stressState] of Object.entries(locations)) {
-        const sigma_vm = vonMises(stressState.sigma_r, stressState.sigma_theta, sigma_axial);
-        const sf = safetyFactors(sigma_vm, Sy, Su);
+        const sigma_vm = vonMises(stressState.sigma_r, stressState.sigma_theta, stressState.sigma_z);
+        const failureCriteria = evaluateFailureCriteria(stressState, Sy, Su, { compressiveStrengthRatio });
+        if (!failureCriteria.criteria[failureCriterion]) {
+            throw new Error(`Unknown failure criterion: ${failureCriterion}`);
+        }
+        const { SF_y, SF_u } = failureCriteria.criteria[failureCriterion];
         
         results[locationName] = {
             stresses: stressState,
+            stressState: fullStressState(stressState.sigma_r, stressState.sigma_theta, stressState.sigma_z),
             sigma_vm,
-            safetyFactors: sf
+            safetyFactors: { SF_y, SF_u },
+            failureCriteria
         };
     }
 
     return results;
 }
 
+/**
+ * Full stress state at any radius of an analyzed compound cylinder
+ *
+ * @param {Object} result - Result of analyzeCompoundCylinder
+ * @param {number} r - Radius (mm), between the barrel bore and trunnion OD
+ * @returns {Object} {r, region, ...fullStressState} with region 'barrel' or 'trunnion'
+ * @throws {Error} If the radius lies outside the compound wall
+ */
+export function compoundStressStateAt(result, r) {
+    const { combinedStresses, geometry } = result;
+
+    if (!(r >= geometry.barrel.ri && r <= geometry.trunnion.ro)) {
+        throw new Error('Radius must lie within the compound wall');
+    }
+
+    // The interface itself is reported on the barrel side
+    const region = r <= combinedStresses.interfaceRadius ? 'barrel' : 'trunnion';
+    const { sigma_r, sigma_theta, sigma_z } = combinedStresses[region].getStresses(r);
+
+    return { r, region, ...fullStressState(sigma_r, sigma_theta, sigma_z) };
+}
+
 /**
  * Generate piecewise stress field data for visualization
  * 
@@ -290,7 +385,7 @@ export function generateCompoundStressField(combinedStresses, geometry, numPoint
     for (let i = 0; i < numPointsPerRegion; i++) {
         const r = barrel.ri + (interfaceRadius - barrel.ri) * i / (numPointsPerRegion - 1);
         const stressState = combinedStresses.barrel.getStresses(r);
-        const sigma_vm = vonMises(stressState.sigma_r, stressState.sigma_theta);
+        const sigma_vm = vonMises(stressState.sigma_r, stressState.sigma_theta, stressState.sigma_z);
         
         barrelField.push({
             r,
@@ -304,7 +399,7 @@ export function generateCompoundStressField(combinedStresses, geometry, numPoint
     for (let i = 0; i < numPointsPerRegion; i++) {
         const r = interfaceRadius + (trunnion.ro - interfaceRadius) * i / (numPointsPerRegion - 1);
         const stressState = combinedStresses.trunnion.getStresses(r);
-        const sigma_vm = vonMises(stressState.sigma_r, stressState.sigma_theta);
+        const sigma_vm = vonMises(stressState.sigma_r, stressState.sigma_theta, stressState.sigma_z);
         
         trunnionField.push({
             r,
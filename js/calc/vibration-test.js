@@ -0,0 +1,199 @@
+/**
+ * Unit Tests for Barrel Vibration Module
+ *
+ * Tests the cantilever beam model including:
+ * - Natural frequencies and mode shape nodes of a uniform cantilever
+ * - Cantilever with a muzzle mass against the exact frequency equation
+ * - Clamp position, flutes and mesh convergence
+ * - Finely stationed contours and very fine meshes
+ * - Error handling
+ */
+
+import { analyzeVibration } from './vibration.js';
+import { sectionProperties } from './mass.js';
+import { findRoot } from './solver.js';
+
+/**
+ * Test runner utility
+ */
+function runTests() {
+    console.log('Running Barrel Vibration Tests...\n');
+
+    let totalTests = 0;
+    let passedTests = 0;
+
+    function test(name, testFunction) {
+        totalTests++;
+        try {
+            testFunction();
+            console.log(`✅ ${name}`);
+            passedTests++;
+        } catch (error) {
+            console.error(`❌ ${name}: ${error.message}`);
+            console.error(error.stack);
+        }
+    }
+
+    function assertApproxEqual(actual, expected, tolerance = 1e-6, message = '') {
+        const diff = Math.abs(actual - expected);
+        if (diff > tolerance) {
+            throw new Error(`Expected ${expected}, got ${actual} (diff: ${diff}) ${message}`);
+        }
+    }
+
+    function assertThrows(fn, expectedMessage = '') {
+        try {
+            fn();
+            throw new Error('Expected function to throw an error');
+        } catch (error) {
+            if (expectedMessage && !error.message.includes(expectedMessage)) {
+                throw new Error(`Expected error containing "${expectedMessage}", got "${error.message}"`);
+            }
+        }
+    }
+
+    // Steel tube, 30 mm OD, 8 mm bore, 600 mm long
+    const E = 200000;
+    const density = 7850;
+    const tube = [
+        { position: 0, outerDiameter: 30, boreDiameter: 8 },
+        { position: 600, outerDiameter: 30, boreDiameter: 8 }
+    ];
+    const sporter = [
+        { position: 0, outerDiameter: 30, boreDiameter: 12 },
+        { position: 60, outerDiameter: 30, boreDiameter: 7.85 },
+        { position: 60, outerDiameter: 22, boreDiameter: 7.85 },
+        { position: 560, outerDiameter: 15, boreDiameter: 7.62 }
+    ];
+
+    // Uniform cantilever: f = β²/2π · √(EI / μL⁴), E·1000 for mass in kg and lengths in mm
+    const uniformFrequency = (beta, section, L) =>
+        beta * beta / (2 * Math.PI) * Math.sqrt(E * 1000 * section.diametral / (density * 1e-9 * section.area * L ** 4));
+    const plain = sectionProperties({ outerDiameter: 30, boreDiameter: 8 }, []);
+
+    // Test 1: Uniform cantilever frequencies
+    test('Uniform cantilever frequencies', () => {
+        const result = analyzeVibration({ stations: tube, E, density });
+        [1.875104069, 4.694091133, 7.854757438, 10.99554073].forEach((beta, i) => {
+            assertApproxEqual(result.modes[i].frequency, uniformFrequency(beta, plain, 600), 1e-4 * uniformFrequency(beta, plain, 600), `(mode ${i + 1})`);
+        });
+        assertApproxEqual(result.modes[0].omega, 2 * Math.PI * result.modes[0].frequency, 1e-9);
+        assertApproxEqual(result.beamMass, density * 1e-9 * plain.area * 600, 1e-12, '(beam mass)');
+    });
+
+    // Test 2: Mode shapes are clamped, scaled to the muzzle and have their nodes in place
+    test('Uniform cantilever mode shapes', () => {
+        const result = analyzeVibration({ stations: tube, E, density });
+        result.modes.forEach(mode => {
+            assertApproxEqual(mode.shape[0].displacement, 0, 1e-15, '(clamp displacement)');
+            assertApproxEqual(mode.shape[0].slope, 0, 1e-15, '(clamp slope)');
+            assertApproxEqual(mode.shape[mode.shape.length - 1].displacement, 1, 1e-12, '(muzzle displacement)');
+            assertApproxEqual(mode.nodes.length, mode.mode - 1, 0, '(node count)');
+        });
+        // Nodes of the second mode at 0.783L and of the third at 0.504L and 0.868L
+        assertApproxEqual(result.modes[1].nodes[0] / 600, 0.7834, 0.005, '(mode 2 node)');
+        assertApproxEqual(result.modes[2].nodes[0] / 600, 0.5036, 0.005, '(mode 3 first node)');
+        assertApproxEqual(result.modes[2].nodes[1] / 600, 0.8677, 0.005, '(mode 3 second node)');
+    });
+
+    // Test 3: Muzzle device mass against 1 + cos β cosh β + r·β(cos β sinh β - sin β cosh β) = 0
+    test('Muzzle device mass', () => {
+        const muzzleMass = 0.2;
+        const result = analyzeVibration({ stations: tube, E, density, muzzleMass });
+        const ratio = muzzleMass / result.beamMass;
+        const { root } = findRoot(beta =>
+            1 + Math.cos(beta) * Math.cosh(beta) + ratio * beta * (Math.cos(beta) * Math.sinh(beta) - Math.sin(beta) * Math.cosh(beta)),
+        { bracket: [1, 1.875], tolerance: 1e-12 });
+
+        assertApproxEqual(result.modes[0].frequency, uniformFrequency(root, plain, 600), 1e-4 * result.modes[0].frequency, '(fundamental)');
+        const bare = analyzeVibration({ stations: tube, E, density });
+        const heavier = analyzeVibration({ stations: tube, E, density, muzzleMass, muzzleInertia: 50 });
+        if (!(heavier.modes[1].frequency < result.modes[1].frequency && result.modes[0].frequency < bare.modes[0].frequency)) {
+            throw new Error('Muzzle mass and inertia should lower the frequencies');
+        }
+    });
+
+    // Test 4: The barrel behind the clamp does not vibrate
+    test('Clamp position', () => {
+        const long = analyzeVibration({
+            stations: [{ position: 0, outerDiameter: 40, boreDiameter: 8 }, ...tube.map(s => ({ ...s, position: s.position + 100 }))],
+            E, density,
+            clampPosition: 100
+        });
+        const result = analyzeVibration({ stations: tube, E, density });
+        assertApproxEqual(long.modes[0].frequency, result.modes[0].frequency, 1e-9, '(fundamental)');
+        assertApproxEqual(long.length, 600, 1e-12, '(cantilever length)');
+        assertApproxEqual(long.modes[0].shape[0].position, 100, 1e-12, '(first shape point)');
+    });
+
+    // Test 5: Flutes along the whole length change the section but the beam stays uniform
+    test('Fluted barrel', () => {
+        const flutes = [{ count: 6, width: 4, depth: 2, start: 0, end: 600 }];
+        const fluted = sectionProperties({ outerDiameter: 30, boreDiameter: 8 }, flutes);
+        const result = analyzeVibration({ stations: tube, E, density, flutes });
+        assertApproxEqual(result.modes[0].frequency, uniformFrequency(1.875104069, fluted, 600), 1e-4 * result.modes[0].frequency);
+
+        // A stepped and fluted sporter contour converges with the mesh
+        const coarse = analyzeVibration({ stations: sporter, E, density, clampPosition: 60, flutes: [{ ...flutes[0], start: 150, end: 450, depth: 1.5 }] });
+        const fine = analyzeVibration({ stations: sporter, E, density, clampPosition: 60, flutes: [{ ...flutes[0], start: 150, end: 450, depth: 1.5 }], elementLength: 4 });
+        assertApproxEqual(coarse.modes[0].frequency, fine.modes[0].frequency, 0.002 * fine.modes[0].frequency, '(mesh convergence)');
+    });
+
+    // Test 6: A finely stationed contour meshes as finely and keeps its accuracy
+    test('Many-station contour', () => {
+        const stations = Array.from({ length: 201 }, (_, i) => ({ position: 3 * i, outerDiameter: 30, boreDiameter: 8 }));
+        const result = analyzeVibration({ stations, E, density, modes: 6 });
+        const mesh = analyzeVibration({ stations: tube, E, density, modes: 6, elementLength: 3 });
+        assertApproxEqual(result.elements, 200, 0, '(elements)');
+        [1.875104069, 4.694091133, 7.854757438, 10.99554073].forEach((beta, i) => {
+            assertApproxEqual(result.modes[i].frequency, uniformFrequency(beta, plain, 600), 1e-6 * result.modes[i].frequency, `(mode ${i + 1})`);
+        });
+        result.modes.forEach((mode, i) => {
+            assertApproxEqual(mode.frequency, mesh.modes[i].frequency, 1e-9 * mode.frequency, `(mode ${i + 1} against the plain tube)`);
+        });
+
+        // A single element spans the whole space and gives its two modes directly
+        const single = analyzeVibration({ stations: tube, E, density, modes: 2, elementLength: 600 });
+        assertApproxEqual(single.modes[0].frequency, uniformFrequency(1.875104069, plain, 600), 0.005 * single.modes[0].frequency, '(one element)');
+    });
+
+    // Test 7: Very fine meshes keep the analytic fundamental
+    test('Fine mesh', () => {
+        const slim = tube.map(station => ({ ...station, outerDiameter: 25, boreDiameter: 7.8 }));
+        const section = sectionProperties({ outerDiameter: 25, boreDiameter: 7.8 }, []);
+        const exact = uniformFrequency(1.875104069, section, 600);
+        [0.3, 0.1].forEach(elementLength => {
+            const result = analyzeVibration({ stations: slim, E, density, modes: 2, elementLength });
+            assertApproxEqual(result.modes[0].frequency, exact, 1e-8 * exact, `(element length ${elementLength} mm)`);
+        });
+    });
+
+    // Test 8: Error handling
+    test('Error handling', () => {
+        assertThrows(() => analyzeVibration({ stations: tube, E: 0, density }), 'Elastic modulus must be positive');
+        assertThrows(() => analyzeVibration({ stations: tube, E, density: -1 }), 'Density must be positive');
+        assertThrows(() => analyzeVibration({ stations: tube, E, density, muzzleMass: -0.1 }), 'must be non-negative');
+        assertThrows(() => analyzeVibration({ stations: tube, E, density, clampPosition: 600 }), 'Clamp position');
+        assertThrows(() => analyzeVibration({ stations: tube, E, density, modes: 0 }), 'positive integer');
+        assertThrows(() => analyzeVibration({ stations: tube, E, density, flutes: [{ count: 6, width: 4, depth: 12, start: 0, end: 100 }] }), 'cuts into the bore');
+    });
+
+    // Summary
+    console.log(`\n📊 Test Summary: ${passedTests}/${totalTests} tests passed`);
+
+    if (passedTests === totalTests) {
+        console.log('🎉 All tests passed!');
+    } else {
+        console.log(`❌ ${totalTests - passedTests} tests failed`);
+    }
+
+    return { total: totalTests, passed: passedTests };
+}
+
+// Export test runner for external use
+export { runTests };
+
+// Auto-run tests if this module is loaded directly
+if (import.meta.url === `file://${process?.argv?.[1]}` || typeof window !== 'undefined') {
+    runTests();
+}
@@ -0,0 +1,604 @@
+/**
+ * Barrel Vibration Module
+ * Bending natural frequencies and mode shapes of a contoured barrel as a cantilever
+ *
+ * All calculations use SI base units internally:
+ * - Lengths, positions and diameters in mm
+ * - Elastic modulus in MPa
+ * - Density in kg/m³
+ * - Mass in kg, rotary inertia in kg·mm²
+ * - Frequencies in Hz
+ *
+ * The barrel is an Euler-Bernoulli beam clamped where it leaves the receiver and free at
+ * the muzzle, where a muzzle device may add a lumped mass and rotary inertia. The beam is
+ * stepped: it is divided into Hermite cubic finite elements, breaking at every contour
+ * station and flute end, and each element takes the section properties at its midpoint.
+ * Shear deformation and rotary inertia of the barrel itself are neglected, which holds
+ * for the lower modes of a slender barrel.
+ *
+ * The consistent mass and stiffness matrices give the generalized eigenproblem
+ * K·φ = ω²·M·φ. Both matrices are banded, with a half-bandwidth of three for two degrees of
+ * freedom per node, and only the lowest few modes are wanted, so they are found by subspace
+ * iteration (Bathe): each pass solves the banded stiffness system for a small block of
+ * vectors and projects the problem onto it. The projected problem is reduced to standard
+ * symmetric form with the Cholesky factor of its mass matrix and solved by cyclic Jacobi
+ * rotations. The projected stiffness is summed from element curvatures rather than K·x,
+ * which keeps the frequencies accurate however fine the mesh.
+ */
+
+import { validateContour, contourAt } from './contour.js';
+import { validateFlutes, sectionProperties } from './mass.js';
+
+/**
+ * Cholesky factor of a symmetric positive definite matrix
+ *
+ * @param {Array} A - Matrix as an array of rows
+ * @returns {Array} Lower triangular L with A = L·Lᵀ
+ * @throws {Error} If the matrix is not positive definite
+ */
+function cholesky(A) {
+    const n = A.length;
+    const L = A.map(() => new Array(n).fill(0));
+
+    for (let j = 0; j < n; j++) {
+        let diagonal = A[j][j];
+        for (let k = 0; k < j; k++) {
+            diagonal -= L[j][k] * L[j][k];
+        }
+        if (!(diagonal > 0)) {
+            throw new Error('Mass matrix is not positive definite');
+        }
+        L[j][j] = Math.sqrt(diagonal);
+
+        for (let i = j + 1; i < n; i++) {
+            let sum = A[i][j];
+            for (let k = 0; k < j; k++) {
+                sum -= L[i][k] * L[j][k];
+            }
+            L[i][j] = sum / L[j][j];
+        }
+    }
+
+    return L;
+}
+
+/**
+ * Solve L·x = b by forward substitution
+ *
+ * @param {Array} L - Lower triangular matrix
+ * @param {Array} b - Right-hand side
+ * @returns {Array} Solution vector
+ */
+function forwardSubstitute(L, b) {
+    const x = new Array(b.length);
+    for (let i = 0; i < b.length; i++) {
+        let sum = b[i];
+        for (let k = 0; k < i; k++) {
+            sum -= L[i][k] * x[k];
+        }
+        x[i] = sum / L[i][i];
+    }
+    return x;
+}
+
+/**
+ * Solve Lᵀ·x = b by back substitution
+ *
+ * @param {Array} L - Lower triangular matrix
+ * @param {Array} b - Right-hand side
+ * @returns {Array} Solution vector
+ */
+function backSubstitute(L, b) {
+    const n = b.length;
+    const x = new Array(n);
+    for (let i = n - 1; i >= 0; i--) {
+        let sum = b[i];
+        for (let k = i + 1; k < n; k++) {
+            sum -= L[k][i] * x[k];
+        }
+        x[i] = sum / L[i][i];
+    }
+    return x;
+}
+
+/**
+ * Cholesky factor of a symmetric positive definite band matrix
+ *
+ * @param {Array} band - Upper band, band[i][d] = A(i, i + d) for d up to the half-bandwidth
+ * @returns {Array} Upper band of R with A = Rᵀ·R, stored the same way
+ * @throws {Error} If the matrix is not positive definite
+ */
+function bandedCholesky(band) {
+    const n = band.length;
+    const w = band[0].length - 1;
+    const R = band.map(row => new Array(row.length).fill(0));
+
+    for (let i = 0; i < n; i++) {
+        for (let d = 0; d <= w && i + d < n; d++) {
+            const j = i + d;
+            let sum = band[i][d];
+            for (let k = Math.max(0, j - w); k < i; k++) {
+                sum -= R[k][i - k] * R[k][j - k];
+            }
+            if (d === 0) {
+                if (!(sum > 0)) {
+                    throw new Error('Stiffness matrix is not positive definite');
+                }
+                R[i][0] = Math.sqrt(sum);
+            } else {
+                R[i][d] = sum / R[i][0];
+            }
+        }
+    }
+
+    return R;
+}
+
+/**
+ * Solve Rᵀ·R·x = b with a banded Cholesky factor
+ *
+ * @param {Array} R - Upper band of the factor from bandedCholesky
+ * @param {Array} b - Right-hand side
+ * @returns {Array} Solution vector
+ */
+function bandedSolve(R, b) {
+    const n = b.length;
+    const w = R[0].length - 1;
+    const y = new Array(n);
+    for (let i = 0; i < n; i++) {
+        let sum = b[i];
+        for (let k = Math.max(0, i - w); k < i; k++) {
+            sum -= R[k][i - k] * y[k];
+        }
+        y[i] = sum / R[i][0];
+    }
+
+    const x = new Array(n);
+    for (let i = n - 1; i >= 0; i--) {
+        let sum = y[i];
+        for (let d = 1; d <= w && i + d < n; d++) {
+            sum -= R[i][d] * x[i + d];
+        }
+        x[i] = sum / R[i][0];
+    }
+    return x;
+}
+
+/**
+ * Product of a symmetric band matrix and a vector
+ *
+ * @param {Array} band - Upper band, band[i][d] = A(i, i + d)
+ * @param {Array} x - Vector
+ * @returns {Array} A·x
+ */
+function bandedMultiply(band, x) {
+    const n = x.length;
+    const w = band[0].length - 1;
+    const y = new Array(n).fill(0);
+    for (let i = 0; i < n; i++) {
+        y[i] += band[i][0] * x[i];
+        for (let d = 1; d <= w && i + d < n; d++) {
+            y[i] += band[i][d] * x[i + d];
+            y[i + d] += band[i][d] * x[i];
+        }
+    }
+    return y;
+}
+
+/**
+ * Dot product of two vectors
+ *
+ * @param {Array} a - First vector
+ * @param {Array} b - Second vector
+ * @returns {number} a·b
+ */
+function dot(a, b) {
+    let sum = 0;
+    for (let i = 0; i < a.length; i++) {
+        sum += a[i] * b[i];
+    }
+    return sum;
+}
+
+/**
+ * Eigenvalues and eigenvectors of a symmetric matrix by cyclic Jacobi rotations
+ *
+ * @param {Array} matrix - Symmetric matrix as an array of rows
+ * @param {number} maxSweeps - Maximum sweeps over the off-diagonal terms, defaults to 50
+ * @returns {Array} Eigenpairs [{value, vector}] in ascending order of value
+ * @throws {Error} If the rotations do not converge
+ */
+function symmetricEigen(matrix, maxSweeps = 50) {
+    const n = matrix.length;
+    const a = matrix.map(row => [...row]);
+    const v = matrix.map((row, i) => row.map((value, j) => (i === j ? 1 : 0)));
+    const scale = a.reduce((sum, row, i) => sum + row[i] * row[i], 0);
+
+    let converged = false;
+    for (let sweep = 0; sweep < maxSweeps && !converged; sweep++) {
+        let offDiagonal = 0;
+        for (let p = 0; p < n; p++) {
+            for (let q = p + 1; q < n; q++) {
+                offDiagonal += a[p][q] * a[p][q];
+            }
+        }
+        if (offDiagonal <= 1e-24 * scale) {
+            converged = true;
+            break;
+        }
+
+        for (let p = 0; p < n - 1; p++) {
+            for (let q = p + 1; q < n; q++) {
+                if (a[p][q] === 0) {
+                    continue;
+                }
+                // Rotation that zeroes a[p][q] (Numerical Recipes §11.1)
+                const theta = (a[q][q] - a[p][p]) / (2 * a[p][q]);
+                const t = (theta >= 0 ? 1 : -1) / (Math.abs(theta) + Math.sqrt(theta * theta + 1));
+                const c = 1 / Math.sqrt(t * t + 1);
+                const s = t * c;
+
+                for (let k = 0; k < n; k++) {
+                    const akp = a[k][p];
+                    const akq = a[k][q];
+                    a[k][p] = c * akp - s * akq;
+                    a[k][q] = s * akp + c * akq;
+                }
+                for (let k = 0; k < n; k++) {
+                    const apk = a[p][k];
+                    const aqk = a[q][k];
+                    a[p][k] = c * apk - s * aqk;
+                    a[q][k] = s * apk + c * aqk;
+                }
+                for (let k = 0; k < n; k++) {
+                    const vkp = v[k][p];
+                    const vkq = v[k][q];
+                    v[k][p] = c * vkp - s * vkq;
+                    v[k][q] = s * vkp + c * vkq;
+                }
+            }
+        }
+    }
+
+    if (!converged) {
+        throw new Error(`Eigenvalue rotations did not converge in ${maxSweeps} sweeps`);
+    }
+
+    return a
+        .map((row, i) => ({ value: row[i], vector: v.map(column => column[i]) }))
+        .sort((x, y) => x.value - y.value);
+}
+
+/**
+ * Projected stiffness Xᵀ·K·X of a clamped beam, summed element by element from curvatures
+ *
+ * Forming K·x for a smooth vector subtracts element end forces that nearly cancel, losing
+ * accuracy as (L/h)⁴ on fine meshes. The curvature at each element end loses only as L/h,
+ * and since it varies linearly along a cubic element the strain energy ∫EI·κ² is exact.
+ *
+ * @param {Array} beam - Elements [{length, EI}] from the clamp to the muzzle
+ * @param {Array} vectors - Vectors over the free degrees of freedom
+ * @returns {Array} Projected stiffness matrix
+ */
+function projectedStiffness(beam, vectors) {
+    const curvatures = vectors.map(x => {
+        const phi = [0, 0, ...x];
+        return beam.map(({ length: h }, e) => {
+            const [v1, t1, v2, t2] = phi.slice(2 * e, 2 * e + 4);
+            const chord = (v2 - v1) / h;
+            return [(6 * chord - 4 * t1 - 2 * t2) / h, (2 * t1 + 4 * t2 - 6 * chord) / h];
+        });
+    });
+
+    return curvatures.map(a => curvatures.map(b => beam.reduce((sum, { length: h, EI }, e) => {
+        const [a0, a1] = a[e];
+        const [b0, b1] = b[e];
+        return sum + EI * h * (2 * (a0 * b0 + a1 * b1) + a0 * b1 + a1 * b0) / 6;
+    }, 0)));
+}
+
+/**
+ * Rayleigh-Ritz approximation of K·φ = λ·M·φ on the span of a block of vectors
+ *
+ * @param {Array} beam - Elements [{length, EI}] giving the stiffness (see projectedStiffness)
+ * @param {Array} M - Upper band of the mass matrix
+ * @param {Array} basis - Independent vectors spanning the subspace
+ * @returns {Array} Ritz pairs [{value, vector}] in ascending order, vectors M-normalized
+ * @throws {Error} If the vectors are not independent
+ */
+function rayleighRitz(beam, M, basis) {
+    const norms = basis.map(x => Math.sqrt(dot(x, bandedMultiply(M, x))));
+    const vectors = basis.map((x, j) => x.map(value => value / norms[j]));
+    const mass = vectors.map(x => bandedMultiply(M, x));
+    const Kr = projectedStiffness(beam, vectors);
+    const Mr = vectors.map(a => mass.map(b => dot(a, b)));
+
+    // Standard form A = L⁻¹·Kr·L⁻ᵀ with Mr = L·Lᵀ
+    const Lr = cholesky(Mr);
+    const X = Kr.map((row, j) => forwardSubstitute(Lr, Kr.map(r => r[j])));
+    const A = X.map((row, j) => forwardSubstitute(Lr, X.map(r => r[j])));
+    const symmetric = A.map((row, i) => row.map((value, j) => (value + A[j][i]) / 2));
+
+    return symmetricEigen(symmetric).map(pair => {
+        const coefficients = backSubstitute(Lr, pair.vector);
+        const vector = new Array(vectors[0].length).fill(0);
+        coefficients.forEach((c, j) => {
+            vectors[j].forEach((value, i) => {
+                vector[i] += c * value;
+            });
+        });
+        return { value: pair.value, vector };
+    });
+}
+
+/**
+ * Lowest eigenpairs of K·φ = λ·M·φ for banded K and M by subspace iteration
+ *
+ * A starting block that spans the whole space gives the exact pairs in one Rayleigh-Ritz
+ * step. Otherwise the block carries extra vectors beyond those wanted, so the wanted pairs
+ * converge at the rate λ_count/λ_block (Bathe, Finite Element Procedures §11.6).
+ *
+ * @param {Array} K - Upper band of the stiffness matrix
+ * @param {Array} beam - Elements [{length, EI}] for the projected stiffness
+ * @param {Array} M - Upper band of the mass matrix
+ * @param {Array} start - Starting block of independent vectors
+ * @param {number} count - Number of eigenpairs wanted
+ * @param {number} tolerance - Relative change of the wanted eigenvalues between passes at
+ *   which to stop, defaults to 1e-12
+ * @param {number} maxIterations - Maximum passes, defaults to 200
+ * @returns {Array} Eigenpairs [{value, vector}] in ascending order, vectors M-normalized
+ * @throws {Error} If a matrix is not positive definite or the iteration does not converge
+ */
+function subspaceEigen(K, beam, M, start, count, tolerance = 1e-12, maxIterations = 200) {
+    const factor = bandedCholesky(K);
+    if (start.length === K.length) {
+        return rayleighRitz(beam, M, start).slice(0, count);
+    }
+
+    let block = start;
+    let previous = null;
+    for (let iteration = 0; iteration < maxIterations; iteration++) {
+        const pairs = rayleighRitz(beam, M, block.map(x => bandedSolve(factor, bandedMultiply(M, x))));
+        const values = pairs.slice(0, count).map(pair => pair.value);
+        if (previous && values.every((value, i) => Math.abs(value - previous[i]) <= tolerance * value)) {
+            return pairs.slice(0, count);
+        }
+        block = pairs.map(pair => pair.vector);
+        previous = values;
+    }
+
+    throw new Error(`Subspace iteration did not converge in ${maxIterations} passes`);
+}
+
+/**
+ * Starting block for subspace iteration on a clamped beam mesh
+ *
+ * Coarse meshes take the unit vectors, which span the whole space. Finer meshes take the
+ * shapes sin((2k - 1)·π·x/2ℓ) of a cantilever and their slopes, twice as many as the modes
+ * wanted and at least eight more.
+ *
+ * @param {Array} positions - Element end positions from the clamp to the muzzle
+ * @param {number} modes - Number of modes wanted
+ * @returns {Array} Vectors over the free degrees of freedom
+ */
+function startingBlock(positions, modes) {
+    const free = positions.slice(1);
+    const n = 2 * free.length;
+    const count = Math.max(2 * modes, modes + 8);
+    if (n <= 2 * count) {
+        return Array.from({ length: n }, (_, k) => Array.from({ length: n }, (_, i) => (i === k ? 1 : 0)));
+    }
+
+    const clamp = positions[0];
+    const length = free[free.length - 1] - clamp;
+    return Array.from({ length: count }, (_, k) => {
+        const a = (2 * k + 1) * Math.PI / (2 * length);
+        return free.flatMap(x => [Math.sin(a * (x - clamp)), a * Math.cos(a * (x - clamp))]);
+    });
+}
+
+/**
+ * Divide the barrel ahead of the clamp into beam elements
+ *
+ * @param {Array} contour - Stations sorted by position
+ * @param {Array} flutes - Flute sets
+ * @param {number} clampPosition - Fixed end of the cantilever (mm)
+ * @param {number} elementLength - Largest element length (mm)
+ * @returns {Array} Element end positions from the clamp to the muzzle
+ */
+function meshPositions(contour, flutes, clampPosition, elementLength) {
+    const muzzle = contour[contour.length - 1].position;
+    const breaks = [...new Set([
+        clampPosition,
+        ...contour.map(s => s.position),
+        ...flutes.flatMap(f => [f.start, f.end])
+    ])]
+        .filter(position => position >= clampPosition && position <= muzzle)
+        .sort((a, b) => a - b);
+
+    const positions = [breaks[0]];
+    for (let i = 0; i < breaks.length - 1; i++) {
+        const length = breaks[i + 1] - breaks[i];
+        const count = Math.max(1, Math.ceil(length / elementLength - 1e-9));
+        for (let k = 1; k <= count; k++) {
+            positions.push(breaks[i] + length * k / count);
+        }
+    }
+    return positions;
+}
+
+/**
+ * Positions where a mode shape crosses zero, excluding the clamp
+ *
+ * @param {Array} shape - Mode shape points [{position, displacement}]
+ * @returns {Array} Node positions (mm)
+ */
+function modeNodes(shape) {
+    const nodes = [];
+    for (let i = 1; i < shape.length - 1; i++) {
+        const a = shape[i];
+        const b = shape[i + 1];
+        if (a.displacement === 0) {
+            nodes.push(a.position);
+        } else if (a.displacement * b.displacement < 0) {
+            const t = a.displacement / (a.displacement - b.displacement);
+            nodes.push(a.position + t * (b.position - a.position));
+        }
+    }
+    return nodes;
+}
+
+/**
+ * Bending natural frequencies and mode shapes of a barrel clamped at the receiver
+ *
+ * @param {Object} params - Analysis parameters
+ * @param {Array} params.stations - Contour stations {position, outerDiameter, boreDiameter} (mm)
+ * @param {number} params.E - Elastic modulus (MPa)
+ * @param {number} params.density - Material density (kg/m³)
+ * @param {Array} params.flutes - Flute sets [{count, width, depth, start, end}] (mm), defaults to none
+ * @param {number} params.clampPosition - Distance from the breech face at which the barrel leaves
+ *   the receiver (mm), defaults to the first station
+ * @param {number} params.muzzleMass - Muzzle device mass (kg), defaults to 0
+ * @param {number} params.muzzleInertia - Muzzle device rotary inertia about a transverse axis at
+ *   the muzzle (kg·mm²), defaults to 0
+ * @param {number} params.modes - Number of modes to report, defaults to 4
+ * @param {number} params.elementLength - Largest element length (mm), defaults to 1/40 of the
+ *   cantilever length
+ * @returns {Object} {modes, length, beamMass, clampPosition, muzzleMass, muzzleInertia, elements}.
+ *   Each mode reports its frequency (Hz), angular frequency (rad/s), shape [{position,
+ *   displacement, slope}] scaled to a unit muzzle displacement, and node positions.
+ * @throws {Error} If inputs are invalid
+ */
+export function analyzeVibration(params) {
+    const {
+        stations,
+        E,
+        density,
+        flutes = [],
+        clampPosition = null,
+        muzzleMass = 0,
+        muzzleInertia = 0,
+        modes = 4,
+        elementLength = null
+    } = params;
+
+    try {
+        if (!(E > 0)) {
+            throw new Error('Elastic modulus must be positive');
+        }
+        if (!(density > 0)) {
+            throw new Error('Density must be positive');
+        }
+        if (!(muzzleMass >= 0) || !(muzzleInertia >= 0)) {
+            throw new Error('Muzzle device mass and inertia must be non-negative');
+        }
+        if (!Number.isInteger(modes) || modes < 1) {
+            throw new Error('Number of modes must be a positive integer');
+        }
+
+        const contour = validateContour(stations);
+        validateFlutes(flutes, contour);
+
+        const muzzle = contour[contour.length - 1].position;
+        const clamp = clampPosition ?? contour[0].position;
+        if (!(clamp >= contour[0].position) || !(clamp < muzzle)) {
+            throw new Error('Clamp position must lie within the contour, behind the muzzle');
+        }
+        const length = muzzle - clamp;
+        const maxElement = elementLength ?? length / 40;
+        if (!(maxElement > 0)) {
+            throw new Error('Element length must be positive');
+        }
+
+        const positions = meshPositions(contour, flutes, clamp, maxElement);
+        const elements = positions.length - 1;
+        const size = 2 * (elements + 1);
+        if (modes > size - 2) {
+            throw new Error(`At most ${size - 2} modes can be found with ${elements} elements`);
+        }
+
+        // N/mm = 1000 kg/s², so E·1000 gives stiffness consistent with mass in kg
+        const modulus = E * 1000;
+        const kgPerMm3 = density * 1e-9;
+        // Upper bands, K[i][d] = K(i, i + d)
+        const K = Array.from({ length: size }, () => new Array(4).fill(0));
+        const M = Array.from({ length: size }, () => new Array(4).fill(0));
+        const beam = [];
+        let beamMass = 0;
+
+        for (let e = 0; e < elements; e++) {
+            const L = positions[e + 1] - positions[e];
+            const mid = (positions[e] + positions[e + 1]) / 2;
+            const active = flutes.filter(f => f.start <= mid && f.end >= mid);
+            const section = sectionProperties(contourAt(contour, mid), active);
+            const EI = modulus * section.diametral;
+            const mu = kgPerMm3 * section.area;
+            beamMass += mu * L;
+            beam.push({ length: L, EI });
+
+            const k = EI / (L * L * L);
+            const m = mu * L / 420;
+            const ke = [
+                [12 * k, 6 * L * k, -12 * k, 6 * L * k],
+                [6 * L * k, 4 * L * L * k, -6 * L * k, 2 * L * L * k],
+                [-12 * k, -6 * L * k, 12 * k, -6 * L * k],
+                [6 * L * k, 2 * L * L * k, -6 * L * k, 4 * L * L * k]
+            ];
+            const me = [
+                [156 * m, 22 * L * m, 54 * m, -13 * L * m],
+                [22 * L * m, 4 * L * L * m, 13 * L * m, -3 * L * L * m],
+                [54 * m, 13 * L * m, 156 * m, -22 * L * m],
+                [-13 * L * m, -3 * L * L * m, -22 * L * m, 4 * L * L * m]
+            ];
+
+            for (let i = 0; i < 4; i++) {
+                for (let j = i; j < 4; j++) {
+                    K[2 * e + i][j - i] += ke[i][j];
+                    M[2 * e + i][j - i] += me[i][j];
+                }
+            }
+        }
+
+        // Muzzle device on the free end
+        M[size - 2][0] += muzzleMass;
+        M[size - 1][0] += muzzleInertia;
+
+        // Clamp the deflection and slope at the receiver
+        const modeResults = subspaceEigen(K.slice(2), beam, M.slice(2), startingBlock(positions, modes), modes).map((pair, index) => {
+            const phi = [0, 0, ...pair.vector];
+
+            // Scale to a unit muzzle displacement, or the largest displacement for a muzzle node
+            const muzzleDisplacement = phi[size - 2];
+            const largest = phi.filter((value, i) => i % 2 === 0)
+                .reduce((best, value) => (Math.abs(value) > Math.abs(best) ? value : best), 0);
+            const reference = Math.abs(muzzleDisplacement) > 1e-6 * Math.abs(largest) ? muzzleDisplacement : largest;
+
+            const shape = positions.map((position, i) => ({
+                position,
+                displacement: phi[2 * i] / reference,
+                slope: phi[2 * i + 1] / reference
+            }));
+            const omega = Math.sqrt(Math.max(pair.value, 0));
+
+            return {
+                mode: index + 1,
+                frequency: omega / (2 * Math.PI),
+                omega,
+                shape,
+                nodes: modeNodes(shape)
+            };
+        });
+
+        return {
+            modes: modeResults,
+            length,
+            beamMass,
+            clampPosition: clamp,
+            muzzleMass,
+            muzzleInertia,
+            elements
+        };
+    } catch (error) {
+        throw new Error(`Vibration analysis failed: ${error.message}`);
+    }
+}
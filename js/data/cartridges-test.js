@@ -143,6 +143,9 @@ async function testUnitConversion() {
     assert(cartridge223SI !== null, 'Can get .223 specs in SI');
     assertClose(cartridge223SI.chamber_diameter, 5.69, 0.01, 'SI chamber diameter correct');
     assertClose(cartridge223SI.max_pressure, 379.21, 1, 'SI pressure correct');
+    assertClose(cartridge223SI.head_diameter, 9.57, 0.01, 'SI head diameter correct');
+    assertClose(cartridge223SI.case_capacity, 1.87, 0.01, 'SI case capacity correct');
+    assertClose(cartridge223SI.bullet_weight, 3.56, 0.01, 'SI bullet weight correct');
     assert(cartridge223SI.units.diameter === 'mm', 'SI diameter units are mm');
     assert(cartridge223SI.units.pressure === 'MPa', 'SI pressure units are MPa');
     
@@ -152,6 +155,9 @@ async function testUnitConversion() {
     assert(cartridge223IP !== null, 'Can get .223 specs in Imperial');
     assertClose(cartridge223IP.chamber_diameter, 0.224, 0.001, 'Imperial chamber diameter correct');
     assertClose(cartridge223IP.max_pressure, 55000, 100, 'Imperial pressure correct');
+    assertClose(cartridge223IP.head_diameter, 0.377, 0.001, 'Imperial head diameter correct');
+    assertClose(cartridge223IP.case_capacity, 28.9, 0.1, 'Imperial case capacity in grains of water correct');
+    assertClose(cartridge223IP.bullet_weight, 55, 0.1, 'Imperial bullet weight in grains correct');
     assert(cartridge223IP.units.diameter === 'in', 'Imperial diameter units are in');
     assert(cartridge223IP.units.pressure === 'psi', 'Imperial pressure units are psi');
     
@@ -293,6 +299,18 @@ async function testDataConsistency() {
             assert(cartridge.bore_diameter > 0 && cartridge.bore_diameter <= cartridge.chamber_diameter, 
                 `Cartridge ${cartridge.id} bore diameter is reasonable`);
         }
+        
+        // If head diameter is specified, the case head must not be smaller than the chamber
+        if (cartridge.head_diameter) {
+            assert(cartridge.head_diameter >= cartridge.chamber_diameter, 
+                `Cartridge ${cartridge.id} head diameter is reasonable`);
+        }
+        
+        // Interior ballistics inputs, when given, must be positive
+        if (cartridge.case_capacity !== undefined || cartridge.bullet_weight !== undefined) {
+            assert(cartridge.case_capacity > 0 && cartridge.bullet_weight > 0,
+                `Cartridge ${cartridge.id} case capacity and bullet weight are positive`);
+        }
     }
     
     // Test unique IDs
@@ -81,6 +81,19 @@ function validateCartridgesData(data) {
         if (cartridge.max_pressure <= 0 || cartridge.max_pressure > 1000) {
             return false;
         }
+        
+        // Head diameter is optional but must clear the chamber when given
+        if (cartridge.head_diameter !== undefined &&
+            (typeof cartridge.head_diameter !== 'number' || cartridge.head_diameter < cartridge.chamber_diameter)) {
+            return false;
+        }
+        
+        // Case capacity and bullet weight are optional interior ballistics inputs
+        for (const key of ['case_capacity', 'bullet_weight']) {
+            if (cartridge[key] !== undefined && (typeof cartridge[key] !== 'number' || cartridge[key] <= 0)) {
+                return false;
+            }
+        }
     }
     
     return true;
@@ -99,6 +112,9 @@ function getFallbackCartridgesData() {
                 category: 'Rifle',
                 chamber_diameter: 5.69,
                 bore_diameter: 5.56,
+                head_diameter: 9.57,
+                case_capacity: 1.87,
+                bullet_weight: 3.56,
                 max_pressure: 379.21,
                 standard: 'SAAMI',
                 notes: 'Fallback cartridge data'
@@ -109,6 +125,9 @@ function getFallbackCartridgesData() {
                 category: 'Rifle',
                 chamber_diameter: 7.85,
                 bore_diameter: 7.62,
+                head_diameter: 11.96,
+                case_capacity: 3.63,
+                bullet_weight: 9.72,
                 max_pressure: 413.69,
                 standard: 'SAAMI',
                 notes: 'Fallback cartridge data'
@@ -119,6 +138,9 @@ function getFallbackCartridgesData() {
                 category: 'Pistol',
                 chamber_diameter: 9.93,
                 bore_diameter: 9.02,
+                head_diameter: 9.93,
+                case_capacity: 0.86,
+                bullet_weight: 8.04,
                 max_pressure: 241.32,
                 standard: 'SAAMI',
                 notes: 'Fallback cartridge data'
@@ -194,10 +216,15 @@ export async function getCartridgeSpecs(cartridgeId) {
         return {
             chamber_diameter: cartridge.chamber_diameter,
             bore_diameter: cartridge.bore_diameter || cartridge.chamber_diameter,
+            head_diameter: cartridge.head_diameter ?? null,
+            case_capacity: cartridge.case_capacity ?? null,
+            bullet_weight: cartridge.bullet_weight ?? null,
             max_pressure: cartridge.max_pressure,
             units: {
                 diameter: 'mm',
-                pressure: 'MPa'
+                pressure: 'MPa',
+                capacity: 'cm3',
+                mass: 'g'
             }
         };
     } else {
@@ -205,10 +232,15 @@ export async function getCartridgeSpecs(cartridgeId) {
         return {
             chamber_diameter: fromSI(cartridge.chamber_diameter, 'diameter'),
             bore_diameter: fromSI(cartridge.bore_diameter || cartridge.chamber_diameter, 'diameter'),
+            head_diameter: cartridge.head_diameter ? fromSI(cartridge.head_diameter, 'diameter') : null,
+            case_capacity: cartridge.case_capacity ? fromSI(cartridge.case_capacity, 'capacity') : null,
+            bullet_weight: cartridge.bullet_weight ? fromSI(cartridge.bullet_weight, 'mass') : null,
             max_pressure: fromSI(cartridge.max_pressure, 'pressure'),
             units: {
                 diameter: 'in',
-                pressure: 'psi'
+                pressure: 'psi',
+                capacity: 'grH2O',
+                mass: 'gr'
             }
         };
     }
@@ -92,7 +92,7 @@ function getFallbackMaterialsData() {
                 name: '4140 Steel (Heat Treated)',
                 category: 'Carbon Steel',
                 condition: 'Quenched & Tempered',
-                properties: { Sy: 655, Su: 827, E: 200, nu: 0.3, density: 7850 },
+                properties: { Sy: 655, Su: 827, E: 200, nu: 0.3, density: 7850, alpha: 12.3e-6, K_IC: 90 },
                 notes: 'Fallback material data'
             },
             {
@@ -100,7 +100,7 @@ function getFallbackMaterialsData() {
                 name: '17-4 PH Stainless (H900)',
                 category: 'Stainless Steel', 
                 condition: 'Precipitation Hardened',
-                properties: { Sy: 1172, Su: 1310, E: 197, nu: 0.3, density: 7800 },
+                properties: { Sy: 1172, Su: 1310, E: 197, nu: 0.3, density: 7800, alpha: 10.8e-6, K_IC: 48 },
                 notes: 'Fallback material data'
             }
         ],
@@ -179,7 +179,9 @@ export async function getMaterialProperties(materialId) {
                 Su: 'MPa', 
                 E: 'GPa',
                 nu: 'dimensionless',
-                density: 'kg/m³'
+                density: 'kg/m³',
+                alpha: '1/°C',
+                K_IC: 'MPa√m'
             }
         };
     } else {
@@ -190,12 +192,16 @@ export async function getMaterialProperties(materialId) {
             E: fromSI(props.E * 1000, 'pressure'), // Convert GPa to MPa then to PSI
             nu: props.nu, // Dimensionless
             density: fromSI(props.density, 'density'),
+            alpha: props.alpha !== undefined ? props.alpha / 1.8 : undefined, // 1/°C to 1/°F
+            K_IC: props.K_IC !== undefined ? fromSI(props.K_IC, 'toughness') : undefined,
             units: {
                 Sy: 'ksi',
                 Su: 'ksi',
                 E: 'ksi',
                 nu: 'dimensionless',
-                density: 'lb/ft³'
+                density: 'lb/ft³',
+                alpha: '1/°F',
+                K_IC: 'ksi√in'
             }
         };
     }
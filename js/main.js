@@ -5,6 +5,7 @@
 
 import { setSystem, getSystem, convert, format, getCurrentUnits, fromSI, toSI } from './units.js';
 import { analyzeCircle, generateStressField } from './calc/core.js';
+import { SolverError } from './calc/solver.js';
 import { 
     performWorstCaseAnalysis, 
     getAvailableToleranceClasses,
@@ -15,6 +16,23 @@ import {
     generateCompoundStressField, 
     validateGeometry 
 } from './calc/trunnion.js';
+import { analyzeAutofrettage } from './calc/autofrettage.js';
+import { requiredOuterDiameter, requiredTrunnionDiameter } from './calc/design.js';
+import { sweepParameter } from './calc/sweep.js';
+import { analyzeStrainGauge } from './calc/straingauge.js';
+import { analyzeFatigue } from './calc/fatigue.js';
+import { analyzeFracture } from './calc/fracture.js';
+import { analyzePartialYield } from './calc/plastic.js';
+import { analyzeMultilayer } from './calc/multilayer.js';
+import { analyzeOverwrap, COMPOSITE_MATERIALS } from './calc/overwrap.js';
+import { analyzeRifling } from './calc/rifling.js';
+import { analyzeCrossBore } from './calc/crossbore.js';
+import { analyzeThread, COMMON_THREADS } from './calc/threads.js';
+import { analyzeBreech, caseHeadThrust } from './calc/breech.js';
+import { analyzeContour, parseContourCSV, pressureProfile, strengthCurve } from './calc/contour.js';
+import { analyzeInteriorBallistics } from './calc/ballistics.js';
+import { analyzeBarrelMass } from './calc/mass.js';
+import { analyzeVibration } from './calc/vibration.js';
 import { 
     getAllMaterials, 
     getMaterialById, 
@@ -298,7 +316,7 @@ async function generateFormHTML() {
                         <label for="barrel-length">Barrel Length</label>
                     </div>
                     <div id="barrel-length-help" class="form-text">
-                        Overall barrel length (for stress visualization and charts)
+                        Overall barrel length, the muzzle position for the contour analysis
                     </div>
                     <div id="barrel-length-error" class="invalid-feedback" role="alert"></div>
                 </div>
@@ -387,6 +405,42 @@ async function generateFormHTML() {
                     </div>
                     <div id="pressure-error" class="invalid-feedback" role="alert"></div>
                 </div>
+
+                <!-- Axial End Condition -->
+                <div class="mb-3">
+                    <label for="end-condition" class="form-label">
+                        Axial End Condition
+                    </label>
+                    <select class="form-select" id="end-condition" 
+                            aria-describedby="end-condition-help end-condition-error">
+                        <option value="closed-end" selected>Closed End (chamber capped by bolt face)</option>
+                        <option value="open-end">Open End (no axial load)</option>
+                        <option value="plane-strain">Plane Strain (axially restrained)</option>
+                        <option value="generalized-plane-strain">Generalized Plane Strain (prescribed axial strain)</option>
+                        <option value="plane-stress">Plane Stress (σz = 0)</option>
+                    </select>
+                    <div id="end-condition-help" class="form-text">
+                        Determines the axial stress carried by the wall (chamber sections are closed-end)
+                    </div>
+                    <div id="end-condition-error" class="invalid-feedback" role="alert"></div>
+                </div>
+
+                <!-- Axial Strain (generalized plane strain only) -->
+                <div id="axial-strain-section" class="mb-3 d-none">
+                    <label for="axial-strain" class="form-label">
+                        Axial Strain (µε)
+                    </label>
+                    <div class="form-floating">
+                        <input type="number" class="form-control" id="axial-strain" 
+                               step="1" min="-5000" max="5000" placeholder="0"
+                               aria-describedby="axial-strain-help axial-strain-error">
+                        <label for="axial-strain">Axial Strain</label>
+                    </div>
+                    <div id="axial-strain-help" class="form-text">
+                        Uniform axial strain imposed on the section, in microstrain
+                    </div>
+                    <div id="axial-strain-error" class="invalid-feedback" role="alert"></div>
+                </div>
             </fieldset>
 
             <!-- Advanced Options Accordion -->
@@ -469,1176 +523,4666 @@ async function generateFormHTML() {
                     </div>
                 </div>
 
-                <!-- Tolerances and Safety Factors -->
+                <!-- Layered Construction -->
                 <div class="accordion-item">
-                    <h3 class="accordion-header" id="tolerances-heading">
+                    <h3 class="accordion-header" id="multilayer-heading">
                         <button class="accordion-button collapsed" type="button" 
-                                data-bs-toggle="collapse" data-bs-target="#tolerances-collapse" 
-                                aria-expanded="false" aria-controls="tolerances-collapse">
-                            📏 Tolerances & Safety Factors
+                                data-bs-toggle="collapse" data-bs-target="#multilayer-collapse" 
+                                aria-expanded="false" aria-controls="multilayer-collapse">
+                            🧱 Sleeves & Jackets (Optional)
                         </button>
                     </h3>
-                    <div id="tolerances-collapse" class="accordion-collapse collapse" 
-                         aria-labelledby="tolerances-heading" data-bs-parent="#advanced-options">
+                    <div id="multilayer-collapse" class="accordion-collapse collapse" 
+                         aria-labelledby="multilayer-heading" data-bs-parent="#advanced-options">
                         <div class="accordion-body">
-                            <div class="row">
-                                <div class="col-md-6">
-                                    <label for="tolerance-class" class="form-label">
-                                        Manufacturing Tolerance Class
-                                    </label>
-                                    <select class="form-select" id="tolerance-class" 
-                                            aria-describedby="tolerance-help tolerance-error">
-                                        <option value="precision">Precision (H7/g6)</option>
-                                        <option value="standard">Standard (H8/h7)</option>
-                                        <option value="commercial">Commercial (H9/h8)</option>
-                                        <option value="rough">Rough (H11/h9)</option>
-                                        <option value="custom">Custom...</option>
-                                    </select>
-                                    <div id="tolerance-help" class="form-text">
-                                        Manufacturing tolerance grade affects stress concentrations
-                                    </div>
-                                    <div id="tolerance-error" class="invalid-feedback" role="alert"></div>
+                            <div class="form-check mb-3">
+                                <input class="form-check-input" type="checkbox" id="enable-multilayer">
+                                <label class="form-check-label" for="enable-multilayer">
+                                    Analyze layers fitted over the barrel
+                                </label>
+                            </div>
+                            
+                            <div id="multilayer-params" class="d-none">
+                                <div id="layer-rows" aria-describedby="multilayer-help"></div>
+                                <button type="button" class="btn btn-outline-secondary btn-sm" id="add-layer">
+                                    + Add Layer
+                                </button>
+                                <div id="multilayer-help" class="form-text mt-2">
+                                    List layers from the barrel outwards. Interference is diametral, with the 
+                                    layer inside it. Leave the material blank to use the barrel material.
                                 </div>
-                                <div class="col-md-6">
-                                    <label for="safety-factor" class="form-label">
-                                        Target Safety Factor
-                                    </label>
-                                    <div class="form-floating">
-                                        <input type="number" class="form-control" id="safety-factor" 
-                                               step="${config.safetyFactor.step}" 
-                                               min="${config.safetyFactor.min}" 
-                                               max="${config.safetyFactor.max}" 
-                                               placeholder="${config.safetyFactor.placeholder}"
-                                               value="3.0"
-                                               aria-describedby="safety-help safety-error">
-                                        <label for="safety-factor">Safety Factor</label>
+                                <template id="layer-row-template">
+                                    <div class="row g-2 mb-2 layer-row">
+                                        <div class="col-md-4">
+                                            <div class="form-floating">
+                                                <input type="number" class="form-control layer-od" 
+                                                       step="any" min="0" placeholder="Outer diameter"
+                                                       aria-label="Layer outer diameter">
+                                                <label>Outer Diameter (${units.diameter})</label>
+                                            </div>
+                                        </div>
+                                        <div class="col-md-3">
+                                            <div class="form-floating">
+                                                <input type="number" class="form-control layer-interference" 
+                                                       step="any" min="0" placeholder="0" value="0"
+                                                       aria-label="Layer interference fit">
+                                                <label>Interference (${units.diameter})</label>
+                                            </div>
+                                        </div>
+                                        <div class="col-md-4">
+                                            <select class="form-select h-100 layer-material" aria-label="Layer material">
+                                                <option value="">Same as barrel</option>
+                                                ${await generateMaterialOptions()}
+                                            </select>
+                                        </div>
+                                        <div class="col-md-1 d-flex align-items-center">
+                                            <button type="button" class="btn btn-outline-danger btn-sm remove-layer" 
+                                                    aria-label="Remove layer">✕</button>
+                                        </div>
                                     </div>
-                                    <div id="safety-help" class="form-text">
-                                        Target safety factor (3.0 minimum recommended)
+                                </template>
+                            </div>
+                        </div>
+                    </div>
+                </div>
+
+                <!-- Composite Overwrap -->
+                <div class="accordion-item">
+                    <h3 class="accordion-header" id="overwrap-heading">
+                        <button class="accordion-button collapsed" type="button" 
+                                data-bs-toggle="collapse" data-bs-target="#overwrap-collapse" 
+                                aria-expanded="false" aria-controls="overwrap-collapse">
+                            🧵 Carbon Fiber Overwrap (Optional)
+                        </button>
+                    </h3>
+                    <div id="overwrap-collapse" class="accordion-collapse collapse" 
+                         aria-labelledby="overwrap-heading" data-bs-parent="#advanced-options">
+                        <div class="accordion-body">
+                            <div class="form-check mb-3">
+                                <input class="form-check-input" type="checkbox" id="enable-overwrap">
+                                <label class="form-check-label" for="enable-overwrap">
+                                    Barrel is a steel liner with a composite overwrap
+                                </label>
+                            </div>
+                            
+                            <div id="overwrap-params" class="d-none">
+                                <div class="row">
+                                    <div class="col-md-4">
+                                        <label for="overwrap-material" class="form-label">Composite</label>
+                                        <select class="form-select" id="overwrap-material" aria-describedby="overwrap-help">
+                                            ${Object.entries(COMPOSITE_MATERIALS).map(([id, composite]) => 
+                                                `<option value="${id}">${composite.name}</option>`).join('')}
+                                        </select>
+                                    </div>
+                                    <div class="col-md-4">
+                                        <label for="overwrap-od" class="form-label">
+                                            Overwrap OD (${units.diameter})
+                                        </label>
+                                        <div class="form-floating">
+                                            <input type="number" class="form-control" id="overwrap-od" 
+                                                   step="any" min="0" placeholder="Outer diameter"
+                                                   aria-describedby="overwrap-help overwrap-od-error">
+                                            <label for="overwrap-od">Outer Diameter</label>
+                                        </div>
+                                        <div id="overwrap-od-error" class="invalid-feedback" role="alert"></div>
+                                    </div>
+                                    <div class="col-md-4">
+                                        <label for="overwrap-interference" class="form-label">
+                                            Winding Interference (${units.diameter})
+                                        </label>
+                                        <div class="form-floating">
+                                            <input type="number" class="form-control" id="overwrap-interference" 
+                                                   step="any" min="0" placeholder="0" value="0"
+                                                   aria-describedby="overwrap-help overwrap-interference-error">
+                                            <label for="overwrap-interference">Diametral</label>
+                                        </div>
+                                        <div id="overwrap-interference-error" class="invalid-feedback" role="alert"></div>
                                     </div>
-                                    <div id="safety-error" class="invalid-feedback" role="alert"></div>
+                                </div>
+                                <div id="overwrap-help" class="form-text mt-2">
+                                    The barrel OD is the liner OD. Hoop-wound plies are modelled as a cylindrically 
+                                    orthotropic layer; winding tension is entered as an equivalent interference.
                                 </div>
                             </div>
                         </div>
                     </div>
                 </div>
-            </div>
 
-            <!-- Submit Button -->
-            <div class="d-grid gap-2">
-                <button type="submit" class="btn btn-primary btn-lg">
-                    <i class="bi bi-calculator" aria-hidden="true"></i>
-                    Calculate Safety Factor
-                </button>
-                <button type="button" class="btn btn-outline-secondary" id="reset-form">
-                    <i class="bi bi-arrow-clockwise" aria-hidden="true"></i>
-                    Reset Form
-                </button>
-            </div>
-        </form>
-    `;
-}
+                <!-- Rifling -->
+                <div class="accordion-item">
+                    <h3 class="accordion-header" id="rifling-heading">
+                        <button class="accordion-button collapsed" type="button" 
+                                data-bs-toggle="collapse" data-bs-target="#rifling-collapse" 
+                                aria-expanded="false" aria-controls="rifling-collapse">
+                            🌀 Rifling (Optional)
+                        </button>
+                    </h3>
+                    <div id="rifling-collapse" class="accordion-collapse collapse" 
+                         aria-labelledby="rifling-heading" data-bs-parent="#advanced-options">
+                        <div class="accordion-body">
+                            <div class="form-check mb-3">
+                                <input class="form-check-input" type="checkbox" id="enable-rifling">
+                                <label class="form-check-label" for="enable-rifling">
+                                    Bore is rifled (lands and grooves)
+                                </label>
+                            </div>
+                            
+                            <div id="rifling-params" class="d-none">
+                                <div class="row">
+                                    <div class="col-md-4">
+                                        <label for="groove-diameter" class="form-label">
+                                            Groove Diameter (${units.diameter})
+                                        </label>
+                                        <div class="form-floating">
+                                            <input type="number" class="form-control" id="groove-diameter" 
+                                                   step="any" min="0" placeholder="Groove diameter"
+                                                   aria-describedby="rifling-help groove-diameter-error">
+                                            <label for="groove-diameter">Across Grooves</label>
+                                        </div>
+                                        <div id="groove-diameter-error" class="invalid-feedback" role="alert"></div>
+                                    </div>
+                                    <div class="col-md-4">
+                                        <label for="groove-count" class="form-label">Number of Grooves</label>
+                                        <div class="form-floating">
+                                            <input type="number" class="form-control" id="groove-count" 
+                                                   step="1" min="1" max="64" placeholder="4" value="4"
+                                                   aria-describedby="rifling-help groove-count-error">
+                                            <label for="groove-count">Grooves</label>
+                                        </div>
+                                        <div id="groove-count-error" class="invalid-feedback" role="alert"></div>
+                                    </div>
+                                    <div class="col-md-4">
+                                        <label for="groove-root-radius" class="form-label">
+                                            Groove Corner Radius (${units.diameter})
+                                        </label>
+                                        <div class="form-floating">
+                                            <input type="number" class="form-control" id="groove-root-radius" 
+                                                   step="any" min="0" placeholder="Root radius"
+                                                   aria-describedby="rifling-help groove-root-radius-error">
+                                            <label for="groove-root-radius">Root Radius</label>
+                                        </div>
+                                        <div id="groove-root-radius-error" class="invalid-feedback" role="alert"></div>
+                                    </div>
+                                </div>
+                                <div id="rifling-help" class="form-text mt-2">
+                                    The bore diameter is taken as the land diameter. The wall is analyzed from the 
+                                    groove diameter, with a stress concentration at the groove corners.
+                                </div>
+                            </div>
+                        </div>
+                    </div>
+                </div>
 
-/**
- * Initialize cartridge UI functionality
- */
-async function initializeCartridgeUI() {
-    try {
-        // Populate cartridge dropdown with popular cartridges
-        await populateCartridgeDropdown();
-        
-        // Set up event listeners for cartridge functionality
-        setupCartridgeEventListeners();
-        
-        console.log('Cartridge UI initialized successfully');
-    } catch (error) {
-        console.error('Error initializing cartridge UI:', error);
-        // Disable cartridge functionality on error
-        disableCartridgeUI();
-    }
-}
+                <!-- Gas Port -->
+                <div class="accordion-item">
+                    <h3 class="accordion-header" id="gas-port-heading">
+                        <button class="accordion-button collapsed" type="button" 
+                                data-bs-toggle="collapse" data-bs-target="#gas-port-collapse" 
+                                aria-expanded="false" aria-controls="gas-port-collapse">
+                            💨 Gas Port (Optional)
+                        </button>
+                    </h3>
+                    <div id="gas-port-collapse" class="accordion-collapse collapse" 
+                         aria-labelledby="gas-port-heading" data-bs-parent="#advanced-options">
+                        <div class="accordion-body">
+                            <div class="form-check mb-3">
+                                <input class="form-check-input" type="checkbox" id="enable-gas-port">
+                                <label class="form-check-label" for="enable-gas-port">
+                                    Check the radial gas port
+                                </label>
+                            </div>
+                            
+                            <div id="gas-port-params" class="d-none">
+                                <div class="row">
+                                    <div class="col-md-6 mb-3">
+                                        <label for="port-diameter" class="form-label">
+                                            Port Diameter (${units.diameter})
+                                        </label>
+                                        <div class="form-floating">
+                                            <input type="number" class="form-control" id="port-diameter" 
+                                                   step="any" min="0" placeholder="Port diameter"
+                                                   aria-describedby="gas-port-help port-diameter-error">
+                                            <label for="port-diameter">Drilled Hole</label>
+                                        </div>
+                                        <div id="port-diameter-error" class="invalid-feedback" role="alert"></div>
+                                    </div>
+                                    <div class="col-md-6 mb-3">
+                                        <label for="port-location" class="form-label">
+                                            Distance from Breech (${units.length})
+                                        </label>
+                                        <div class="form-floating">
+                                            <input type="number" class="form-control" id="port-location" 
+                                                   step="any" min="0" placeholder="Optional"
+                                                   aria-describedby="gas-port-help port-location-error">
+                                            <label for="port-location">Port Station</label>
+                                        </div>
+                                        <div id="port-location-error" class="invalid-feedback" role="alert"></div>
+                                    </div>
+                                    <div class="col-md-6">
+                                        <label for="port-pressure" class="form-label">
+                                            Pressure at Port (${units.pressure})
+                                        </label>
+                                        <div class="form-floating">
+                                            <input type="number" class="form-control" id="port-pressure" 
+                                                   step="any" min="0" placeholder="Peak pressure"
+                                                   aria-describedby="gas-port-help port-pressure-error">
+                                            <label for="port-pressure">Local Pressure</label>
+                                        </div>
+                                        <div id="port-pressure-error" class="invalid-feedback" role="alert"></div>
+                                    </div>
+                                    <div class="col-md-6">
+                                        <label for="port-od" class="form-label">
+                                            OD at Port (${units.diameter})
+                                        </label>
+                                        <div class="form-floating">
+                                            <input type="number" class="form-control" id="port-od" 
+                                                   step="any" min="0" placeholder="Barrel OD"
+                                                   aria-describedby="gas-port-help port-od-error">
+                                            <label for="port-od">Gas Block Journal</label>
+                                        </div>
+                                        <div id="port-od-error" class="invalid-feedback" role="alert"></div>
+                                    </div>
+                                </div>
+                                <div id="gas-port-help" class="form-text mt-2">
+                                    Pressure and OD default to the peak pressure and barrel OD, which is 
+                                    conservative for ports well forward of the chamber.
+                                </div>
+                            </div>
+                        </div>
+                    </div>
+                </div>
 
-/**
- * Populate the cartridge dropdown with popular cartridges
- */
-async function populateCartridgeDropdown() {
-    const cartridgeSelect = document.getElementById('cartridge-select');
-    if (!cartridgeSelect) return;
-    
-    try {
-        const popularCartridges = await getPopularCartridges();
-        const categories = await getCartridgeCategories();
-        
-        // Clear existing options except the default
-        cartridgeSelect.innerHTML = '<option value="">-- Select a cartridge --</option>';
-        
-        // Group cartridges by category
-        const categorizedCartridges = {};
-        popularCartridges.forEach(cartridge => {
-            if (!categorizedCartridges[cartridge.category]) {
-                categorizedCartridges[cartridge.category] = [];
-            }
-            categorizedCartridges[cartridge.category].push(cartridge);
-        });
-        
-        // Add cartridges to dropdown grouped by category
-        for (const category of categories) {
-            const cartridgesInCategory = categorizedCartridges[category.name];
-            if (cartridgesInCategory && cartridgesInCategory.length > 0) {
-                const optgroup = document.createElement('optgroup');
-                optgroup.label = category.name;
-                
-                cartridgesInCategory.forEach(cartridge => {
-                    const option = document.createElement('option');
-                    option.value = cartridge.id;
-                    option.textContent = cartridge.name;
-                    option.dataset.cartridge = JSON.stringify(cartridge);
-                    optgroup.appendChild(option);
-                });
-                
-                cartridgeSelect.appendChild(optgroup);
-            }
-        }
-        
-        console.log(`Populated cartridge dropdown with ${popularCartridges.length} cartridges`);
-    } catch (error) {
-        console.error('Error populating cartridge dropdown:', error);
-    }
-}
+                <!-- Breech Lockup -->
+                <div class="accordion-item">
+                    <h3 class="accordion-header" id="breech-heading">
+                        <button class="accordion-button collapsed" type="button" 
+                                data-bs-toggle="collapse" data-bs-target="#breech-collapse" 
+                                aria-expanded="false" aria-controls="breech-collapse">
+                            🔒 Breech Bolt Thrust (Optional)
+                        </button>
+                    </h3>
+                    <div id="breech-collapse" class="accordion-collapse collapse" 
+                         aria-labelledby="breech-heading" data-bs-parent="#advanced-options">
+                        <div class="accordion-body">
+                            <div class="form-check mb-3">
+                                <input class="form-check-input" type="checkbox" id="enable-breech">
+                                <label class="form-check-label" for="enable-breech">
+                                    Include case head thrust in the breech section
+                                </label>
+                            </div>
+                            
+                            <div id="breech-params" class="d-none">
+                                <div class="row">
+                                    <div class="col-md-6">
+                                        <label for="case-head-diameter" class="form-label">
+                                            Case Head Diameter (${units.diameter})
+                                        </label>
+                                        <div class="form-floating">
+                                            <input type="number" class="form-control" id="case-head-diameter" 
+                                                   step="any" min="0" placeholder="Case head"
+                                                   aria-describedby="breech-help case-head-diameter-error">
+                                            <label for="case-head-diameter">From Cartridge</label>
+                                        </div>
+                                        <div id="case-head-diameter-error" class="invalid-feedback" role="alert"></div>
+                                    </div>
+                                    <div class="col-md-6">
+                                        <label for="shank-od" class="form-label">
+                                            Shank OD (${units.diameter})
+                                        </label>
+                                        <div class="form-floating">
+                                            <input type="number" class="form-control" id="shank-od" 
+                                                   step="any" min="0" placeholder="Barrel OD"
+                                                   aria-describedby="breech-help shank-od-error">
+                                            <label for="shank-od">Behind the Lockup</label>
+                                        </div>
+                                        <div id="shank-od-error" class="invalid-feedback" role="alert"></div>
+                                    </div>
+                                </div>
+                                <div id="breech-help" class="form-text mt-2">
+                                    The bolt thrust (chamber pressure on the case head) loads the barrel in tension 
+                                    between the chamber and the receiver or barrel extension. The case head is filled 
+                                    in from the selected cartridge; the shank OD defaults to the barrel OD. When the 
+                                    tenon thread is checked it carries the same thrust.
+                                </div>
+                            </div>
+                        </div>
+                    </div>
+                </div>
 
-/**
- * Set up event listeners for cartridge functionality
- */
+                <!-- Threads -->
+                <div class="accordion-item">
+                    <h3 class="accordion-header" id="threads-heading">
+                        <button class="accordion-button collapsed" type="button" 
+                                data-bs-toggle="collapse" data-bs-target="#threads-collapse" 
+                                aria-expanded="false" aria-controls="threads-collapse">
+                            🔩 Tenon & Muzzle Threads (Optional)
+                        </button>
+                    </h3>
+                    <div id="threads-collapse" class="accordion-collapse collapse" 
+                         aria-labelledby="threads-heading" data-bs-parent="#advanced-options">
+                        <div class="accordion-body">
+                            <div class="form-check mb-3">
+                                <input class="form-check-input" type="checkbox" id="enable-threads">
+                                <label class="form-check-label" for="enable-threads">
+                                    Check the tenon and muzzle threads
+                                </label>
+                            </div>
+                            
+                            <div id="threads-params" class="d-none">
+                                <datalist id="thread-designations">
+                                    ${COMMON_THREADS.map(thread => 
+                                        `<option value="${thread.designation}">${thread.description}</option>`).join('')}
+                                </datalist>
+                                <h6 class="mt-2">Barrel Tenon</h6>
+                                <div class="row">
+                                    <div class="col-md-4 mb-3">
+                                        <label for="tenon-thread" class="form-label">Thread</label>
+                                        <div class="form-floating">
+                                            <input type="text" class="form-control" id="tenon-thread" 
+                                                   list="thread-designations" placeholder="e.g. 5/8-24"
+                                                   aria-describedby="threads-help tenon-thread-error">
+                                            <label for="tenon-thread">Designation</label>
+                                        </div>
+                                        <div id="tenon-thread-error" class="invalid-feedback" role="alert"></div>
+                                    </div>
+                                    <div class="col-md-4 mb-3">
+                                        <label for="tenon-engagement" class="form-label">
+                                            Engagement (${units.length})
+                                        </label>
+                                        <div class="form-floating">
+                                            <input type="number" class="form-control" id="tenon-engagement" 
+                                                   step="any" min="0" placeholder="Thread length"
+                                                   aria-describedby="threads-help tenon-engagement-error">
+                                            <label for="tenon-engagement">Thread Length</label>
+                                        </div>
+                                        <div id="tenon-engagement-error" class="invalid-feedback" role="alert"></div>
+                                    </div>
+                                    <div class="col-md-4 mb-3">
+                                        <label for="tenon-material" class="form-label">Receiver Material</label>
+                                        <select class="form-select" id="tenon-material" aria-describedby="threads-help">
+                                            <option value="">Same as barrel</option>
+                                            ${await generateMaterialOptions()}
+                                        </select>
+                                    </div>
+                                </div>
+                                <h6 class="mt-2">Muzzle</h6>
+                                <div class="row">
+                                    <div class="col-md-4 mb-3">
+                                        <label for="muzzle-thread" class="form-label">Thread</label>
+                                        <div class="form-floating">
+                                            <input type="text" class="form-control" id="muzzle-thread" 
+                                                   list="thread-designations" placeholder="e.g. 5/8-24"
+                                                   aria-describedby="threads-help muzzle-thread-error">
+                                            <label for="muzzle-thread">Designation</label>
+                                        </div>
+                                        <div id="muzzle-thread-error" class="invalid-feedback" role="alert"></div>
+                                    </div>
+                                    <div class="col-md-4 mb-3">
+                                        <label for="muzzle-engagement" class="form-label">
+                                            Engagement (${units.length})
+                                        </label>
+                                        <div class="form-floating">
+                                            <input type="number" class="form-control" id="muzzle-engagement" 
+                                                   step="any" min="0" placeholder="Thread length"
+                                                   aria-describedby="threads-help muzzle-engagement-error">
+                                            <label for="muzzle-engagement">Thread Length</label>
+                                        </div>
+                                        <div id="muzzle-engagement-error" class="invalid-feedback" role="alert"></div>
+                                    </div>
+                                    <div class="col-md-4 mb-3">
+                                        <label for="muzzle-device-material" class="form-label">Muzzle Device Material</label>
+                                        <select class="form-select" id="muzzle-device-material" aria-describedby="threads-help">
+                                            <option value="">Same as barrel</option>
+                                            ${await generateMaterialOptions()}
+                                        </select>
+                                    </div>
+                                    <div class="col-md-4">
+                                        <label for="muzzle-pressure" class="form-label">
+                                            Muzzle Pressure (${units.pressure})
+                                        </label>
+                                        <div class="form-floating">
+                                            <input type="number" class="form-control" id="muzzle-pressure" 
+                                                   step="any" min="0" placeholder="Peak pressure"
+                                                   aria-describedby="threads-help muzzle-pressure-error">
+                                            <label for="muzzle-pressure">Pressure at Thread</label>
+                                        </div>
+                                        <div id="muzzle-pressure-error" class="invalid-feedback" role="alert"></div>
+                                    </div>
+                                </div>
+                                <div id="threads-help" class="form-text mt-2">
+                                    Unified (e.g. 1-1/16-16) or metric (e.g. M14x1 LH) designations; leave a thread blank 
+                                    to skip it. The tenon wall is taken over the chamber and loaded by the full chamber 
+                                    pressure on the bore area. Muzzle pressure defaults to the peak pressure.
+                                </div>
+                            </div>
+                        </div>
+                    </div>
+                </div>
+
+                <!-- Design Curves -->
+                <div class="accordion-item">
+                    <h3 class="accordion-header" id="sweep-heading">
+                        <button class="accordion-button collapsed" type="button" 
+                                data-bs-toggle="collapse" data-bs-target="#sweep-collapse" 
+                                aria-expanded="false" aria-controls="sweep-collapse">
+                            📊 Design Curves (Optional)
+                        </button>
+                    </h3>
+                    <div id="sweep-collapse" class="accordion-collapse collapse" 
+                         aria-labelledby="sweep-heading" data-bs-parent="#advanced-options">
+                        <div class="accordion-body">
+                            <div class="form-check mb-3">
+                                <input class="form-check-input" type="checkbox" id="enable-sweep">
+                                <label class="form-check-label" for="enable-sweep">
+                                    Sweep one input and plot the safety factors
+                                </label>
+                            </div>
+                            
+                            <div id="sweep-params" class="d-none">
+                                <div class="mb-3">
+                                    <label for="sweep-variable" class="form-label">Swept Input</label>
+                                    <select class="form-select" id="sweep-variable" aria-describedby="sweep-help">
+                                        <option value="outerDiameter" selected>Outer diameter (${units.diameter})</option>
+                                        <option value="boreDiameter">Bore diameter (${units.diameter})</option>
+                                        <option value="pressure">Chamber pressure (${units.pressure})</option>
+                                        <option value="yieldStrength">Yield strength (${units.pressure})</option>
+                                        <option value="interference">Trunnion interference (${units.diameter})</option>
+                                    </select>
+                                </div>
+                                <div class="row">
+                                    <div class="col-md-4">
+                                        <label for="sweep-start" class="form-label">From</label>
+                                        <div class="form-floating">
+                                            <input type="number" class="form-control" id="sweep-start" 
+                                                   step="any" min="0" placeholder="Start"
+                                                   aria-describedby="sweep-help sweep-start-error">
+                                            <label for="sweep-start">Start</label>
+                                        </div>
+                                        <div id="sweep-start-error" class="invalid-feedback" role="alert"></div>
+                                    </div>
+                                    <div class="col-md-4">
+                                        <label for="sweep-end" class="form-label">To</label>
+                                        <div class="form-floating">
+                                            <input type="number" class="form-control" id="sweep-end" 
+                                                   step="any" min="0" placeholder="End"
+                                                   aria-describedby="sweep-help sweep-end-error">
+                                            <label for="sweep-end">End</label>
+                                        </div>
+                                        <div id="sweep-end-error" class="invalid-feedback" role="alert"></div>
+                                    </div>
+                                    <div class="col-md-4">
+                                        <label for="sweep-steps" class="form-label">Steps</label>
+                                        <div class="form-floating">
+                                            <input type="number" class="form-control" id="sweep-steps" 
+                                                   step="1" min="2" max="101" value="21"
+                                                   aria-describedby="sweep-help sweep-steps-error">
+                                            <label for="sweep-steps">Points</label>
+                                        </div>
+                                        <div id="sweep-steps-error" class="invalid-feedback" role="alert"></div>
+                                    </div>
+                                </div>
+                                <div id="sweep-help" class="form-text mt-2">
+                                    Repeats the analysis over the range in the units shown, holding every other 
+                                    input at its value above, and plots the safety factors against the target. 
+                                    Interference sweeps need the trunnion; yield strength sweeps must end at or 
+                                    below the ultimate strength.
+                                </div>
+                            </div>
+                        </div>
+                    </div>
+                </div>
+
+                <!-- Interior Ballistics -->
+                <div class="accordion-item">
+                    <h3 class="accordion-header" id="ballistics-heading">
+                        <button class="accordion-button collapsed" type="button" 
+                                data-bs-toggle="collapse" data-bs-target="#ballistics-collapse" 
+                                aria-expanded="false" aria-controls="ballistics-collapse">
+                            💥 Interior Ballistics (Optional)
+                        </button>
+                    </h3>
+                    <div id="ballistics-collapse" class="accordion-collapse collapse" 
+                         aria-labelledby="ballistics-heading" data-bs-parent="#advanced-options">
+                        <div class="accordion-body">
+                            <div class="form-check mb-3">
+                                <input class="form-check-input" type="checkbox" id="enable-ballistics">
+                                <label class="form-check-label" for="enable-ballistics">
+                                    Model the pressure-travel curve
+                                </label>
+                            </div>
+                            
+                            <div id="ballistics-params" class="d-none">
+                                <div class="row">
+                                    <div class="col-md-6 mb-3">
+                                        <label for="case-capacity" class="form-label">
+                                            Case Capacity (${units.capacity})
+                                        </label>
+                                        <div class="form-floating">
+                                            <input type="number" class="form-control" id="case-capacity" 
+                                                   step="any" min="0" placeholder="Water capacity"
+                                                   aria-describedby="ballistics-help case-capacity-error">
+                                            <label for="case-capacity">Water Capacity</label>
+                                        </div>
+                                        <div id="case-capacity-error" class="invalid-feedback" role="alert"></div>
+                                    </div>
+                                    <div class="col-md-6 mb-3">
+                                        <label for="bullet-weight" class="form-label">
+                                            Bullet Weight (${units.mass})
+                                        </label>
+                                        <div class="form-floating">
+                                            <input type="number" class="form-control" id="bullet-weight" 
+                                                   step="any" min="0" placeholder="Bullet weight"
+                                                   aria-describedby="ballistics-help bullet-weight-error">
+                                            <label for="bullet-weight">Bullet</label>
+                                        </div>
+                                        <div id="bullet-weight-error" class="invalid-feedback" role="alert"></div>
+                                    </div>
+                                    <div class="col-md-6">
+                                        <label for="charge-weight" class="form-label">
+                                            Powder Charge (${units.mass})
+                                        </label>
+                                        <div class="form-floating">
+                                            <input type="number" class="form-control" id="charge-weight" 
+                                                   step="any" min="0" placeholder="Optional"
+                                                   aria-describedby="ballistics-help charge-weight-error">
+                                            <label for="charge-weight">Charge Weight</label>
+                                        </div>
+                                        <div id="charge-weight-error" class="invalid-feedback" role="alert"></div>
+                                    </div>
+                                    <div class="col-md-6">
+                                        <label for="bullet-seat" class="form-label">
+                                            Bullet Base from Breech (${units.length})
+                                        </label>
+                                        <div class="form-floating">
+                                            <input type="number" class="form-control" id="bullet-seat" 
+                                                   step="any" min="0" placeholder="Optional"
+                                                   aria-describedby="ballistics-help bullet-seat-error">
+                                            <label for="bullet-seat">Seated Position</label>
+                                        </div>
+                                        <div id="bullet-seat-error" class="invalid-feedback" role="alert"></div>
+                                    </div>
+                                </div>
+                                <div id="ballistics-help" class="form-text mt-2">
+                                    Needs the barrel length. The powder burn rate is solved so the peak chamber 
+                                    pressure equals the operating pressure; the charge defaults to a near-full case. 
+                                    When enabled, the contour analysis uses the resulting pressure along the barrel.
+                                </div>
+                            </div>
+                        </div>
+                    </div>
+                </div>
+
+                <!-- Barrel Contour -->
+                <div class="accordion-item">
+                    <h3 class="accordion-header" id="contour-heading">
+                        <button class="accordion-button collapsed" type="button" 
+                                data-bs-toggle="collapse" data-bs-target="#contour-collapse" 
+                                aria-expanded="false" aria-controls="contour-collapse">
+                            📐 Barrel Contour (Optional)
+                        </button>
+                    </h3>
+                    <div id="contour-collapse" class="accordion-collapse collapse" 
+                         aria-labelledby="contour-heading" data-bs-parent="#advanced-options">
+                        <div class="accordion-body">
+                            <div class="form-check mb-3">
+                                <input class="form-check-input" type="checkbox" id="enable-contour">
+                                <label class="form-check-label" for="enable-contour">
+                                    Analyze along the barrel length
+                                </label>
+                            </div>
+                            
+                            <div id="contour-params" class="d-none">
+                                <div class="mb-3">
+                                    <label for="contour-csv" class="form-label">
+                                        Stations (position ${units.length}, OD ${units.diameter}, bore ${units.diameter})
+                                    </label>
+                                    <textarea class="form-control form-control-sm font-monospace" id="contour-csv" 
+                                              rows="4" placeholder="0, 30, 12&#10;60, 30, 7.85&#10;60, 22, 7.85&#10;560, 15, 7.62"
+                                              aria-describedby="contour-help"></textarea>
+                                </div>
+                                <div class="row">
+                                    <div class="col-md-6">
+                                        <label for="peak-pressure-position" class="form-label">
+                                            Peak Pressure Position (${units.length})
+                                        </label>
+                                        <div class="form-floating">
+                                            <input type="number" class="form-control" id="peak-pressure-position" 
+                                                   step="any" min="0" placeholder="Breech face"
+                                                   aria-describedby="contour-help peak-pressure-position-error">
+                                            <label for="peak-pressure-position">Distance from Breech</label>
+                                        </div>
+                                        <div id="peak-pressure-position-error" class="invalid-feedback" role="alert"></div>
+                                    </div>
+                                    <div class="col-md-6">
+                                        <label for="muzzle-exit-pressure" class="form-label">
+                                            Muzzle Exit Pressure (${units.pressure})
+                                        </label>
+                                        <div class="form-floating">
+                                            <input type="number" class="form-control" id="muzzle-exit-pressure" 
+                                                   step="any" min="0" placeholder="Peak pressure"
+                                                   aria-describedby="contour-help muzzle-exit-pressure-error">
+                                            <label for="muzzle-exit-pressure">Pressure at Muzzle</label>
+                                        </div>
+                                        <div id="muzzle-exit-pressure-error" class="invalid-feedback" role="alert"></div>
+                                    </div>
+                                </div>
+                                <div id="contour-help" class="form-text mt-2">
+                                    One station per line, measured from the breech face; diameters taper between 
+                                    stations and a repeated position makes a step. Without stations the barrel is 
+                                    taken as a straight cylinder over its length. The pressure holds at the peak, 
+                                    then falls to the muzzle exit pressure at the barrel length.
+                                </div>
+                            </div>
+                        </div>
+                    </div>
+                </div>
+
+                <!-- Barrel Mass -->
+                <div class="accordion-item">
+                    <h3 class="accordion-header" id="mass-heading">
+                        <button class="accordion-button collapsed" type="button" 
+                                data-bs-toggle="collapse" data-bs-target="#mass-collapse" 
+                                aria-expanded="false" aria-controls="mass-collapse">
+                            ⚖️ Barrel Weight &amp; Balance (Optional)
+                        </button>
+                    </h3>
+                    <div id="mass-collapse" class="accordion-collapse collapse" 
+                         aria-labelledby="mass-heading" data-bs-parent="#advanced-options">
+                        <div class="accordion-body">
+                            <div class="form-check mb-3">
+                                <input class="form-check-input" type="checkbox" id="enable-mass">
+                                <label class="form-check-label" for="enable-mass">
+                                    Calculate weight, center of gravity and inertia
+                                </label>
+                            </div>
+                            
+                            <div id="mass-params" class="d-none">
+                                <div class="row">
+                                    <div class="col-md-6">
+                                        <label for="barrel-density" class="form-label">
+                                            Material Density (${units.density})
+                                        </label>
+                                        <div class="form-floating">
+                                            <input type="number" class="form-control" id="barrel-density" 
+                                                   step="any" min="0" placeholder="From material"
+                                                   aria-describedby="mass-help barrel-density-error">
+                                            <label for="barrel-density">Density</label>
+                                        </div>
+                                        <div id="barrel-density-error" class="invalid-feedback" role="alert"></div>
+                                    </div>
+                                    <div class="col-md-6">
+                                        <label for="flute-count" class="form-label">Flute Count</label>
+                                        <div class="form-floating">
+                                            <input type="number" class="form-control" id="flute-count" 
+                                                   step="1" min="0" placeholder="None"
+                                                   aria-describedby="mass-help flute-count-error">
+                                            <label for="flute-count">Flutes</label>
+                                        </div>
+                                        <div id="flute-count-error" class="invalid-feedback" role="alert"></div>
+                                    </div>
+                                </div>
+                                <div class="row mt-2">
+                                    <div class="col-md-6">
+                                        <label for="flute-width" class="form-label">
+                                            Flute Width (${units.diameter})
+                                        </label>
+                                        <div class="form-floating">
+                                            <input type="number" class="form-control" id="flute-width" 
+                                                   step="any" min="0" placeholder="Width"
+                                                   aria-describedby="mass-help flute-width-error">
+                                            <label for="flute-width">Width</label>
+                                        </div>
+                                        <div id="flute-width-error" class="invalid-feedback" role="alert"></div>
+                                    </div>
+                                    <div class="col-md-6">
+                                        <label for="flute-depth" class="form-label">
+                                            Flute Depth (${units.diameter})
+                                        </label>
+                                        <div class="form-floating">
+                                            <input type="number" class="form-control" id="flute-depth" 
+                                                   step="any" min="0" placeholder="Depth"
+                                                   aria-describedby="mass-help flute-depth-error">
+                                            <label for="flute-depth">Depth</label>
+                                        </div>
+                                        <div id="flute-depth-error" class="invalid-feedback" role="alert"></div>
+                                    </div>
+                                </div>
+                                <div class="row mt-2">
+                                    <div class="col-md-6">
+                                        <label for="flute-start" class="form-label">
+                                            Flutes Start (${units.length})
+                                        </label>
+                                        <div class="form-floating">
+                                            <input type="number" class="form-control" id="flute-start" 
+                                                   step="any" min="0" placeholder="Distance from breech"
+                                                   aria-describedby="mass-help flute-start-error">
+                                            <label for="flute-start">Distance from Breech</label>
+                                        </div>
+                                        <div id="flute-start-error" class="invalid-feedback" role="alert"></div>
+                                    </div>
+                                    <div class="col-md-6">
+                                        <label for="flute-end" class="form-label">
+                                            Flutes End (${units.length})
+                                        </label>
+                                        <div class="form-floating">
+                                            <input type="number" class="form-control" id="flute-end" 
+                                                   step="any" min="0" placeholder="Distance from breech"
+                                                   aria-describedby="mass-help flute-end-error">
+                                            <label for="flute-end">Distance from Breech</label>
+                                        </div>
+                                        <div id="flute-end-error" class="invalid-feedback" role="alert"></div>
+                                    </div>
+                                </div>
+                                <div id="mass-help" class="form-text mt-2">
+                                    Uses the contour stations when entered, otherwise a straight barrel over its 
+                                    length. The density defaults to the selected material. Flutes are straight and 
+                                    flat-bottomed, equally spaced around the barrel between the start and end positions.
+                                </div>
+                            </div>
+                        </div>
+                    </div>
+                </div>
+
+                <!-- Barrel Harmonics -->
+                <div class="accordion-item">
+                    <h3 class="accordion-header" id="vibration-heading">
+                        <button class="accordion-button collapsed" type="button" 
+                                data-bs-toggle="collapse" data-bs-target="#vibration-collapse" 
+                                aria-expanded="false" aria-controls="vibration-collapse">
+                            🎵 Barrel Harmonics (Optional)
+                        </button>
+                    </h3>
+                    <div id="vibration-collapse" class="accordion-collapse collapse" 
+                         aria-labelledby="vibration-heading" data-bs-parent="#advanced-options">
+                        <div class="accordion-body">
+                            <div class="form-check mb-3">
+                                <input class="form-check-input" type="checkbox" id="enable-vibration">
+                                <label class="form-check-label" for="enable-vibration">
+                                    Estimate bending natural frequencies and mode shapes
+                                </label>
+                            </div>
+                            
+                            <div id="vibration-params" class="d-none">
+                                <div class="row">
+                                    <div class="col-md-6">
+                                        <label for="receiver-face" class="form-label">
+                                            Receiver Face (${units.length})
+                                        </label>
+                                        <div class="form-floating">
+                                            <input type="number" class="form-control" id="receiver-face" 
+                                                   step="any" min="0" placeholder="Breech face"
+                                                   aria-describedby="vibration-help receiver-face-error">
+                                            <label for="receiver-face">Distance from Breech</label>
+                                        </div>
+                                        <div id="receiver-face-error" class="invalid-feedback" role="alert"></div>
+                                    </div>
+                                    <div class="col-md-6">
+                                        <label for="muzzle-device-weight" class="form-label">
+                                            Muzzle Device Weight (${units.weight})
+                                        </label>
+                                        <div class="form-floating">
+                                            <input type="number" class="form-control" id="muzzle-device-weight" 
+                                                   step="any" min="0" placeholder="None"
+                                                   aria-describedby="vibration-help muzzle-device-weight-error">
+                                            <label for="muzzle-device-weight">Brake, Suppressor or Tuner</label>
+                                        </div>
+                                        <div id="muzzle-device-weight-error" class="invalid-feedback" role="alert"></div>
+                                    </div>
+                                </div>
+                                <div class="row mt-2">
+                                    <div class="col-md-6">
+                                        <label for="vibration-modes" class="form-label">Modes to Report</label>
+                                        <select class="form-select" id="vibration-modes" aria-describedby="vibration-help">
+                                            <option value="3">3</option>
+                                            <option value="4" selected>4</option>
+                                            <option value="5">5</option>
+                                            <option value="6">6</option>
+                                        </select>
+                                    </div>
+                                </div>
+                                <div id="vibration-help" class="form-text mt-2">
+                                    The barrel is a cantilever clamped at the receiver face and free at the muzzle, 
+                                    with the muzzle device as a point mass. It uses the contour stations when entered 
+                                    and the flutes and density from Barrel Weight &amp; Balance when enabled; the 
+                                    elastic modulus and density otherwise come from the selected material.
+                                </div>
+                            </div>
+                        </div>
+                    </div>
+                </div>
+
+                <!-- Autofrettage Parameters -->
+                <div class="accordion-item">
+                    <h3 class="accordion-header" id="autofrettage-heading">
+                        <button class="accordion-button collapsed" type="button" 
+                                data-bs-toggle="collapse" data-bs-target="#autofrettage-collapse" 
+                                aria-expanded="false" aria-controls="autofrettage-collapse">
+                            🔩 Autofrettage (Optional)
+                        </button>
+                    </h3>
+                    <div id="autofrettage-collapse" class="accordion-collapse collapse" 
+                         aria-labelledby="autofrettage-heading" data-bs-parent="#advanced-options">
+                        <div class="accordion-body">
+                            <div class="form-check mb-3">
+                                <input class="form-check-input" type="checkbox" id="enable-autofrettage">
+                                <label class="form-check-label" for="enable-autofrettage">
+                                    Barrel is autofrettaged
+                                </label>
+                            </div>
+                            
+                            <div id="autofrettage-params" class="d-none">
+                                <div class="row">
+                                    <div class="col-md-4">
+                                        <label for="overstrain-ratio" class="form-label">
+                                            Overstrain (%)
+                                        </label>
+                                        <div class="form-floating">
+                                            <input type="number" class="form-control" id="overstrain-ratio" 
+                                                   step="1" min="0" max="100" placeholder="60" value="60"
+                                                   aria-describedby="autofrettage-help overstrain-ratio-error">
+                                            <label for="overstrain-ratio">Overstrain</label>
+                                        </div>
+                                        <div id="overstrain-ratio-error" class="invalid-feedback" role="alert"></div>
+                                    </div>
+                                    <div class="col-md-4">
+                                        <label for="autofrettage-pressure" class="form-label">
+                                            Pressure (${units.pressure})
+                                        </label>
+                                        <div class="form-floating">
+                                            <input type="number" class="form-control" id="autofrettage-pressure" 
+                                                   step="${config.pressure.step}" 
+                                                   min="${config.pressure.min}" 
+                                                   placeholder="Optional"
+                                                   aria-describedby="autofrettage-help autofrettage-pressure-error">
+                                            <label for="autofrettage-pressure">Overstrain Pressure</label>
+                                        </div>
+                                        <div id="autofrettage-pressure-error" class="invalid-feedback" role="alert"></div>
+                                    </div>
+                                    <div class="col-md-4">
+                                        <label for="bauschinger-factor" class="form-label">
+                                            Bauschinger Factor
+                                        </label>
+                                        <div class="form-floating">
+                                            <input type="number" class="form-control" id="bauschinger-factor" 
+                                                   step="0.05" min="0.1" max="1.0" placeholder="1.0" value="1.0"
+                                                   aria-describedby="autofrettage-help bauschinger-factor-error">
+                                            <label for="bauschinger-factor">Reverse Yield Ratio</label>
+                                        </div>
+                                        <div id="bauschinger-factor-error" class="invalid-feedback" role="alert"></div>
+                                    </div>
+                                </div>
+                                <div id="autofrettage-help" class="form-text mt-2">
+                                    Overstrain is the plastic zone depth as a percentage of wall thickness. 
+                                    An overstrain pressure, if given, takes precedence. A Bauschinger factor 
+                                    below 1.0 reduces the reverse yield strength on unloading.
+                                </div>
+                            </div>
+                        </div>
+                    </div>
+                </div>
+
+                <!-- Thermal Load -->
+                <div class="accordion-item">
+                    <h3 class="accordion-header" id="thermal-heading">
+                        <button class="accordion-button collapsed" type="button" 
+                                data-bs-toggle="collapse" data-bs-target="#thermal-collapse" 
+                                aria-expanded="false" aria-controls="thermal-collapse">
+                            🔥 Thermal Load (Optional)
+                        </button>
+                    </h3>
+                    <div id="thermal-collapse" class="accordion-collapse collapse" 
+                         aria-labelledby="thermal-heading" data-bs-parent="#advanced-options">
+                        <div class="accordion-body">
+                            <div class="form-check mb-3">
+                                <input class="form-check-input" type="checkbox" id="enable-thermal">
+                                <label class="form-check-label" for="enable-thermal">
+                                    Include radial temperature gradient
+                                </label>
+                            </div>
+                            
+                            <div id="thermal-params" class="d-none">
+                                <div class="row">
+                                    <div class="col-md-6">
+                                        <label for="bore-temperature" class="form-label">
+                                            Bore Temperature (${units.temperature})
+                                        </label>
+                                        <div class="form-floating">
+                                            <input type="number" class="form-control" id="bore-temperature" 
+                                                   step="1" placeholder="Bore surface"
+                                                   aria-describedby="thermal-help bore-temperature-error">
+                                            <label for="bore-temperature">Bore Surface</label>
+                                        </div>
+                                        <div id="bore-temperature-error" class="invalid-feedback" role="alert"></div>
+                                    </div>
+                                    <div class="col-md-6">
+                                        <label for="outer-temperature" class="form-label">
+                                            OD Temperature (${units.temperature})
+                                        </label>
+                                        <div class="form-floating">
+                                            <input type="number" class="form-control" id="outer-temperature" 
+                                                   step="1" placeholder="Outer surface"
+                                                   aria-describedby="thermal-help outer-temperature-error">
+                                            <label for="outer-temperature">Outer Surface</label>
+                                        </div>
+                                        <div id="outer-temperature-error" class="invalid-feedback" role="alert"></div>
+                                    </div>
+                                </div>
+                                <div id="thermal-help" class="form-text mt-2">
+                                    Steady-state logarithmic temperature distribution through the wall. 
+                                    Thermal stresses use the material's expansion coefficient and are 
+                                    superimposed on the pressure stresses.
+                                </div>
+                            </div>
+                        </div>
+                    </div>
+                </div>
+
+                <!-- Fatigue Life -->
+                <div class="accordion-item">
+                    <h3 class="accordion-header" id="fatigue-heading">
+                        <button class="accordion-button collapsed" type="button" 
+                                data-bs-toggle="collapse" data-bs-target="#fatigue-collapse" 
+                                aria-expanded="false" aria-controls="fatigue-collapse">
+                            🔁 Fatigue Life (Optional)
+                        </button>
+                    </h3>
+                    <div id="fatigue-collapse" class="accordion-collapse collapse" 
+                         aria-labelledby="fatigue-heading" data-bs-parent="#advanced-options">
+                        <div class="accordion-body">
+                            <div class="form-check mb-3">
+                                <input class="form-check-input" type="checkbox" id="enable-fatigue">
+                                <label class="form-check-label" for="enable-fatigue">
+                                    Evaluate fatigue under repeated firing
+                                </label>
+                            </div>
+                            
+                            <div id="fatigue-params" class="d-none">
+                                <div class="row">
+                                    <div class="col-md-4">
+                                        <label for="surface-finish" class="form-label">Bore Surface Finish</label>
+                                        <select class="form-select" id="surface-finish" aria-describedby="fatigue-help">
+                                            <option value="ground">Ground / Lapped</option>
+                                            <option value="machined" selected>Machined / Reamed</option>
+                                            <option value="hot-rolled">Hot-Rolled</option>
+                                            <option value="as-forged">As-Forged</option>
+                                        </select>
+                                    </div>
+                                    <div class="col-md-4">
+                                        <label for="fatigue-reliability" class="form-label">Reliability</label>
+                                        <select class="form-select" id="fatigue-reliability" aria-describedby="fatigue-help">
+                                            <option value="0.5" selected>50%</option>
+                                            <option value="0.9">90%</option>
+                                            <option value="0.95">95%</option>
+                                            <option value="0.99">99%</option>
+                                            <option value="0.999">99.9%</option>
+                                        </select>
+                                    </div>
+                                    <div class="col-md-4">
+                                        <label for="endurance-limit" class="form-label">
+                                            Endurance Limit (${units.stress})
+                                        </label>
+                                        <div class="form-floating">
+                                            <input type="number" class="form-control" id="endurance-limit" 
+                                                   step="any" min="0" placeholder="Optional"
+                                                   aria-describedby="fatigue-help endurance-limit-error">
+                                            <label for="endurance-limit">Specimen S'e</label>
+                                        </div>
+                                        <div id="endurance-limit-error" class="invalid-feedback" role="alert"></div>
+                                    </div>
+                                </div>
+                                <div id="fatigue-help" class="form-text mt-2">
+                                    Each shot is one cycle from zero to peak pressure. The specimen endurance 
+                                    limit is estimated as 0.5·Su when not given.
+                                </div>
+                            </div>
+                        </div>
+                    </div>
+                </div>
+
+                <!-- Fracture Mechanics -->
+                <div class="accordion-item">
+                    <h3 class="accordion-header" id="fracture-heading">
+                        <button class="accordion-button collapsed" type="button" 
+                                data-bs-toggle="collapse" data-bs-target="#fracture-collapse" 
+                                aria-expanded="false" aria-controls="fracture-collapse">
+                            🪓 Fracture Mechanics (Optional)
+                        </button>
+                    </h3>
+                    <div id="fracture-collapse" class="accordion-collapse collapse" 
+                         aria-labelledby="fracture-heading" data-bs-parent="#advanced-options">
+                        <div class="accordion-body">
+                            <div class="form-check mb-3">
+                                <input class="form-check-input" type="checkbox" id="enable-fracture">
+                                <label class="form-check-label" for="enable-fracture">
+                                    Check critical crack depth at the bore
+                                </label>
+                            </div>
+                            
+                            <div id="fracture-params" class="d-none">
+                                <div class="row">
+                                    <div class="col-md-6">
+                                        <label for="fracture-toughness" class="form-label">
+                                            K<sub>IC</sub> (${units.toughness})
+                                        </label>
+                                        <div class="form-floating">
+                                            <input type="number" class="form-control" id="fracture-toughness" 
+                                                   step="any" min="0" placeholder="From material"
+                                                   aria-describedby="fracture-help fracture-toughness-error">
+                                            <label for="fracture-toughness">Fracture Toughness</label>
+                                        </div>
+                                        <div id="fracture-toughness-error" class="invalid-feedback" role="alert"></div>
+                                    </div>
+                                    <div class="col-md-6">
+                                        <label for="crack-depth" class="form-label">
+                                            Known Flaw Depth (${units.length})
+                                        </label>
+                                        <div class="form-floating">
+                                            <input type="number" class="form-control" id="crack-depth" 
+                                                   step="any" min="0" placeholder="Optional"
+                                                   aria-describedby="fracture-help crack-depth-error">
+                                            <label for="crack-depth">Crack Depth</label>
+                                        </div>
+                                        <div id="crack-depth-error" class="invalid-feedback" role="alert"></div>
+                                    </div>
+                                </div>
+                                <div id="fracture-help" class="form-text mt-2">
+                                    Long axial crack at the bore with pressure on the crack faces. 
+                                    Toughness defaults to the selected material's K<sub>IC</sub>.
+                                </div>
+                            </div>
+                        </div>
+                    </div>
+                </div>
+
+                <!-- Strain Gauge Measurement -->
+                <div class="accordion-item">
+                    <h3 class="accordion-header" id="strain-gauge-heading">
+                        <button class="accordion-button collapsed" type="button" 
+                                data-bs-toggle="collapse" data-bs-target="#strain-gauge-collapse" 
+                                aria-expanded="false" aria-controls="strain-gauge-collapse">
+                            📈 Strain Gauge Pressure (Optional)
+                        </button>
+                    </h3>
+                    <div id="strain-gauge-collapse" class="accordion-collapse collapse" 
+                         aria-labelledby="strain-gauge-heading" data-bs-parent="#advanced-options">
+                        <div class="accordion-body">
+                            <div class="form-check mb-3">
+                                <input class="form-check-input" type="checkbox" id="enable-strain-gauge">
+                                <label class="form-check-label" for="enable-strain-gauge">
+                                    Back-calculate pressure from measured OD hoop strain
+                                </label>
+                            </div>
+                            
+                            <div id="strain-gauge-params" class="d-none">
+                                <div class="row">
+                                    <div class="col-md-6">
+                                        <label for="measured-strain" class="form-label">
+                                            Peak Hoop Strain (µε)
+                                        </label>
+                                        <div class="form-floating">
+                                            <input type="number" class="form-control" id="measured-strain" 
+                                                   step="1" placeholder="Single reading"
+                                                   aria-describedby="strain-gauge-help measured-strain-error">
+                                            <label for="measured-strain">Measured Strain</label>
+                                        </div>
+                                        <div id="measured-strain-error" class="invalid-feedback" role="alert"></div>
+                                    </div>
+                                    <div class="col-md-6">
+                                        <label for="calibration-factor" class="form-label">
+                                            Calibration (µε/ksi)
+                                        </label>
+                                        <div class="form-floating">
+                                            <input type="number" class="form-control" id="calibration-factor" 
+                                                   step="0.1" min="0" placeholder="Optional"
+                                                   aria-describedby="strain-gauge-help calibration-factor-error">
+                                            <label for="calibration-factor">Barrel Calibration</label>
+                                        </div>
+                                        <div id="calibration-factor-error" class="invalid-feedback" role="alert"></div>
+                                    </div>
+                                </div>
+                                <div class="mt-3">
+                                    <label for="strain-csv-file" class="form-label">Time Series CSV (time, µε)</label>
+                                    <input class="form-control form-control-sm" type="file" id="strain-csv-file" 
+                                           accept=".csv,.txt" aria-describedby="strain-gauge-help">
+                                    <textarea class="form-control form-control-sm mt-2 font-monospace" id="strain-csv" 
+                                              rows="3" placeholder="Or paste samples here"></textarea>
+                                </div>
+                                <div class="form-check mt-3">
+                                    <input class="form-check-input" type="checkbox" id="strain-axial-correction" checked>
+                                    <label class="form-check-label" for="strain-axial-correction">
+                                        Closed-end axial correction
+                                    </label>
+                                </div>
+                                <div id="strain-gauge-help" class="form-text mt-2">
+                                    The gauge is assumed to sit over the chamber. A time series, if given, 
+                                    takes precedence over the single reading. A calibration factor replaces 
+                                    the theoretical Lamé sensitivity.
+                                </div>
+                            </div>
+                        </div>
+                    </div>
+                </div>
+
+                <!-- Tolerances and Safety Factors -->
+                <div class="accordion-item">
+                    <h3 class="accordion-header" id="tolerances-heading">
+                        <button class="accordion-button collapsed" type="button" 
+                                data-bs-toggle="collapse" data-bs-target="#tolerances-collapse" 
+                                aria-expanded="false" aria-controls="tolerances-collapse">
+                            📏 Tolerances & Safety Factors
+                        </button>
+                    </h3>
+                    <div id="tolerances-collapse" class="accordion-collapse collapse" 
+                         aria-labelledby="tolerances-heading" data-bs-parent="#advanced-options">
+                        <div class="accordion-body">
+                            <div class="row">
+                                <div class="col-md-6">
+                                    <label for="tolerance-class" class="form-label">
+                                        Manufacturing Tolerance Class
+                                    </label>
+                                    <select class="form-select" id="tolerance-class" 
+                                            aria-describedby="tolerance-help tolerance-error">
+                                        <option value="precision">Precision (H7/g6)</option>
+                                        <option value="standard">Standard (H8/h7)</option>
+                                        <option value="commercial">Commercial (H9/h8)</option>
+                                        <option value="rough">Rough (H11/h9)</option>
+                                        <option value="custom">Custom...</option>
+                                    </select>
+                                    <div id="tolerance-help" class="form-text">
+                                        Manufacturing tolerance grade affects stress concentrations
+                                    </div>
+                                    <div id="tolerance-error" class="invalid-feedback" role="alert"></div>
+                                </div>
+                                <div class="col-md-6">
+                                    <label for="safety-factor" class="form-label">
+                                        Target Safety Factor
+                                    </label>
+                                    <div class="form-floating">
+                                        <input type="number" class="form-control" id="safety-factor" 
+                                               step="${config.safetyFactor.step}" 
+                                               min="${config.safetyFactor.min}" 
+                                               max="${config.safetyFactor.max}" 
+                                               placeholder="${config.safetyFactor.placeholder}"
+                                               value="3.0"
+                                               aria-describedby="safety-help safety-error">
+                                        <label for="safety-factor">Safety Factor</label>
+                                    </div>
+                                    <div id="safety-help" class="form-text">
+                                        Target safety factor (3.0 minimum recommended)
+                                    </div>
+                                    <div id="safety-error" class="invalid-feedback" role="alert"></div>
+                                </div>
+                            </div>
+                            <div class="row mt-3">
+                                <div class="col-md-6">
+                                    <label for="failure-criterion" class="form-label">
+                                        Failure Criterion
+                                    </label>
+                                    <select class="form-select" id="failure-criterion" 
+                                            aria-describedby="failure-criterion-help failure-criterion-error">
+                                        <option value="von-mises" selected>Von Mises (distortion energy)</option>
+                                        <option value="tresca">Tresca (maximum shear)</option>
+                                        <option value="max-principal">Maximum Principal Stress</option>
+                                        <option value="mohr-coulomb">Mohr-Coulomb</option>
+                                    </select>
+                                    <div id="failure-criterion-help" class="form-text">
+                                        Criterion used for the reported safety factors (all are evaluated)
+                                    </div>
+                                    <div id="failure-criterion-error" class="invalid-feedback" role="alert"></div>
+                                </div>
+                                <div class="col-md-6">
+                                    <label for="compressive-strength-ratio" class="form-label">
+                                        Compressive/Tensile Strength Ratio
+                                    </label>
+                                    <div class="form-floating">
+                                        <input type="number" class="form-control" id="compressive-strength-ratio" 
+                                               step="0.1" min="1.0" max="10.0" placeholder="1.0"
+                                               value="1.0"
+                                               aria-describedby="compressive-strength-ratio-help compressive-strength-ratio-error">
+                                        <label for="compressive-strength-ratio">S<sub>c</sub> / S<sub>t</sub></label>
+                                    </div>
+                                    <div id="compressive-strength-ratio-help" class="form-text">
+                                        Used by max principal and Mohr-Coulomb checks (1.0 for steels, 3-4 for cast iron)
+                                    </div>
+                                    <div id="compressive-strength-ratio-error" class="invalid-feedback" role="alert"></div>
+                                </div>
+                            </div>
+                            <div class="row mt-3">
+                                <div class="col-md-6">
+                                    <label for="hardening-modulus" class="form-label">
+                                        Hardening Modulus (${units.modulus})
+                                    </label>
+                                    <div class="form-floating">
+                                        <input type="number" class="form-control" id="hardening-modulus" 
+                                               step="any" min="0" placeholder="0"
+                                               aria-describedby="hardening-modulus-help hardening-modulus-error">
+                                        <label for="hardening-modulus">Linear Hardening</label>
+                                    </div>
+                                    <div id="hardening-modulus-help" class="form-text">
+                                        Used for partial yield analysis above first yield (blank for perfectly plastic)
+                                    </div>
+                                    <div id="hardening-modulus-error" class="invalid-feedback" role="alert"></div>
+                                </div>
+                            </div>
+                        </div>
+                    </div>
+                </div>
+            </div>
+
+            <!-- Submit Button -->
+            <div class="d-grid gap-2">
+                <button type="submit" class="btn btn-primary btn-lg">
+                    <i class="bi bi-calculator" aria-hidden="true"></i>
+                    Calculate Safety Factor
+                </button>
+                <button type="button" class="btn btn-outline-secondary" id="reset-form">
+                    <i class="bi bi-arrow-clockwise" aria-hidden="true"></i>
+                    Reset Form
+                </button>
+            </div>
+        </form>
+    `;
+}
+
+/**
+ * Initialize cartridge UI functionality
+ */
+async function initializeCartridgeUI() {
+    try {
+        // Populate cartridge dropdown with popular cartridges
+        await populateCartridgeDropdown();
+        
+        // Set up event listeners for cartridge functionality
+        setupCartridgeEventListeners();
+        
+        console.log('Cartridge UI initialized successfully');
+    } catch (error) {
+        console.error('Error initializing cartridge UI:', error);
+        // Disable cartridge functionality on error
+        disableCartridgeUI();
+    }
+}
+
+/**
+ * Populate the cartridge dropdown with popular cartridges
+ */
+async function populateCartridgeDropdown() {
+    const cartridgeSelect = document.getElementById('cartridge-select');
+    if (!cartridgeSelect) return;
+    
+    try {
+        const popularCartridges = await getPopularCartridges();
+        const categories = await getCartridgeCategories();
+        
+        // Clear existing options except the default
+        cartridgeSelect.innerHTML = '<option value="">-- Select a cartridge --</option>';
+        
+        // Group cartridges by category
+        const categorizedCartridges = {};
+        popularCartridges.forEach(cartridge => {
+            if (!categorizedCartridges[cartridge.category]) {
+                categorizedCartridges[cartridge.category] = [];
+            }
+            categorizedCartridges[cartridge.category].push(cartridge);
+        });
+        
+        // Add cartridges to dropdown grouped by category
+        for (const category of categories) {
+            const cartridgesInCategory = categorizedCartridges[category.name];
+            if (cartridgesInCategory && cartridgesInCategory.length > 0) {
+                const optgroup = document.createElement('optgroup');
+                optgroup.label = category.name;
+                
+                cartridgesInCategory.forEach(cartridge => {
+                    const option = document.createElement('option');
+                    option.value = cartridge.id;
+                    option.textContent = cartridge.name;
+                    option.dataset.cartridge = JSON.stringify(cartridge);
+                    optgroup.appendChild(option);
+                });
+                
+                cartridgeSelect.appendChild(optgroup);
+            }
+        }
+        
+        console.log(`Populated cartridge dropdown with ${popularCartridges.length} cartridges`);
+    } catch (error) {
+        console.error('Error populating cartridge dropdown:', error);
+    }
+}
+
+/**
+ * Set up event listeners for cartridge functionality
+ */
 function setupCartridgeEventListeners() {
     const cartridgeSelect = document.getElementById('cartridge-select');
     const cartridgeSearch = document.getElementById('cartridge-search');
     const clearCartridgeBtn = document.getElementById('clear-cartridge');
     
-    if (cartridgeSelect) {
-        cartridgeSelect.addEventListener('change', handleCartridgeSelection);
+    if (cartridgeSelect) {
+        cartridgeSelect.addEventListener('change', handleCartridgeSelection);
+    }
+    
+    if (cartridgeSearch) {
+        // Debounced search
+        let searchTimeout;
+        cartridgeSearch.addEventListener('input', function(e) {
+            clearTimeout(searchTimeout);
+            searchTimeout = setTimeout(() => {
+                handleCartridgeSearch(e.target.value);
+            }, 300);
+        });
+    }
+    
+    if (clearCartridgeBtn) {
+        clearCartridgeBtn.addEventListener('click', clearCartridgeSelection);
+    }
+}
+
+/**
+ * Handle cartridge selection from dropdown
+ */
+async function handleCartridgeSelection(event) {
+    const selectedValue = event.target.value;
+    const cartridgeInfo = document.getElementById('cartridge-info');
+    
+    if (!selectedValue) {
+        // Clear selection
+        cartridgeInfo.classList.add('d-none');
+        return;
+    }
+    
+    try {
+        const cartridge = await getCartridgeById(selectedValue);
+        if (!cartridge) {
+            console.error('Cartridge not found:', selectedValue);
+            return;
+        }
+        
+        // Get specs in current units
+        const specs = await getCartridgeSpecs(selectedValue);
+        
+        // Display cartridge information
+        displayCartridgeInfo(cartridge, specs);
+        
+        // Auto-fill form fields
+        autofillFromCartridge(specs);
+        
+        // Clear search field
+        const searchField = document.getElementById('cartridge-search');
+        if (searchField) {
+            searchField.value = '';
+        }
+        
+        // Clear search results
+        clearSearchResults();
+        
+        console.log('Cartridge selected:', cartridge.name);
+    } catch (error) {
+        console.error('Error handling cartridge selection:', error);
+    }
+}
+
+/**
+ * Display cartridge information
+ */
+function displayCartridgeInfo(cartridge, specs) {
+    const cartridgeInfo = document.getElementById('cartridge-info');
+    if (!cartridgeInfo) return;
+    
+    const units = getCurrentUnits();
+    
+    cartridgeInfo.innerHTML = `
+        <div class="d-flex justify-content-between align-items-start">
+            <div>
+                <strong>${cartridge.name}</strong> (${cartridge.standard})
+                <div class="small text-muted">
+                    Chamber: ${specs.chamber_diameter.toFixed(3)} ${specs.units.diameter} | 
+                    ${specs.head_diameter ? `Case Head: ${specs.head_diameter.toFixed(3)} ${specs.units.diameter} | ` : ''}
+                    Pressure: ${specs.max_pressure.toFixed(0)} ${specs.units.pressure}
+                </div>
+                ${cartridge.description ? `<div class="small">${cartridge.description}</div>` : ''}
+            </div>
+            <button type="button" class="btn-close" aria-label="Close" onclick="this.parentElement.parentElement.classList.add('d-none')"></button>
+        </div>
+    `;
+    
+    cartridgeInfo.classList.remove('d-none');
+}
+
+/**
+ * Auto-fill form fields from cartridge specifications
+ */
+function autofillFromCartridge(specs) {
+    const chamberDiameterField = document.getElementById('chamber-diameter');
+    const boreDiameterField = document.getElementById('bore-diameter');
+    const pressureField = document.getElementById('pressure');
+    
+    if (chamberDiameterField) {
+        chamberDiameterField.value = specs.chamber_diameter.toFixed(3);
+        // Trigger validation
+        chamberDiameterField.dispatchEvent(new Event('input', { bubbles: true }));
+    }
+    
+    if (boreDiameterField) {
+        boreDiameterField.value = specs.bore_diameter.toFixed(3);
+        boreDiameterField.dispatchEvent(new Event('input', { bubbles: true }));
+    }
+    
+    if (pressureField) {
+        pressureField.value = specs.max_pressure.toFixed(0);
+        pressureField.dispatchEvent(new Event('input', { bubbles: true }));
+    }
+    
+    const caseHeadField = document.getElementById('case-head-diameter');
+    if (caseHeadField && specs.head_diameter) {
+        caseHeadField.value = specs.head_diameter.toFixed(3);
+    }
+    
+    const caseCapacityField = document.getElementById('case-capacity');
+    if (caseCapacityField && specs.case_capacity) {
+        caseCapacityField.value = specs.case_capacity.toFixed(2);
+    }
+    
+    const bulletWeightField = document.getElementById('bullet-weight');
+    if (bulletWeightField && specs.bullet_weight) {
+        bulletWeightField.value = specs.bullet_weight.toFixed(1);
+    }
+}
+
+/**
+ * Handle cartridge search
+ */
+async function handleCartridgeSearch(searchTerm) {
+    const resultsContainer = document.getElementById('cartridge-search-results');
+    if (!resultsContainer) return;
+    
+    if (!searchTerm || searchTerm.trim().length < 2) {
+        clearSearchResults();
+        return;
+    }
+    
+    try {
+        const results = await searchCartridges(searchTerm);
+        displaySearchResults(results.slice(0, 5)); // Limit to 5 results
+    } catch (error) {
+        console.error('Error searching cartridges:', error);
+        clearSearchResults();
+    }
+}
+
+/**
+ * Display search results
+ */
+function displaySearchResults(cartridges) {
+    const resultsContainer = document.getElementById('cartridge-search-results');
+    if (!resultsContainer) return;
+    
+    if (cartridges.length === 0) {
+        resultsContainer.innerHTML = '<div class="text-muted small">No cartridges found</div>';
+        return;
+    }
+    
+    const resultsList = cartridges.map(cartridge => {
+        return `
+            <button type="button" class="btn btn-outline-secondary btn-sm me-1 mb-1 cartridge-search-result"
+                    data-cartridge-id="${cartridge.id}"
+                    title="${cartridge.description || cartridge.name}">
+                ${cartridge.name}
+            </button>
+        `;
+    }).join('');
+    
+    resultsContainer.innerHTML = `
+        <div class="small text-muted mb-1">Search results:</div>
+        ${resultsList}
+    `;
+    
+    // Add event listeners to result buttons
+    resultsContainer.querySelectorAll('.cartridge-search-result').forEach(button => {
+        button.addEventListener('click', async function() {
+            const cartridgeId = this.dataset.cartridgeId;
+            
+            // Set the dropdown value
+            const cartridgeSelect = document.getElementById('cartridge-select');
+            if (cartridgeSelect) {
+                cartridgeSelect.value = cartridgeId;
+                // Trigger change event
+                cartridgeSelect.dispatchEvent(new Event('change', { bubbles: true }));
+            }
+        });
+    });
+}
+
+/**
+ * Clear search results
+ */
+function clearSearchResults() {
+    const resultsContainer = document.getElementById('cartridge-search-results');
+    if (resultsContainer) {
+        resultsContainer.innerHTML = '';
+    }
+}
+
+/**
+ * Clear cartridge selection
+ */
+function clearCartridgeSelection() {
+    const cartridgeSelect = document.getElementById('cartridge-select');
+    const cartridgeInfo = document.getElementById('cartridge-info');
+    const cartridgeSearch = document.getElementById('cartridge-search');
+    
+    if (cartridgeSelect) {
+        cartridgeSelect.value = '';
+    }
+    
+    if (cartridgeInfo) {
+        cartridgeInfo.classList.add('d-none');
+    }
+    
+    if (cartridgeSearch) {
+        cartridgeSearch.value = '';
+    }
+    
+    clearSearchResults();
+}
+
+/**
+ * Disable cartridge UI on error
+ */
+function disableCartridgeUI() {
+    const cartridgeSelect = document.getElementById('cartridge-select');
+    const cartridgeSearch = document.getElementById('cartridge-search');
+    const clearCartridgeBtn = document.getElementById('clear-cartridge');
+    
+    if (cartridgeSelect) {
+        cartridgeSelect.disabled = true;
+        cartridgeSelect.innerHTML = '<option>Cartridge database unavailable</option>';
+    }
+    
+    if (cartridgeSearch) {
+        cartridgeSearch.disabled = true;
+        cartridgeSearch.placeholder = 'Search unavailable';
+    }
+    
+    if (clearCartridgeBtn) {
+        clearCartridgeBtn.disabled = true;
+    }
+}
+
+/**
+ * Update cartridge UI when unit system changes
+ */
+async function updateCartridgeUIForUnitChange() {
+    const cartridgeSelect = document.getElementById('cartridge-select');
+    const cartridgeInfo = document.getElementById('cartridge-info');
+    
+    if (!cartridgeSelect || !cartridgeSelect.value) {
+        return;
+    }
+    
+    try {
+        // Re-display the currently selected cartridge with new units
+        const cartridge = await getCartridgeById(cartridgeSelect.value);
+        const specs = await getCartridgeSpecs(cartridgeSelect.value);
+        
+        if (cartridge && specs) {
+            displayCartridgeInfo(cartridge, specs);
+        }
+    } catch (error) {
+        console.error('Error updating cartridge UI for unit change:', error);
+    }
+}
+
+/**
+ * Generate material selection options from database
+ */
+async function generateMaterialOptions() {
+    try {
+        const materials = await getAllMaterials();
+        const categories = await getCategories();
+        
+        let html = '';
+        
+        // Group materials by category
+        for (const category of categories) {
+            const categoryMaterials = materials.filter(material => 
+                material.category.toLowerCase().replace(/\s+/g, '-') === category.id ||
+                material.category.toLowerCase() === category.name.toLowerCase()
+            );
+            
+            if (categoryMaterials.length > 0) {
+                html += `<optgroup label="${category.name}">`;
+                for (const material of categoryMaterials) {
+                    html += `<option value="${material.id}">${material.name}</option>`;
+                }
+                html += '</optgroup>';
+            }
+        }
+        
+        return html;
+    } catch (error) {
+        console.error('Error generating material options:', error);
+        // Return fallback options
+        return `
+            <option value="4140-ht">4140 Steel (Heat Treated)</option>
+            <option value="17-4ph-h900">17-4 PH Stainless (H900)</option>
+        `;
+    }
+}
+
+/**
+ * Initialize mobile offcanvas functionality
+ */
+async function initializeMobileOffcanvas() {
+    const mobileInputForm = document.getElementById('mobile-input-form');
+    if (mobileInputForm) {
+        // Copy the main form to mobile offcanvas
+        mobileInputForm.innerHTML = await generateFormHTML();
+        
+        // Ensure mobile form has unique IDs and syncs with main form
+        const mobileForm = mobileInputForm.querySelector('form');
+        if (mobileForm) {
+            mobileForm.id = 'mobile-calculation-form';
+            mobileForm.addEventListener('submit', handleFormSubmit);
+            
+            // Set up mobile form event handlers
+            setupMobileFormEventHandlers(mobileForm);
+            
+            // Sync input changes between mobile and desktop forms
+            const mobileInputs = mobileForm.querySelectorAll('input, select');
+            mobileInputs.forEach(input => {
+                const originalId = input.id;
+                input.id = `mobile-${originalId}`;
+                
+                // Sync changes to main form
+                input.addEventListener('input', function() {
+                    const mainInput = document.getElementById(originalId);
+                    if (mainInput) {
+                        mainInput.value = this.value;
+                        if (input.type === 'checkbox') {
+                            mainInput.checked = this.checked;
+                        }
+                        // Trigger validation on main form
+                        validateInput(mainInput);
+                        (async () => await checkCrossFieldValidation())();
+                    }
+                });
+                
+                // Sync changes from main form to mobile
+                const mainInput = document.getElementById(originalId);
+                if (mainInput) {
+                    mainInput.addEventListener('input', function() {
+                        input.value = this.value;
+                        if (this.type === 'checkbox') {
+                            input.checked = this.checked;
+                        }
+                    });
+                }
+            });
+        }
+    }
+}
+
+/**
+ * Set up event handlers for mobile form
+ */
+function setupMobileFormEventHandlers(mobileForm) {
+    // Progressive disclosure for mobile
+    const mobileEnableTrunnion = mobileForm.querySelector('#mobile-enable-trunnion');
+    const mobileTrunnionParams = mobileForm.querySelector('#mobile-trunnion-params');
+    
+    if (mobileEnableTrunnion && mobileTrunnionParams) {
+        mobileEnableTrunnion.addEventListener('change', function() {
+            if (this.checked) {
+                mobileTrunnionParams.classList.remove('d-none');
+            } else {
+                mobileTrunnionParams.classList.add('d-none');
+            }
+        });
+    }
+    
+    // End condition selection for mobile
+    const mobileEndCondition = mobileForm.querySelector('#mobile-end-condition');
+    const mobileAxialStrainSection = mobileForm.querySelector('#mobile-axial-strain-section');
+    
+    if (mobileEndCondition && mobileAxialStrainSection) {
+        mobileEndCondition.addEventListener('change', function() {
+            mobileAxialStrainSection.classList.toggle('d-none', this.value !== 'generalized-plane-strain');
+        });
+    }
+    
+    // Material selection for mobile
+    const mobileMaterialSelect = mobileForm.querySelector('#mobile-material-select');
+    const mobileCustomMaterialSection = mobileForm.querySelector('#mobile-custom-material-section');
+    
+    if (mobileMaterialSelect && mobileCustomMaterialSection) {
+        mobileMaterialSelect.addEventListener('change', async function() {
+            const selectedValue = this.value;
+            
+            if (selectedValue === 'custom') {
+                mobileCustomMaterialSection.classList.remove('d-none');
+            } else {
+                mobileCustomMaterialSection.classList.add('d-none');
+                if (selectedValue && selectedValue !== '') {
+                    // Populate material properties for mobile
+                    const mobileYieldStrength = mobileForm.querySelector('#mobile-yield-strength');
+                    if (mobileYieldStrength) {
+                        await populateMaterialPropertiesForInput(selectedValue, mobileYieldStrength);
+                    }
+                }
+            }
+        });
+    }
+    
+    // Reset functionality for mobile
+    const mobileResetButton = mobileForm.querySelector('#mobile-reset-form');
+    if (mobileResetButton) {
+        mobileResetButton.addEventListener('click', function() {
+            mobileForm.reset();
+            
+            // Reset progressive disclosure states
+            if (mobileCustomMaterialSection) {
+                mobileCustomMaterialSection.classList.add('d-none');
+            }
+            if (mobileTrunnionParams) {
+                mobileTrunnionParams.classList.add('d-none');
+            }
+            
+            // Reset safety factor to default
+            const mobileSafetyFactor = mobileForm.querySelector('#mobile-safety-factor');
+            if (mobileSafetyFactor) {
+                mobileSafetyFactor.value = '3.0';
+            }
+        });
+    }
+}
+
+/**
+ * Populate material properties for a specific input field
+ */
+async function populateMaterialPropertiesForInput(materialCode, yieldStrengthInput) {
+    try {
+        const materialProperties = await getMaterialProperties(materialCode);
+        if (materialProperties && yieldStrengthInput) {
+            yieldStrengthInput.value = Math.round(materialProperties.Sy);
+        }
+    } catch (error) {
+        console.error('Error populating material properties for input:', error);
+        // Fallback to hardcoded values
+        const currentSystem = getSystem();
+        const fallbackMaterials = {
+            '4140-ht': { yield: currentSystem === 'SI' ? 655 : 95 },
+            '17-4ph-h900': { yield: currentSystem === 'SI' ? 1172 : 170 }
+        };
+        
+        const fallback = fallbackMaterials[materialCode];
+        if (fallback && yieldStrengthInput) {
+            yieldStrengthInput.value = fallback.yield;
+        }
+    }
+}
+
+/**
+ * Set up event listeners
+ */
+function setupEventListeners() {
+    const form = document.getElementById('calculation-form');
+    if (form) {
+        form.addEventListener('submit', handleFormSubmit);
+        
+        // Set up progressive disclosure
+        setupProgressiveDisclosure();
+        
+        // Set up input validation with debouncing
+        setupInputValidation();
+        
+        // Set up material selection functionality
+        setupMaterialSelection();
+        
+        // Set up end condition selection functionality
+        setupEndConditionSelection();
+        
+        // Set up autofrettage section toggle
+        setupAutofrettageToggle();
+        
+        // Set up thermal load section toggle
+        setupThermalToggle();
+        
+        // Set up strain gauge section toggle and CSV loading
+        setupStrainGaugeInput();
+        
+        // Set up fatigue section toggle
+        setupFatigueToggle();
+        
+        // Set up fracture section toggle
+        setupFractureToggle();
+        
+        // Set up sleeve and jacket layer rows
+        setupMultilayerInput();
+        
+        // Set up composite overwrap section toggle
+        setupOverwrapToggle();
+        
+        // Set up rifling section toggle
+        setupRiflingToggle();
+        
+        // Set up gas port section toggle
+        setupGasPortToggle();
+        
+        // Set up breech section toggle
+        setupBreechToggle();
+        
+        // Set up threads section toggle
+        setupThreadsToggle();
+        
+        // Set up design curve section toggle
+        setupSweepToggle();
+        
+        // Set up interior ballistics section toggle
+        setupBallisticsToggle();
+        
+        // Set up barrel contour section toggle
+        setupContourToggle();
+        
+        // Set up barrel mass section toggle
+        setupMassToggle();
+        
+        // Set up barrel harmonics section toggle
+        setupVibrationToggle();
+        
+        // Set up reset functionality
+        setupResetFunctionality();
+    }
+    
+    // Unit toggle functionality
+    setupUnitToggle();
+}
+
+/**
+ * Set up unit toggle functionality
+ */
+function setupUnitToggle() {
+    const unitDropdownItems = document.querySelectorAll('[data-unit]');
+    
+    unitDropdownItems.forEach(item => {
+        item.addEventListener('click', function() {
+            const selectedUnit = this.getAttribute('data-unit');
+            const systemCode = selectedUnit === 'imperial' ? 'IP' : 'SI';
+            
+            // Use units module to change system (this will emit the event)
+            setSystem(systemCode);
+        });
+    });
+}
+
+/**
+ * Update form units based on current system (triggered by event)
+ */
+async function updateFormUnitsFromSystem() {
+    // Regenerate the entire form with proper event listeners
+    const inputForm = document.getElementById('input-form');
+    if (inputForm) {
+        inputForm.innerHTML = await generateFormHTML();
+        
+        // Re-attach form event listeners
+        const form = document.getElementById('calculation-form');
+        if (form) {
+            form.addEventListener('submit', handleFormSubmit);
+        }
+    }
+    
+    // Update mobile form too
+    await initializeMobileOffcanvas();
+}
+
+// Display unit type of each sweep variable
+const SWEEP_INPUT_TYPES = {
+    outerDiameter: 'diameter',
+    boreDiameter: 'diameter',
+    pressure: 'pressure',
+    yieldStrength: 'pressure',
+    interference: 'diameter'
+};
+
+// Display labels of each sweep variable
+const SWEEP_INPUT_LABELS = {
+    outerDiameter: 'Outer Diameter',
+    boreDiameter: 'Bore Diameter',
+    pressure: 'Chamber Pressure',
+    yieldStrength: 'Yield Strength',
+    interference: 'Trunnion Interference'
+};
+
+/**
+ * Convert existing form values when unit system changes
+ */
+function convertExistingFormValues(previousSystem, newSystem) {
+    if (!previousSystem || previousSystem === newSystem) return;
+    
+    // Sweep range fields take the units of the swept input
+    const sweepVariable = document.getElementById('sweep-variable');
+    const sweepType = SWEEP_INPUT_TYPES[sweepVariable ? sweepVariable.value : 'outerDiameter'];
+    
+    const fieldMappings = [
+        { id: 'chamber-diameter', type: 'diameter' },
+        { id: 'bore-diameter', type: 'diameter' },
+        { id: 'outer-diameter', type: 'diameter' }, 
+        { id: 'barrel-length', type: 'length' },
+        { id: 'pressure', type: 'pressure' },
+        { id: 'autofrettage-pressure', type: 'pressure' },
+        { id: 'hardening-modulus', type: 'modulus' },
+        { id: 'endurance-limit', type: 'stress' },
+        { id: 'fracture-toughness', type: 'toughness' },
+        { id: 'crack-depth', type: 'length' },
+        { id: 'bore-temperature', type: 'temperature' },
+        { id: 'outer-temperature', type: 'temperature' },
+        { id: 'yield-strength', type: 'stress' },
+        { id: 'elastic-modulus', type: 'modulus' },
+        { id: 'trunnion-od', type: 'diameter' },
+        { id: 'trunnion-length', type: 'length' },
+        { id: 'interference-fit', type: 'diameter' },
+        { id: 'overwrap-od', type: 'diameter' },
+        { id: 'overwrap-interference', type: 'diameter' },
+        { id: 'groove-diameter', type: 'diameter' },
+        { id: 'groove-root-radius', type: 'diameter' },
+        { id: 'port-diameter', type: 'diameter' },
+        { id: 'port-location', type: 'length' },
+        { id: 'port-pressure', type: 'pressure' },
+        { id: 'port-od', type: 'diameter' },
+        { id: 'tenon-engagement', type: 'length' },
+        { id: 'muzzle-engagement', type: 'length' },
+        { id: 'muzzle-pressure', type: 'pressure' },
+        { id: 'case-head-diameter', type: 'diameter' },
+        { id: 'shank-od', type: 'diameter' },
+        { id: 'peak-pressure-position', type: 'length' },
+        { id: 'muzzle-exit-pressure', type: 'pressure' },
+        { id: 'case-capacity', type: 'capacity' },
+        { id: 'bullet-weight', type: 'mass' },
+        { id: 'charge-weight', type: 'mass' },
+        { id: 'bullet-seat', type: 'length' },
+        { id: 'barrel-density', type: 'density' },
+        { id: 'flute-width', type: 'diameter' },
+        { id: 'flute-depth', type: 'diameter' },
+        { id: 'flute-start', type: 'length' },
+        { id: 'flute-end', type: 'length' },
+        { id: 'receiver-face', type: 'length' },
+        { id: 'muzzle-device-weight', type: 'weight' },
+        { id: 'sweep-start', type: sweepType },
+        { id: 'sweep-end', type: sweepType }
+    ];
+    
+    const fields = fieldMappings.map(({ id, type }) => ({ id, type, field: document.getElementById(id) }));
+    
+    // Layer rows repeat, so their fields are found by class rather than id
+    document.querySelectorAll('.layer-od, .layer-interference').forEach(field => {
+        fields.push({ id: field.className, type: 'diameter', field });
+    });
+    
+    fields.forEach(({ id, type, field }) => {
+        if (field && field.value && !isNaN(parseFloat(field.value))) {
+            try {
+                const currentValue = parseFloat(field.value);
+                
+                // Convert to SI first, then to new system
+                const siValue = previousSystem === 'SI' ? currentValue : toSI(currentValue, type);
+                const convertedValue = newSystem === 'SI' ? siValue : fromSI(siValue, type);
+                
+                // Update field with converted value, maintaining reasonable precision
+                const precision = type === 'diameter' || type === 'length' ? 3 : 
+                                type === 'pressure' ? 0 : 1;
+                field.value = convertedValue.toFixed(precision);
+            } catch (error) {
+                console.warn(`Failed to convert value for ${id}:`, error);
+            }
+        }
+    });
+}
+
+/**
+ * Handle form submission
+ */
+async function handleFormSubmit(event) {
+    event.preventDefault();
+    
+    const form = event.target;
+    
+    // Validate all form fields
+    const inputs = form.querySelectorAll('input, select');
+    let isFormValid = true;
+    
+    inputs.forEach(input => {
+        if (!validateInput(input)) {
+            isFormValid = false;
+        }
+    });
+    
+    // Check cross-field validation
+    if (!(await checkCrossFieldValidation())) {
+        isFormValid = false;
+    }
+    
+    if (!isFormValid) {
+        // Show validation error
+        const resultsDisplay = document.getElementById('results-display');
+        resultsDisplay.innerHTML = `
+            <div class="alert alert-warning" role="alert">
+                <h6 class="alert-heading">⚠️ Validation Required</h6>
+                <p class="mb-0">
+                    Please correct the highlighted errors before proceeding with the calculation.
+                </p>
+            </div>
+        `;
+        
+        // Focus on first invalid field
+        const firstInvalidField = form.querySelector('.is-invalid');
+        if (firstInvalidField) {
+            firstInvalidField.focus();
+        }
+        
+        return false;
+    }
+    
+    console.log('Form submitted - performing Lamé equation calculations');
+    
+    // Show loading indicator while calculating
+    const resultsDisplay = document.getElementById('results-display');
+    resultsDisplay.innerHTML = `
+        <div class="alert alert-info" role="alert">
+            <h6 class="alert-heading">🔄 Calculating...</h6>
+            <p class="mb-0">
+                Performing barrel analysis and tolerance calculations...
+            </p>
+        </div>
+    `;
+    
+    // Collect form data for processing
+    const formData = collectFormData();
+    
+    try {
+        // Perform barrel analysis calculation (now async for tolerance analysis)
+        const analysisResult = await performBarrelAnalysis(formData);
+        
+        // Display results
+        displayCalculationResults(analysisResult, formData);
+        
+        return true;
+    } catch (error) {
+        console.error('Calculation error:', error);
+        displayCalculationError(error);
+        return false;
+    }
+}
+
+/**
+ * Prepare parameters for compound cylinder analysis with trunnion
+ */
+async function prepareCompoundCylinderParams(formData, basicParams) {
+    // Convert trunnion dimensions to SI units
+    const trunnionOD = toSI(formData.trunnionOD, 'diameter');
+    const trunnionLength = toSI(formData.trunnionLength, 'length');
+    
+    // Calculate trunnion inner radius (should equal barrel outer radius minus interference)
+    // For now, assume a typical interference fit of 0.025-0.1mm depending on size
+    const barrelOuterRadius = basicParams.ro;
+    const interference = Math.max(0.025, barrelOuterRadius * 0.001); // 0.1% of radius, min 0.025mm
+    const trunnionInnerRadius = barrelOuterRadius - interference;
+    const trunnionOuterRadius = trunnionOD / 2;
+    
+    // Material properties - assume same material for barrel and trunnion for now
+    // In a real application, these could be different materials
+    const E_barrel = basicParams.E;
+    const E_trunnion = basicParams.E;
+    const nu_barrel = basicParams.nu;
+    const nu_trunnion = basicParams.nu;
+    
+    // Set up compound cylinder parameters
+    const compoundParams = {
+        barrel: {
+            ri: basicParams.ri,
+            ro: barrelOuterRadius,
+            E: E_barrel,
+            nu: nu_barrel
+        },
+        trunnion: {
+            ri: trunnionInnerRadius,
+            ro: trunnionOuterRadius,
+            E: E_trunnion,
+            nu: nu_trunnion
+        },
+        interference: interference,
+        operatingPressure: basicParams.p_i,
+        externalPressure: basicParams.p_o,
+        material: {
+            Sy: basicParams.Sy,
+            Su: basicParams.Su
+        },
+        sigma_axial: basicParams.sigma_axial,
+        endCondition: basicParams.endCondition,
+        axialStrain: basicParams.axialStrain,
+        failureCriterion: basicParams.failureCriterion,
+        compressiveStrengthRatio: basicParams.compressiveStrengthRatio
+    };
+    
+    // Validate geometry before proceeding
+    try {
+        validateGeometry(compoundParams.barrel, compoundParams.trunnion, interference);
+    } catch (error) {
+        console.warn('Trunnion geometry validation failed:', error.message);
+        throw new Error(`Invalid trunnion configuration: ${error.message}`);
+    }
+    
+    return compoundParams;
+}
+
+/**
+ * Prepare layer stack parameters with the barrel as the innermost layer
+ */
+async function prepareMultilayerParams(formData, basicParams) {
+    const layers = [{
+        name: 'Barrel',
+        ri: basicParams.ri,
+        ro: basicParams.ro,
+        E: basicParams.E,
+        nu: basicParams.nu,
+        Sy: basicParams.Sy,
+        Su: basicParams.Su
+    }];
+    
+    for (const row of formData.layers) {
+        const layer = {
+            name: `Layer ${layers.length + 1}`,
+            E: basicParams.E,
+            nu: basicParams.nu,
+            Sy: basicParams.Sy,
+            Su: basicParams.Su
+        };
+        if (row.material) {
+            const material = await getMaterialById(row.material);
+            if (material) {
+                layer.name = material.name;
+                layer.E = material.properties.E * 1000; // GPa to MPa
+                layer.nu = material.properties.nu ?? layer.nu;
+                layer.Sy = material.properties.Sy;
+                layer.Su = material.properties.Su;
+            }
+        }
+        layer.ri = layers[layers.length - 1].ro;
+        layer.ro = toSI(row.outerDiameter / 2, 'diameter');
+        layer.interference = toSI(row.interference / 2, 'diameter'); // Diametral to radial
+        layers.push(layer);
+    }
+    
+    return {
+        layers,
+        p_i: basicParams.p_i,
+        p_o: basicParams.p_o,
+        endCondition: basicParams.endCondition,
+        axialStrain: basicParams.axialStrain,
+        failureCriterion: basicParams.failureCriterion,
+        compressiveStrengthRatio: basicParams.compressiveStrengthRatio
+    };
+}
+
+/**
+ * Prepare thread check parameters with the receiver or muzzle device strengths
+ */
+async function prepareThreadParams(thread, basicParams) {
+    const params = {
+        designation: thread.designation,
+        engagementLength: toSI(thread.engagementLength, 'length'),
+        ri: basicParams.ri,
+        p: basicParams.p,
+        axialLoad: basicParams.axialLoad,
+        Sy: basicParams.Sy,
+        Su: basicParams.Su,
+        nu: basicParams.nu,
+        failureCriterion: basicParams.failureCriterion,
+        compressiveStrengthRatio: basicParams.compressiveStrengthRatio
+    };
+    if (thread.material) {
+        const material = await getMaterialById(thread.material);
+        if (material) {
+            params.mating = { Sy: material.properties.Sy, Su: material.properties.Su };
+        }
+    }
+    return params;
+}
+
+/**
+ * Resolve elastic, thermal and fracture constants for the selected material in SI units
+ * Falls back to typical steel values when the material has no data; fracture
+ * toughness has no fallback and is null when unknown
+ */
+async function resolveMaterialConstants(formData) {
+    const constants = { E: 200000, nu: 0.3, alpha: 12e-6, K_IC: null, density: 7850 }; // MPa, dimensionless, 1/°C, MPa√m, kg/m³
+    
+    if (formData.materialSelection && formData.materialSelection !== 'custom') {
+        const material = await getMaterialById(formData.materialSelection);
+        if (material) {
+            constants.E = material.properties.E * 1000; // GPa to MPa
+            constants.nu = material.properties.nu ?? constants.nu;
+            constants.alpha = material.properties.alpha ?? constants.alpha;
+            constants.K_IC = material.properties.K_IC ?? constants.K_IC;
+            constants.density = material.properties.density ?? constants.density;
+        }
+    } else if (formData.elasticModulus) {
+        constants.E = toSI(formData.elasticModulus, 'modulus') * 1000; // GPa to MPa
+    }
+    
+    return constants;
+}
+
+/**
+ * Contour stations in SI units, from the contour CSV or a straight barrel over the barrel length
+ */
+function contourStations(formData, ri, ro) {
+    if (formData.contourCsv) {
+        return parseContourCSV(formData.contourCsv).map(station => ({
+            position: toSI(station.position, 'length'),
+            outerDiameter: toSI(station.outerDiameter, 'diameter'),
+            boreDiameter: toSI(station.boreDiameter, 'diameter')
+        }));
+    }
+    
+    const barrelLength = formData.barrelLength ? toSI(formData.barrelLength, 'length') : null;
+    return [
+        { position: 0, outerDiameter: 2 * ro, boreDiameter: 2 * ri },
+        { position: barrelLength, outerDiameter: 2 * ro, boreDiameter: 2 * ri }
+    ];
+}
+
+/**
+ * Flute sets in SI units from the barrel weight inputs
+ */
+function fluteSets(formData) {
+    if (!formData.enableMass || !formData.flutes) {
+        return [];
+    }
+    
+    const { count, width, depth, start, end } = formData.flutes;
+    return [{
+        count,
+        width: toSI(width, 'diameter'),
+        depth: toSI(depth, 'diameter'),
+        start: toSI(start, 'length'),
+        end: toSI(end, 'length')
+    }];
+}
+
+/**
+ * Perform barrel analysis using Lamé equations
+ */
+async function performBarrelAnalysis(formData) {
+    // Convert form data to SI units for calculation
+    // A rifled bore carries pressure out to the groove bottom
+    const boreDiameter = formData.enableRifling ? formData.grooveDiameter : formData.boreDiameter;
+    const ri = toSI(boreDiameter / 2, 'diameter'); // Convert to radius in mm
+    const ro = toSI(formData.outerDiameter / 2, 'diameter'); // Convert to radius in mm
+    const p_i = toSI(formData.pressure, 'pressure'); // Convert to MPa
+    const Sy = toSI(formData.yieldStrength, 'pressure'); // Convert to MPa
+    
+    // Get ultimate strength - either user input or estimate from yield
+    let Su;
+    if (formData.ultimateStrength) {
+        Su = toSI(formData.ultimateStrength, 'pressure');
+    } else {
+        // Conservative estimate: Ultimate ≈ 1.5 × Yield for typical steels
+        Su = Sy * 1.5;
+    }
+    
+    // Elastic constants drive the plane strain axial stress and thermal stresses
+    const { E, nu, alpha, K_IC, density } = await resolveMaterialConstants(formData);
+    
+    // Optional steady radial temperature gradient
+    const thermal = formData.enableThermal ? {
+        T_inner: toSI(formData.boreTemperature, 'temperature'),
+        T_outer: toSI(formData.outerTemperature, 'temperature'),
+        alpha: alpha
+    } : null;
+    
+    // Set up calculation parameters
+    const calcParams = {
+        ri: ri,
+        ro: ro,
+        p_i: p_i,
+        p_o: 0, // Atmospheric external pressure (assumed)
+        Sy: Sy,
+        Su: Su,
+        sigma_axial: 0, // No additional applied axial load
+        endCondition: formData.endCondition,
+        nu: nu,
+        E: E,
+        axialStrain: formData.axialStrain * 1e-6, // Microstrain to strain
+        failureCriterion: formData.failureCriterion,
+        compressiveStrengthRatio: formData.compressiveStrengthRatio,
+        thermal: thermal
+    };
+    
+    // The bolt thrust on the case head puts the chamber section in tension, in place of the
+    // closed-end load on the bore area alone; sections ahead of the lockup do not carry it
+    let chamberParams = calcParams;
+    if (formData.enableBreech) {
+        try {
+            const { thrust } = caseHeadThrust(p_i, toSI(formData.caseHeadDiameter, 'diameter'));
+            chamberParams = {
+                ...calcParams,
+                sigma_axial: thrust / (Math.PI * (ro * ro - ri * ri)),
+                endCondition: calcParams.endCondition === 'closed-end' ? 'open-end' : calcParams.endCondition
+            };
+        } catch (error) {
+            // Reported by the breech analysis below
+        }
+    }
+    
+    // Perform the nominal analysis - either single cylinder or compound cylinder
+    let result;
+    let designSolution;
+    let sweepParams;
+    if (formData.enableTrunnion && formData.trunnionOD && formData.trunnionLength) {
+        // Compound cylinder analysis with trunnion
+        const trunnionParams = await prepareCompoundCylinderParams(formData, chamberParams);
+        sweepParams = trunnionParams;
+        result = analyzeCompoundCylinder(trunnionParams);
+        result.analysisType = 'compound';
+        
+        // Minimum trunnion OD that meets the target safety factor
+        try {
+            designSolution = requiredTrunnionDiameter({
+                ...trunnionParams,
+                trunnion: { E: trunnionParams.trunnion.E, nu: trunnionParams.trunnion.nu },
+                targetSF: formData.safetyFactor
+            });
+        } catch (error) {
+            designSolution = { error: error.message };
+        }
+    } else {
+        // Standard single cylinder analysis
+        sweepParams = chamberParams;
+        result = analyzeCircle(chamberParams);
+        result.analysisType = 'single';
+        
+        // Minimum barrel OD that meets the target safety factor
+        try {
+            designSolution = requiredOuterDiameter({ ...chamberParams, targetSF: formData.safetyFactor });
+        } catch (error) {
+            designSolution = { error: error.message };
+        }
+    }
+    result.designSolution = designSolution;
+    result.chamberAxialStress = chamberParams.sigma_axial;
+    
+    // Safety factor design curve over one input, holding the others
+    if (formData.enableSweep) {
+        try {
+            const type = SWEEP_INPUT_TYPES[formData.sweepVariable];
+            result.sweep = sweepParameter(sweepParams, formData.sweepVariable, {
+                start: toSI(formData.sweepStart, type),
+                end: toSI(formData.sweepEnd, type),
+                steps: formData.sweepSteps
+            });
+        } catch (error) {
+            result.sweep = { error: error.message };
+        }
+    }
+    
+    // Perform tolerance analysis if not precision class
+    let toleranceAnalysis = null;
+    if (formData.toleranceClass && formData.toleranceClass !== 'precision') {
+        try {
+            // Map tolerance classes to ISO 286 standard fits
+            const toleranceMapping = {
+                'precision': 'H7/h6',
+                'standard': 'H8/h7', 
+                'commercial': 'H9/h8',
+                'rough': 'H11/h9'
+            };
+            
+            const toleranceClass = toleranceMapping[formData.toleranceClass] || 'H8/h7';
+            
+            const toleranceParams = {
+                nominalInnerRadius: ri,
+                nominalOuterRadius: ro,
+                nominalPressure: p_i,
+                toleranceClass: toleranceClass,
+                toleranceStandard: 'iso286',
+                pressureToleranceLevel: formData.toleranceClass,
+                yieldStrength: Sy,
+                ultimateStrength: Su,
+                externalPressure: 0,
+                axialStress: chamberParams.sigma_axial,
+                endCondition: chamberParams.endCondition,
+                poissonRatio: nu,
+                failureCriterion: formData.failureCriterion,
+                compressiveStrengthRatio: formData.compressiveStrengthRatio
+            };
+            
+            // Validate tolerance parameters
+            const validation = validateToleranceParams(toleranceParams);
+            if (validation.isValid) {
+                toleranceAnalysis = await performWorstCaseAnalysis(toleranceParams);
+            } else {
+                console.warn('Tolerance analysis skipped due to invalid parameters:', validation.errors);
+            }
+        } catch (error) {
+            console.warn('Tolerance analysis failed:', error.message);
+            // Continue with nominal analysis only
+        }
+    }
+    
+    // Generate stress field for visualization
+    let stressField;
+    if (result.analysisType === 'compound') {
+        // Generate compound stress field for trunnion analysis
+        stressField = generateCompoundStressField(
+            result.combinedStresses,
+            result.geometry,
+            50 // 50 points per region for smooth curves
+        );
+    } else {
+        // Generate standard stress field for single cylinder
+        stressField = generateStressField(
+            ri,
+            ro,
+            result.lameCoefficients.A,
+            result.lameCoefficients.B,
+            50, // 50 points for smooth curves
+            {
+                endCondition: chamberParams.endCondition,
+                nu: chamberParams.nu,
+                E: chamberParams.E,
+                axialStrain: chamberParams.axialStrain,
+                sigma_axial: chamberParams.sigma_axial
+            },
+            result.thermal
+        );
+    }
+    
+    // Add stress field to result
+    result.stressField = stressField;
+    
+    // Add tolerance analysis if available
+    if (toleranceAnalysis) {
+        result.toleranceAnalysis = toleranceAnalysis;
+    }
+    
+    // Autofrettage residual stress analysis of the barrel wall
+    if (formData.enableAutofrettage) {
+        const autofrettageParams = {
+            ri, ro, Sy, Su, p_i,
+            bauschingerFactor: formData.bauschingerFactor,
+            endCondition: calcParams.endCondition,
+            nu: calcParams.nu,
+            yieldCriterion: calcParams.failureCriterion === 'tresca' ? 'tresca' : 'von-mises',
+            failureCriterion: calcParams.failureCriterion,
+            compressiveStrengthRatio: calcParams.compressiveStrengthRatio
+        };
+        if (formData.autofrettagePressure) {
+            autofrettageParams.overstrainPressure = toSI(formData.autofrettagePressure, 'pressure');
+        } else {
+            autofrettageParams.interfaceRadius = ri + (ro - ri) * formData.overstrainRatio / 100;
+        }
+        try {
+            result.autofrettage = analyzeAutofrettage(autofrettageParams);
+        } catch (error) {
+            result.autofrettage = { error: error.message };
+        }
+    }
+    
+    // Stress concentration at the rifling groove corners
+    if (formData.enableRifling) {
+        try {
+            result.rifling = analyzeRifling({
+                ...calcParams,
+                landDiameter: toSI(formData.boreDiameter, 'diameter'),
+                grooveDiameter: toSI(formData.grooveDiameter, 'diameter'),
+                grooveCount: formData.grooveCount,
+                rootRadius: toSI(formData.grooveRootRadius, 'diameter')
+            });
+        } catch (error) {
+            result.rifling = { error: error.message };
+        }
+    }
+    
+    // Stress concentration at the gas port
+    if (formData.enableGasPort) {
+        try {
+            result.gasPort = analyzeCrossBore({
+                ri,
+                ro: formData.portOD ? toSI(formData.portOD / 2, 'diameter') : ro,
+                portDiameter: toSI(formData.portDiameter, 'diameter'),
+                p_port: formData.portPressure ? toSI(formData.portPressure, 'pressure') : p_i,
+                station: formData.portLocation ? toSI(formData.portLocation, 'length') : null,
+                Sy, Su,
+                endCondition: calcParams.endCondition,
+                nu,
+                failureCriterion: calcParams.failureCriterion,
+                compressiveStrengthRatio: calcParams.compressiveStrengthRatio
+            });
+        } catch (error) {
+            result.gasPort = { error: error.message };
+        }
+    }
+    
+    // Case head thrust carried through the breech section
+    if (formData.enableBreech) {
+        try {
+            result.breech = analyzeBreech({
+                p_i,
+                headDiameter: toSI(formData.caseHeadDiameter, 'diameter'),
+                sections: [{
+                    name: 'Shank',
+                    ri: toSI(formData.chamberDiameter / 2, 'diameter'),
+                    ro: formData.shankOD ? toSI(formData.shankOD / 2, 'diameter') : ro
+                }],
+                Sy, Su, nu,
+                failureCriterion: calcParams.failureCriterion,
+                compressiveStrengthRatio: calcParams.compressiveStrengthRatio
+            });
+        } catch (error) {
+            result.breech = { error: error.message };
+        }
+    }
+    
+    // Thread stripping, tension and root wall at the tenon and muzzle
+    if (formData.enableThreads) {
+        result.threads = {};
+        for (const [key, thread] of Object.entries(formData.threads)) {
+            try {
+                result.threads[key] = analyzeThread(await prepareThreadParams(thread, {
+                    ...calcParams,
+                    // The tenon surrounds the chamber
+                    ri: key === 'tenon' ? toSI(formData.chamberDiameter / 2, 'diameter') : ri,
+                    p: thread.pressure ? toSI(thread.pressure, 'pressure') : p_i,
+                    // The tenon carries the bolt thrust when the case head is known
+                    axialLoad: key === 'tenon' && result.breech && !result.breech.error ? result.breech.thrust : undefined
+                }));
+            } catch (error) {
+                result.threads[key] = { error: error.message };
+            }
+        }
+    }
+    
+    // Pressure-travel curve calibrated to the operating pressure
+    if (formData.enableBallistics) {
+        try {
+            const startPosition = formData.bulletSeat ? toSI(formData.bulletSeat, 'length') : 0;
+            result.ballistics = analyzeInteriorBallistics({
+                caseCapacity: toSI(formData.caseCapacity, 'capacity'),
+                bulletMass: toSI(formData.bulletWeight, 'mass'),
+                chargeMass: formData.chargeWeight ? toSI(formData.chargeWeight, 'mass') : undefined,
+                boreDiameter: 2 * ri,
+                peakPressure: p_i,
+                startPosition,
+                travel: toSI(formData.barrelLength, 'length') - startPosition
+            });
+        } catch (error) {
+            result.ballistics = { error: error.message };
+        }
+    }
+    
+    // Lamé analysis at every station along the barrel with the local pressure
+    if (formData.enableContour) {
+        try {
+            const barrelLength = formData.barrelLength ? toSI(formData.barrelLength, 'length') : null;
+            const stations = contourStations(formData, ri, ro);
+            // The modeled pressure envelope takes precedence over the peak-to-muzzle profile
+            const pressure = result.ballistics && !result.ballistics.error
+                ? result.ballistics.envelope
+                : pressureProfile({
+                    p_peak: p_i,
+                    peakPosition: formData.peakPressurePosition ? toSI(formData.peakPressurePosition, 'length') : 0,
+                    muzzlePressure: formData.muzzleExitPressure ? toSI(formData.muzzleExitPressure, 'pressure') : null,
+                    barrelLength
+                });
+            result.contour = analyzeContour({
+                ...calcParams,
+                stations,
+                pressure,
+                barrelLength,
+                spacing: 10
+            });
+        } catch (error) {
+            result.contour = { error: error.message };
+        }
     }
     
-    if (cartridgeSearch) {
-        // Debounced search
-        let searchTimeout;
-        cartridgeSearch.addEventListener('input', function(e) {
-            clearTimeout(searchTimeout);
-            searchTimeout = setTimeout(() => {
-                handleCartridgeSearch(e.target.value);
-            }, 300);
-        });
+    // Weight, balance and inertia of the contoured and fluted barrel
+    if (formData.enableMass) {
+        try {
+            const massParams = {
+                density: formData.barrelDensity ? toSI(formData.barrelDensity, 'density') : density,
+                flutes: fluteSets(formData)
+            };
+            result.mass = analyzeBarrelMass({ ...massParams, stations: contourStations(formData, ri, ro) });
+            
+            // Weight of a straight barrel turned to the minimum OD, for the thickness trade-off
+            const solution = result.designSolution;
+            if (!formData.contourCsv && result.analysisType === 'single' && solution && !solution.error) {
+                try {
+                    const minimum = analyzeBarrelMass({
+                        ...massParams,
+                        stations: contourStations(formData, ri, solution.outerDiameter / 2)
+                    });
+                    result.mass.minimumODMass = minimum.mass;
+                } catch (error) {
+                    // Flutes too deep for the thinner wall; leave the comparison out
+                    result.mass.minimumODMass = null;
+                }
+            }
+        } catch (error) {
+            result.mass = { error: error.message };
+        }
     }
     
-    if (clearCartridgeBtn) {
-        clearCartridgeBtn.addEventListener('click', clearCartridgeSelection);
+    // Bending natural frequencies of the barrel as a cantilever from the receiver
+    if (formData.enableVibration) {
+        try {
+            result.vibration = analyzeVibration({
+                stations: contourStations(formData, ri, ro),
+                E,
+                density: formData.enableMass && formData.barrelDensity ? toSI(formData.barrelDensity, 'density') : density,
+                flutes: fluteSets(formData),
+                clampPosition: formData.receiverFace ? toSI(formData.receiverFace, 'length') : null,
+                muzzleMass: formData.muzzleDeviceWeight ? toSI(formData.muzzleDeviceWeight, 'weight') : 0,
+                modes: formData.vibrationModes
+            });
+        } catch (error) {
+            result.vibration = { error: error.message };
+        }
+    }
+    
+    // Fatigue of the bore under repeated firing cycles
+    if (formData.enableFatigue) {
+        try {
+            result.fatigue = analyzeFatigue({
+                ...calcParams,
+                p_max: p_i,
+                surfaceFinish: formData.surfaceFinish,
+                reliability: formData.fatigueReliability,
+                enduranceLimit: formData.enduranceLimit ? toSI(formData.enduranceLimit, 'stress') : undefined
+            });
+        } catch (error) {
+            result.fatigue = { error: error.message };
+        }
+    }
+    
+    // Partial yield analysis once the operating pressure passes first yield
+    if (result.analysisType === 'single') {
+        try {
+            const partialYield = analyzePartialYield({
+                ri, ro, p_i, Sy, E, nu,
+                hardeningModulus: formData.hardeningModulus ? toSI(formData.hardeningModulus, 'modulus') * 1000 : 0, // GPa to MPa
+                failureCriterion: calcParams.failureCriterion
+            });
+            if (partialYield.yielded) {
+                result.partialYield = partialYield;
+            }
+        } catch (error) {
+            result.partialYield = { error: error.message };
+        }
+    }
+    
+    // Critical crack depth at the bore from the stress field
+    if (formData.enableFracture && result.analysisType === 'single') {
+        try {
+            const toughness = formData.fractureToughness ? toSI(formData.fractureToughness, 'toughness') : K_IC;
+            if (!toughness) {
+                throw new Error('Enter a fracture toughness for this material');
+            }
+            result.fracture = analyzeFracture({
+                ri, ro, p_i,
+                K_IC: toughness,
+                stressField: result.stressField,
+                crackDepth: formData.crackDepth ? toSI(formData.crackDepth, 'length') : undefined
+            });
+        } catch (error) {
+            result.fracture = { error: error.message };
+        }
+    }
+    
+    // Sleeves and jackets fitted over the barrel
+    if (formData.enableMultilayer) {
+        try {
+            result.multilayer = analyzeMultilayer(await prepareMultilayerParams(formData, calcParams));
+        } catch (error) {
+            result.multilayer = { error: error.message };
+        }
+    }
+    
+    // Steel liner with an orthotropic composite overwrap
+    if (formData.enableOverwrap) {
+        try {
+            result.overwrap = analyzeOverwrap({
+                liner: { ri, ro, E, nu, Sy, Su },
+                composite: {
+                    ro: toSI(formData.overwrapOD / 2, 'diameter'),
+                    material: formData.overwrapMaterial
+                },
+                p_i,
+                interference: toSI(formData.overwrapInterference / 2, 'diameter'), // Diametral to radial
+                failureCriterion: calcParams.failureCriterion,
+                compressiveStrengthRatio: calcParams.compressiveStrengthRatio
+            });
+        } catch (error) {
+            result.overwrap = { error: error.message };
+        }
     }
+    
+    // Back-calculate chamber pressure from measured OD hoop strain
+    if (formData.enableStrainGauge) {
+        const strainGaugeParams = {
+            ri: toSI(formData.chamberDiameter / 2, 'diameter'),
+            ro: ro,
+            E: E,
+            nu: nu,
+            endCondition: formData.strainAxialCorrection ? 'closed-end' : 'open-end',
+            calibrationFactor: formData.calibrationFactor
+        };
+        if (formData.strainCsv) {
+            strainGaugeParams.csv = formData.strainCsv;
+        } else {
+            strainGaugeParams.microstrain = formData.measuredStrain;
+        }
+        
+        try {
+            result.strainGauge = analyzeStrainGauge(strainGaugeParams);
+        } catch (error) {
+            result.strainGauge = { error: error.message };
+        }
+    }
+    
+    // Add original form data for reference
+    result.inputData = formData;
+    
+    return result;
 }
 
+// Display labels for failure criteria reported by the calculation engine
+const FAILURE_CRITERION_LABELS = {
+    'von-mises': 'Von Mises',
+    'tresca': 'Tresca',
+    'max-principal': 'Max Principal',
+    'mohr-coulomb': 'Mohr-Coulomb'
+};
+
 /**
- * Handle cartridge selection from dropdown
+ * Summarize per-criterion safety factors for single or compound results
+ * Compound results report the minimum over all critical locations
  */
-async function handleCartridgeSelection(event) {
-    const selectedValue = event.target.value;
-    const cartridgeInfo = document.getElementById('cartridge-info');
-    
-    if (!selectedValue) {
-        // Clear selection
-        cartridgeInfo.classList.add('d-none');
-        return;
+function summarizeFailureCriteria(result) {
+    if (result.analysisType !== 'compound') {
+        return result.failureCriteria;
     }
     
-    try {
-        const cartridge = await getCartridgeById(selectedValue);
-        if (!cartridge) {
-            console.error('Cartridge not found:', selectedValue);
-            return;
+    const criteria = {};
+    for (const location of Object.values(result.analysis)) {
+        for (const [name, sf] of Object.entries(location.failureCriteria.criteria)) {
+            if (!criteria[name] || sf.SF_y < criteria[name].SF_y) {
+                criteria[name] = { ...sf };
+            }
         }
+    }
+    
+    const governing = Object.keys(criteria).reduce((a, b) => criteria[a].SF_y <= criteria[b].SF_y ? a : b);
+    return { criteria, governing };
+}
+
+/**
+ * Generate failure criteria comparison table HTML
+ */
+function generateFailureCriteriaTable(failureCriteria, selectedCriterion) {
+    const rows = Object.entries(failureCriteria.criteria).map(([name, sf]) => `
+        <tr class="${name === failureCriteria.governing ? 'table-warning' : ''}">
+            <td>${FAILURE_CRITERION_LABELS[name] || name}${name === selectedCriterion ? ' <small class="text-muted">(selected)</small>' : ''}</td>
+            <td>${sf.SF_y.toFixed(2)}</td>
+            <td>${sf.SF_u.toFixed(2)}</td>
+        </tr>
+    `).join('');
+    
+    return `
+        <table class="table table-sm mb-0 mt-2">
+            <thead>
+                <tr><th>Criterion</th><th>Yield SF</th><th>Ultimate SF</th></tr>
+            </thead>
+            <tbody>${rows}</tbody>
+        </table>
+        <small class="text-muted">
+            Governing: ${FAILURE_CRITERION_LABELS[failureCriteria.governing] || failureCriteria.governing}
+        </small>
+    `;
+}
+
+/**
+ * Display calculation results in the UI
+ */
+function displayCalculationResults(result, formData) {
+    const resultsDisplay = document.getElementById('results-display');
+    const units = formData.units;
+    
+    // Convert results back to display units - handle both single and compound cylinder results
+    let displayResult;
+    let safetyFactors;
+    let burstPressure;
+    
+    if (result.analysisType === 'compound') {
+        // For compound cylinder, extract the worst safety factors from critical locations
+        const criticalAnalysis = result.analysis;
+        const allSafetyFactors = Object.values(criticalAnalysis).map(loc => loc.safetyFactors);
+        
+        // Find minimum safety factors across all critical locations
+        safetyFactors = {
+            SF_y: Math.min(...allSafetyFactors.map(sf => sf.SF_y)),
+            SF_u: Math.min(...allSafetyFactors.map(sf => sf.SF_u))
+        };
+        
+        // For compound cylinders, burst pressure estimation would need special handling
+        // For now, use a simplified approach based on barrel inner radius
+        burstPressure = result.loadings.operatingPressure * 2; // Simplified estimate
+        
+        displayResult = {
+            safetyFactors: safetyFactors,
+            burstPressure: fromSI(burstPressure, 'pressure'),
+            stresses: {
+                inner: {
+                    sigma_r: fromSI(criticalAnalysis.barrelInner.stresses.sigma_r, 'pressure'),
+                    sigma_theta: fromSI(criticalAnalysis.barrelInner.stresses.sigma_theta, 'pressure'),
+                    sigma_vm: fromSI(criticalAnalysis.barrelInner.sigma_vm, 'pressure')
+                },
+                outer: {
+                    sigma_r: fromSI(criticalAnalysis.trunnionOuter.stresses.sigma_r, 'pressure'),
+                    sigma_theta: fromSI(criticalAnalysis.trunnionOuter.stresses.sigma_theta, 'pressure'),
+                    sigma_vm: fromSI(criticalAnalysis.trunnionOuter.sigma_vm, 'pressure')
+                }
+            },
+            contactPressure: fromSI(result.contactPressure, 'pressure'),
+            analysisType: 'compound'
+        };
+    } else {
+        // Standard single cylinder result
+        displayResult = {
+            safetyFactors: result.safetyFactors,
+            burstPressure: fromSI(result.burstPressure, 'pressure'),
+            stresses: {
+                inner: {
+                    sigma_r: fromSI(result.stresses.inner.sigma_r, 'pressure'),
+                    sigma_theta: fromSI(result.stresses.inner.sigma_theta, 'pressure'),
+                    sigma_z: fromSI(result.stresses.inner.sigma_z, 'pressure'),
+                    sigma_vm: fromSI(result.stresses.inner.sigma_vm, 'pressure')
+                },
+                outer: {
+                    sigma_r: fromSI(result.stresses.outer.sigma_r, 'pressure'),
+                    sigma_theta: fromSI(result.stresses.outer.sigma_theta, 'pressure'),
+                    sigma_z: fromSI(result.stresses.outer.sigma_z, 'pressure'),
+                    sigma_vm: fromSI(result.stresses.outer.sigma_vm, 'pressure')
+                }
+            },
+            analysisType: 'single'
+        };
+        safetyFactors = result.safetyFactors;
+    }
+    
+    // Determine safety status
+    const minSafetyFactor = Math.min(safetyFactors.SF_y, safetyFactors.SF_u);
+    const targetSF = formData.safetyFactor || 3.0;
+    const isDesignSafe = minSafetyFactor >= targetSF;
+    
+    resultsDisplay.innerHTML = `
+        <div class="alert ${isDesignSafe ? 'alert-success' : 'alert-warning'}" role="alert">
+            <h6 class="alert-heading">${isDesignSafe ? '✅' : '⚠️'} Analysis Complete</h6>
+            <p class="mb-2">
+                ${isDesignSafe 
+                    ? 'Design meets safety requirements.' 
+                    : 'Design may not meet safety requirements - review results carefully.'}
+            </p>
+            <small class="text-muted">
+                Results calculated using Lamé thick-walled cylinder equations
+                (${FAILURE_CRITERION_LABELS[formData.failureCriterion] || 'Von Mises'} criterion).
+            </small>
+        </div>
+        
+        <div class="row">
+            <div class="col-md-6">
+                <div class="card">
+                    <div class="card-header">
+                        <h6 class="card-title mb-0">🛡️ Safety Factors</h6>
+                    </div>
+                    <div class="card-body">
+                        <div class="row">
+                            <div class="col-6">
+                                <div class="text-center">
+                                    <h5 class="text-${safetyFactors.SF_y >= targetSF ? 'success' : 'warning'}">
+                                        ${safetyFactors.SF_y.toFixed(2)}
+                                    </h5>
+                                    <small class="text-muted">Yield SF</small>
+                                </div>
+                            </div>
+                            <div class="col-6">
+                                <div class="text-center">
+                                    <h5 class="text-${safetyFactors.SF_u >= targetSF ? 'success' : 'warning'}">
+                                        ${safetyFactors.SF_u.toFixed(2)}
+                                    </h5>
+                                    <small class="text-muted">Ultimate SF</small>
+                                </div>
+                            </div>
+                        </div>
+                        <hr>
+                        <small class="text-muted">
+                            Target SF: ${targetSF.toFixed(1)} | 
+                            Minimum: ${minSafetyFactor.toFixed(2)}
+                        </small>
+                        ${generateFailureCriteriaTable(summarizeFailureCriteria(result), formData.failureCriterion)}
+                        ${generateDesignSolutionNote(result, units, targetSF)}
+                    </div>
+                </div>
+            </div>
+            
+            <div class="col-md-6">
+                <div class="card">
+                    <div class="card-header">
+                        <h6 class="card-title mb-0">💥 Yield & Burst Pressure</h6>
+                    </div>
+                    <div class="card-body">
+                        <div class="text-center">
+                            <h5 class="text-info">
+                                ${displayResult.burstPressure.toFixed(1)} ${units.pressure}
+                            </h5>
+                            <small class="text-muted">
+                                ${displayResult.analysisType === 'single' ? 'First-yield pressure' : 'Estimated burst pressure'}<br>
+                                Current: ${formData.pressure.toFixed(1)} ${units.pressure} 
+                                (${(formData.pressure / displayResult.burstPressure * 100).toFixed(1)}%)
+                            </small>
+                        </div>
+                        ${result.burstModels ? generateBurstModelsTable(result, units) : ''}
+                    </div>
+                </div>
+            </div>
+        </div>
+        
+        <div class="card mt-3">
+            <div class="card-header">
+                <h6 class="card-title mb-0">📊 Detailed Stress Analysis</h6>
+            </div>
+            <div class="card-body">
+                <div class="table-responsive">
+                    <table class="table table-sm">
+                        <thead>
+                            <tr>
+                                <th>Location</th>
+                                <th>Radial Stress</th>
+                                <th>Hoop Stress</th>
+                                <th>Axial Stress</th>
+                                <th>Von Mises</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            <tr>
+                                <td><strong>Inner Surface</strong></td>
+                                <td>${displayResult.stresses.inner.sigma_r.toFixed(1)} ${units.pressure}</td>
+                                <td>${displayResult.stresses.inner.sigma_theta.toFixed(1)} ${units.pressure}</td>
+                                <td>${displayResult.stresses.inner.sigma_z !== undefined ? displayResult.stresses.inner.sigma_z.toFixed(1) + ' ' + units.pressure : 'N/A'}</td>
+                                <td>${displayResult.stresses.inner.sigma_vm.toFixed(1)} ${units.pressure}</td>
+                            </tr>
+                            <tr>
+                                <td><strong>Outer Surface</strong></td>
+                                <td>${displayResult.stresses.outer.sigma_r.toFixed(1)} ${units.pressure}</td>
+                                <td>${displayResult.stresses.outer.sigma_theta.toFixed(1)} ${units.pressure}</td>
+                                <td>${displayResult.stresses.outer.sigma_z !== undefined ? displayResult.stresses.outer.sigma_z.toFixed(1) + ' ' + units.pressure : 'N/A'}</td>
+                                <td>${displayResult.stresses.outer.sigma_vm.toFixed(1)} ${units.pressure}</td>
+                            </tr>
+                        </tbody>
+                    </table>
+                </div>
+                ${result.stressStates ? generateStressStateTable(result.stressStates, units) : ''}
+                ${result.thermal ? `
+                <small class="text-muted">
+                    <strong>Note:</strong> Stresses include the thermal gradient 
+                    (${fromSI(result.thermal.T_inner, 'temperature').toFixed(0)} ${units.temperature} bore, 
+                    ${fromSI(result.thermal.T_outer, 'temperature').toFixed(0)} ${units.temperature} OD). 
+                    Critical location: ${result.criticalLocation === 'outer' ? 'outer surface' : 'inner surface'}.
+                </small>
+                ` : ''}
+            </div>
+        </div>
         
-        // Get specs in current units
-        const specs = await getCartridgeSpecs(selectedValue);
+        ${result.deformation ? generateDeformationSection(result.deformation, units) : ''}
         
-        // Display cartridge information
-        displayCartridgeInfo(cartridge, specs);
+        ${displayResult.analysisType === 'compound' ? `
+        <div class="card mt-3">
+            <div class="card-header">
+                <h6 class="card-title mb-0">🔧 Trunnion Analysis</h6>
+            </div>
+            <div class="card-body">
+                <div class="row">
+                    <div class="col-md-4">
+                        <div class="text-center">
+                            <h6 class="text-info">
+                                ${displayResult.contactPressure.toFixed(1)} ${units.pressure}
+                            </h6>
+                            <small class="text-muted">Contact Pressure</small>
+                        </div>
+                    </div>
+                    <div class="col-md-4">
+                        <div class="text-center">
+                            <h6 class="text-secondary">
+                                ${(formData.trunnionOD - formData.outerDiameter).toFixed(2)} ${units.diameter}
+                            </h6>
+                            <small class="text-muted">Trunnion Thickness</small>
+                        </div>
+                    </div>
+                    <div class="col-md-4">
+                        <div class="text-center">
+                            <h6 class="text-secondary">
+                                ${formData.trunnionLength?.toFixed(1) || 'N/A'} ${units.length}
+                            </h6>
+                            <small class="text-muted">Trunnion Length</small>
+                        </div>
+                    </div>
+                </div>
+                <hr>
+                <small class="text-muted">
+                    <strong>Note:</strong> Compound cylinder analysis includes stress superposition from interference fit preload and operating pressure.
+                    Axial stress follows the ${result.endCondition} end condition; closed ends load the barrel wall only.
+                    Results show minimum safety factors across all critical locations.
+                </small>
+            </div>
+        </div>
+        ` : ''}
         
-        // Auto-fill form fields
-        autofillFromCartridge(specs);
+        ${result.multilayer ? generateMultilayerSection(result.multilayer, units, targetSF) : ''}
         
-        // Clear search field
-        const searchField = document.getElementById('cartridge-search');
-        if (searchField) {
-            searchField.value = '';
-        }
+        ${result.overwrap ? generateOverwrapSection(result.overwrap, units, targetSF) : ''}
         
-        // Clear search results
-        clearSearchResults();
+        ${result.rifling ? generateRiflingSection(result.rifling, units, targetSF) : ''}
         
-        console.log('Cartridge selected:', cartridge.name);
-    } catch (error) {
-        console.error('Error handling cartridge selection:', error);
-    }
-}
-
-/**
- * Display cartridge information
- */
-function displayCartridgeInfo(cartridge, specs) {
-    const cartridgeInfo = document.getElementById('cartridge-info');
-    if (!cartridgeInfo) return;
-    
-    const units = getCurrentUnits();
-    
-    cartridgeInfo.innerHTML = `
-        <div class="d-flex justify-content-between align-items-start">
-            <div>
-                <strong>${cartridge.name}</strong> (${cartridge.standard})
-                <div class="small text-muted">
-                    Chamber: ${specs.chamber_diameter.toFixed(3)} ${specs.units.diameter} | 
-                    Pressure: ${specs.max_pressure.toFixed(0)} ${specs.units.pressure}
-                </div>
-                ${cartridge.description ? `<div class="small">${cartridge.description}</div>` : ''}
+        ${result.gasPort ? generateGasPortSection(result.gasPort, units, targetSF) : ''}
+        
+        ${result.breech ? generateBreechSection(result.breech, units, targetSF, result.chamberAxialStress) : ''}
+        
+        ${result.threads ? generateThreadsSection(result.threads, units, targetSF) : ''}
+        
+        ${result.sweep ? generateSweepSection(result.sweep, units, targetSF) : ''}
+        
+        ${result.ballistics ? generateBallisticsSection(result.ballistics, units) : ''}
+        
+        ${result.contour ? generateContourSection(result.contour, units, targetSF) : ''}
+        
+        ${result.mass ? generateMassSection(result.mass, result.contour && !result.contour.error ? result.contour.safetyFactors.SF_y : safetyFactors.SF_y, units, targetSF) : ''}
+        
+        ${result.vibration ? generateVibrationSection(result.vibration, result.ballistics, units) : ''}
+        
+        ${result.partialYield ? generatePartialYieldSection(result.partialYield, units) : ''}
+        
+        ${result.autofrettage ? generateAutofrettageSection(result.autofrettage, units, targetSF) : ''}
+        
+        ${result.fatigue ? generateFatigueSection(result.fatigue, units, targetSF) : ''}
+        
+        ${result.fracture ? generateFractureSection(result.fracture, units) : ''}
+        
+        ${result.strainGauge ? generateStrainGaugeSection(result.strainGauge, units, formData) : ''}
+        
+        ${result.toleranceAnalysis ? generateToleranceAnalysisSection(result.toleranceAnalysis, units) : ''}
+        
+        <div class="card mt-3">
+            <div class="card-header">
+                <h6 class="card-title mb-0">📋 Input Summary</h6>
+            </div>
+            <div class="card-body">
+                ${generateFormDataSummary(formData)}
             </div>
-            <button type="button" class="btn-close" aria-label="Close" onclick="this.parentElement.parentElement.classList.add('d-none')"></button>
         </div>
     `;
     
-    cartridgeInfo.classList.remove('d-none');
-}
-
-/**
- * Auto-fill form fields from cartridge specifications
- */
-function autofillFromCartridge(specs) {
-    const chamberDiameterField = document.getElementById('chamber-diameter');
-    const boreDiameterField = document.getElementById('bore-diameter');
-    const pressureField = document.getElementById('pressure');
-    
-    if (chamberDiameterField) {
-        chamberDiameterField.value = specs.chamber_diameter.toFixed(3);
-        // Trigger validation
-        chamberDiameterField.dispatchEvent(new Event('input', { bubbles: true }));
-    }
-    
-    if (boreDiameterField) {
-        boreDiameterField.value = specs.bore_diameter.toFixed(3);
-        boreDiameterField.dispatchEvent(new Event('input', { bubbles: true }));
-    }
-    
-    if (pressureField) {
-        pressureField.value = specs.max_pressure.toFixed(0);
-        pressureField.dispatchEvent(new Event('input', { bubbles: true }));
-    }
-}
-
-/**
- * Handle cartridge search
- */
-async function handleCartridgeSearch(searchTerm) {
-    const resultsContainer = document.getElementById('cartridge-search-results');
-    if (!resultsContainer) return;
-    
-    if (!searchTerm || searchTerm.trim().length < 2) {
-        clearSearchResults();
-        return;
-    }
-    
-    try {
-        const results = await searchCartridges(searchTerm);
-        displaySearchResults(results.slice(0, 5)); // Limit to 5 results
-    } catch (error) {
-        console.error('Error searching cartridges:', error);
-        clearSearchResults();
-    }
-}
-
-/**
- * Display search results
- */
-function displaySearchResults(cartridges) {
-    const resultsContainer = document.getElementById('cartridge-search-results');
-    if (!resultsContainer) return;
-    
-    if (cartridges.length === 0) {
-        resultsContainer.innerHTML = '<div class="text-muted small">No cartridges found</div>';
-        return;
-    }
-    
-    const resultsList = cartridges.map(cartridge => {
-        return `
-            <button type="button" class="btn btn-outline-secondary btn-sm me-1 mb-1 cartridge-search-result"
-                    data-cartridge-id="${cartridge.id}"
-                    title="${cartridge.description || cartridge.name}">
-                ${cartridge.name}
-            </button>
-        `;
-    }).join('');
-    
-    resultsContainer.innerHTML = `
-        <div class="small text-muted mb-1">Search results:</div>
-        ${resultsList}
-    `;
-    
-    // Add event listeners to result buttons
-    resultsContainer.querySelectorAll('.cartridge-search-result').forEach(button => {
-        button.addEventListener('click', async function() {
-            const cartridgeId = this.dataset.cartridgeId;
-            
-            // Set the dropdown value
-            const cartridgeSelect = document.getElementById('cartridge-select');
-            if (cartridgeSelect) {
-                cartridgeSelect.value = cartridgeId;
-                // Trigger change event
-                cartridgeSelect.dispatchEvent(new Event('change', { bubbles: true }));
-            }
-        });
-    });
-}
-
-/**
- * Clear search results
- */
-function clearSearchResults() {
-    const resultsContainer = document.getElementById('cartridge-search-results');
-    if (resultsContainer) {
-        resultsContainer.innerHTML = '';
-    }
-}
-
-/**
- * Clear cartridge selection
- */
-function clearCartridgeSelection() {
-    const cartridgeSelect = document.getElementById('cartridge-select');
-    const cartridgeInfo = document.getElementById('cartridge-info');
-    const cartridgeSearch = document.getElementById('cartridge-search');
-    
-    if (cartridgeSelect) {
-        cartridgeSelect.value = '';
-    }
-    
-    if (cartridgeInfo) {
-        cartridgeInfo.classList.add('d-none');
-    }
+    const chartsDisplay = document.getElementById('charts-display');
+    destroyCharts(chartsDisplay);
+    chartsDisplay.innerHTML = '';
     
-    if (cartridgeSearch) {
-        cartridgeSearch.value = '';
+    if (typeof Chart !== 'undefined') {
+        // Safety factors against the swept input
+        if (result.sweep && !result.sweep.error) {
+            renderSweepChart(chartsDisplay, result.sweep, units, targetSF);
+        }
+        
+        // Strength and pressure curves along a contoured barrel
+        if (result.contour && !result.contour.error) {
+            renderStrengthCurveChart(chartsDisplay, result, units);
+        }
+        
+        // Bending mode shapes of the barrel
+        if (result.vibration && !result.vibration.error) {
+            renderModeShapeChart(chartsDisplay, result.vibration, units);
+        }
+        
+        if (chartsDisplay.childElementCount > 0) {
+            return;
+        }
     }
     
-    clearSearchResults();
+    // Show chart placeholder for now
+    chartsDisplay.innerHTML = `
+        <div class="alert alert-info" role="alert">
+            <h6 class="alert-heading">📈 Stress Distribution Chart</h6>
+            <p class="mb-0">
+                Interactive stress distribution charts will be implemented in Task 12 using Chart.js.
+                Stress field data has been calculated and is available for visualization.
+            </p>
+        </div>
+    `;
 }
 
 /**
- * Disable cartridge UI on error
+ * Destroy Chart.js instances drawn in a container before its content is replaced
  */
-function disableCartridgeUI() {
-    const cartridgeSelect = document.getElementById('cartridge-select');
-    const cartridgeSearch = document.getElementById('cartridge-search');
-    const clearCartridgeBtn = document.getElementById('clear-cartridge');
-    
-    if (cartridgeSelect) {
-        cartridgeSelect.disabled = true;
-        cartridgeSelect.innerHTML = '<option>Cartridge database unavailable</option>';
-    }
-    
-    if (cartridgeSearch) {
-        cartridgeSearch.disabled = true;
-        cartridgeSearch.placeholder = 'Search unavailable';
-    }
+function destroyCharts(container) {
+    if (!container || typeof Chart === 'undefined') return;
     
-    if (clearCartridgeBtn) {
-        clearCartridgeBtn.disabled = true;
-    }
+    container.querySelectorAll('canvas').forEach(canvas => {
+        Chart.getChart(canvas)?.destroy();
+    });
 }
 
 /**
- * Update cartridge UI when unit system changes
+ * Render the safety factor and limit pressure design curves of a parameter sweep
  */
-async function updateCartridgeUIForUnitChange() {
-    const cartridgeSelect = document.getElementById('cartridge-select');
-    const cartridgeInfo = document.getElementById('cartridge-info');
-    
-    if (!cartridgeSelect || !cartridgeSelect.value) {
-        return;
-    }
-    
-    try {
-        // Re-display the currently selected cartridge with new units
-        const cartridge = await getCartridgeById(cartridgeSelect.value);
-        const specs = await getCartridgeSpecs(cartridgeSelect.value);
-        
-        if (cartridge && specs) {
-            displayCartridgeInfo(cartridge, specs);
+function renderSweepChart(chartsDisplay, sweep, units, targetSF) {
+    const type = SWEEP_INPUT_TYPES[sweep.variable];
+    const points = sweep.points.filter(point => !point.error);
+    const x = point => fromSI(point.value, type);
+    
+    chartsDisplay.insertAdjacentHTML('beforeend', `
+        <h6 class="${chartsDisplay.childElementCount > 0 ? 'mt-4' : ''}">📊 Safety Factor vs ${SWEEP_INPUT_LABELS[sweep.variable]}</h6>
+        <div class="position-relative" style="height: 320px;">
+            <canvas id="sweep-chart" role="img" 
+                    aria-label="Safety factors and limit pressures against ${SWEEP_INPUT_LABELS[sweep.variable].toLowerCase()}"></canvas>
+        </div>
+    `);
+    
+    const xValues = points.map(x);
+    new Chart(document.getElementById('sweep-chart'), {
+        type: 'line',
+        data: {
+            datasets: [
+                {
+                    label: 'Yield SF',
+                    data: points.map(point => ({ x: x(point), y: point.SF_y })),
+                    borderColor: '#198754',
+                    backgroundColor: '#198754',
+                    pointRadius: 2,
+                    yAxisID: 'y'
+                },
+                {
+                    label: 'Ultimate SF',
+                    data: points.map(point => ({ x: x(point), y: point.SF_u })),
+                    borderColor: '#0d6efd',
+                    backgroundColor: '#0d6efd',
+                    pointRadius: 2,
+                    yAxisID: 'y'
+                },
+                {
+                    label: `Target SF ${targetSF.toFixed(1)}`,
+                    data: [{ x: Math.min(...xValues), y: targetSF }, { x: Math.max(...xValues), y: targetSF }],
+                    borderColor: '#fd7e14',
+                    backgroundColor: '#fd7e14',
+                    borderDash: [6, 4],
+                    pointRadius: 0,
+                    yAxisID: 'y'
+                },
+                {
+                    label: 'First yield pressure',
+                    data: points.map(point => ({ x: x(point), y: fromSI(point.firstYieldPressure, 'pressure') })),
+                    borderColor: '#6c757d',
+                    backgroundColor: '#6c757d',
+                    borderDash: [2, 2],
+                    pointRadius: 0,
+                    yAxisID: 'y1'
+                },
+                {
+                    label: 'Burst pressure',
+                    data: points.map(point => ({ x: x(point), y: fromSI(point.burstPressure, 'pressure') })),
+                    borderColor: '#dc3545',
+                    backgroundColor: '#dc3545',
+                    borderDash: [2, 2],
+                    pointRadius: 0,
+                    yAxisID: 'y1'
+                }
+            ]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            interaction: { mode: 'nearest', intersect: false },
+            scales: {
+                x: {
+                    type: 'linear',
+                    title: { display: true, text: `${SWEEP_INPUT_LABELS[sweep.variable]} (${units[type]})` }
+                },
+                y: {
+                    beginAtZero: true,
+                    title: { display: true, text: 'Safety Factor' }
+                },
+                y1: {
+                    position: 'right',
+                    beginAtZero: true,
+                    grid: { drawOnChartArea: false },
+                    title: { display: true, text: `Pressure (${units.pressure})` }
+                }
+            }
         }
-    } catch (error) {
-        console.error('Error updating cartridge UI for unit change:', error);
-    }
+    });
 }
 
 /**
- * Generate material selection options from database
+ * Render the elastic strength curve against the pressure curve along the barrel
  */
-async function generateMaterialOptions() {
-    try {
-        const materials = await getAllMaterials();
-        const categories = await getCategories();
-        
-        let html = '';
-        
-        // Group materials by category
-        for (const category of categories) {
-            const categoryMaterials = materials.filter(material => 
-                material.category.toLowerCase().replace(/\s+/g, '-') === category.id ||
-                material.category.toLowerCase() === category.name.toLowerCase()
-            );
-            
-            if (categoryMaterials.length > 0) {
-                html += `<optgroup label="${category.name}">`;
-                for (const material of categoryMaterials) {
-                    html += `<option value="${material.id}">${material.name}</option>`;
+function renderStrengthCurveChart(chartsDisplay, result, units) {
+    const curve = strengthCurve(result.contour);
+    const minimum = curve[result.contour.minimumMarginIndex];
+    const ballistics = result.ballistics && !result.ballistics.error ? result.ballistics : null;
+    const toPoint = (position, pressure) => ({ x: fromSI(position, 'length'), y: fromSI(pressure, 'pressure') });
+    
+    chartsDisplay.insertAdjacentHTML('beforeend', `
+        <h6>📈 Elastic Strength vs Pressure</h6>
+        <div class="position-relative" style="height: 320px;">
+            <canvas id="strength-curve-chart" role="img" 
+                    aria-label="Elastic strength and bore pressure along the barrel"></canvas>
+        </div>
+        <p class="small text-muted mt-2">
+            Minimum margin <strong>${minimum.margin.toFixed(2)}</strong> at 
+            ${fromSI(minimum.position, 'length').toFixed(1)} ${units.length} from the breech 
+            (strength ${fromSI(minimum.strength, 'pressure').toFixed(0)} ${units.pressure}, 
+            pressure ${fromSI(minimum.pressure, 'pressure').toFixed(0)} ${units.pressure}).
+        </p>
+        <div class="btn-group btn-group-sm" role="group" aria-label="Export strength curves">
+            <button type="button" class="btn btn-outline-secondary" id="export-strength-csv">Export CSV</button>
+            <button type="button" class="btn btn-outline-secondary" id="export-strength-png">Export PNG</button>
+        </div>
+    `);
+    
+    const datasets = [
+        {
+            label: 'Elastic strength',
+            data: curve.map(point => toPoint(point.position, point.strength)),
+            borderColor: '#198754',
+            backgroundColor: '#198754',
+            pointRadius: 0
+        },
+        {
+            label: 'Bore pressure',
+            data: curve.map(point => toPoint(point.position, point.pressure)),
+            borderColor: '#dc3545',
+            backgroundColor: '#dc3545',
+            pointRadius: 0
+        },
+        {
+            label: 'Minimum margin',
+            data: [toPoint(minimum.position, minimum.strength), toPoint(minimum.position, minimum.pressure)],
+            borderColor: '#fd7e14',
+            backgroundColor: '#fd7e14',
+            pointRadius: 6,
+            pointStyle: 'rectRot',
+            showLine: false
+        }
+    ];
+    if (ballistics) {
+        datasets.push({
+            label: 'Breech pressure vs bullet position',
+            data: ballistics.curve.map(point => toPoint(point.position, point.pressure)),
+            borderColor: '#6c757d',
+            backgroundColor: '#6c757d',
+            borderDash: [4, 4],
+            pointRadius: 0
+        });
+    }
+    
+    const chart = new Chart(document.getElementById('strength-curve-chart'), {
+        type: 'line',
+        data: { datasets },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            interaction: { mode: 'nearest', intersect: false },
+            scales: {
+                x: {
+                    type: 'linear',
+                    title: { display: true, text: `Distance from Breech (${units.length})` }
+                },
+                y: {
+                    beginAtZero: true,
+                    title: { display: true, text: `Pressure (${units.pressure})` }
                 }
-                html += '</optgroup>';
             }
         }
-        
-        return html;
-    } catch (error) {
-        console.error('Error generating material options:', error);
-        // Return fallback options
-        return `
-            <option value="4140-ht">4140 Steel (Heat Treated)</option>
-            <option value="17-4ph-h900">17-4 PH Stainless (H900)</option>
-        `;
-    }
+    });
+    
+    document.getElementById('export-strength-csv').addEventListener('click', () => {
+        downloadFile('strength-curve.csv', generateStrengthCurveCSV(curve, ballistics, units), 'text/csv');
+    });
+    document.getElementById('export-strength-png').addEventListener('click', () => {
+        downloadFile('strength-curve.png', chart.toBase64Image());
+    });
 }
 
+// Line colors for successive bending modes
+const MODE_COLORS = ['#0d6efd', '#dc3545', '#198754', '#fd7e14', '#6f42c1', '#6c757d'];
+
 /**
- * Initialize mobile offcanvas functionality
+ * Render the bending mode shapes of the barrel from the receiver to the muzzle
  */
-async function initializeMobileOffcanvas() {
-    const mobileInputForm = document.getElementById('mobile-input-form');
-    if (mobileInputForm) {
-        // Copy the main form to mobile offcanvas
-        mobileInputForm.innerHTML = await generateFormHTML();
-        
-        // Ensure mobile form has unique IDs and syncs with main form
-        const mobileForm = mobileInputForm.querySelector('form');
-        if (mobileForm) {
-            mobileForm.id = 'mobile-calculation-form';
-            mobileForm.addEventListener('submit', handleFormSubmit);
-            
-            // Set up mobile form event handlers
-            setupMobileFormEventHandlers(mobileForm);
-            
-            // Sync input changes between mobile and desktop forms
-            const mobileInputs = mobileForm.querySelectorAll('input, select');
-            mobileInputs.forEach(input => {
-                const originalId = input.id;
-                input.id = `mobile-${originalId}`;
-                
-                // Sync changes to main form
-                input.addEventListener('input', function() {
-                    const mainInput = document.getElementById(originalId);
-                    if (mainInput) {
-                        mainInput.value = this.value;
-                        if (input.type === 'checkbox') {
-                            mainInput.checked = this.checked;
-                        }
-                        // Trigger validation on main form
-                        validateInput(mainInput);
-                        (async () => await checkCrossFieldValidation())();
-                    }
-                });
-                
-                // Sync changes from main form to mobile
-                const mainInput = document.getElementById(originalId);
-                if (mainInput) {
-                    mainInput.addEventListener('input', function() {
-                        input.value = this.value;
-                        if (this.type === 'checkbox') {
-                            input.checked = this.checked;
-                        }
-                    });
+function renderModeShapeChart(chartsDisplay, vibration, units) {
+    chartsDisplay.insertAdjacentHTML('beforeend', `
+        <h6 class="${chartsDisplay.childElementCount > 0 ? 'mt-4' : ''}">🎵 Bending Mode Shapes</h6>
+        <div class="position-relative" style="height: 280px;">
+            <canvas id="mode-shape-chart" role="img" 
+                    aria-label="Bending mode shapes of the barrel"></canvas>
+        </div>
+        <p class="small text-muted mt-2">
+            Deflection scaled to one at the muzzle; the barrel is clamped at 
+            ${fromSI(vibration.clampPosition, 'length').toFixed(1)} ${units.length} from the breech.
+        </p>
+    `);
+    
+    const datasets = vibration.modes.map((mode, i) => ({
+        label: `Mode ${mode.mode} (${mode.frequency.toFixed(0)} Hz)`,
+        data: mode.shape.map(point => ({ x: fromSI(point.position, 'length'), y: point.displacement })),
+        borderColor: MODE_COLORS[i % MODE_COLORS.length],
+        backgroundColor: MODE_COLORS[i % MODE_COLORS.length],
+        pointRadius: 0
+    }));
+    
+    new Chart(document.getElementById('mode-shape-chart'), {
+        type: 'line',
+        data: { datasets },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            interaction: { mode: 'nearest', intersect: false },
+            scales: {
+                x: {
+                    type: 'linear',
+                    title: { display: true, text: `Distance from Breech (${units.length})` }
+                },
+                y: {
+                    title: { display: true, text: 'Relative Deflection' }
                 }
-            });
+            }
         }
-    }
+    });
 }
 
 /**
- * Set up event handlers for mobile form
+ * Generate CSV text of the strength and pressure curves in display units
  */
-function setupMobileFormEventHandlers(mobileForm) {
-    // Progressive disclosure for mobile
-    const mobileEnableTrunnion = mobileForm.querySelector('#mobile-enable-trunnion');
-    const mobileTrunnionParams = mobileForm.querySelector('#mobile-trunnion-params');
-    
-    if (mobileEnableTrunnion && mobileTrunnionParams) {
-        mobileEnableTrunnion.addEventListener('change', function() {
-            if (this.checked) {
-                mobileTrunnionParams.classList.remove('d-none');
-            } else {
-                mobileTrunnionParams.classList.add('d-none');
-            }
-        });
-    }
-    
-    // Material selection for mobile
-    const mobileMaterialSelect = mobileForm.querySelector('#mobile-material-select');
-    const mobileCustomMaterialSection = mobileForm.querySelector('#mobile-custom-material-section');
+function generateStrengthCurveCSV(curve, ballistics, units) {
+    const lines = [`Position (${units.length}),Elastic Strength (${units.pressure}),Bore Pressure (${units.pressure}),Margin`];
+    curve.forEach(point => {
+        lines.push([
+            fromSI(point.position, 'length').toFixed(3),
+            fromSI(point.strength, 'pressure').toFixed(1),
+            fromSI(point.pressure, 'pressure').toFixed(1),
+            Number.isFinite(point.margin) ? point.margin.toFixed(3) : ''
+        ].join(','));
+    });
     
-    if (mobileMaterialSelect && mobileCustomMaterialSection) {
-        mobileMaterialSelect.addEventListener('change', async function() {
-            const selectedValue = this.value;
-            
-            if (selectedValue === 'custom') {
-                mobileCustomMaterialSection.classList.remove('d-none');
-            } else {
-                mobileCustomMaterialSection.classList.add('d-none');
-                if (selectedValue && selectedValue !== '') {
-                    // Populate material properties for mobile
-                    const mobileYieldStrength = mobileForm.querySelector('#mobile-yield-strength');
-                    if (mobileYieldStrength) {
-                        await populateMaterialPropertiesForInput(selectedValue, mobileYieldStrength);
-                    }
-                }
-            }
+    if (ballistics) {
+        lines.push('', `Bullet Position (${units.length}),Breech Pressure (${units.pressure}),Base Pressure (${units.pressure}),Velocity (${units.velocity}),Time (ms)`);
+        ballistics.curve.forEach(point => {
+            lines.push([
+                fromSI(point.position, 'length').toFixed(3),
+                fromSI(point.pressure, 'pressure').toFixed(1),
+                fromSI(point.basePressure, 'pressure').toFixed(1),
+                fromSI(point.velocity, 'velocity').toFixed(1),
+                point.time.toFixed(4)
+            ].join(','));
         });
     }
     
-    // Reset functionality for mobile
-    const mobileResetButton = mobileForm.querySelector('#mobile-reset-form');
-    if (mobileResetButton) {
-        mobileResetButton.addEventListener('click', function() {
-            mobileForm.reset();
-            
-            // Reset progressive disclosure states
-            if (mobileCustomMaterialSection) {
-                mobileCustomMaterialSection.classList.add('d-none');
-            }
-            if (mobileTrunnionParams) {
-                mobileTrunnionParams.classList.add('d-none');
-            }
-            
-            // Reset safety factor to default
-            const mobileSafetyFactor = mobileForm.querySelector('#mobile-safety-factor');
-            if (mobileSafetyFactor) {
-                mobileSafetyFactor.value = '3.0';
-            }
-        });
-    }
+    return lines.join('\n');
 }
 
 /**
- * Populate material properties for a specific input field
+ * Download text or a data URL as a file
  */
-async function populateMaterialPropertiesForInput(materialCode, yieldStrengthInput) {
-    try {
-        const materialProperties = await getMaterialProperties(materialCode);
-        if (materialProperties && yieldStrengthInput) {
-            yieldStrengthInput.value = Math.round(materialProperties.Sy);
-        }
-    } catch (error) {
-        console.error('Error populating material properties for input:', error);
-        // Fallback to hardcoded values
-        const currentSystem = getSystem();
-        const fallbackMaterials = {
-            '4140-ht': { yield: currentSystem === 'SI' ? 655 : 95 },
-            '17-4ph-h900': { yield: currentSystem === 'SI' ? 1172 : 170 }
-        };
-        
-        const fallback = fallbackMaterials[materialCode];
-        if (fallback && yieldStrengthInput) {
-            yieldStrengthInput.value = fallback.yield;
-        }
+function downloadFile(filename, content, type = null) {
+    const url = type ? URL.createObjectURL(new Blob([content], { type })) : content;
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    if (type) {
+        URL.revokeObjectURL(url);
     }
 }
 
 /**
- * Set up event listeners
+ * Generate minimum diameter note for the target safety factor
  */
-function setupEventListeners() {
-    const form = document.getElementById('calculation-form');
-    if (form) {
-        form.addEventListener('submit', handleFormSubmit);
-        
-        // Set up progressive disclosure
-        setupProgressiveDisclosure();
-        
-        // Set up input validation with debouncing
-        setupInputValidation();
-        
-        // Set up material selection functionality
-        setupMaterialSelection();
-        
-        // Set up reset functionality
-        setupResetFunctionality();
+function generateDesignSolutionNote(result, units, targetSF) {
+    const solution = result.designSolution;
+    if (!solution) {
+        return '';
     }
     
-    // Unit toggle functionality
-    setupUnitToggle();
+    if (solution.error) {
+        return `
+            <div class="alert alert-warning py-1 px-2 mt-2 mb-0" role="status">
+                <small>Target SF ${targetSF.toFixed(1)} not reachable by wall thickness alone: ${solution.error}</small>
+            </div>
+        `;
+    }
+    
+    const label = result.analysisType === 'compound' ? 'Minimum trunnion OD' : 'Minimum OD';
+    return `
+        <div class="mt-2">
+            <small class="text-muted">
+                ${label} for SF ${targetSF.toFixed(1)}: 
+                <strong>${fromSI(solution.outerDiameter, 'diameter').toFixed(3)} ${units.diameter}</strong>
+                (wall ${fromSI(solution.wallThickness, 'diameter').toFixed(3)} ${units.diameter})
+            </small>
+        </div>
+    `;
 }
 
+// Display labels for plastic-collapse burst models
+const BURST_MODEL_LABELS = {
+    faupel: 'Faupel',
+    svensson: 'Svensson',
+    nadai: 'Nadai (Von Mises)',
+    turner: 'Turner (Tresca)'
+};
+
 /**
- * Set up unit toggle functionality
+ * Generate burst model comparison table HTML with yield and burst margins
  */
-function setupUnitToggle() {
-    const unitDropdownItems = document.querySelectorAll('[data-unit]');
+function generateBurstModelsTable(result, units) {
+    const { burstModels, margins } = result;
+    const rows = Object.entries(burstModels.burst).map(([model, pressure]) => `
+        <tr class="${model === burstModels.governingModel ? 'table-warning' : ''}">
+            <td>${BURST_MODEL_LABELS[model] || model}</td>
+            <td>${fromSI(pressure, 'pressure').toFixed(0)} ${units.pressure}</td>
+        </tr>
+    `).join('');
     
-    unitDropdownItems.forEach(item => {
-        item.addEventListener('click', function() {
-            const selectedUnit = this.getAttribute('data-unit');
-            const systemCode = selectedUnit === 'imperial' ? 'IP' : 'SI';
-            
-            // Use units module to change system (this will emit the event)
-            setSystem(systemCode);
-        });
-    });
+    return `
+        <table class="table table-sm mb-0 mt-2">
+            <thead>
+                <tr><th>Burst Model</th><th>Pressure</th></tr>
+            </thead>
+            <tbody>
+                ${rows}
+                <tr>
+                    <td>Full Plastic Collapse</td>
+                    <td>${fromSI(burstModels.fullPlasticCollapse.vonMises, 'pressure').toFixed(0)} ${units.pressure}</td>
+                </tr>
+            </tbody>
+        </table>
+        <small class="text-muted">
+            Yield margin: ${margins.yield.toFixed(2)} | Burst margin: ${margins.burst.toFixed(2)}
+        </small>
+    `;
 }
 
 /**
- * Update form units based on current system (triggered by event)
+ * Generate principal stress and triaxiality table HTML
  */
-async function updateFormUnitsFromSystem() {
-    // Regenerate the entire form with proper event listeners
-    const inputForm = document.getElementById('input-form');
-    if (inputForm) {
-        inputForm.innerHTML = await generateFormHTML();
-        
-        // Re-attach form event listeners
-        const form = document.getElementById('calculation-form');
-        if (form) {
-            form.addEventListener('submit', handleFormSubmit);
-        }
-    }
+function generateStressStateTable(stressStates, units) {
+    const formatStress = value => `${fromSI(value, 'stress').toFixed(1)} ${units.stress}`;
+    const formatRatio = value => value === null ? 'N/A' : value.toFixed(3);
+    const row = (label, state) => `
+        <tr>
+            <td><strong>${label}</strong></td>
+            <td>${formatStress(state.principal.sigma_1)}</td>
+            <td>${formatStress(state.principal.sigma_2)}</td>
+            <td>${formatStress(state.principal.sigma_3)}</td>
+            <td>${formatStress(state.maxShear)}</td>
+            <td>${formatStress(state.hydrostatic)}</td>
+            <td>${formatRatio(state.triaxiality)}</td>
+            <td>${formatRatio(state.lodeParameter)}</td>
+        </tr>
+    `;
     
-    // Update mobile form too
-    await initializeMobileOffcanvas();
+    return `
+        <div class="table-responsive">
+            <table class="table table-sm">
+                <thead>
+                    <tr>
+                        <th>Location</th>
+                        <th>σ<sub>1</sub></th>
+                        <th>σ<sub>2</sub></th>
+                        <th>σ<sub>3</sub></th>
+                        <th>Max Shear</th>
+                        <th>Hydrostatic</th>
+                        <th>Triaxiality</th>
+                        <th>Lode Parameter</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${row('Inner Surface', stressStates.inner)}
+                    ${row('Outer Surface', stressStates.outer)}
+                </tbody>
+            </table>
+        </div>
+        <small class="text-muted d-block mb-2">
+            Triaxiality is hydrostatic over Von Mises stress (1/3 in uniaxial tension); ductility drops as it rises. 
+            The Lode parameter runs from -1 (axisymmetric tension) to +1 (axisymmetric compression).
+        </small>
+    `;
 }
 
 /**
- * Convert existing form values when unit system changes
+ * Generate deformation (displacement and strain) section HTML
  */
-function convertExistingFormValues(previousSystem, newSystem) {
-    if (!previousSystem || previousSystem === newSystem) return;
-    
-    const fieldMappings = [
-        { id: 'chamber-diameter', type: 'diameter' },
-        { id: 'bore-diameter', type: 'diameter' },
-        { id: 'outer-diameter', type: 'diameter' }, 
-        { id: 'barrel-length', type: 'length' },
-        { id: 'pressure', type: 'pressure' },
-        { id: 'yield-strength', type: 'stress' },
-        { id: 'elastic-modulus', type: 'modulus' },
-        { id: 'trunnion-od', type: 'diameter' },
-        { id: 'trunnion-length', type: 'length' },
-        { id: 'interference-fit', type: 'diameter' }
-    ];
+function generateDeformationSection(deformation, units) {
+    const lengthPrecision = units.diameter === 'mm' ? 4 : 5;
+    const toLength = value => `${fromSI(value, 'diameter').toFixed(lengthPrecision)} ${units.diameter}`;
+    const toMicrostrain = value => `${(value * 1e6).toFixed(0)} µε`;
+    const row = (label, location) => `
+        <tr>
+            <td><strong>${label}</strong></td>
+            <td>${toLength(location.u)}</td>
+            <td>${toMicrostrain(location.epsilon_r)}</td>
+            <td>${toMicrostrain(location.epsilon_theta)}</td>
+            <td>${toMicrostrain(location.epsilon_z)}</td>
+        </tr>
+    `;
     
-    fieldMappings.forEach(({ id, type }) => {
-        const field = document.getElementById(id);
-        if (field && field.value && !isNaN(parseFloat(field.value))) {
-            try {
-                const currentValue = parseFloat(field.value);
-                
-                // Convert to SI first, then to new system
-                const siValue = previousSystem === 'SI' ? currentValue : toSI(currentValue, type);
-                const convertedValue = newSystem === 'SI' ? siValue : fromSI(siValue, type);
-                
-                // Update field with converted value, maintaining reasonable precision
-                const precision = type === 'diameter' || type === 'length' ? 3 : 
-                                type === 'pressure' ? 0 : 1;
-                field.value = convertedValue.toFixed(precision);
-            } catch (error) {
-                console.warn(`Failed to convert value for ${id}:`, error);
-            }
-        }
-    });
+    return `
+        <div class="card mt-3">
+            <div class="card-header">
+                <h6 class="card-title mb-0">📐 Deformation</h6>
+            </div>
+            <div class="card-body">
+                <div class="row mb-2">
+                    <div class="col-md-6">
+                        <div class="text-center">
+                            <h6 class="text-info">${toLength(deformation.boreExpansion)}</h6>
+                            <small class="text-muted">Bore Diametral Expansion</small>
+                        </div>
+                    </div>
+                    <div class="col-md-6">
+                        <div class="text-center">
+                            <h6 class="text-info">${toLength(deformation.outerExpansion)}</h6>
+                            <small class="text-muted">OD Diametral Expansion</small>
+                        </div>
+                    </div>
+                </div>
+                <div class="table-responsive">
+                    <table class="table table-sm mb-0">
+                        <thead>
+                            <tr>
+                                <th>Location</th>
+                                <th>Radial Displacement</th>
+                                <th>Radial Strain</th>
+                                <th>Hoop Strain</th>
+                                <th>Axial Strain</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${row('Inner Surface', deformation.inner)}
+                            ${row('Outer Surface', deformation.outer)}
+                        </tbody>
+                    </table>
+                </div>
+                <small class="text-muted">
+                    OD hoop strain is what a circumferential strain gauge on the barrel reads.
+                </small>
+            </div>
+        </div>
+    `;
 }
 
+const MEAN_STRESS_LABELS = {
+    'goodman': 'Goodman',
+    'gerber': 'Gerber',
+    'soderberg': 'Soderberg'
+};
+
 /**
- * Handle form submission
+ * Format an estimated round count for display
  */
-async function handleFormSubmit(event) {
-    event.preventDefault();
-    
-    const form = event.target;
-    
-    // Validate all form fields
-    const inputs = form.querySelectorAll('input, select');
-    let isFormValid = true;
-    
-    inputs.forEach(input => {
-        if (!validateInput(input)) {
-            isFormValid = false;
-        }
-    });
-    
-    // Check cross-field validation
-    if (!(await checkCrossFieldValidation())) {
-        isFormValid = false;
+function formatRoundCount(rounds) {
+    if (rounds === Infinity) return 'Infinite';
+    if (rounds >= 1e6) return `${(rounds / 1e6).toFixed(1)} million`;
+    return Math.round(rounds).toLocaleString();
+}
+
+/**
+ * Generate fatigue analysis section HTML
+ */
+function generateFatigueSection(fatigue, units, targetSF) {
+    if (fatigue.error) {
+        return `
+        <div class="alert alert-warning mt-3" role="alert">
+            <strong>Fatigue analysis:</strong> ${fatigue.error}
+        </div>
+        `;
     }
     
-    if (!isFormValid) {
-        // Show validation error
-        const resultsDisplay = document.getElementById('results-display');
-        resultsDisplay.innerHTML = `
-            <div class="alert alert-warning" role="alert">
-                <h6 class="alert-heading">⚠️ Validation Required</h6>
-                <p class="mb-0">
-                    Please correct the highlighted errors before proceeding with the calculation.
-                </p>
+    const rows = Object.entries(fatigue.safetyFactors).map(([criterion, sf]) => `
+        <tr>
+            <td>${MEAN_STRESS_LABELS[criterion] || criterion}</td>
+            <td class="text-${sf >= 1 ? 'success' : 'danger'}">${sf === Infinity ? '∞' : sf.toFixed(2)}</td>
+        </tr>
+    `).join('');
+    
+    return `
+        <div class="card mt-3">
+            <div class="card-header">
+                <h6 class="card-title mb-0">🔁 Fatigue Life</h6>
+            </div>
+            <div class="card-body">
+                <div class="row">
+                    <div class="col-md-4">
+                        <div class="text-center">
+                            <h6 class="text-${fatigue.infiniteLife ? 'success' : (fatigue.lowCycle ? 'danger' : 'warning')}">
+                                ${formatRoundCount(fatigue.rounds)}
+                            </h6>
+                            <small class="text-muted">Rounds to Crack Initiation</small>
+                        </div>
+                    </div>
+                    <div class="col-md-4">
+                        <div class="text-center">
+                            <h6 class="text-${fatigue.governingSF >= targetSF ? 'success' : 'warning'}">
+                                ${fatigue.governingSF === Infinity ? '∞' : fatigue.governingSF.toFixed(2)}
+                            </h6>
+                            <small class="text-muted">Minimum Fatigue SF</small>
+                        </div>
+                    </div>
+                    <div class="col-md-4">
+                        <div class="text-center">
+                            <h6 class="text-secondary">
+                                ${fromSI(fatigue.enduranceLimit.corrected, 'stress').toFixed(1)} ${units.stress}
+                            </h6>
+                            <small class="text-muted">Corrected Endurance Limit</small>
+                        </div>
+                    </div>
+                </div>
+                <table class="table table-sm mb-0 mt-2">
+                    <thead>
+                        <tr><th>Mean Stress Criterion</th><th>Fatigue SF</th></tr>
+                    </thead>
+                    <tbody>${rows}</tbody>
+                </table>
+                <small class="text-muted">
+                    Bore σ<sub>a</sub> = ${fromSI(fatigue.stresses.sigma_a, 'stress').toFixed(1)} ${units.stress}, 
+                    σ<sub>m</sub> = ${fromSI(fatigue.stresses.sigma_m, 'stress').toFixed(1)} ${units.stress}. 
+                    Life uses the ${MEAN_STRESS_LABELS[fatigue.meanStressCriterion]} line 
+                    (k<sub>a</sub> = ${fatigue.marinFactors.ka.toFixed(2)}, k<sub>b</sub> = ${fatigue.marinFactors.kb.toFixed(2)}, 
+                    k<sub>e</sub> = ${fatigue.marinFactors.ke.toFixed(3)}).
+                    ${fatigue.lowCycle ? ' Below 1000 cycles the high-cycle estimate is not reliable.' : ''}
+                </small>
             </div>
+        </div>
+    `;
+}
+
+/**
+ * Generate fracture mechanics section HTML
+ */
+function generateFractureSection(fracture, units) {
+    if (fracture.error) {
+        return `
+        <div class="alert alert-warning mt-3" role="alert">
+            <strong>Fracture analysis:</strong> ${fracture.error}
+        </div>
         `;
-        
-        // Focus on first invalid field
-        const firstInvalidField = form.querySelector('.is-invalid');
-        if (firstInvalidField) {
-            firstInvalidField.focus();
-        }
-        
-        return false;
     }
     
-    console.log('Form submitted - performing Lamé equation calculations');
+    const { criticalDepth, criticalDepthRatio, leakBeforeBreak, assessment } = fracture;
+    const lengthPrecision = units.length === 'mm' ? 2 : 3;
     
-    // Show loading indicator while calculating
-    const resultsDisplay = document.getElementById('results-display');
-    resultsDisplay.innerHTML = `
-        <div class="alert alert-info" role="alert">
-            <h6 class="alert-heading">🔄 Calculating...</h6>
-            <p class="mb-0">
-                Performing barrel analysis and tolerance calculations...
-            </p>
+    return `
+        <div class="card mt-3">
+            <div class="card-header">
+                <h6 class="card-title mb-0">🪓 Fracture Mechanics</h6>
+            </div>
+            <div class="card-body">
+                <div class="row">
+                    <div class="col-md-4">
+                        <div class="text-center">
+                            <h6 class="text-${criticalDepth === null ? 'success' : (criticalDepthRatio < 0.1 ? 'danger' : 'warning')}">
+                                ${criticalDepth === null ? '&gt; 80% wall' : `${fromSI(criticalDepth, 'length').toFixed(lengthPrecision)} ${units.length}`}
+                            </h6>
+                            <small class="text-muted">Critical Crack Depth</small>
+                        </div>
+                    </div>
+                    <div class="col-md-4">
+                        <div class="text-center">
+                            <h6 class="text-${leakBeforeBreak.satisfied ? 'success' : 'danger'}">
+                                ${leakBeforeBreak.satisfied ? 'Satisfied' : 'Not Satisfied'}
+                            </h6>
+                            <small class="text-muted">Leak-Before-Break</small>
+                        </div>
+                    </div>
+                    <div class="col-md-4">
+                        <div class="text-center">
+                            <h6 class="text-secondary">
+                                ${fromSI(fracture.K_IC, 'toughness').toFixed(0)} ${units.toughness}
+                            </h6>
+                            <small class="text-muted">Fracture Toughness</small>
+                        </div>
+                    </div>
+                </div>
+                ${assessment ? `
+                <hr>
+                <p class="mb-0">
+                    <strong>Known flaw:</strong> ${fromSI(assessment.a, 'length').toFixed(lengthPrecision)} ${units.length} deep, 
+                    K<sub>I</sub> = ${fromSI(assessment.K_I, 'toughness').toFixed(1)} ${units.toughness}, 
+                    SF = <span class="text-${assessment.safetyFactor >= 1 ? 'success' : 'danger'}">${assessment.safetyFactor.toFixed(2)}</span>
+                </p>
+                ` : ''}
+                <small class="text-muted">
+                    Critical through-wall half-length: ${fromSI(leakBeforeBreak.criticalHalfLength, 'length').toFixed(lengthPrecision)} ${units.length} 
+                    vs. wall thickness ${fromSI(leakBeforeBreak.breakthroughHalfLength, 'length').toFixed(lengthPrecision)} ${units.length}.
+                </small>
+            </div>
         </div>
     `;
+}
+
+/**
+ * Generate strain gauge pressure section HTML
+ */
+function generateStrainGaugeSection(strainGauge, units, formData) {
+    if (strainGauge.error) {
+        return `
+        <div class="alert alert-warning mt-3" role="alert">
+            <strong>Strain gauge pressure:</strong> ${strainGauge.error}
+        </div>
+        `;
+    }
     
-    // Collect form data for processing
-    const formData = collectFormData();
+    const { peak, sensitivity, series } = strainGauge;
+    const measuredPressure = fromSI(peak.pressure, 'pressure');
+    const ratio = formData.pressure ? measuredPressure / formData.pressure : null;
     
-    try {
-        // Perform barrel analysis calculation (now async for tolerance analysis)
-        const analysisResult = await performBarrelAnalysis(formData);
-        
-        // Display results
-        displayCalculationResults(analysisResult, formData);
-        
-        return true;
-    } catch (error) {
-        console.error('Calculation error:', error);
-        displayCalculationError(error);
-        return false;
-    }
+    return `
+        <div class="card mt-3">
+            <div class="card-header">
+                <h6 class="card-title mb-0">📈 Strain Gauge Pressure</h6>
+            </div>
+            <div class="card-body">
+                <div class="row">
+                    <div class="col-md-4">
+                        <div class="text-center">
+                            <h6 class="text-${ratio !== null && ratio > 1 ? 'danger' : 'primary'}">
+                                ${measuredPressure.toFixed(0)} ${units.pressure}
+                            </h6>
+                            <small class="text-muted">Peak Measured Pressure</small>
+                        </div>
+                    </div>
+                    <div class="col-md-4">
+                        <div class="text-center">
+                            <h6 class="text-secondary">${peak.microstrain.toFixed(0)} µε</h6>
+                            <small class="text-muted">Peak Hoop Strain</small>
+                        </div>
+                    </div>
+                    <div class="col-md-4">
+                        <div class="text-center">
+                            <h6 class="text-secondary">${(sensitivity.applied * 6.894757).toFixed(2)} µε/ksi</h6>
+                            <small class="text-muted">${sensitivity.calibrated ? 'Calibrated' : 'Theoretical'} Sensitivity</small>
+                        </div>
+                    </div>
+                </div>
+                <hr>
+                <small class="text-muted">
+                    ${series.length > 1 ? `${series.length} samples, peak at t = ${peak.time}. ` : ''}
+                    Theoretical Lamé sensitivity: ${sensitivity.theoreticalPerKsi.toFixed(2)} µε/ksi 
+                    (${strainGauge.endCondition === 'closed-end' ? 'closed-end' : 'open-end'}).
+                    ${ratio !== null ? `Measured peak is ${(ratio * 100).toFixed(0)}% of the design pressure.` : ''}
+                </small>
+            </div>
+        </div>
+    `;
 }
 
 /**
- * Prepare parameters for compound cylinder analysis with trunnion
+ * Generate sleeve and jacket layer stack section HTML
  */
-async function prepareCompoundCylinderParams(formData, basicParams) {
-    // Convert trunnion dimensions to SI units
-    const trunnionOD = toSI(formData.trunnionOD, 'diameter');
-    const trunnionLength = toSI(formData.trunnionLength, 'length');
+function generateMultilayerSection(multilayer, units, targetSF) {
+    if (multilayer.error) {
+        return `
+        <div class="alert alert-warning mt-3" role="alert">
+            <strong>Layer analysis:</strong> ${multilayer.error}
+        </div>
+        `;
+    }
     
-    // Calculate trunnion inner radius (should equal barrel outer radius minus interference)
-    // For now, assume a typical interference fit of 0.025-0.1mm depending on size
-    const barrelOuterRadius = basicParams.ro;
-    const interference = Math.max(0.025, barrelOuterRadius * 0.001); // 0.1% of radius, min 0.025mm
-    const trunnionInnerRadius = barrelOuterRadius - interference;
-    const trunnionOuterRadius = trunnionOD / 2;
+    const { layers, interfaces, safetyFactors: layerSF, governingLayer, warnings } = multilayer;
     
-    // Material properties - assume same material for barrel and trunnion for now
-    // In a real application, these could be different materials
-    const E_barrel = 200000; // MPa, typical steel elastic modulus
-    const E_trunnion = 200000; // MPa
-    const nu_barrel = 0.3; // Typical Poisson's ratio for steel
-    const nu_trunnion = 0.3;
+    const layerRows = layers.map((layer, index) => {
+        const critical = layer[layer.criticalLocation];
+        return `
+                        <tr class="${index === governingLayer ? 'table-warning' : ''}">
+                            <td>${index + 1}. ${layer.name}</td>
+                            <td>${fromSI(2 * layer.ro, 'diameter').toFixed(3)} ${units.diameter}</td>
+                            <td>${fromSI(critical.sigma_vm, 'stress').toFixed(1)} ${units.stress} (${layer.criticalLocation})</td>
+                            <td>${layer.SF_y === Infinity ? '∞' : layer.SF_y.toFixed(2)}</td>
+                        </tr>`;
+    }).join('');
     
-    // Set up compound cylinder parameters
-    const compoundParams = {
-        barrel: {
-            ri: basicParams.ri,
-            ro: barrelOuterRadius,
-            E: E_barrel,
-            nu: nu_barrel
-        },
-        trunnion: {
-            ri: trunnionInnerRadius,
-            ro: trunnionOuterRadius,
-            E: E_trunnion,
-            nu: nu_trunnion
-        },
-        interference: interference,
-        operatingPressure: basicParams.p_i,
-        externalPressure: basicParams.p_o,
-        material: {
-            Sy: basicParams.Sy,
-            Su: basicParams.Su
-        },
-        sigma_axial: basicParams.sigma_axial
-    };
+    const interfaceRows = interfaces.map((contact, index) => `
+                        <tr>
+                            <td>${index + 1}/${index + 2} at ${fromSI(2 * contact.radius, 'diameter').toFixed(3)} ${units.diameter}</td>
+                            <td>${fromSI(contact.preloadPressure, 'pressure').toFixed(0)} ${units.pressure}</td>
+                            <td class="${contact.separated ? 'text-danger' : ''}">${fromSI(contact.pressure, 'pressure').toFixed(0)} ${units.pressure}</td>
+                        </tr>`).join('');
     
-    // Validate geometry before proceeding
-    try {
-        validateGeometry(compoundParams.barrel, compoundParams.trunnion, interference);
-    } catch (error) {
-        console.warn('Trunnion geometry validation failed:', error.message);
-        throw new Error(`Invalid trunnion configuration: ${error.message}`);
+    return `
+        <div class="card mt-3">
+            <div class="card-header">
+                <h6 class="card-title mb-0">🧱 Sleeves & Jackets</h6>
+            </div>
+            <div class="card-body">
+                <div class="row">
+                    <div class="col-md-6">
+                        <div class="text-center">
+                            <h6 class="text-${layerSF.SF_y >= targetSF ? 'success' : 'warning'}">
+                                ${layerSF.SF_y.toFixed(2)}
+                            </h6>
+                            <small class="text-muted">Minimum Layer Yield SF</small>
+                        </div>
+                    </div>
+                    <div class="col-md-6">
+                        <div class="text-center">
+                            <h6 class="text-secondary">${layers[governingLayer].name}</h6>
+                            <small class="text-muted">Governing Layer</small>
+                        </div>
+                    </div>
+                </div>
+                <table class="table table-sm mb-0 mt-2">
+                    <thead>
+                        <tr><th>Layer</th><th>OD</th><th>Critical σ<sub>vm</sub></th><th>Yield SF</th></tr>
+                    </thead>
+                    <tbody>${layerRows}</tbody>
+                </table>
+                <table class="table table-sm mb-0 mt-2">
+                    <thead>
+                        <tr><th>Interface</th><th>Assembly Pressure</th><th>Operating Pressure</th></tr>
+                    </thead>
+                    <tbody>${interfaceRows}</tbody>
+                </table>
+                <small class="text-muted">
+                    Interface pressures are solved simultaneously from displacement compatibility 
+                    (${multilayer.loading.endCondition}${multilayer.loading.axialStrain ? `, shared axial strain ${(multilayer.loading.axialStrain * 1e6).toFixed(0)} µε` : ''}). 
+                    ${warnings.join('. ')}
+                </small>
+            </div>
+        </div>
+    `;
+}
+
+/**
+ * Generate rifling groove stress concentration section HTML
+ */
+function generateRiflingSection(rifling, units, targetSF) {
+    if (rifling.error) {
+        return `
+        <div class="alert alert-warning mt-3" role="alert">
+            <strong>Rifling analysis:</strong> ${rifling.error}
+        </div>
+        `;
     }
     
-    return compoundParams;
+    return `
+        <div class="card mt-3">
+            <div class="card-header">
+                <h6 class="card-title mb-0">🌀 Rifling Groove Stress</h6>
+            </div>
+            <div class="card-body">
+                <div class="row">
+                    <div class="col-md-4">
+                        <div class="text-center">
+                            <h6 class="text-secondary">${rifling.Kt.toFixed(2)}</h6>
+                            <small class="text-muted">Groove Corner K<sub>t</sub></small>
+                        </div>
+                    </div>
+                    <div class="col-md-4">
+                        <div class="text-center">
+                            <h6 class="text-secondary">
+                                ${fromSI(rifling.peak.sigma_eq, 'stress').toFixed(1)} ${units.stress}
+                            </h6>
+                            <small class="text-muted">Peak Local Stress</small>
+                        </div>
+                    </div>
+                    <div class="col-md-4">
+                        <div class="text-center">
+                            <h6 class="text-${rifling.safetyFactors.SF_y >= targetSF ? 'success' : 'warning'}">
+                                ${rifling.safetyFactors.SF_y.toFixed(2)}
+                            </h6>
+                            <small class="text-muted">Local Yield SF (nominal ${rifling.nominal.safetyFactors.SF_y.toFixed(2)})</small>
+                        </div>
+                    </div>
+                </div>
+                <hr>
+                <small class="text-muted">
+                    Groove depth ${fromSI(rifling.depth, 'diameter').toFixed(4)} ${units.diameter}, 
+                    ${rifling.geometry.grooveCount} grooves (isolated groove K<sub>t</sub> = ${rifling.KtSingle.toFixed(2)}). 
+                    Local yield at the groove corner is usually confined and shakes down; 
+                    the local SF matters most for fatigue.
+                </small>
+            </div>
+        </div>
+    `;
 }
 
 /**
- * Perform barrel analysis using Lamé equations
+ * Generate breech bolt thrust section HTML
  */
-async function performBarrelAnalysis(formData) {
-    // Convert form data to SI units for calculation
-    const ri = toSI(formData.boreDiameter / 2, 'diameter'); // Convert to radius in mm
-    const ro = toSI(formData.outerDiameter / 2, 'diameter'); // Convert to radius in mm
-    const p_i = toSI(formData.pressure, 'pressure'); // Convert to MPa
-    const Sy = toSI(formData.yieldStrength, 'pressure'); // Convert to MPa
-    
-    // Get ultimate strength - either user input or estimate from yield
-    let Su;
-    if (formData.ultimateStrength) {
-        Su = toSI(formData.ultimateStrength, 'pressure');
-    } else {
-        // Conservative estimate: Ultimate ≈ 1.5 × Yield for typical steels
-        Su = Sy * 1.5;
+function generateBreechSection(breech, units, targetSF, chamberAxialStress) {
+    if (breech.error) {
+        return `
+        <div class="alert alert-warning mt-3" role="alert">
+            <strong>Breech analysis:</strong> ${breech.error}
+        </div>
+        `;
     }
     
-    // Set up calculation parameters
-    const calcParams = {
-        ri: ri,
-        ro: ro,
-        p_i: p_i,
-        p_o: 0, // Atmospheric external pressure (assumed)
-        Sy: Sy,
-        Su: Su,
-        sigma_axial: 0 // Assume thin-walled axial stress approximation for now
-    };
+    const shank = breech.sections[0];
     
-    // Perform the nominal analysis - either single cylinder or compound cylinder
-    let result;
-    if (formData.enableTrunnion && formData.trunnionOD && formData.trunnionLength) {
-        // Compound cylinder analysis with trunnion
-        const trunnionParams = await prepareCompoundCylinderParams(formData, calcParams);
-        result = analyzeCompoundCylinder(trunnionParams);
-        result.analysisType = 'compound';
-    } else {
-        // Standard single cylinder analysis
-        result = analyzeCircle(calcParams);
-        result.analysisType = 'single';
-    }
+    return `
+        <div class="card mt-3">
+            <div class="card-header">
+                <h6 class="card-title mb-0">🔒 Breech Bolt Thrust</h6>
+            </div>
+            <div class="card-body">
+                <div class="row">
+                    <div class="col-md-4">
+                        <div class="text-center">
+                            <h6 class="text-secondary">
+                                ${fromSI(breech.thrust, 'force').toFixed(0)} ${units.force}
+                            </h6>
+                            <small class="text-muted">Bolt Thrust</small>
+                        </div>
+                    </div>
+                    <div class="col-md-4">
+                        <div class="text-center">
+                            <h6 class="text-secondary">
+                                ${fromSI(shank.sigma_axial, 'stress').toFixed(1)} ${units.stress}
+                            </h6>
+                            <small class="text-muted">Shank Axial Stress</small>
+                        </div>
+                    </div>
+                    <div class="col-md-4">
+                        <div class="text-center">
+                            <h6 class="text-${shank.safetyFactors.SF_y >= targetSF ? 'success' : 'warning'}">
+                                ${shank.safetyFactors.SF_y.toFixed(2)}
+                            </h6>
+                            <small class="text-muted">Shank Yield SF (closed-end ${shank.closedEndSafetyFactors.SF_y.toFixed(2)})</small>
+                        </div>
+                    </div>
+                </div>
+                <hr>
+                <small class="text-muted">
+                    Chamber pressure on a ${fromSI(breech.headDiameter, 'diameter').toFixed(3)} ${units.diameter} case head, 
+                    carried in tension through a ${fromSI(2 * shank.ro, 'diameter').toFixed(3)} ${units.diameter} shank. 
+                    The chamber section safety factors above include this thrust as 
+                    σ<sub>z</sub> = ${fromSI(chamberAxialStress, 'stress').toFixed(1)} ${units.stress} over the barrel wall. 
+                    Safety factors use the ${breech.failureCriterion} criterion.
+                </small>
+            </div>
+        </div>
+    `;
+}
+
+/**
+ * Generate tenon and muzzle thread section HTML
+ */
+function generateThreadsSection(threads, units, targetSF) {
+    const labels = { tenon: 'Tenon', muzzle: 'Muzzle' };
+    const modeLabels = {
+        'barrel-thread-stripping': 'Barrel thread stripping',
+        'mating-thread-stripping': 'Mating thread stripping',
+        'tension': 'Tension',
+        'root-wall': 'Wall under thread root'
+    };
+    const sfCell = sf => `<td class="text-${sf.SF_y >= targetSF ? 'success' : 'warning'}">${sf.SF_y.toFixed(2)}</td>`;
     
-    // Perform tolerance analysis if not precision class
-    let toleranceAnalysis = null;
-    if (formData.toleranceClass && formData.toleranceClass !== 'precision') {
-        try {
-            // Map tolerance classes to ISO 286 standard fits
-            const toleranceMapping = {
-                'precision': 'H7/h6',
-                'standard': 'H8/h7', 
-                'commercial': 'H9/h8',
-                'rough': 'H11/h9'
-            };
-            
-            const toleranceClass = toleranceMapping[formData.toleranceClass] || 'H8/h7';
-            
-            const toleranceParams = {
-                nominalInnerRadius: ri,
-                nominalOuterRadius: ro,
-                nominalPressure: p_i,
-                toleranceClass: toleranceClass,
-                toleranceStandard: 'iso286',
-                pressureToleranceLevel: formData.toleranceClass,
-                yieldStrength: Sy,
-                ultimateStrength: Su,
-                externalPressure: 0,
-                axialStress: 0
-            };
-            
-            // Validate tolerance parameters
-            const validation = validateToleranceParams(toleranceParams);
-            if (validation.isValid) {
-                toleranceAnalysis = await performWorstCaseAnalysis(toleranceParams);
-            } else {
-                console.warn('Tolerance analysis skipped due to invalid parameters:', validation.errors);
-            }
-        } catch (error) {
-            console.warn('Tolerance analysis failed:', error.message);
-            // Continue with nominal analysis only
+    const rows = Object.entries(threads).map(([key, thread]) => {
+        if (thread.error) {
+            return `<tr><td>${labels[key]}</td><td colspan="6" class="text-warning">${thread.error}</td></tr>`;
         }
-    }
+        return `
+            <tr>
+                <td>${labels[key]}</td>
+                <td>${thread.thread.designation}</td>
+                ${sfCell(thread.stripping.external.safetyFactors)}
+                ${sfCell(thread.stripping.internal.safetyFactors)}
+                ${sfCell(thread.tension.safetyFactors)}
+                ${sfCell(thread.wall.safetyFactors)}
+                <td>${modeLabels[thread.governingMode]}</td>
+            </tr>
+        `;
+    }).join('');
     
-    // Generate stress field for visualization
-    let stressField;
-    if (result.analysisType === 'compound') {
-        // Generate compound stress field for trunnion analysis
-        stressField = generateCompoundStressField(
-            result.combinedStresses,
-            result.geometry,
-            50 // 50 points per region for smooth curves
-        );
-    } else {
-        // Generate standard stress field for single cylinder
-        stressField = generateStressField(
-            ri,
-            ro,
-            result.lameCoefficients.A,
-            result.lameCoefficients.B,
-            50 // 50 points for smooth curves
-        );
+    const analyzed = Object.values(threads).filter(thread => !thread.error);
+    const weakest = analyzed.length > 0
+        ? analyzed.reduce((a, b) => b.safetyFactors.SF_y < a.safetyFactors.SF_y ? b : a)
+        : null;
+    
+    return `
+        <div class="card mt-3">
+            <div class="card-header">
+                <h6 class="card-title mb-0">🔩 Tenon & Muzzle Threads</h6>
+            </div>
+            <div class="card-body">
+                ${weakest ? `
+                <div class="row">
+                    <div class="col-md-4">
+                        <div class="text-center">
+                            <h6 class="text-${weakest.safetyFactors.SF_y >= targetSF ? 'success' : 'warning'}">
+                                ${weakest.safetyFactors.SF_y.toFixed(2)}
+                            </h6>
+                            <small class="text-muted">Lowest Thread Yield SF (${weakest.thread.designation})</small>
+                        </div>
+                    </div>
+                    <div class="col-md-4">
+                        <div class="text-center">
+                            <h6 class="text-secondary">${fromSI(weakest.wall.thickness, 'thickness').toFixed(3)} ${units.thickness}</h6>
+                            <small class="text-muted">Wall Under Thread Root</small>
+                        </div>
+                    </div>
+                    <div class="col-md-4">
+                        <div class="text-center">
+                            <h6 class="text-secondary">
+                                ${fromSI(weakest.stripping.external.shearStress, 'stress').toFixed(1)} ${units.stress}
+                            </h6>
+                            <small class="text-muted">Barrel Thread Shear</small>
+                        </div>
+                    </div>
+                </div>
+                ` : ''}
+                <table class="table table-sm mb-0 mt-2">
+                    <thead>
+                        <tr>
+                            <th>Location</th><th>Thread</th><th>Barrel Strip SF</th><th>Mating Strip SF</th>
+                            <th>Tension SF</th><th>Root Wall SF</th><th>Governing</th>
+                        </tr>
+                    </thead>
+                    <tbody>${rows}</tbody>
+                </table>
+                <hr>
+                <small class="text-muted">
+                    Yield safety factors at basic thread size. Stripping uses shear strength from the selected 
+                    failure criterion; the thread load is the local pressure on the bore area.
+                </small>
+            </div>
+        </div>
+    `;
+}
+
+/**
+ * Generate parameter sweep section HTML
+ */
+function generateSweepSection(sweep, units, targetSF) {
+    if (sweep.error) {
+        return `
+        <div class="alert alert-warning mt-3" role="alert">
+            <strong>Design curves:</strong> ${sweep.error}
+        </div>
+        `;
     }
     
-    // Add stress field to result
-    result.stressField = stressField;
-    
-    // Add tolerance analysis if available
-    if (toleranceAnalysis) {
-        result.toleranceAnalysis = toleranceAnalysis;
+    const type = SWEEP_INPUT_TYPES[sweep.variable];
+    const precision = type === 'diameter' ? 3 : 0;
+    const label = SWEEP_INPUT_LABELS[sweep.variable];
+    
+    // First crossing of the target yield safety factor, interpolated between points
+    let crossing = null;
+    for (let i = 1; i < sweep.points.length && crossing === null; i++) {
+        const a = sweep.points[i - 1];
+        const b = sweep.points[i];
+        if (!a.error && !b.error && (a.SF_y - targetSF) * (b.SF_y - targetSF) <= 0 && a.SF_y !== b.SF_y) {
+            crossing = a.value + (targetSF - a.SF_y) / (b.SF_y - a.SF_y) * (b.value - a.value);
+        }
     }
     
-    // Add original form data for reference
-    result.inputData = formData;
+    const rows = sweep.points.map(point => point.error ? `
+            <tr>
+                <td>${fromSI(point.value, type).toFixed(precision)}</td>
+                <td colspan="5" class="text-muted">${point.error}</td>
+            </tr>
+        ` : `
+            <tr>
+                <td>${fromSI(point.value, type).toFixed(precision)}</td>
+                <td class="text-${point.SF_y >= targetSF ? 'success' : 'warning'}">${point.SF_y.toFixed(2)}</td>
+                <td>${point.SF_u.toFixed(2)}</td>
+                <td>${fromSI(point.firstYieldPressure, 'pressure').toFixed(0)}</td>
+                <td>${fromSI(point.burstPressure, 'pressure').toFixed(0)}</td>
+                <td>${fromSI(point.peakVonMises, 'pressure').toFixed(0)}</td>
+            </tr>
+        `).join('');
     
-    return result;
+    return `
+        <div class="card mt-3">
+            <div class="card-header">
+                <h6 class="card-title mb-0">📊 Design Curves: ${label}</h6>
+            </div>
+            <div class="card-body">
+                <p class="mb-2">
+                    ${crossing !== null
+                        ? `Yield SF reaches the target ${targetSF.toFixed(1)} at ${label.toLowerCase()} 
+                           <strong>${fromSI(crossing, type).toFixed(precision)} ${units[type]}</strong>.`
+                        : `Yield SF does not cross the target ${targetSF.toFixed(1)} in this range.`}
+                </p>
+                <div class="table-responsive" style="max-height: 320px;">
+                    <table class="table table-sm mb-0">
+                        <thead>
+                            <tr>
+                                <th>${label} (${units[type]})</th><th>Yield SF</th><th>Ultimate SF</th>
+                                <th>First Yield (${units.pressure})</th><th>Burst (${units.pressure})</th>
+                                <th>Peak VM (${units.pressure})</th>
+                            </tr>
+                        </thead>
+                        <tbody>${rows}</tbody>
+                    </table>
+                </div>
+                <hr>
+                <small class="text-muted">
+                    ${sweep.points.length} analyses with every other input held. For a barrel with trunnion the 
+                    first yield and burst pressures are the operating pressures at which the governing location 
+                    reaches the yield and ultimate strengths.
+                </small>
+            </div>
+        </div>
+    `;
 }
 
 /**
- * Display calculation results in the UI
+ * Generate interior ballistics section HTML
  */
-function displayCalculationResults(result, formData) {
-    const resultsDisplay = document.getElementById('results-display');
-    const units = formData.units;
+function generateBallisticsSection(ballistics, units) {
+    if (ballistics.error) {
+        return `
+        <div class="alert alert-warning mt-3" role="alert">
+            <strong>Interior ballistics:</strong> ${ballistics.error}
+        </div>
+        `;
+    }
     
-    // Convert results back to display units - handle both single and compound cylinder results
-    let displayResult;
-    let safetyFactors;
-    let burstPressure;
+    const { peak, muzzle } = ballistics;
     
-    if (result.analysisType === 'compound') {
-        // For compound cylinder, extract the worst safety factors from critical locations
-        const criticalAnalysis = result.analysis;
-        const allSafetyFactors = Object.values(criticalAnalysis).map(loc => loc.safetyFactors);
-        
-        // Find minimum safety factors across all critical locations
-        safetyFactors = {
-            SF_y: Math.min(...allSafetyFactors.map(sf => sf.SF_y)),
-            SF_u: Math.min(...allSafetyFactors.map(sf => sf.SF_u))
-        };
-        
-        // For compound cylinders, burst pressure estimation would need special handling
-        // For now, use a simplified approach based on barrel inner radius
-        burstPressure = result.loadings.operatingPressure * 2; // Simplified estimate
-        
-        displayResult = {
-            safetyFactors: safetyFactors,
-            burstPressure: fromSI(burstPressure, 'pressure'),
-            stresses: {
-                inner: {
-                    sigma_r: fromSI(criticalAnalysis.barrelInner.stresses.sigma_r, 'pressure'),
-                    sigma_theta: fromSI(criticalAnalysis.barrelInner.stresses.sigma_theta, 'pressure'),
-                    sigma_vm: fromSI(criticalAnalysis.barrelInner.sigma_vm, 'pressure')
-                },
-                outer: {
-                    sigma_r: fromSI(criticalAnalysis.trunnionOuter.stresses.sigma_r, 'pressure'),
-                    sigma_theta: fromSI(criticalAnalysis.trunnionOuter.stresses.sigma_theta, 'pressure'),
-                    sigma_vm: fromSI(criticalAnalysis.trunnionOuter.sigma_vm, 'pressure')
-                }
-            },
-            contactPressure: fromSI(result.contactPressure, 'pressure'),
-            analysisType: 'compound'
-        };
-    } else {
-        // Standard single cylinder result
-        displayResult = {
-            safetyFactors: result.safetyFactors,
-            burstPressure: fromSI(result.burstPressure, 'pressure'),
-            stresses: {
-                inner: {
-                    sigma_r: fromSI(result.stresses.inner.sigma_r, 'pressure'),
-                    sigma_theta: fromSI(result.stresses.inner.sigma_theta, 'pressure'),
-                    sigma_vm: fromSI(result.stresses.inner.sigma_vm, 'pressure')
-                },
-                outer: {
-                    sigma_r: fromSI(result.stresses.outer.sigma_r, 'pressure'),
-                    sigma_theta: fromSI(result.stresses.outer.sigma_theta, 'pressure'),
-                    sigma_vm: fromSI(result.stresses.outer.sigma_vm, 'pressure')
-                }
-            },
-            analysisType: 'single'
-        };
-        safetyFactors = result.safetyFactors;
+    return `
+        <div class="card mt-3">
+            <div class="card-header">
+                <h6 class="card-title mb-0">💥 Interior Ballistics</h6>
+            </div>
+            <div class="card-body">
+                <div class="row">
+                    <div class="col-md-4">
+                        <div class="text-center">
+                            <h6 class="text-secondary">${fromSI(muzzle.velocity, 'velocity').toFixed(0)} ${units.velocity}</h6>
+                            <small class="text-muted">Muzzle Velocity</small>
+                        </div>
+                    </div>
+                    <div class="col-md-4">
+                        <div class="text-center">
+                            <h6 class="text-secondary">${fromSI(peak.position, 'length').toFixed(2)} ${units.length}</h6>
+                            <small class="text-muted">Peak Pressure from Breech</small>
+                        </div>
+                    </div>
+                    <div class="col-md-4">
+                        <div class="text-center">
+                            <h6 class="text-secondary">${fromSI(muzzle.pressure, 'pressure').toFixed(0)} ${units.pressure}</h6>
+                            <small class="text-muted">Chamber Pressure at Muzzle Exit</small>
+                        </div>
+                    </div>
+                </div>
+                <hr>
+                <small class="text-muted">
+                    ${fromSI(ballistics.chargeMass, 'mass').toFixed(1)} ${units.mass} charge 
+                    (loading density ${ballistics.loadingDensity.toFixed(2)} g/cm³), 
+                    ${(muzzle.burnt * 100).toFixed(0)}% burnt at muzzle exit ${muzzle.time.toFixed(2)} ms after ignition. 
+                    Lumped-parameter model with a Lagrange gradient, calibrated to the peak pressure; heat loss 
+                    and bore friction are neglected, so velocities read high.
+                </small>
+            </div>
+        </div>
+    `;
+}
+
+/**
+ * Generate barrel weight and balance section HTML
+ */
+function generateMassSection(mass, SF_y, units, targetSF) {
+    if (mass.error) {
+        return `
+        <div class="alert alert-warning mt-3" role="alert">
+            <strong>Weight and balance:</strong> ${mass.error}
+        </div>
+        `;
     }
     
-    // Determine safety status
-    const minSafetyFactor = Math.min(safetyFactors.SF_y, safetyFactors.SF_u);
-    const targetSF = formData.safetyFactor || 3.0;
-    const isDesignSafe = minSafetyFactor >= targetSF;
+    const weight = value => `${fromSI(value, 'weight').toFixed(units.weight === 'lb' ? 2 : 3)} ${units.weight}`;
+    const inertia = value => `${fromSI(value, 'inertia').toPrecision(4)} ${units.inertia}`;
     
-    resultsDisplay.innerHTML = `
-        <div class="alert ${isDesignSafe ? 'alert-success' : 'alert-warning'}" role="alert">
-            <h6 class="alert-heading">${isDesignSafe ? '✅' : '⚠️'} Analysis Complete</h6>
-            <p class="mb-2">
-                ${isDesignSafe 
-                    ? 'Design meets safety requirements.' 
-                    : 'Design may not meet safety requirements - review results carefully.'}
-            </p>
-            <small class="text-muted">
-                Results calculated using Lamé thick-walled cylinder equations.
-            </small>
+    return `
+        <div class="card mt-3">
+            <div class="card-header">
+                <h6 class="card-title mb-0">⚖️ Barrel Weight &amp; Balance</h6>
+            </div>
+            <div class="card-body">
+                <div class="row">
+                    <div class="col-md-4">
+                        <div class="text-center">
+                            <h6 class="text-secondary">${weight(mass.mass)}</h6>
+                            <small class="text-muted">Barrel Weight</small>
+                        </div>
+                    </div>
+                    <div class="col-md-4">
+                        <div class="text-center">
+                            <h6 class="text-${SF_y >= targetSF ? 'success' : 'warning'}">${SF_y.toFixed(2)}</h6>
+                            <small class="text-muted">Lowest Yield SF</small>
+                        </div>
+                    </div>
+                    <div class="col-md-4">
+                        <div class="text-center">
+                            <h6 class="text-secondary">${fromSI(mass.centerOfGravity, 'length').toFixed(2)} ${units.length}</h6>
+                            <small class="text-muted">Center of Gravity from Breech</small>
+                        </div>
+                    </div>
+                </div>
+                <table class="table table-sm mb-0 mt-2">
+                    <tbody>
+                        <tr><td>Polar moment of inertia (bore axis)</td><td>${inertia(mass.inertia.polar)}</td></tr>
+                        <tr><td>Transverse moment about the CG</td><td>${inertia(mass.inertia.transverse)}</td></tr>
+                        <tr><td>Transverse moment about the breech face</td><td>${inertia(mass.inertia.transverseBreech)}</td></tr>
+                        ${mass.fluteMass > 0 ? `<tr><td>Removed by flutes</td><td>${weight(mass.fluteMass)}</td></tr>` : ''}
+                        ${mass.minimumODMass ? `<tr><td>Weight at the minimum OD for SF ${targetSF.toFixed(1)}</td><td>${weight(mass.minimumODMass)}</td></tr>` : ''}
+                    </tbody>
+                </table>
+                <hr>
+                <small class="text-muted">
+                    ${fromSI(mass.length, 'length').toFixed(1)} ${units.length} of barrel at 
+                    ${fromSI(mass.density, 'density').toFixed(units.density === 'kg/m3' ? 0 : 1)} ${units.density}, 
+                    without the chamber, threads or muzzle device. Thinning the wall saves weight at the cost of 
+                    safety factor; compare the weight at the minimum OD against the design above.
+                </small>
+            </div>
         </div>
-        
-        <div class="row">
-            <div class="col-md-6">
-                <div class="card">
-                    <div class="card-header">
-                        <h6 class="card-title mb-0">🛡️ Safety Factors</h6>
+    `;
+}
+
+/**
+ * Generate barrel harmonics section HTML
+ */
+function generateVibrationSection(vibration, ballistics, units) {
+    if (vibration.error) {
+        return `
+        <div class="alert alert-warning mt-3" role="alert">
+            <strong>Barrel harmonics:</strong> ${vibration.error}
+        </div>
+        `;
+    }
+    
+    const fundamental = vibration.modes[0];
+    const rows = vibration.modes.map(mode => `
+        <tr>
+            <td>${mode.mode}</td>
+            <td>${mode.frequency.toFixed(1)}</td>
+            <td>${(1000 / mode.frequency).toFixed(3)}</td>
+            <td>${mode.nodes.length > 0 ? mode.nodes.map(node => fromSI(node, 'length').toFixed(1)).join(', ') : '—'}</td>
+        </tr>
+    `).join('');
+    
+    // Barrel time in periods of the fundamental, when the interior ballistics are known
+    const barrelTime = ballistics && !ballistics.error ? ballistics.muzzle.time : null;
+    
+    return `
+        <div class="card mt-3">
+            <div class="card-header">
+                <h6 class="card-title mb-0">🎵 Barrel Harmonics</h6>
+            </div>
+            <div class="card-body">
+                <div class="row">
+                    <div class="col-md-4">
+                        <div class="text-center">
+                            <h6 class="text-secondary">${fundamental.frequency.toFixed(1)} Hz</h6>
+                            <small class="text-muted">Fundamental Frequency</small>
+                        </div>
                     </div>
-                    <div class="card-body">
-                        <div class="row">
-                            <div class="col-6">
-                                <div class="text-center">
-                                    <h5 class="text-${safetyFactors.SF_y >= targetSF ? 'success' : 'warning'}">
-                                        ${safetyFactors.SF_y.toFixed(2)}
-                                    </h5>
-                                    <small class="text-muted">Yield SF</small>
-                                </div>
-                            </div>
-                            <div class="col-6">
-                                <div class="text-center">
-                                    <h5 class="text-${safetyFactors.SF_u >= targetSF ? 'success' : 'warning'}">
-                                        ${safetyFactors.SF_u.toFixed(2)}
-                                    </h5>
-                                    <small class="text-muted">Ultimate SF</small>
-                                </div>
-                            </div>
+                    <div class="col-md-4">
+                        <div class="text-center">
+                            <h6 class="text-secondary">${fromSI(vibration.length, 'length').toFixed(1)} ${units.length}</h6>
+                            <small class="text-muted">Free Length from Receiver</small>
+                        </div>
+                    </div>
+                    <div class="col-md-4">
+                        <div class="text-center">
+                            <h6 class="text-secondary">${barrelTime !== null ? (barrelTime * fundamental.frequency / 1000).toFixed(3) : '—'}</h6>
+                            <small class="text-muted">Fundamental Cycles Before Exit</small>
+                        </div>
+                    </div>
+                </div>
+                <table class="table table-sm mb-0 mt-2">
+                    <thead>
+                        <tr>
+                            <th>Mode</th><th>Frequency (Hz)</th><th>Period (ms)</th>
+                            <th>Nodes from Breech (${units.length})</th>
+                        </tr>
+                    </thead>
+                    <tbody>${rows}</tbody>
+                </table>
+                <hr>
+                <small class="text-muted">
+                    Euler-Bernoulli cantilever of ${vibration.elements} stepped elements, 
+                    ${fromSI(vibration.beamMass, 'weight').toFixed(units.weight === 'lb' ? 2 : 3)} ${units.weight} free to vibrate
+                    ${vibration.muzzleMass > 0 ? ` with a ${fromSI(vibration.muzzleMass, 'weight').toFixed(units.weight === 'lb' ? 2 : 3)} ${units.weight} muzzle device` : ''}. 
+                    A rigid clamp and no stock contact give upper bounds on the frequencies.
+                    ${barrelTime !== null ? `Barrel time ${barrelTime.toFixed(3)} ms from the interior ballistics model.` : 'Enable interior ballistics to compare the barrel time with the period.'}
+                </small>
+            </div>
+        </div>
+    `;
+}
+
+/**
+ * Generate barrel contour section HTML
+ */
+function generateContourSection(contour, units, targetSF) {
+    if (contour.error) {
+        return `
+        <div class="alert alert-warning mt-3" role="alert">
+            <strong>Contour analysis:</strong> ${contour.error}
+        </div>
+        `;
+    }
+    
+    const { weakest } = contour;
+    const rows = contour.stations
+        .filter((station, i) => station.isStation || i === contour.weakestIndex)
+        .map(station => `
+            <tr class="${station === weakest ? 'table-warning' : ''}">
+                <td>${fromSI(station.position, 'length').toFixed(1)}</td>
+                <td>${fromSI(station.outerDiameter, 'diameter').toFixed(3)}</td>
+                <td>${fromSI(station.boreDiameter, 'diameter').toFixed(3)}</td>
+                <td>${fromSI(station.p_i, 'pressure').toFixed(0)}</td>
+                <td class="text-${station.safetyFactors.SF_y >= targetSF ? 'success' : 'warning'}">${station.safetyFactors.SF_y.toFixed(2)}</td>
+            </tr>
+        `).join('');
+    
+    return `
+        <div class="card mt-3">
+            <div class="card-header">
+                <h6 class="card-title mb-0">📐 Barrel Contour</h6>
+            </div>
+            <div class="card-body">
+                <div class="row">
+                    <div class="col-md-4">
+                        <div class="text-center">
+                            <h6 class="text-${contour.safetyFactors.SF_y >= targetSF ? 'success' : 'warning'}">
+                                ${contour.safetyFactors.SF_y.toFixed(2)}
+                            </h6>
+                            <small class="text-muted">Lowest Yield SF Along Barrel</small>
                         </div>
-                        <hr>
-                        <small class="text-muted">
-                            Target SF: ${targetSF.toFixed(1)} | 
-                            Minimum: ${minSafetyFactor.toFixed(2)}
-                        </small>
                     </div>
-                </div>
-            </div>
-            
-            <div class="col-md-6">
-                <div class="card">
-                    <div class="card-header">
-                        <h6 class="card-title mb-0">💥 Burst Pressure</h6>
+                    <div class="col-md-4">
+                        <div class="text-center">
+                            <h6 class="text-secondary">${fromSI(weakest.position, 'length').toFixed(1)} ${units.length}</h6>
+                            <small class="text-muted">Weakest Station from Breech</small>
+                        </div>
                     </div>
-                    <div class="card-body">
+                    <div class="col-md-4">
                         <div class="text-center">
-                            <h5 class="text-info">
-                                ${displayResult.burstPressure.toFixed(1)} ${units.pressure}
-                            </h5>
-                            <small class="text-muted">
-                                Estimated burst pressure<br>
-                                Current: ${formData.pressure.toFixed(1)} ${units.pressure} 
-                                (${(formData.pressure / displayResult.burstPressure * 100).toFixed(1)}%)
-                            </small>
+                            <h6 class="text-secondary">${fromSI(weakest.p_i, 'pressure').toFixed(0)} ${units.pressure}</h6>
+                            <small class="text-muted">Local Pressure There</small>
                         </div>
                     </div>
                 </div>
+                <table class="table table-sm mb-0 mt-2">
+                    <thead>
+                        <tr>
+                            <th>Position (${units.length})</th><th>OD (${units.diameter})</th>
+                            <th>Bore (${units.diameter})</th><th>Pressure (${units.pressure})</th><th>Yield SF</th>
+                        </tr>
+                    </thead>
+                    <tbody>${rows}</tbody>
+                </table>
+                <hr>
+                <small class="text-muted">
+                    ${contour.stations.length} sections analyzed over ${fromSI(contour.length, 'length').toFixed(1)} ${units.length}, 
+                    including points within tapers; the weakest is highlighted. Each section is a long cylinder 
+                    without the stress concentration at steps. The charts panel plots the elastic strength 
+                    against the bore pressure.
+                </small>
             </div>
         </div>
-        
+    `;
+}
+
+/**
+ * Generate gas port cross-bore section HTML
+ */
+function generateGasPortSection(gasPort, units, targetSF) {
+    if (gasPort.error) {
+        return `
+        <div class="alert alert-warning mt-3" role="alert">
+            <strong>Gas port analysis:</strong> ${gasPort.error}
+        </div>
+        `;
+    }
+    
+    const { geometry } = gasPort;
+    
+    return `
         <div class="card mt-3">
             <div class="card-header">
-                <h6 class="card-title mb-0">📊 Detailed Stress Analysis</h6>
+                <h6 class="card-title mb-0">💨 Gas Port</h6>
             </div>
             <div class="card-body">
-                <div class="table-responsive">
-                    <table class="table table-sm">
-                        <thead>
-                            <tr>
-                                <th>Location</th>
-                                <th>Radial Stress</th>
-                                <th>Hoop Stress</th>
-                                <th>Von Mises</th>
-                            </tr>
-                        </thead>
-                        <tbody>
-                            <tr>
-                                <td><strong>Inner Surface</strong></td>
-                                <td>${displayResult.stresses.inner.sigma_r.toFixed(1)} ${units.pressure}</td>
-                                <td>${displayResult.stresses.inner.sigma_theta.toFixed(1)} ${units.pressure}</td>
-                                <td>${displayResult.stresses.inner.sigma_vm.toFixed(1)} ${units.pressure}</td>
-                            </tr>
-                            <tr>
-                                <td><strong>Outer Surface</strong></td>
-                                <td>${displayResult.stresses.outer.sigma_r.toFixed(1)} ${units.pressure}</td>
-                                <td>${displayResult.stresses.outer.sigma_theta.toFixed(1)} ${units.pressure}</td>
-                                <td>${displayResult.stresses.outer.sigma_vm.toFixed(1)} ${units.pressure}</td>
-                            </tr>
-                        </tbody>
-                    </table>
+                <div class="row">
+                    <div class="col-md-4">
+                        <div class="text-center">
+                            <h6 class="text-secondary">${gasPort.Kt.toFixed(2)}</h6>
+                            <small class="text-muted">Cross-Bore K<sub>t</sub></small>
+                        </div>
+                    </div>
+                    <div class="col-md-4">
+                        <div class="text-center">
+                            <h6 class="text-secondary">
+                                ${fromSI(gasPort.peak.sigma_eq, 'stress').toFixed(1)} ${units.stress}
+                            </h6>
+                            <small class="text-muted">Peak Local Stress</small>
+                        </div>
+                    </div>
+                    <div class="col-md-4">
+                        <div class="text-center">
+                            <h6 class="text-${gasPort.safetyFactors.SF_y >= targetSF ? 'success' : 'warning'}">
+                                ${gasPort.safetyFactors.SF_y.toFixed(2)}
+                            </h6>
+                            <small class="text-muted">Port Yield SF (wall ${gasPort.nominal.safetyFactors.SF_y.toFixed(2)})</small>
+                        </div>
+                    </div>
                 </div>
+                <hr>
+                <small class="text-muted">
+                    ${fromSI(gasPort.p_port, 'pressure').toFixed(0)} ${units.pressure} at the port
+                    ${geometry.station !== null ? ` ${fromSI(geometry.station, 'length').toFixed(1)} ${units.length} from the breech` : ''}; 
+                    hole/bore ratio ${geometry.holeToBoreRatio.toFixed(2)}, wall ratio ${geometry.wallRatio.toFixed(2)}, 
+                    shell curvature factor ${gasPort.curvatureFactor.toFixed(3)}. 
+                    ${gasPort.warnings.join('. ')}
+                </small>
             </div>
         </div>
-        
-        ${displayResult.analysisType === 'compound' ? `
+    `;
+}
+
+/**
+ * Generate composite overwrap section HTML
+ */
+function generateOverwrapSection(overwrap, units, targetSF) {
+    if (overwrap.error) {
+        return `
+        <div class="alert alert-warning mt-3" role="alert">
+            <strong>Overwrap analysis:</strong> ${overwrap.error}
+        </div>
+        `;
+    }
+    
+    const { liner, composite } = overwrap;
+    
+    return `
         <div class="card mt-3">
             <div class="card-header">
-                <h6 class="card-title mb-0">🔧 Trunnion Analysis</h6>
+                <h6 class="card-title mb-0">🧵 Carbon Fiber Overwrap</h6>
             </div>
             <div class="card-body">
                 <div class="row">
                     <div class="col-md-4">
                         <div class="text-center">
-                            <h6 class="text-info">
-                                ${displayResult.contactPressure.toFixed(1)} ${units.pressure}
+                            <h6 class="text-${liner.safetyFactors.SF_y >= targetSF ? 'success' : 'warning'}">
+                                ${liner.safetyFactors.SF_y.toFixed(2)}
                             </h6>
-                            <small class="text-muted">Contact Pressure</small>
+                            <small class="text-muted">Liner Yield SF (${liner.criticalLocation})</small>
                         </div>
                     </div>
                     <div class="col-md-4">
                         <div class="text-center">
-                            <h6 class="text-secondary">
-                                ${(formData.trunnionOD - formData.outerDiameter).toFixed(2)} ${units.diameter}
+                            <h6 class="text-${composite.strengthRatio >= targetSF ? 'success' : 'warning'}">
+                                ${composite.tsaiWu.toFixed(3)}
                             </h6>
-                            <small class="text-muted">Trunnion Thickness</small>
+                            <small class="text-muted">Tsai-Wu Index (strength ratio ${composite.strengthRatio.toFixed(2)})</small>
                         </div>
                     </div>
                     <div class="col-md-4">
                         <div class="text-center">
-                            <h6 class="text-secondary">
-                                ${formData.trunnionLength?.toFixed(1) || 'N/A'} ${units.length}
+                            <h6 class="text-${composite.maxStress < 1 ? 'success' : 'danger'}">
+                                ${composite.maxStress.toFixed(3)}
                             </h6>
-                            <small class="text-muted">Trunnion Length</small>
+                            <small class="text-muted">Max Stress Index (${composite.critical.mode})</small>
                         </div>
                     </div>
                 </div>
                 <hr>
                 <small class="text-muted">
-                    <strong>Note:</strong> Compound cylinder analysis includes stress superposition from interference fit preload and operating pressure.
-                    Results show minimum safety factors across all critical locations.
+                    Interface pressure ${fromSI(overwrap.interfacePressure, 'pressure').toFixed(0)} ${units.pressure} 
+                    (${fromSI(overwrap.preloadPressure, 'pressure').toFixed(0)} ${units.pressure} from winding). 
+                    Composite hoop stress ${fromSI(composite.inner.sigma_theta, 'stress').toFixed(1)} ${units.stress} at the liner, 
+                    anisotropy k = ${composite.anisotropyRatio.toFixed(2)}. Ply indices fail at 1.
                 </small>
             </div>
         </div>
-        ` : ''}
-        
-        ${result.toleranceAnalysis ? generateToleranceAnalysisSection(result.toleranceAnalysis, units) : ''}
-        
-        <div class="card mt-3">
+    `;
+}
+
+/**
+ * Generate partial yield (elastic-plastic) section HTML
+ */
+function generatePartialYieldSection(partialYield, units) {
+    if (partialYield.error) {
+        return `
+        <div class="alert alert-danger mt-3" role="alert">
+            <strong>Partial yield analysis:</strong> ${partialYield.error}
+        </div>
+        `;
+    }
+    
+    const lengthPrecision = units.diameter === 'mm' ? 4 : 5;
+    
+    return `
+        <div class="card mt-3 border-warning">
             <div class="card-header">
-                <h6 class="card-title mb-0">📋 Input Summary</h6>
+                <h6 class="card-title mb-0">⚠️ Partial Yield (Elastic-Plastic)</h6>
             </div>
             <div class="card-body">
-                ${generateFormDataSummary(formData)}
+                <div class="row">
+                    <div class="col-md-4">
+                        <div class="text-center">
+                            <h6 class="text-warning">${(partialYield.plasticZoneFraction * 100).toFixed(1)}%</h6>
+                            <small class="text-muted">
+                                Plastic Zone (r = ${fromSI(partialYield.plasticZoneRadius, 'diameter').toFixed(3)} ${units.diameter})
+                            </small>
+                        </div>
+                    </div>
+                    <div class="col-md-4">
+                        <div class="text-center">
+                            <h6 class="text-${partialYield.permanentBoreGrowth > 0 ? 'danger' : 'success'}">
+                                ${fromSI(partialYield.permanentBoreGrowth, 'diameter').toFixed(lengthPrecision)} ${units.diameter}
+                            </h6>
+                            <small class="text-muted">Permanent Bore Growth (Ringing)</small>
+                        </div>
+                    </div>
+                    <div class="col-md-4">
+                        <div class="text-center">
+                            <h6 class="text-${partialYield.permanentOuterGrowth > 0 ? 'danger' : 'success'}">
+                                ${fromSI(partialYield.permanentOuterGrowth, 'diameter').toFixed(lengthPrecision)} ${units.diameter}
+                            </h6>
+                            <small class="text-muted">Permanent OD Growth (Bulge)</small>
+                        </div>
+                    </div>
+                </div>
+                <hr>
+                <small class="text-muted">
+                    First yield at ${fromSI(partialYield.firstYieldPressure, 'pressure').toFixed(0)} ${units.pressure}, 
+                    full plastic collapse at ${fromSI(partialYield.collapsePressure, 'pressure').toFixed(0)} ${units.pressure} 
+                    (open-end Hill solution). 
+                    ${partialYield.reverseYield ? 'Reverse yielding on unloading: permanent growth is approximate.' : ''}
+                </small>
             </div>
         </div>
     `;
+}
+
+/**
+ * Generate autofrettage analysis section HTML
+ */
+function generateAutofrettageSection(autofrettage, units, targetSF) {
+    if (autofrettage.error) {
+        return `
+        <div class="alert alert-warning mt-3" role="alert">
+            <strong>Autofrettage analysis:</strong> ${autofrettage.error}
+        </div>
+        `;
+    }
     
-    // Show chart placeholder for now
-    const chartsDisplay = document.getElementById('charts-display');
-    chartsDisplay.innerHTML = `
-        <div class="alert alert-info" role="alert">
-            <h6 class="alert-heading">📈 Stress Distribution Chart</h6>
-            <p class="mb-0">
-                Interactive stress distribution charts will be implemented in Task 12 using Chart.js.
-                Stress field data has been calculated and is available for visualization.
-            </p>
+    const { operating, plainTube, elasticLimitPressure } = autofrettage;
+    
+    return `
+        <div class="card mt-3">
+            <div class="card-header">
+                <h6 class="card-title mb-0">🔩 Autofrettage Analysis</h6>
+            </div>
+            <div class="card-body">
+                <div class="row">
+                    <div class="col-md-4">
+                        <div class="text-center">
+                            <h6 class="text-${operating.safetyFactors.SF_y >= targetSF ? 'success' : 'warning'}">
+                                ${operating.safetyFactors.SF_y.toFixed(2)}
+                            </h6>
+                            <small class="text-muted">Yield SF (plain: ${plainTube.safetyFactors.SF_y.toFixed(2)})</small>
+                        </div>
+                    </div>
+                    <div class="col-md-4">
+                        <div class="text-center">
+                            <h6 class="text-info">
+                                ${fromSI(elasticLimitPressure.autofrettaged, 'pressure').toFixed(0)} ${units.pressure}
+                            </h6>
+                            <small class="text-muted">
+                                Elastic-Limit Pressure (+${((elasticLimitPressure.gain - 1) * 100).toFixed(0)}%)
+                            </small>
+                        </div>
+                    </div>
+                    <div class="col-md-4">
+                        <div class="text-center">
+                            <h6 class="text-secondary">
+                                ${fromSI(autofrettage.overstrainPressure, 'pressure').toFixed(0)} ${units.pressure}
+                            </h6>
+                            <small class="text-muted">
+                                Overstrain Pressure (${(autofrettage.overstrainRatio * 100).toFixed(0)}%)
+                            </small>
+                        </div>
+                    </div>
+                </div>
+                <hr>
+                <small class="text-muted">
+                    Residual bore hoop stress: 
+                    ${fromSI(autofrettage.residualStresses.inner.sigma_theta, 'pressure').toFixed(1)} ${units.pressure}. 
+                    Critical location at r = ${fromSI(operating.r, 'diameter').toFixed(3)} ${units.diameter}.
+                    Overstrain solved with ${autofrettage.yieldCriterion === 'tresca' ? 'Tresca' : 'von Mises'} yield
+                    ${autofrettage.reverseYieldRadius > autofrettage.state.ri ? ' | Reverse yielding on unloading' : ''}.
+                </small>
+            </div>
         </div>
     `;
 }
@@ -1790,6 +5334,7 @@ function generateToleranceAnalysisSection(toleranceAnalysis, units) {
  */
 function displayCalculationError(error) {
     const resultsDisplay = document.getElementById('results-display');
+    const diagnostics = findSolverDiagnostics(error);
     
     resultsDisplay.innerHTML = `
         <div class="alert alert-danger" role="alert">
@@ -1798,6 +5343,7 @@ function displayCalculationError(error) {
                 An error occurred during the safety factor calculation:
             </p>
             <code>${error.message}</code>
+            ${diagnostics ? generateSolverDiagnostics(diagnostics) : ''}
             <hr>
             <small class="text-muted">
                 Please check your input values and try again. If the problem persists, 
@@ -1808,9 +5354,67 @@ function displayCalculationError(error) {
     
     // Clear charts display
     const chartsDisplay = document.getElementById('charts-display');
+    destroyCharts(chartsDisplay);
     chartsDisplay.innerHTML = '';
 }
 
+/**
+ * Find solver diagnostics on an error or the errors it wraps
+ */
+function findSolverDiagnostics(error) {
+    for (let current = error; current; current = current.cause) {
+        // Only solver failures with a recorded reason have diagnostics worth showing
+        if (current instanceof SolverError && current.diagnostics.reason) {
+            return current.diagnostics;
+        }
+    }
+    return null;
+}
+
+/**
+ * Generate solver convergence diagnostics HTML
+ */
+function generateSolverDiagnostics(diagnostics) {
+    const reasons = {
+        'no-bracket': 'No sign change was found, so the equation may have no solution for these inputs',
+        'max-iterations': 'The iteration limit was reached before convergence',
+        'non-finite': 'The equation could not be evaluated inside the search interval',
+        'invalid-bracket': 'The search interval is invalid'
+    };
+    const formatNumber = value => Number.isFinite(value) ? value.toPrecision(6) : String(value);
+    const recentSteps = (diagnostics.history || []).filter(entry => entry.iteration !== undefined).slice(-5);
+    
+    return `
+        <div class="mt-3">
+            <strong>Solver diagnostics</strong>
+            <ul class="small mb-2">
+                <li>${reasons[diagnostics.reason] || diagnostics.reason}</li>
+                ${diagnostics.iterations !== undefined ? `<li>Iterations: ${diagnostics.iterations}</li>` : ''}
+                ${diagnostics.expansions !== undefined ? `<li>Bracket expansions: ${diagnostics.expansions}</li>` : ''}
+                ${diagnostics.residual !== undefined ? `<li>Residual: ${formatNumber(diagnostics.residual)}</li>` : ''}
+                ${diagnostics.bracket ? `<li>Final bracket: [${diagnostics.bracket.map(formatNumber).join(', ')}]</li>` : ''}
+            </ul>
+            ${recentSteps.length > 0 ? `
+            <table class="table table-sm mb-0">
+                <thead>
+                    <tr><th>Iteration</th><th>x</th><th>f(x)</th><th>Step</th></tr>
+                </thead>
+                <tbody>
+                    ${recentSteps.map(entry => `
+                        <tr>
+                            <td>${entry.iteration}</td>
+                            <td>${formatNumber(entry.x)}</td>
+                            <td>${formatNumber(entry.fx)}</td>
+                            <td>${entry.step}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+            ` : ''}
+        </div>
+    `;
+}
+
 /**
  * Collect form data for processing
  */
@@ -1834,6 +5438,10 @@ function collectFormData() {
     formData.pressure = parseFloat(document.getElementById('pressure').value) || null;
     formData.yieldStrength = parseFloat(document.getElementById('yield-strength').value) || null;
     formData.elasticModulus = parseFloat(document.getElementById('elastic-modulus').value) || null;
+    formData.endCondition = document.getElementById('end-condition').value || 'closed-end';
+    formData.axialStrain = formData.endCondition === 'generalized-plane-strain'
+        ? parseFloat(document.getElementById('axial-strain').value) || 0
+        : 0;
     
     // Advanced options
     formData.enableTrunnion = document.getElementById('enable-trunnion').checked;
@@ -1843,8 +5451,185 @@ function collectFormData() {
         formData.interferenceFit = parseFloat(document.getElementById('interference-fit').value) || null;
     }
     
+    formData.enableRifling = document.getElementById('enable-rifling').checked;
+    if (formData.enableRifling) {
+        formData.grooveDiameter = parseFloat(document.getElementById('groove-diameter').value) || null;
+        formData.grooveCount = parseInt(document.getElementById('groove-count').value, 10) || 4;
+        formData.grooveRootRadius = parseFloat(document.getElementById('groove-root-radius').value) || null;
+        if (!formData.grooveDiameter || !formData.grooveRootRadius) {
+            formData.enableRifling = false;
+        }
+    }
+    
+    formData.enableGasPort = document.getElementById('enable-gas-port').checked;
+    if (formData.enableGasPort) {
+        formData.portDiameter = parseFloat(document.getElementById('port-diameter').value) || null;
+        formData.portLocation = parseFloat(document.getElementById('port-location').value) || null;
+        formData.portPressure = parseFloat(document.getElementById('port-pressure').value) || null;
+        formData.portOD = parseFloat(document.getElementById('port-od').value) || null;
+        if (!formData.portDiameter) {
+            formData.enableGasPort = false;
+        }
+    }
+    
+    formData.enableBreech = document.getElementById('enable-breech').checked;
+    if (formData.enableBreech) {
+        formData.caseHeadDiameter = parseFloat(document.getElementById('case-head-diameter').value) || null;
+        formData.shankOD = parseFloat(document.getElementById('shank-od').value) || null;
+        if (!formData.caseHeadDiameter) {
+            formData.enableBreech = false;
+        }
+    }
+    
+    formData.enableThreads = document.getElementById('enable-threads').checked;
+    if (formData.enableThreads) {
+        formData.threads = {};
+        for (const key of ['tenon', 'muzzle']) {
+            const designation = document.getElementById(`${key}-thread`).value.trim();
+            const engagementLength = parseFloat(document.getElementById(`${key}-engagement`).value) || null;
+            if (designation && engagementLength) {
+                formData.threads[key] = { designation, engagementLength };
+            }
+        }
+        if (formData.threads.tenon) {
+            formData.threads.tenon.material = document.getElementById('tenon-material').value || null;
+        }
+        if (formData.threads.muzzle) {
+            formData.threads.muzzle.material = document.getElementById('muzzle-device-material').value || null;
+            formData.threads.muzzle.pressure = parseFloat(document.getElementById('muzzle-pressure').value) || null;
+        }
+        if (Object.keys(formData.threads).length === 0) {
+            formData.enableThreads = false;
+        }
+    }
+    
+    formData.enableSweep = document.getElementById('enable-sweep').checked;
+    if (formData.enableSweep) {
+        formData.sweepVariable = document.getElementById('sweep-variable').value;
+        formData.sweepStart = parseFloat(document.getElementById('sweep-start').value);
+        formData.sweepEnd = parseFloat(document.getElementById('sweep-end').value);
+        formData.sweepSteps = parseInt(document.getElementById('sweep-steps').value) || 21;
+        if (!Number.isFinite(formData.sweepStart) || !Number.isFinite(formData.sweepEnd) || formData.sweepStart === formData.sweepEnd) {
+            formData.enableSweep = false;
+        }
+    }
+    
+    formData.enableBallistics = document.getElementById('enable-ballistics').checked;
+    if (formData.enableBallistics) {
+        formData.caseCapacity = parseFloat(document.getElementById('case-capacity').value) || null;
+        formData.bulletWeight = parseFloat(document.getElementById('bullet-weight').value) || null;
+        formData.chargeWeight = parseFloat(document.getElementById('charge-weight').value) || null;
+        formData.bulletSeat = parseFloat(document.getElementById('bullet-seat').value) || null;
+        if (!formData.caseCapacity || !formData.bulletWeight || !formData.barrelLength) {
+            formData.enableBallistics = false;
+        }
+    }
+    
+    formData.enableContour = document.getElementById('enable-contour').checked;
+    if (formData.enableContour) {
+        formData.contourCsv = document.getElementById('contour-csv').value.trim() || null;
+        formData.peakPressurePosition = parseFloat(document.getElementById('peak-pressure-position').value) || null;
+        formData.muzzleExitPressure = parseFloat(document.getElementById('muzzle-exit-pressure').value) || null;
+        if (!formData.contourCsv && !formData.barrelLength) {
+            formData.enableContour = false;
+        }
+    }
+    
+    formData.enableMass = document.getElementById('enable-mass').checked;
+    if (formData.enableMass) {
+        formData.barrelDensity = parseFloat(document.getElementById('barrel-density').value) || null;
+        const flutes = {
+            count: parseInt(document.getElementById('flute-count').value) || null,
+            width: parseFloat(document.getElementById('flute-width').value) || null,
+            depth: parseFloat(document.getElementById('flute-depth').value) || null,
+            start: parseFloat(document.getElementById('flute-start').value),
+            end: parseFloat(document.getElementById('flute-end').value) || null
+        };
+        // A flute set needs its count, size and extent
+        formData.flutes = flutes.count && flutes.width && flutes.depth && flutes.start >= 0 && flutes.end
+            ? flutes
+            : null;
+        if (!formData.contourCsv && !formData.barrelLength) {
+            formData.enableMass = false;
+        }
+    }
+    
+    formData.enableVibration = document.getElementById('enable-vibration').checked;
+    if (formData.enableVibration) {
+        formData.receiverFace = parseFloat(document.getElementById('receiver-face').value) || null;
+        formData.muzzleDeviceWeight = parseFloat(document.getElementById('muzzle-device-weight').value) || null;
+        formData.vibrationModes = parseInt(document.getElementById('vibration-modes').value) || 4;
+        if (!formData.contourCsv && !formData.barrelLength) {
+            formData.enableVibration = false;
+        }
+    }
+    
+    formData.enableAutofrettage = document.getElementById('enable-autofrettage').checked;
+    if (formData.enableAutofrettage) {
+        formData.overstrainRatio = parseFloat(document.getElementById('overstrain-ratio').value) || 0;
+        formData.autofrettagePressure = parseFloat(document.getElementById('autofrettage-pressure').value) || null;
+        formData.bauschingerFactor = parseFloat(document.getElementById('bauschinger-factor').value) || 1.0;
+    }
+    
+    formData.enableFatigue = document.getElementById('enable-fatigue').checked;
+    if (formData.enableFatigue) {
+        formData.surfaceFinish = document.getElementById('surface-finish').value || 'machined';
+        formData.fatigueReliability = parseFloat(document.getElementById('fatigue-reliability').value) || 0.5;
+        formData.enduranceLimit = parseFloat(document.getElementById('endurance-limit').value) || null;
+    }
+    
+    formData.enableFracture = document.getElementById('enable-fracture').checked;
+    if (formData.enableFracture) {
+        formData.fractureToughness = parseFloat(document.getElementById('fracture-toughness').value) || null;
+        formData.crackDepth = parseFloat(document.getElementById('crack-depth').value) || null;
+    }
+    
+    formData.enableMultilayer = document.getElementById('enable-multilayer').checked;
+    if (formData.enableMultilayer) {
+        formData.layers = Array.from(document.querySelectorAll('#layer-rows .layer-row'))
+            .map(row => ({
+                outerDiameter: parseFloat(row.querySelector('.layer-od').value) || null,
+                interference: parseFloat(row.querySelector('.layer-interference').value) || 0,
+                material: row.querySelector('.layer-material').value || null
+            }))
+            .filter(layer => layer.outerDiameter);
+        if (formData.layers.length === 0) {
+            formData.enableMultilayer = false;
+        }
+    }
+    
+    formData.enableOverwrap = document.getElementById('enable-overwrap').checked;
+    if (formData.enableOverwrap) {
+        formData.overwrapMaterial = document.getElementById('overwrap-material').value;
+        formData.overwrapOD = parseFloat(document.getElementById('overwrap-od').value) || null;
+        formData.overwrapInterference = parseFloat(document.getElementById('overwrap-interference').value) || 0;
+        if (!formData.overwrapOD) {
+            formData.enableOverwrap = false;
+        }
+    }
+    
+    formData.enableStrainGauge = document.getElementById('enable-strain-gauge').checked;
+    if (formData.enableStrainGauge) {
+        formData.measuredStrain = parseFloat(document.getElementById('measured-strain').value);
+        formData.calibrationFactor = parseFloat(document.getElementById('calibration-factor').value) || null;
+        formData.strainCsv = document.getElementById('strain-csv').value.trim() || null;
+        formData.strainAxialCorrection = document.getElementById('strain-axial-correction').checked;
+    }
+    
+    formData.enableThermal = document.getElementById('enable-thermal').checked;
+    if (formData.enableThermal) {
+        formData.boreTemperature = parseFloat(document.getElementById('bore-temperature').value);
+        formData.outerTemperature = parseFloat(document.getElementById('outer-temperature').value);
+        if (isNaN(formData.boreTemperature) || isNaN(formData.outerTemperature)) {
+            formData.enableThermal = false;
+        }
+    }
+    
     formData.toleranceClass = document.getElementById('tolerance-class').value || 'precision';
     formData.safetyFactor = parseFloat(document.getElementById('safety-factor').value) || 3.0;
+    formData.failureCriterion = document.getElementById('failure-criterion').value || 'von-mises';
+    formData.compressiveStrengthRatio = parseFloat(document.getElementById('compressive-strength-ratio').value) || 1.0;
+    formData.hardeningModulus = parseFloat(document.getElementById('hardening-modulus').value) || 0;
     
     // System info
     formData.unitSystem = getSystem();
@@ -1887,14 +5672,193 @@ function generateFormDataSummary(data) {
     html += '<ul class="list-unstyled">';
     html += `<li><strong>Material:</strong> ${data.materialSelection || 'Custom'}</li>`;
     html += `<li><strong>Max Pressure:</strong> ${data.pressure?.toFixed(0) || 'N/A'} ${units.pressure}</li>`;
+    html += `<li><strong>End Condition:</strong> ${data.endCondition || 'N/A'}</li>`;
     html += `<li><strong>Yield Strength:</strong> ${data.yieldStrength?.toFixed(0) || 'N/A'} ${units.stress}</li>`;
     html += `<li><strong>Safety Factor:</strong> ${data.safetyFactor?.toFixed(1) || 'N/A'}</li>`;
+    html += `<li><strong>Failure Criterion:</strong> ${FAILURE_CRITERION_LABELS[data.failureCriterion] || 'N/A'}</li>`;
     html += '</ul>';
     html += '</div>';
     
     html += '</div>';
     
     // Trunnion info if enabled
+    if (data.enableRifling) {
+        html += '<hr><h6>Rifling</h6>';
+        html += '<ul class="list-unstyled">';
+        html += `<li><strong>Groove Diameter:</strong> ${data.grooveDiameter.toFixed(3)} ${units.diameter}</li>`;
+        html += `<li><strong>Grooves:</strong> ${data.grooveCount}</li>`;
+        html += `<li><strong>Corner Radius:</strong> ${data.grooveRootRadius.toFixed(3)} ${units.diameter}</li>`;
+        html += '</ul>';
+    }
+    
+    if (data.enableGasPort) {
+        html += '<hr><h6>Gas Port</h6>';
+        html += '<ul class="list-unstyled">';
+        html += `<li><strong>Port Diameter:</strong> ${data.portDiameter.toFixed(3)} ${units.diameter}</li>`;
+        if (data.portLocation) {
+            html += `<li><strong>Distance from Breech:</strong> ${data.portLocation.toFixed(1)} ${units.length}</li>`;
+        }
+        html += `<li><strong>Pressure at Port:</strong> ${data.portPressure ? `${data.portPressure.toFixed(0)} ${units.pressure}` : 'Peak pressure'}</li>`;
+        if (data.portOD) {
+            html += `<li><strong>OD at Port:</strong> ${data.portOD.toFixed(3)} ${units.diameter}</li>`;
+        }
+        html += '</ul>';
+    }
+    
+    if (data.enableBreech) {
+        html += '<hr><h6>Breech</h6>';
+        html += '<ul class="list-unstyled">';
+        html += `<li><strong>Case Head Diameter:</strong> ${data.caseHeadDiameter.toFixed(3)} ${units.diameter}</li>`;
+        if (data.shankOD) {
+            html += `<li><strong>Shank OD:</strong> ${data.shankOD.toFixed(3)} ${units.diameter}</li>`;
+        }
+        html += '</ul>';
+    }
+    
+    if (data.enableThreads) {
+        html += '<hr><h6>Threads</h6>';
+        html += '<ul class="list-unstyled">';
+        if (data.threads.tenon) {
+            html += `<li><strong>Tenon:</strong> ${data.threads.tenon.designation}, ${data.threads.tenon.engagementLength.toFixed(3)} ${units.length} engaged</li>`;
+        }
+        if (data.threads.muzzle) {
+            html += `<li><strong>Muzzle:</strong> ${data.threads.muzzle.designation}, ${data.threads.muzzle.engagementLength.toFixed(3)} ${units.length} engaged</li>`;
+            if (data.threads.muzzle.pressure) {
+                html += `<li><strong>Muzzle Pressure:</strong> ${data.threads.muzzle.pressure.toFixed(0)} ${units.pressure}</li>`;
+            }
+        }
+        html += '</ul>';
+    }
+    
+    if (data.enableSweep) {
+        const type = SWEEP_INPUT_TYPES[data.sweepVariable];
+        const precision = type === 'diameter' ? 3 : 0;
+        html += '<hr><h6>Design Curves</h6>';
+        html += '<ul class="list-unstyled">';
+        html += `<li><strong>Swept Input:</strong> ${SWEEP_INPUT_LABELS[data.sweepVariable]}</li>`;
+        html += `<li><strong>Range:</strong> ${data.sweepStart.toFixed(precision)} to ${data.sweepEnd.toFixed(precision)} ${units[type]} in ${data.sweepSteps} steps</li>`;
+        html += '</ul>';
+    }
+    
+    if (data.enableBallistics) {
+        html += '<hr><h6>Interior Ballistics</h6>';
+        html += '<ul class="list-unstyled">';
+        html += `<li><strong>Case Capacity:</strong> ${data.caseCapacity.toFixed(2)} ${units.capacity}</li>`;
+        html += `<li><strong>Bullet Weight:</strong> ${data.bulletWeight.toFixed(1)} ${units.mass}</li>`;
+        html += `<li><strong>Powder Charge:</strong> ${data.chargeWeight ? `${data.chargeWeight.toFixed(1)} ${units.mass}` : 'Near-full case'}</li>`;
+        if (data.bulletSeat) {
+            html += `<li><strong>Bullet Base from Breech:</strong> ${data.bulletSeat.toFixed(2)} ${units.length}</li>`;
+        }
+        html += '</ul>';
+    }
+    
+    if (data.enableContour) {
+        html += '<hr><h6>Barrel Contour</h6>';
+        html += '<ul class="list-unstyled">';
+        html += `<li><strong>Stations:</strong> ${data.contourCsv ? 'As entered' : 'Straight barrel'}</li>`;
+        if (data.peakPressurePosition) {
+            html += `<li><strong>Peak Pressure Position:</strong> ${data.peakPressurePosition.toFixed(1)} ${units.length}</li>`;
+        }
+        html += `<li><strong>Muzzle Exit Pressure:</strong> ${data.muzzleExitPressure ? `${data.muzzleExitPressure.toFixed(0)} ${units.pressure}` : 'Peak pressure'}</li>`;
+        html += '</ul>';
+    }
+    
+    if (data.enableMass) {
+        html += '<hr><h6>Barrel Weight &amp; Balance</h6>';
+        html += '<ul class="list-unstyled">';
+        html += `<li><strong>Density:</strong> ${data.barrelDensity ? `${data.barrelDensity.toFixed(units.density === 'kg/m3' ? 0 : 1)} ${units.density}` : 'From material'}</li>`;
+        if (data.flutes) {
+            const { count, width, depth, start, end } = data.flutes;
+            html += `<li><strong>Flutes:</strong> ${count} × ${width.toFixed(3)} ${units.diameter} wide, ${depth.toFixed(3)} ${units.diameter} deep</li>`;
+            html += `<li><strong>Fluted Length:</strong> ${start.toFixed(2)} to ${end.toFixed(2)} ${units.length} from breech</li>`;
+        } else {
+            html += '<li><strong>Flutes:</strong> None</li>';
+        }
+        html += '</ul>';
+    }
+    
+    if (data.enableVibration) {
+        html += '<hr><h6>Barrel Harmonics</h6>';
+        html += '<ul class="list-unstyled">';
+        html += `<li><strong>Receiver Face:</strong> ${data.receiverFace ? `${data.receiverFace.toFixed(2)} ${units.length} from breech` : 'Breech face'}</li>`;
+        html += `<li><strong>Muzzle Device:</strong> ${data.muzzleDeviceWeight ? `${data.muzzleDeviceWeight.toFixed(3)} ${units.weight}` : 'None'}</li>`;
+        html += `<li><strong>Modes:</strong> ${data.vibrationModes}</li>`;
+        html += '</ul>';
+    }
+    
+    if (data.enableAutofrettage) {
+        html += '<hr><h6>Autofrettage</h6>';
+        html += '<ul class="list-unstyled">';
+        if (data.autofrettagePressure) {
+            html += `<li><strong>Overstrain Pressure:</strong> ${data.autofrettagePressure.toFixed(0)} ${units.pressure}</li>`;
+        } else {
+            html += `<li><strong>Overstrain:</strong> ${data.overstrainRatio?.toFixed(0) ?? 'N/A'}%</li>`;
+        }
+        html += `<li><strong>Bauschinger Factor:</strong> ${data.bauschingerFactor?.toFixed(2) || 'N/A'}</li>`;
+        html += '</ul>';
+    }
+    
+    if (data.enableFatigue) {
+        html += '<hr><h6>Fatigue</h6>';
+        html += '<ul class="list-unstyled">';
+        html += `<li><strong>Surface Finish:</strong> ${data.surfaceFinish}</li>`;
+        html += `<li><strong>Reliability:</strong> ${(data.fatigueReliability * 100).toFixed(1)}%</li>`;
+        if (data.enduranceLimit) {
+            html += `<li><strong>Endurance Limit:</strong> ${data.enduranceLimit.toFixed(0)} ${units.stress}</li>`;
+        }
+        html += '</ul>';
+    }
+    
+    if (data.enableFracture) {
+        html += '<hr><h6>Fracture</h6>';
+        html += '<ul class="list-unstyled">';
+        html += `<li><strong>K<sub>IC</sub>:</strong> ${data.fractureToughness ? `${data.fractureToughness.toFixed(0)} ${units.toughness}` : 'From material'}</li>`;
+        if (data.crackDepth) {
+            html += `<li><strong>Known Flaw Depth:</strong> ${data.crackDepth.toFixed(3)} ${units.length}</li>`;
+        }
+        html += '</ul>';
+    }
+    
+    if (data.enableMultilayer) {
+        html += '<hr><h6>Sleeves & Jackets</h6>';
+        html += '<ul class="list-unstyled">';
+        data.layers.forEach((layer, index) => {
+            html += `<li><strong>Layer ${index + 2}:</strong> ${layer.outerDiameter.toFixed(3)} ${units.diameter} OD, `;
+            html += `${layer.interference.toFixed(4)} ${units.diameter} interference, ${layer.material || 'barrel material'}</li>`;
+        });
+        html += '</ul>';
+    }
+    
+    if (data.enableOverwrap) {
+        html += '<hr><h6>Composite Overwrap</h6>';
+        html += '<ul class="list-unstyled">';
+        html += `<li><strong>Composite:</strong> ${COMPOSITE_MATERIALS[data.overwrapMaterial]?.name || data.overwrapMaterial}</li>`;
+        html += `<li><strong>Overwrap OD:</strong> ${data.overwrapOD.toFixed(3)} ${units.diameter}</li>`;
+        html += `<li><strong>Winding Interference:</strong> ${data.overwrapInterference.toFixed(4)} ${units.diameter}</li>`;
+        html += '</ul>';
+    }
+    
+    if (data.enableStrainGauge) {
+        html += '<hr><h6>Strain Gauge</h6>';
+        html += '<ul class="list-unstyled">';
+        if (data.strainCsv) {
+            html += '<li><strong>Input:</strong> Time series CSV</li>';
+        } else {
+            html += `<li><strong>Measured Strain:</strong> ${isNaN(data.measuredStrain) ? 'N/A' : data.measuredStrain.toFixed(0)} µε</li>`;
+        }
+        html += `<li><strong>Calibration:</strong> ${data.calibrationFactor ? `${data.calibrationFactor.toFixed(2)} µε/ksi` : 'Theoretical'}</li>`;
+        html += `<li><strong>Axial Correction:</strong> ${data.strainAxialCorrection ? 'Closed-end' : 'None'}</li>`;
+        html += '</ul>';
+    }
+    
+    if (data.enableThermal) {
+        html += '<hr><h6>Thermal Load</h6>';
+        html += '<ul class="list-unstyled">';
+        html += `<li><strong>Bore Temperature:</strong> ${data.boreTemperature.toFixed(0)} ${units.temperature}</li>`;
+        html += `<li><strong>OD Temperature:</strong> ${data.outerTemperature.toFixed(0)} ${units.temperature}</li>`;
+        html += '</ul>';
+    }
+    
     if (data.enableTrunnion) {
         html += '<hr><h6>Trunnion Parameters</h6>';
         html += '<ul class="list-unstyled">';
@@ -1944,6 +5908,286 @@ function setupProgressiveDisclosure() {
     }
 }
 
+/**
+ * Set up autofrettage section toggle
+ */
+function setupAutofrettageToggle() {
+    const enableAutofrettage = document.getElementById('enable-autofrettage');
+    const autofrettageParams = document.getElementById('autofrettage-params');
+    
+    if (enableAutofrettage && autofrettageParams) {
+        enableAutofrettage.addEventListener('change', function() {
+            autofrettageParams.classList.toggle('d-none', !this.checked);
+        });
+    }
+}
+
+/**
+ * Set up fracture section toggle
+ */
+function setupFractureToggle() {
+    const enableFracture = document.getElementById('enable-fracture');
+    const fractureParams = document.getElementById('fracture-params');
+    
+    if (enableFracture && fractureParams) {
+        enableFracture.addEventListener('change', function() {
+            fractureParams.classList.toggle('d-none', !this.checked);
+        });
+    }
+}
+
+/**
+ * Set up sleeve and jacket section toggle and layer rows
+ */
+function setupMultilayerInput() {
+    const enableMultilayer = document.getElementById('enable-multilayer');
+    const multilayerParams = document.getElementById('multilayer-params');
+    const layerRows = document.getElementById('layer-rows');
+    const addLayer = document.getElementById('add-layer');
+    const rowTemplate = document.getElementById('layer-row-template');
+    
+    if (!enableMultilayer || !multilayerParams || !layerRows || !rowTemplate) {
+        return;
+    }
+    
+    const appendRow = () => {
+        layerRows.appendChild(rowTemplate.content.cloneNode(true));
+    };
+    
+    enableMultilayer.addEventListener('change', function() {
+        multilayerParams.classList.toggle('d-none', !this.checked);
+        if (this.checked && layerRows.children.length === 0) {
+            appendRow();
+        }
+    });
+    
+    if (addLayer) {
+        addLayer.addEventListener('click', appendRow);
+    }
+    
+    layerRows.addEventListener('click', event => {
+        const removeButton = event.target.closest('.remove-layer');
+        if (removeButton) {
+            removeButton.closest('.layer-row').remove();
+        }
+    });
+}
+
+/**
+ * Set up rifling section toggle
+ */
+function setupRiflingToggle() {
+    const enableRifling = document.getElementById('enable-rifling');
+    const riflingParams = document.getElementById('rifling-params');
+    
+    if (enableRifling && riflingParams) {
+        enableRifling.addEventListener('change', function() {
+            riflingParams.classList.toggle('d-none', !this.checked);
+        });
+    }
+}
+
+/**
+ * Set up breech section toggle
+ */
+function setupBreechToggle() {
+    const enableBreech = document.getElementById('enable-breech');
+    const breechParams = document.getElementById('breech-params');
+    
+    if (enableBreech && breechParams) {
+        enableBreech.addEventListener('change', function() {
+            breechParams.classList.toggle('d-none', !this.checked);
+        });
+    }
+}
+
+/**
+ * Set up threads section toggle
+ */
+function setupThreadsToggle() {
+    const enableThreads = document.getElementById('enable-threads');
+    const threadsParams = document.getElementById('threads-params');
+    
+    if (enableThreads && threadsParams) {
+        enableThreads.addEventListener('change', function() {
+            threadsParams.classList.toggle('d-none', !this.checked);
+        });
+    }
+}
+
+/**
+ * Set up design curve section toggle
+ */
+function setupSweepToggle() {
+    const enableSweep = document.getElementById('enable-sweep');
+    const sweepParams = document.getElementById('sweep-params');
+    
+    if (enableSweep && sweepParams) {
+        enableSweep.addEventListener('change', function() {
+            sweepParams.classList.toggle('d-none', !this.checked);
+        });
+    }
+}
+
+/**
+ * Set up interior ballistics section toggle
+ */
+function setupBallisticsToggle() {
+    const enableBallistics = document.getElementById('enable-ballistics');
+    const ballisticsParams = document.getElementById('ballistics-params');
+    
+    if (enableBallistics && ballisticsParams) {
+        enableBallistics.addEventListener('change', function() {
+            ballisticsParams.classList.toggle('d-none', !this.checked);
+        });
+    }
+}
+
+/**
+ * Set up barrel contour section toggle
+ */
+function setupContourToggle() {
+    const enableContour = document.getElementById('enable-contour');
+    const contourParams = document.getElementById('contour-params');
+    
+    if (enableContour && contourParams) {
+        enableContour.addEventListener('change', function() {
+            contourParams.classList.toggle('d-none', !this.checked);
+        });
+    }
+}
+
+/**
+ * Set up barrel mass section toggle
+ */
+function setupMassToggle() {
+    const enableMass = document.getElementById('enable-mass');
+    const massParams = document.getElementById('mass-params');
+    
+    if (enableMass && massParams) {
+        enableMass.addEventListener('change', function() {
+            massParams.classList.toggle('d-none', !this.checked);
+        });
+    }
+}
+
+/**
+ * Set up barrel harmonics section toggle
+ */
+function setupVibrationToggle() {
+    const enableVibration = document.getElementById('enable-vibration');
+    const vibrationParams = document.getElementById('vibration-params');
+    
+    if (enableVibration && vibrationParams) {
+        enableVibration.addEventListener('change', function() {
+            vibrationParams.classList.toggle('d-none', !this.checked);
+        });
+    }
+}
+
+/**
+ * Set up gas port section toggle
+ */
+function setupGasPortToggle() {
+    const enableGasPort = document.getElementById('enable-gas-port');
+    const gasPortParams = document.getElementById('gas-port-params');
+    
+    if (enableGasPort && gasPortParams) {
+        enableGasPort.addEventListener('change', function() {
+            gasPortParams.classList.toggle('d-none', !this.checked);
+        });
+    }
+}
+
+/**
+ * Set up composite overwrap section toggle
+ */
+function setupOverwrapToggle() {
+    const enableOverwrap = document.getElementById('enable-overwrap');
+    const overwrapParams = document.getElementById('overwrap-params');
+    
+    if (enableOverwrap && overwrapParams) {
+        enableOverwrap.addEventListener('change', function() {
+            overwrapParams.classList.toggle('d-none', !this.checked);
+        });
+    }
+}
+
+/**
+ * Set up fatigue section toggle
+ */
+function setupFatigueToggle() {
+    const enableFatigue = document.getElementById('enable-fatigue');
+    const fatigueParams = document.getElementById('fatigue-params');
+    
+    if (enableFatigue && fatigueParams) {
+        enableFatigue.addEventListener('change', function() {
+            fatigueParams.classList.toggle('d-none', !this.checked);
+        });
+    }
+}
+
+/**
+ * Set up strain gauge section toggle and CSV file loading
+ */
+function setupStrainGaugeInput() {
+    const enableStrainGauge = document.getElementById('enable-strain-gauge');
+    const strainGaugeParams = document.getElementById('strain-gauge-params');
+    const csvFile = document.getElementById('strain-csv-file');
+    const csvText = document.getElementById('strain-csv');
+    
+    if (enableStrainGauge && strainGaugeParams) {
+        enableStrainGauge.addEventListener('change', function() {
+            strainGaugeParams.classList.toggle('d-none', !this.checked);
+        });
+    }
+    
+    if (csvFile && csvText) {
+        csvFile.addEventListener('change', function() {
+            const file = this.files?.[0];
+            if (!file) return;
+            
+            const reader = new FileReader();
+            reader.onload = () => {
+                csvText.value = reader.result;
+            };
+            reader.onerror = () => {
+                console.warn('Failed to read strain gauge CSV:', reader.error);
+            };
+            reader.readAsText(file);
+        });
+    }
+}
+
+/**
+ * Set up thermal load section toggle
+ */
+function setupThermalToggle() {
+    const enableThermal = document.getElementById('enable-thermal');
+    const thermalParams = document.getElementById('thermal-params');
+    
+    if (enableThermal && thermalParams) {
+        enableThermal.addEventListener('change', function() {
+            thermalParams.classList.toggle('d-none', !this.checked);
+        });
+    }
+}
+
+/**
+ * Set up end condition selection functionality
+ */
+function setupEndConditionSelection() {
+    const endConditionSelect = document.getElementById('end-condition');
+    const axialStrainSection = document.getElementById('axial-strain-section');
+    
+    if (endConditionSelect && axialStrainSection) {
+        endConditionSelect.addEventListener('change', function() {
+            // Axial strain is only meaningful for generalized plane strain
+            axialStrainSection.classList.toggle('d-none', this.value !== 'generalized-plane-strain');
+        });
+    }
+}
+
 /**
  * Set up material selection functionality
  */
@@ -2525,6 +6769,97 @@ function setupResetFunctionality() {
             // Reset progressive disclosure states
             const customMaterialSection = document.getElementById('custom-material-section');
             const trunnionParams = document.getElementById('trunnion-params');
+            const axialStrainSection = document.getElementById('axial-strain-section');
+            const autofrettageParams = document.getElementById('autofrettage-params');
+            const thermalParams = document.getElementById('thermal-params');
+            const strainGaugeParams = document.getElementById('strain-gauge-params');
+            const fatigueParams = document.getElementById('fatigue-params');
+            const fractureParams = document.getElementById('fracture-params');
+            
+            const multilayerParams = document.getElementById('multilayer-params');
+            const layerRows = document.getElementById('layer-rows');
+            const overwrapParams = document.getElementById('overwrap-params');
+            const riflingParams = document.getElementById('rifling-params');
+            const gasPortParams = document.getElementById('gas-port-params');
+            const threadsParams = document.getElementById('threads-params');
+            const breechParams = document.getElementById('breech-params');
+            const contourParams = document.getElementById('contour-params');
+            const ballisticsParams = document.getElementById('ballistics-params');
+            const massParams = document.getElementById('mass-params');
+            const vibrationParams = document.getElementById('vibration-params');
+            const sweepParams = document.getElementById('sweep-params');
+            
+            if (sweepParams) {
+                sweepParams.classList.add('d-none');
+            }
+            
+            if (vibrationParams) {
+                vibrationParams.classList.add('d-none');
+            }
+            
+            if (massParams) {
+                massParams.classList.add('d-none');
+            }
+            
+            if (ballisticsParams) {
+                ballisticsParams.classList.add('d-none');
+            }
+            
+            if (contourParams) {
+                contourParams.classList.add('d-none');
+            }
+            
+            if (breechParams) {
+                breechParams.classList.add('d-none');
+            }
+            
+            if (threadsParams) {
+                threadsParams.classList.add('d-none');
+            }
+            
+            if (gasPortParams) {
+                gasPortParams.classList.add('d-none');
+            }
+            
+            if (riflingParams) {
+                riflingParams.classList.add('d-none');
+            }
+            
+            if (overwrapParams) {
+                overwrapParams.classList.add('d-none');
+            }
+            
+            if (multilayerParams) {
+                multilayerParams.classList.add('d-none');
+            }
+            
+            if (layerRows) {
+                layerRows.innerHTML = '';
+            }
+            
+            if (fractureParams) {
+                fractureParams.classList.add('d-none');
+            }
+            
+            if (fatigueParams) {
+                fatigueParams.classList.add('d-none');
+            }
+            
+            if (thermalParams) {
+                thermalParams.classList.add('d-none');
+            }
+            
+            if (strainGaugeParams) {
+                strainGaugeParams.classList.add('d-none');
+            }
+            
+            if (axialStrainSection) {
+                axialStrainSection.classList.add('d-none');
+            }
+            
+            if (autofrettageParams) {
+                autofrettageParams.classList.add('d-none');
+            }
             
             if (customMaterialSection) {
                 customMaterialSection.classList.add('d-none');
@@ -2553,6 +6888,7 @@ function setupResetFunctionality() {
             }
             
             if (chartsDisplay) {
+                destroyCharts(chartsDisplay);
                 chartsDisplay.innerHTML = `
                     <div class="text-center text-muted">
                         <p>Charts will appear after calculation</p>
@@ -39,9 +39,57 @@ const CONVERSION_FACTORS = {
     density: {
         'kg/m3': 1.0,
         'lb/ft3': 0.062427974  // 1 kg/m³ = 0.062427974 lb/ft³
+    },
+    
+    // Fracture toughness conversions (base: MPa√m)
+    toughness: {
+        'MPa√m': 1.0,
+        'ksi√in': 0.910048  // 1 MPa√m = 0.910048 ksi√in
+    },
+    
+    // Force conversions (base: N)
+    force: {
+        'N': 1.0,
+        'lbf': 0.224808943  // 1 N = 0.224808943 lbf
+    },
+    
+    // Bullet and charge mass conversions (base: g)
+    mass: {
+        'g': 1.0,
+        'gr': 15.43235835  // 1 g = 15.43235835 grains
+    },
+    
+    // Case capacity conversions (base: cm³ of water)
+    capacity: {
+        'cm3': 1.0,
+        'grH2O': 15.43235835  // 1 cm³ of water = 15.43 grains
+    },
+    
+    // Velocity conversions (base: m/s)
+    velocity: {
+        'm/s': 1.0,
+        'ft/s': 3.280839895  // 1 m/s = 3.280839895 ft/s
+    },
+    
+    // Barrel weight conversions (base: kg)
+    weight: {
+        'kg': 1.0,
+        'lb': 2.20462262  // 1 kg = 2.20462262 lb
+    },
+    
+    // Mass moment of inertia conversions (base: kg·mm²)
+    inertia: {
+        'kg·mm2': 1.0,
+        'lb·in2': 0.00341717  // 1 kg·mm² = 2.20462262 lb / 645.16 in²/mm²
     }
 };
 
+// Temperature scales need an offset as well as a factor (base: °C)
+const TEMPERATURE_SCALES = {
+    '°C': { factor: 1.0, offset: 0 },
+    '°F': { factor: 1.8, offset: 32 }  // °F = °C × 1.8 + 32
+};
+
 // Unit definitions by system
 const UNIT_SYSTEMS = {
     'SI': {
@@ -51,7 +99,15 @@ const UNIT_SYSTEMS = {
         pressure: 'MPa',
         stress: 'MPa',
         modulus: 'GPa',
-        density: 'kg/m3'
+        density: 'kg/m3',
+        temperature: '°C',
+        toughness: 'MPa√m',
+        force: 'N',
+        mass: 'g',
+        capacity: 'cm3',
+        velocity: 'm/s',
+        weight: 'kg',
+        inertia: 'kg·mm2'
     },
     'IP': {
         length: 'in',
@@ -60,7 +116,15 @@ const UNIT_SYSTEMS = {
         pressure: 'psi',
         stress: 'ksi',  // Use ksi for stress in Imperial system for readability
         modulus: 'ksi',
-        density: 'lb/ft3'
+        density: 'lb/ft3',
+        temperature: '°F',
+        toughness: 'ksi√in',
+        force: 'lbf',
+        mass: 'gr',
+        capacity: 'grH2O',
+        velocity: 'ft/s',
+        weight: 'lb',
+        inertia: 'lb·in2'
     }
 };
 
@@ -122,6 +186,14 @@ export function convert(value, fromUnit, toUnit) {
         return value;
     }
     
+    // Temperature scales are affine rather than proportional
+    if (TEMPERATURE_SCALES[fromUnit] && TEMPERATURE_SCALES[toUnit]) {
+        const from = TEMPERATURE_SCALES[fromUnit];
+        const to = TEMPERATURE_SCALES[toUnit];
+        const celsius = (value - from.offset) / from.factor;
+        return celsius * to.factor + to.offset;
+    }
+    
     // Find the unit category
     let category = null;
     for (const [cat, units] of Object.entries(CONVERSION_FACTORS)) {
@@ -265,5 +337,6 @@ if (typeof window !== 'undefined') {
 // For testing purposes - export internal constants
 export const _testing = {
     CONVERSION_FACTORS,
+    TEMPERATURE_SCALES,
     UNIT_SYSTEMS
 };